@@ -0,0 +1,462 @@
+import SQLite from 'react-native-sqlite-storage';
+import { SQLiteDAO } from '../src/database/SQLiteDAO';
+import { BaseService } from '../src/database/BaseService';
+import { SchemaValidationError } from '../src/database/SchemaValidator';
+import { DatabaseManager } from '../src/database/DatabaseManager';
+import coreSchema from '../src/database/schemas/core.json';
+
+// Mock react-native-sqlite-storage
+jest.mock('react-native-sqlite-storage', () => ({
+  openDatabase: jest.fn(),
+  enablePromise: jest.fn(),
+}));
+
+// Mock DatabaseManager so services get the DAO created in the test
+jest.mock('../src/database/DatabaseManager', () => ({
+  DatabaseManager: {
+    getLazyLoading: jest.fn(),
+  },
+}));
+
+const resultSet = (rows = [], extra = {}) => [
+  { rows: { length: rows.length, item: (i) => rows[i] }, rowsAffected: 0, ...extra },
+];
+
+describe('BaseService', () => {
+  let mockDb;
+  let dao;
+  let service;
+
+  const lastCall = () => mockDb.executeSql.mock.calls[mockDb.executeSql.mock.calls.length - 1];
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+
+    mockDb = {
+      executeSql: jest.fn(async () => resultSet()),
+      close: jest.fn(async () => {}),
+    };
+    SQLite.openDatabase.mockResolvedValue(mockDb);
+
+    dao = new SQLiteDAO('core.db', false);
+    await dao.connect();
+    DatabaseManager.getLazyLoading.mockResolvedValue(dao);
+
+    service = new BaseService('core', 'users');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('Conditions', () => {
+    it('should accept operator objects in the plain object form', async () => {
+      await service.findAll({
+        created_at: { operator: 'BETWEEN', value: ['2024-01-01', '2024-12-31'] },
+        role: { operator: 'IN', value: ['admin', 'manager'] },
+        is_active: 1,
+      });
+
+      expect(lastCall()).toEqual([
+        'SELECT * FROM "users" WHERE "created_at" BETWEEN ? AND ? AND "role" IN (?, ?) AND "is_active" = ?',
+        ['2024-01-01', '2024-12-31', 'admin', 'manager', 1],
+      ]);
+    });
+
+    it('should accept a flat WhereClause array', async () => {
+      await service.findAll([{ name: 'last_login', operator: 'IS NULL' }]);
+
+      expect(lastCall()).toEqual(['SELECT * FROM "users" WHERE "last_login" IS NULL', []]);
+    });
+
+    it('should accept nested and/or/not groups', async () => {
+      await service.findAll({
+        is_active: 1,
+        or: [{ role: 'admin' }, { role: 'manager' }],
+      });
+      expect(lastCall()).toEqual([
+        'SELECT * FROM "users" WHERE "is_active" = ? AND ("role" = ? OR "role" = ?)',
+        [1, 'admin', 'manager'],
+      ]);
+
+      await service.findAll({ or: { email: 'a@b.c', username: 'admin' } });
+      expect(lastCall()).toEqual([
+        'SELECT * FROM "users" WHERE "email" = ? OR "username" = ?',
+        ['a@b.c', 'admin'],
+      ]);
+
+      await service.count({ not: { role: { operator: 'IN', value: ['viewer'] } } });
+      expect(lastCall()[0]).toContain('WHERE NOT ("role" IN (?))');
+    });
+
+    it('should keep plain objects with a name column as filters', async () => {
+      const stores = new BaseService('core', 'stores');
+      await stores.findAll({ or: [{ name: 'Shop A' }, { name: 'Shop B' }] });
+
+      expect(lastCall()).toEqual([
+        'SELECT * FROM "stores" WHERE "name" = ? OR "name" = ?',
+        ['Shop A', 'Shop B'],
+      ]);
+    });
+  });
+
+  describe('Aggregates', () => {
+    it('should count with a real COUNT(*) aggregate', async () => {
+      mockDb.executeSql.mockResolvedValueOnce(resultSet([{ count: 7 }]));
+
+      await expect(service.count({ role: 'staff' })).resolves.toBe(7);
+      expect(lastCall()).toEqual(['SELECT COUNT(*) AS "count" FROM "users" WHERE "role" = ?', ['staff']]);
+    });
+
+    it('should aggregate per group with HAVING', async () => {
+      const stores = new BaseService('core', 'stores');
+      const groups = [{ enterprise_id: 'e1', status: 'active', total: 3 }];
+      mockDb.executeSql.mockResolvedValueOnce(resultSet(groups));
+
+      const result = await stores.groupBy(
+        ['enterprise_id', 'status'],
+        [{ fn: 'count', alias: 'total' }],
+        { status: { operator: 'IN', value: ['active', 'inactive'] } },
+        { having: { total: { operator: '>=', value: 2 } }, orderBy: [{ name: 'total', direction: 'DESC' }] }
+      );
+
+      expect(result).toEqual(groups);
+      expect(lastCall()).toEqual([
+        'SELECT "enterprise_id", "status", COUNT(*) AS "total" FROM "stores" WHERE "status" IN (?, ?)' +
+          ' GROUP BY "enterprise_id", "status" HAVING "total" >= ? ORDER BY "total" DESC',
+        ['active', 'inactive', 2],
+      ]);
+    });
+  });
+
+  describe('Write results', () => {
+    it('should re-read rows created with an AUTO_INCREMENT key by rowid', async () => {
+      const settings = new BaseService('core', 'settings');
+      const created = { id: 5, key: 'theme', value: 'dark' };
+      mockDb.executeSql
+        .mockResolvedValueOnce(resultSet([], { insertId: 5, rowsAffected: 1 }))
+        .mockResolvedValueOnce(resultSet([created]));
+
+      await expect(settings.create({ key: 'theme', value: 'dark' })).resolves.toEqual(created);
+      expect(lastCall()).toEqual(['SELECT * FROM "settings" WHERE "rowid" = ? LIMIT 1', [5]]);
+    });
+
+    it('should report missing rows on update and delete', async () => {
+      mockDb.executeSql.mockResolvedValue(resultSet([], { rowsAffected: 0 }));
+
+      await expect(service.update('missing', { username: 'x' })).resolves.toBeNull();
+      await expect(service.delete('missing')).resolves.toBe(false);
+      expect(mockDb.executeSql).toHaveBeenCalledTimes(2);
+    });
+
+    it('should return true when a row was deleted', async () => {
+      mockDb.executeSql.mockResolvedValueOnce(resultSet([], { rowsAffected: 1 }));
+
+      await expect(service.delete('u1')).resolves.toBe(true);
+    });
+  });
+
+  describe('Upsert', () => {
+    const version = [{ rows: { length: 1, item: () => ({ version: '3.45.0' }) } }];
+
+    beforeEach(() => {
+      dao.setSchema(coreSchema);
+    });
+
+    it('should upsert and re-read the row by its conflict target', async () => {
+      const settings = new BaseService('core', 'settings');
+      const row = { id: 3, store_id: 's1', category: 'display', key: 'theme', value: 'dark' };
+      mockDb.executeSql.mockImplementation(async (sql) => {
+        if (sql.includes('sqlite_version()')) return version;
+        return sql.startsWith('SELECT') ? resultSet([row]) : resultSet([], { rowsAffected: 1 });
+      });
+
+      await expect(
+        settings.upsert({ store_id: 's1', category: 'display', key: 'theme', value: 'dark' })
+      ).resolves.toEqual(row);
+      expect(lastCall()).toEqual([
+        'SELECT * FROM "settings" WHERE "store_id" = ? AND "category" = ? AND "key" = ? LIMIT 1',
+        ['s1', 'display', 'theme'],
+      ]);
+    });
+
+    it('should bulk upsert inside one transaction', async () => {
+      const stores = new BaseService('core', 'stores');
+      mockDb.executeSql.mockImplementation(async (sql) =>
+        sql.includes('sqlite_version()') ? version : resultSet([], { rowsAffected: 1 })
+      );
+
+      await stores.bulkUpsert([
+        { id: 's1', name: 'A' },
+        { id: 's2', name: 'B' },
+      ]);
+
+      const statements = mockDb.executeSql.mock.calls
+        .map(([sql]) => sql)
+        .filter((sql) => !sql.includes('sqlite_version()'));
+      expect(statements).toEqual([
+        'BEGIN TRANSACTION',
+        'INSERT INTO "stores" ("id", "name") VALUES (?, ?) ON CONFLICT("id") DO UPDATE SET "name" = excluded."name"',
+        'INSERT INTO "stores" ("id", "name") VALUES (?, ?) ON CONFLICT("id") DO UPDATE SET "name" = excluded."name"',
+        'COMMIT',
+      ]);
+    });
+  });
+
+  describe('bulkCreate', () => {
+    it('should insert in one batched statement and return generated ids', async () => {
+      dao.setSchema(coreSchema);
+      const settings = new BaseService('core', 'settings');
+      mockDb.executeSql.mockImplementation(async (sql) =>
+        sql.startsWith('INSERT') ? resultSet([], { rowsAffected: 1, insertId: 8 }) : resultSet()
+      );
+
+      const result = await settings.bulkCreate([
+        { key: 'a', value: '1' },
+        { id: 100, key: 'b', value: '2' },
+      ]);
+
+      expect(mockDb.executeSql.mock.calls.map(([sql]) => sql)).toEqual([
+        'BEGIN TRANSACTION',
+        'INSERT INTO "settings" ("key", "value") VALUES (?, ?)',
+        'INSERT INTO "settings" ("id", "key", "value") VALUES (?, ?, ?)',
+        'COMMIT',
+      ]);
+      expect(result).toEqual([
+        { id: 8, key: 'a', value: '1' },
+        { id: 100, key: 'b', value: '2' },
+      ]);
+    });
+  });
+
+  describe('Value codec', () => {
+    it('should return decoded values from service reads', async () => {
+      dao.setSchema(coreSchema);
+      mockDb.executeSql.mockResolvedValueOnce(
+        resultSet([{ id: 'u1', is_active: 1, permissions: '["read"]', last_login: null }])
+      );
+
+      expect(await service.findById('u1')).toEqual({
+        id: 'u1',
+        is_active: true,
+        permissions: ['read'],
+        last_login: null,
+      });
+    });
+
+    it('should return an empty object when no row matches', async () => {
+      mockDb.executeSql.mockResolvedValue(resultSet());
+
+      expect(await service.findById('missing')).toEqual({});
+      expect(await service.findFirst({ username: 'nobody' })).toEqual({});
+    });
+  });
+
+  describe('Schema validation', () => {
+    it('should reject values outside the column enum with a structured error', async () => {
+      dao.setSchema(coreSchema);
+
+      const error = await service
+        .create({ id: 'u1', username: 'a', role: 'owner' })
+        .catch((e) => e);
+
+      expect(error).toBeInstanceOf(SchemaValidationError);
+      expect(error).toMatchObject({
+        column: 'role',
+        value: 'owner',
+        allowed: ['admin', 'manager', 'staff', 'cashier', 'viewer'],
+      });
+      expect(mockDb.executeSql).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Composite primary keys', () => {
+    let settings;
+
+    beforeEach(() => {
+      settings = new BaseService('core', 'settings').setPrimaryKeyFields(['store_id', 'key']);
+    });
+
+    it('should find, update and delete by a composite id object', async () => {
+      const id = { store_id: 's1', key: 'theme' };
+      mockDb.executeSql.mockResolvedValue(resultSet([], { rowsAffected: 1 }));
+
+      await settings.findById(id);
+      expect(lastCall()).toEqual([
+        'SELECT * FROM "settings" WHERE "store_id" = ? AND "key" = ? LIMIT 1',
+        ['s1', 'theme'],
+      ]);
+
+      await settings.update(id, { value: 'dark' });
+      expect(mockDb.executeSql.mock.calls[1]).toEqual([
+        'UPDATE "settings" SET "value" = ? WHERE "store_id" = ? AND "key" = ?',
+        ['dark', 's1', 'theme'],
+      ]);
+
+      expect(await settings.delete({ ...id, value: 'ignored' })).toBe(true);
+      expect(lastCall()).toEqual([
+        'DELETE FROM "settings" WHERE "store_id" = ? AND "key" = ?',
+        ['s1', 'theme'],
+      ]);
+    });
+
+    it('should re-read a created record by every key field', async () => {
+      await settings.create({ store_id: 's1', key: 'theme', value: 'dark' });
+
+      expect(lastCall()).toEqual([
+        'SELECT * FROM "settings" WHERE "store_id" = ? AND "key" = ? LIMIT 1',
+        ['s1', 'theme'],
+      ]);
+    });
+
+    it('should reject scalar or incomplete ids', async () => {
+      await expect(settings.findById('s1')).rejects.toThrow(
+        'settings has a composite primary key (store_id, key), pass an object with every key field as ID'
+      );
+      await expect(settings.delete({ store_id: 's1' })).rejects.toThrow(
+        'ID of settings is missing key field(s): key'
+      );
+      expect(mockDb.executeSql).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Query builder', () => {
+    it('should open the database on the first query', async () => {
+      const query = service.query().where('role', 'in', ['admin', 'manager']).limit(20);
+
+      expect(() => query.toSQL()).toThrow("Query on 'users' is not bound to an open database yet");
+      await query.all();
+
+      expect(DatabaseManager.getLazyLoading).toHaveBeenCalledWith('core');
+      expect(lastCall()).toEqual([
+        'SELECT * FROM "users" WHERE "role" IN (?, ?) LIMIT 20',
+        ['admin', 'manager'],
+      ]);
+      expect(query.toSQL().sql).toBe(lastCall()[0]);
+    });
+
+    it('should run queries of the scoped service inside the transaction', async () => {
+      await service.executeTransaction(async (users) => {
+        await users.query().where('id', 'u1').update({ is_active: 0 });
+      });
+
+      const statements = mockDb.executeSql.mock.calls
+        .map(([sql]) => sql)
+        .filter((sql) => !sql.startsWith('SELECT'));
+      expect(statements).toEqual([
+        'BEGIN TRANSACTION',
+        'UPDATE "users" SET "is_active" = ? WHERE "id" = ?',
+        'COMMIT',
+      ]);
+    });
+  });
+
+  describe('Full-text search', () => {
+    it('should search the service table and report failures as SEARCH_ERROR', async () => {
+      dao.setSchema(coreSchema);
+      mockDb.executeSql.mockImplementation(async (sql) =>
+        sql.includes('MATCH')
+          ? resultSet([
+              { id: 'u1', full_name: 'Nguyễn Văn An', __fts_rank: -1, __fts_snippet: '<b>An</b>' },
+            ])
+          : resultSet()
+      );
+      const fetched = jest.fn();
+      const failed = jest.fn();
+      service.on('dataFetched', fetched).setErrorHandler('SEARCH_ERROR', failed);
+
+      const results = await service.search('an', { columns: ['full_name'], limit: 10 });
+
+      expect(lastCall()[1]).toEqual(['<b>', '</b>', '…', '{full_name} : ("an"*)', 10, 0]);
+      expect(results).toEqual([
+        { item: { id: 'u1', full_name: 'Nguyễn Văn An' }, rank: -1, snippet: '<b>An</b>' },
+      ]);
+      expect(fetched).toHaveBeenCalledWith({ operation: 'search', count: 1 });
+
+      await expect(service.search('an', { columns: ['role'] })).rejects.toThrow(
+        "Column 'role' of 'users' is not in its full-text index"
+      );
+      expect(failed).toHaveBeenCalled();
+    });
+  });
+
+  describe('Nested transactions', () => {
+    it('should roll back a failing inner transaction without aborting the outer one', async () => {
+      await service.executeTransaction(async (users) => {
+        await users.create({ id: 'u1', username: 'a' });
+        await expect(
+          users.executeTransaction(async (inner) => {
+            await inner.create({ id: 'u2', username: 'b' });
+            throw new Error('inner failure');
+          })
+        ).rejects.toThrow('inner failure');
+      });
+
+      const statements = mockDb.executeSql.mock.calls
+        .map(([sql]) => sql)
+        .filter((sql) => !sql.startsWith('SELECT'));
+      expect(statements).toEqual([
+        'BEGIN TRANSACTION',
+        'INSERT INTO "users" ("id", "username") VALUES (?, ?)',
+        'SAVEPOINT sp_1',
+        'INSERT INTO "users" ("id", "username") VALUES (?, ?)',
+        'ROLLBACK TO SAVEPOINT sp_1',
+        'RELEASE SAVEPOINT sp_1',
+        'COMMIT',
+      ]);
+    });
+  });
+
+  describe('Transaction queue', () => {
+    it('should serialize transactions of services sharing a connection', async () => {
+      const stores = new BaseService('core', 'stores');
+      let releaseFirst;
+      const firstHeld = new Promise((resolve) => (releaseFirst = resolve));
+
+      const first = service.executeTransaction(async (users) => {
+        await users.create({ id: 'u1', username: 'a' });
+        await firstHeld;
+        await users.create({ id: 'u2', username: 'b' });
+      });
+      const second = stores.executeTransaction(async (scopedStores) => {
+        await scopedStores.create({ id: 's1', name: 'Shop' });
+      });
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      releaseFirst();
+      await Promise.all([first, second]);
+
+      const statements = mockDb.executeSql.mock.calls
+        .map(([sql]) => sql)
+        .filter((sql) => !sql.startsWith('SELECT'));
+      expect(statements).toEqual([
+        'BEGIN TRANSACTION',
+        'INSERT INTO "users" ("id", "username") VALUES (?, ?)',
+        'INSERT INTO "users" ("id", "username") VALUES (?, ?)',
+        'COMMIT',
+        'BEGIN TRANSACTION',
+        'INSERT INTO "stores" ("id", "name") VALUES (?, ?)',
+        'COMMIT',
+      ]);
+    });
+
+    it('should run calls through the service itself inside its own transaction', async () => {
+      dao.setLockTimeout(20);
+
+      await service.executeTransaction(async () => {
+        await service.findAll();
+        await service.bulkCreate([{ id: 'u1', username: 'a' }]);
+      });
+
+      expect(mockDb.executeSql.mock.calls.map(([sql]) => sql)).toEqual([
+        'BEGIN TRANSACTION',
+        'SELECT * FROM "users"',
+        'SAVEPOINT sp_1',
+        'INSERT INTO "users" ("id", "username") VALUES (?, ?)',
+        'RELEASE SAVEPOINT sp_1',
+        'COMMIT',
+      ]);
+      expect(service.dao).toBe(dao);
+    });
+  });
+});
@@ -0,0 +1,322 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ts from 'typescript';
+import { generateSchemaTypes, singularize } from '../src/database/CodeGenerator';
+import { runCodegen } from '../src/cli/codegen';
+import coreSchema from '../src/database/schemas/core.json';
+
+const shopSchema = {
+  version: '2.1',
+  database_name: 'shop.db',
+  schemas: {
+    categories: {
+      description: 'Product categories',
+      cols: [
+        { name: 'id', type: 'integer', constraints: 'PRIMARY KEY' },
+        { name: 'name', type: 'string', constraints: 'NOT NULL', description: 'Display name' },
+        {
+          name: 'kind',
+          type: 'string',
+          constraints: "NOT NULL DEFAULT 'goods'",
+          enum: ['goods', "gift's"],
+        },
+        { name: 'created_at', type: 'timestamp', constraints: 'DEFAULT CURRENT_TIMESTAMP' },
+      ],
+    },
+    store_settings: {
+      primary_key: ['store_id', 'key'],
+      cols: [
+        { name: 'store_id', type: 'uuid' },
+        { name: 'key', type: 'string' },
+        { name: 'value', type: 'json' },
+        { name: 'logo', type: 'blob' },
+        { name: 'priority', type: 'integer', enum: [1, 2, 3] },
+      ],
+    },
+  },
+  views: [
+    {
+      name: 'v_category_counts',
+      select: 'SELECT kind, COUNT(*) AS total FROM categories GROUP BY kind',
+      cols: [
+        { name: 'kind', type: 'string' },
+        { name: 'total', type: 'integer', constraints: 'NOT NULL' },
+      ],
+    },
+  ],
+};
+
+describe('CodeGenerator', () => {
+  it('should generate row, insert and update types with enum unions and services', () => {
+    const code = generateSchemaTypes(shopSchema, { importPath: '../BaseService' });
+
+    expect(code).toBe(
+      [
+        "// Generated from the schema 'shop.db' (version 2.1) by sqlite-dao-codegen.",
+        '// Do not edit by hand: change the schema JSON and run the generator again.',
+        '',
+        "import { BaseService } from '../BaseService';",
+        '',
+        "export type CategoryKind = 'goods' | 'gift\\'s';",
+        '',
+        '/** Product categories */',
+        'export interface Category {',
+        '  id: number;',
+        '  /** Display name */',
+        '  name: string;',
+        '  kind: CategoryKind;',
+        '  created_at: Date | null;',
+        '}',
+        '',
+        'export interface CategoryInsert {',
+        '  id?: number;',
+        '  /** Display name */',
+        '  name: string;',
+        '  kind?: CategoryKind;',
+        '  created_at?: Date | string | null;',
+        '}',
+        '',
+        'export type CategoryUpdate = Partial<CategoryInsert>;',
+        '',
+        'export class CategoryService extends BaseService<Category, CategoryInsert> {',
+        '  constructor() {',
+        "    super('shop', 'categories');",
+        '  }',
+        '}',
+        '',
+        'export type StoreSettingPriority = 1 | 2 | 3;',
+        '',
+        'export interface StoreSetting {',
+        '  store_id: string;',
+        '  key: string;',
+        '  value: unknown | null;',
+        '  logo: Uint8Array | null;',
+        '  priority: StoreSettingPriority | null;',
+        '}',
+        '',
+        'export interface StoreSettingInsert {',
+        '  store_id: string;',
+        '  key: string;',
+        '  value?: unknown | null;',
+        '  logo?: Uint8Array | ArrayBuffer | null;',
+        '  priority?: StoreSettingPriority | null;',
+        '}',
+        '',
+        'export type StoreSettingUpdate = Partial<StoreSettingInsert>;',
+        '',
+        'export class StoreSettingService extends BaseService<StoreSetting, StoreSettingInsert> {',
+        '  constructor() {',
+        "    super('shop', 'store_settings');",
+        "    this.setPrimaryKeyFields(['store_id', 'key']);",
+        '  }',
+        '}',
+        '',
+        'export interface VCategoryCounts {',
+        '  kind: string | null;',
+        '  total: number;',
+        '}',
+        '',
+        "/** Read-only: 'v_category_counts' is a view. */",
+        'export class VCategoryCountsService extends BaseService<VCategoryCounts> {',
+        '  constructor() {',
+        "    super('shop', 'v_category_counts');",
+        '  }',
+        '}',
+        '',
+        "/** Row type of each table and view of the schema 'shop'. */",
+        'export interface ShopTables {',
+        '  categories: Category;',
+        '  store_settings: StoreSetting;',
+        '  v_category_counts: VCategoryCounts;',
+        '}',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('should apply type overrides, type names and the types-only mode', () => {
+    const code = generateSchemaTypes(shopSchema, {
+      schemaName: 'catalog',
+      services: false,
+      types: { JSON: 'Record<string, any>' },
+      typeNames: { categories: 'ProductCategory', v_category_counts: 'CategoryCount' },
+    });
+
+    expect(code).not.toContain('import');
+    expect(code).not.toContain('Service');
+    expect(code).toContain('export interface ProductCategory {');
+    expect(code).toContain("export type ProductCategoryKind = 'goods' | 'gift\\'s';");
+    expect(code).toContain('  value: Record<string, any> | null;');
+    expect(code).toContain('export interface CategoryCount {');
+    expect(code).toContain('export interface CatalogTables {');
+  });
+
+  it('should report generated names that collide and schemas without tables', () => {
+    const schema = {
+      ...shopSchema,
+      schemas: {
+        ...shopSchema.schemas,
+        category_kinds: { cols: [{ name: 'id', type: 'integer', constraints: 'PRIMARY KEY' }] },
+      },
+    };
+    expect(() => generateSchemaTypes(schema)).toThrow(
+      "'categories.kind' and table 'category_kinds' both generate the type 'CategoryKind'"
+    );
+    expect(() => generateSchemaTypes({ version: '1', database_name: 'x' })).toThrow(
+      "Schema has no 'schemas' section"
+    );
+  });
+
+  it('should singularize common English plurals', () => {
+    expect(
+      ['stores', 'categories', 'addresses', 'boxes', 'enterprises', 'access', 'status', 'keys'].map(
+        singularize
+      )
+    ).toEqual(['store', 'category', 'address', 'box', 'enterprise', 'access', 'status', 'key']);
+  });
+
+  it('should keep the generated core types in sync with core.json', () => {
+    const committed = fs.readFileSync(
+      path.join(__dirname, '../src/database/schemas/core.types.ts'),
+      'utf8'
+    );
+
+    expect(generateSchemaTypes(coreSchema, { services: false })).toBe(committed);
+  });
+
+  // Lỗi biên dịch của một file TypeScript ghép từ các dòng cho trước, dùng với core.json
+  const typeErrors = (lines) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'codegen-'));
+    const file = path.join(dir, 'core.ts');
+    const database = path.join(__dirname, '../src/database').replace(/\\/g, '/');
+    fs.writeFileSync(
+      file,
+      generateSchemaTypes(coreSchema, { importPath: `${database}/BaseService` }) +
+        ['', `import { ServiceManager } from '${database}/ServiceManager';`, ...lines, ''].join(
+          '\n'
+        )
+    );
+
+    const program = ts.createProgram([file], {
+      strict: true,
+      noEmit: true,
+      skipLibCheck: true,
+      esModuleInterop: true,
+      resolveJsonModule: true,
+      target: ts.ScriptTarget.ES2020,
+      module: ts.ModuleKind.CommonJS,
+      moduleResolution: ts.ModuleResolutionKind.NodeJs,
+    });
+    const errors = ts
+      .getPreEmitDiagnostics(program)
+      .filter((diagnostic) => diagnostic.file && diagnostic.file.fileName === file)
+      .map((diagnostic) => ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n'));
+    fs.rmSync(dir, { recursive: true, force: true });
+    return errors;
+  };
+
+  it('should generate services that type-check against BaseService', () => {
+    const errors = typeErrors([
+      'const users = new UserService();',
+      "export const admins: Promise<User[]> = users.query().where('role', 'admin').all();",
+      'export const page: Promise<{ items: User[] }> = users.paginate({ pageSize: 10 });',
+      "export const draft: UserInsert = { id: 'u1', store_id: 's1', username: 'an', password_hash: 'x', full_name: 'An' };",
+      "export const unknownRole: UserInsert = { ...draft, role: 'owner' };",
+      "export const missing: UserInsert = { id: 'u3' };",
+    ]);
+
+    // Chỉ hai dòng cuối sai: role ngoài enum, thiếu các cột NOT NULL không có DEFAULT
+    expect(errors).toEqual([
+      expect.stringContaining(`Type '"owner"' is not assignable to type 'UserRole`),
+      expect.stringContaining('missing the following properties'),
+    ]);
+  }, 60000);
+
+  it('should type conditions, columns, results and schema keys of services', () => {
+    const errors = typeErrors([
+      'const users = new UserService();',
+      'const services = ServiceManager.getInstance();',
+      "export const name: Promise<string> = users.findById('u1').then((user) => user.username);",
+      "export const found: Promise<User[]> = users.findAll({ role: 'admin', last_login: { operator: '>=', value: new Date() } }, { columns: ['id', 'username'], orderBy: [{ name: 'created_at', direction: 'DESC' }] });",
+      "export const sessions: Promise<BaseService<UserSession>> = services.getService('core', 'user_sessions');",
+      "export const typo = users.findAll({ usernme: 'an' });",
+      "export const column = users.findAll({}, { columns: ['nope'] });",
+      "export const table = services.getService('core', 'user');",
+      "export const schema = services.getService('shop', 'users');",
+    ]);
+
+    // Bốn dòng cuối sai: cột điều kiện, cột chọn, tên bảng và tên schema không tồn tại
+    expect(errors).toEqual([
+      expect.stringContaining("'usernme' does not exist"),
+      expect.stringContaining(`Type '"nope"' is not assignable`),
+      expect.stringContaining(`Argument of type '"user"' is not assignable`),
+      expect.stringContaining(`Argument of type '"shop"' is not assignable`),
+    ]);
+  }, 60000);
+});
+
+describe('sqlite-dao-codegen', () => {
+  let dir;
+  let log;
+  let error;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'codegen-cli-'));
+    fs.writeFileSync(path.join(dir, 'shop.json'), JSON.stringify(shopSchema));
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    log.mockRestore();
+    error.mockRestore();
+  });
+
+  it('should write the generated file and check it is up to date', () => {
+    const schemaFile = path.join(dir, 'shop.json');
+    const out = path.join(dir, 'generated', 'shop.ts');
+
+    expect(runCodegen([schemaFile, '--out', out, '--check'])).toBe(1);
+    expect(error).toHaveBeenCalledWith(
+      `${out} is out of date with ${schemaFile}, run sqlite-dao-codegen`
+    );
+
+    expect(
+      runCodegen([schemaFile, '-o', out, '--schema-name', 'catalog', '--type', 'json=object'])
+    ).toBe(0);
+    expect(fs.readFileSync(out, 'utf8')).toBe(
+      generateSchemaTypes(shopSchema, { schemaName: 'catalog', types: { json: 'object' } })
+    );
+    expect(log).toHaveBeenCalledWith(`Generated ${out} from ${schemaFile}`);
+    expect(
+      runCodegen([
+        schemaFile,
+        '-o',
+        out,
+        '--schema-name',
+        'catalog',
+        '--type',
+        'json=object',
+        '--check',
+      ])
+    ).toBe(0);
+    expect(runCodegen([schemaFile, '-o', out, '--check'])).toBe(1);
+  });
+
+  it('should report invalid arguments', () => {
+    expect(runCodegen([])).toBe(1);
+    expect(error).toHaveBeenLastCalledWith(expect.stringContaining('Missing schema file'));
+    expect(runCodegen(['shop.json', '--services'])).toBe(1);
+    expect(error).toHaveBeenLastCalledWith("sqlite-dao-codegen: Unknown option '--services'");
+    expect(runCodegen(['shop.json', '--out'])).toBe(1);
+    expect(error).toHaveBeenLastCalledWith("sqlite-dao-codegen: Option '--out' needs a value");
+    expect(runCodegen(['shop.json', '--type', 'json'])).toBe(1);
+    expect(error).toHaveBeenLastCalledWith(
+      "sqlite-dao-codegen: Option '--type' expects <type>=<ts type>"
+    );
+    expect(runCodegen(['--help'])).toBe(0);
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('Usage: sqlite-dao-codegen'));
+  });
+});
@@ -0,0 +1,75 @@
+import { ConstraintParser } from '../src/database/ConstraintParser';
+
+describe('ConstraintParser', () => {
+  const parse = (constraints) => ConstraintParser.parse(constraints, 'stores.status');
+
+  it('should keep the case of default literals', () => {
+    expect(parse("NOT NULL DEFAULT 'active'")).toMatchObject({
+      notNull: true,
+      default: "'active'",
+    });
+    expect(parse("DEFAULT 'Asia/Ho Chi Minh'").default).toBe("'Asia/Ho Chi Minh'");
+    expect(parse("DEFAULT 'it''s'").default).toBe("'it''s'");
+  });
+
+  it('should accept keyword, signed and expression defaults', () => {
+    expect(parse('DEFAULT CURRENT_TIMESTAMP').default).toBe('CURRENT_TIMESTAMP');
+    expect(parse('default true').default).toBe('1');
+    expect(parse('DEFAULT FALSE').default).toBe('0');
+    expect(parse('DEFAULT -1.5').default).toBe('-1.5');
+    expect(parse("DEFAULT (strftime('%s', 'now'))").default).toBe("(strftime('%s', 'now'))");
+  });
+
+  it('should parse key, uniqueness and auto increment flags in any order', () => {
+    expect(parse('NOT NULL UNIQUE PRIMARY KEY')).toMatchObject({
+      primaryKey: true,
+      notNull: true,
+      unique: true,
+      autoIncrement: false,
+    });
+    expect(parse('PRIMARY KEY DESC AUTO_INCREMENT')).toMatchObject({
+      primaryKey: true,
+      primaryKeyOrder: 'DESC',
+      autoIncrement: true,
+    });
+  });
+
+  it('should keep CHECK expressions intact, including nested parentheses and strings', () => {
+    expect(
+      parse("CHECK (price >= 0) CHECK (status IN ('a)', 'b') AND (length(code) = 3))").checks
+    ).toEqual(['price >= 0', "status IN ('a)', 'b') AND (length(code) = 3)"]);
+  });
+
+  it('should parse COLLATE and REFERENCES with actions', () => {
+    expect(
+      parse('COLLATE NOCASE REFERENCES stores(id) ON DELETE SET NULL ON UPDATE NO ACTION')
+    ).toMatchObject({
+      collate: 'NOCASE',
+      references: { table: 'stores', column: 'id', onDelete: 'SET NULL', onUpdate: 'NO ACTION' },
+    });
+    expect(parse('REFERENCES "Stores"').references).toEqual({ table: 'Stores' });
+  });
+
+  it('should report unknown or malformed constraints as schema errors', () => {
+    expect(() => parse('NOT NULL INDEXED')).toThrow(
+      `Invalid constraints for column 'stores.status' at position 10: unknown constraint 'INDEXED' in "NOT NULL INDEXED"`
+    );
+    expect(() => parse('DEFAULT active')).toThrow('DEFAULT expects a literal');
+    expect(() => parse('CHECK (price > 0')).toThrow('unbalanced parentheses after CHECK');
+    expect(() => parse("DEFAULT 'open")).toThrow('unterminated string');
+    expect(() => parse('REFERENCES stores ON DELETE EXPLODE')).toThrow(
+      'expected a foreign key action'
+    );
+    expect(() => parse('NOT')).toThrow('at the end: expected NULL');
+  });
+
+  it('should return empty constraints for a missing string', () => {
+    expect(ConstraintParser.parse(undefined, 'users.id')).toEqual({
+      primaryKey: false,
+      autoIncrement: false,
+      notNull: false,
+      unique: false,
+      checks: [],
+    });
+  });
+});
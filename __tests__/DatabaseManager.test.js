@@ -1,5 +1,7 @@
 import { DatabaseManager } from '../src/database/DatabaseManager';
 import SQLite from 'react-native-sqlite-storage';
+import { DatabaseFactory } from '../src/database/DatabaseFactory';
+import { SQLiteDAO } from '../src/database/SQLiteDAO';
 
 // Mock react-native-sqlite-storage
 jest.mock('react-native-sqlite-storage', () => ({
@@ -469,6 +471,34 @@ describe('DatabaseManager', () => {
       await expect(DatabaseManager.getPerformanceMetrics('nonexistent'))
         .rejects.toThrow();
     });
+
+    it('should attach query hooks and the slow query threshold to connections opened later', async () => {
+      await DatabaseManager.closeAll();
+      const dao = new SQLiteDAO('core.db', false);
+      const openExisting = jest.spyOn(DatabaseFactory, 'openExisting').mockImplementation(async () => {
+        await dao.connect();
+        return dao;
+      });
+      mockDb.executeSql.mockResolvedValue([{ rows: { length: 0, item: () => undefined }, rowsAffected: 0 }]);
+      const afterQuery = jest.fn();
+      const onSlowQuery = jest.fn();
+
+      const unsubscribe = DatabaseManager.addQueryHooks({ afterQuery, onSlowQuery });
+      DatabaseManager.setSlowQueryThreshold(0);
+      await DatabaseManager.getLazyLoading('core');
+      unsubscribe();
+      await dao.getRsts('SELECT 1');
+
+      expect(afterQuery).toHaveBeenCalledTimes(1);
+      expect(afterQuery).toHaveBeenCalledWith(
+        expect.objectContaining({ database: 'core.db', sql: 'PRAGMA integrity_check' })
+      );
+      expect(onSlowQuery).toHaveBeenCalledTimes(1);
+
+      DatabaseManager.setSlowQueryThreshold(null);
+      openExisting.mockRestore();
+      await DatabaseManager.closeAll();
+    });
   });
 
   describe('Error Recovery', () => {
@@ -578,6 +608,31 @@ describe('DatabaseManager', () => {
         DatabaseManager.validateConfiguration(invalidConfig);
       }).toThrow();
     });
+
+    it('should only apply schema diffs to databases that opt in', async () => {
+      await DatabaseManager.closeAll();
+      const openExisting = jest.spyOn(DatabaseFactory, 'openExisting').mockImplementation(async () => {
+        const dao = new SQLiteDAO('core.db', false);
+        await dao.connect();
+        return dao;
+      });
+      mockDb.executeSql.mockResolvedValue([{ rows: { length: 0, item: () => undefined }, rowsAffected: 0 }]);
+
+      await DatabaseManager.getLazyLoading('core');
+      expect(openExisting).toHaveBeenLastCalledWith('core', expect.objectContaining({ syncSchema: 'dry-run' }));
+
+      await DatabaseManager.closeAll();
+      DatabaseManager.setSchemaSync('apply', ['core']);
+      await DatabaseManager.getLazyLoading('core');
+      expect(openExisting).toHaveBeenLastCalledWith('core', expect.objectContaining({ syncSchema: 'apply' }));
+      expect(() => DatabaseManager.setSchemaSync('always')).toThrow(
+        `Schema sync mode must be 'apply' or 'dry-run', got "always"`
+      );
+
+      DatabaseManager.setSchemaSync('dry-run');
+      openExisting.mockRestore();
+      await DatabaseManager.closeAll();
+    });
   });
 
   describe('Database Utilities', () => {
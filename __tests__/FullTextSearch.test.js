@@ -0,0 +1,245 @@
+import SQLite from 'react-native-sqlite-storage';
+import { SQLiteDAO } from '../src/database/SQLiteDAO';
+import { SchemaDiff } from '../src/database/SchemaDiff';
+import coreSchema from '../src/database/schemas/core.json';
+
+jest.mock('react-native-sqlite-storage', () => ({
+  openDatabase: jest.fn(),
+  enablePromise: jest.fn(),
+}));
+
+const resultSet = (rows = []) => [
+  { rows: { length: rows.length, item: (i) => rows[i] }, rowsAffected: 0 },
+];
+
+const storesSchema = {
+  version: '1.0.0',
+  database_name: 'catalog',
+  schemas: {
+    stores: {
+      cols: [
+        { name: 'id', type: 'string', constraints: 'PRIMARY KEY' },
+        { name: 'name', type: 'string', constraints: 'NOT NULL' },
+        { name: 'address', type: 'string' },
+        { name: 'sync_enabled', type: 'boolean' },
+      ],
+      fts: { columns: ['name', 'address'] },
+    },
+  },
+};
+
+describe('Full-text search', () => {
+  let mockDb;
+  let dao;
+  // Kết quả trả về theo câu SQL; mặc định không có dòng nào
+  let respond;
+
+  const statements = () => mockDb.executeSql.mock.calls.map(([sql]) => sql);
+  const lastCall = () => mockDb.executeSql.mock.calls[mockDb.executeSql.mock.calls.length - 1];
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    respond = () => [];
+    mockDb = {
+      executeSql: jest.fn(async (sql, params) => resultSet(respond(sql, params))),
+      close: jest.fn(async () => {}),
+    };
+    SQLite.openDatabase.mockResolvedValue(mockDb);
+
+    dao = new SQLiteDAO('catalog.db', false);
+    await dao.connect();
+  });
+
+  const withFts5 = (next = () => []) => {
+    respond = (sql, params) =>
+      sql.includes("sqlite_compileoption_used('ENABLE_FTS5')") ? [{ fts5: 1 }] : next(sql, params);
+  };
+
+  it('should build an external-content FTS5 table with sync triggers', () => {
+    dao.setSchema(coreSchema);
+
+    expect(
+      dao.buildFullTextSql('stores', { ...coreSchema.schemas.stores.fts, prefix: [2, 3] })
+    ).toEqual([
+      'CREATE VIRTUAL TABLE IF NOT EXISTS "stores_fts" USING fts5("name", "address", "manager_name", content=\'stores\', tokenize=\'unicode61 remove_diacritics 2\', prefix=\'2 3\')',
+      'CREATE TRIGGER IF NOT EXISTS "stores_fts_ai" AFTER INSERT ON "stores" BEGIN INSERT INTO "stores_fts" (rowid, "name", "address", "manager_name") VALUES (new.rowid, new."name", new."address", new."manager_name"); END',
+      'CREATE TRIGGER IF NOT EXISTS "stores_fts_ad" AFTER DELETE ON "stores" BEGIN INSERT INTO "stores_fts" ("stores_fts", rowid, "name", "address", "manager_name") VALUES (\'delete\', old.rowid, old."name", old."address", old."manager_name"); END',
+      'CREATE TRIGGER IF NOT EXISTS "stores_fts_au" AFTER UPDATE OF "name", "address", "manager_name" ON "stores" BEGIN INSERT INTO "stores_fts" ("stores_fts", rowid, "name", "address", "manager_name") VALUES (\'delete\', old.rowid, old."name", old."address", old."manager_name"); INSERT INTO "stores_fts" (rowid, "name", "address", "manager_name") VALUES (new.rowid, new."name", new."address", new."manager_name"); END',
+    ]);
+    expect(() => dao.buildFullTextSql('stores', { columns: ['slogan'] })).toThrow(
+      "Unknown column 'slogan'"
+    );
+    expect(() => dao.buildFullTextSql('stores', { columns: [] })).toThrow(
+      "Full-text index of 'stores' must list at least one column"
+    );
+  });
+
+  it('should create and index the FTS tables in initializeFromSchema', async () => {
+    withFts5();
+
+    await dao.initializeFromSchema(storesSchema);
+
+    const created = statements();
+    const ftsStart = created.indexOf(
+      dao.buildFullTextSql('stores', storesSchema.schemas.stores.fts)[0]
+    );
+    expect(ftsStart).toBeGreaterThan(created.findIndex((sql) => sql.startsWith('CREATE TABLE')));
+    expect(created.slice(ftsStart + 1, ftsStart + 5)).toEqual([
+      expect.stringContaining('CREATE TRIGGER IF NOT EXISTS "stores_fts_ai"'),
+      expect.stringContaining('CREATE TRIGGER IF NOT EXISTS "stores_fts_ad"'),
+      expect.stringContaining('CREATE TRIGGER IF NOT EXISTS "stores_fts_au"'),
+      'INSERT INTO "stores_fts" ("stores_fts") VALUES (\'rebuild\')',
+    ]);
+    expect(created[created.length - 1]).toBe('COMMIT');
+  });
+
+  it('should not reindex an existing FTS table and skip FTS without FTS5', async () => {
+    withFts5((sql) => (sql.includes('FROM sqlite_master') ? [{ name: 'stores_fts' }] : []));
+    await dao.initializeFromSchema(storesSchema);
+    expect(statements()).not.toContain(
+      'INSERT INTO "stores_fts" ("stores_fts") VALUES (\'rebuild\')'
+    );
+
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const plain = new SQLiteDAO('plain.db', true);
+    await plain.connect();
+    mockDb.executeSql.mockClear();
+    respond = () => [];
+    await plain.initializeFromSchema(storesSchema);
+    expect(statements().some((sql) => sql.includes('fts5('))).toBe(false);
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('has no FTS5'));
+    log.mockRestore();
+  });
+
+  it('should search with escaped prefix terms and return ranked rows with snippets', async () => {
+    dao.setSchema(storesSchema);
+    respond = () => [
+      {
+        id: 's1',
+        name: 'Cà phê Sài Gòn',
+        address: '12 Lê Lợi',
+        sync_enabled: 1,
+        __fts_rank: -2.5,
+        __fts_snippet: 'Cà phê <b>Sài</b> <b>Gòn</b>',
+      },
+    ];
+
+    const results = await dao.search('stores', ' sai  "gon ', { columns: ['name'], limit: 5 });
+
+    expect(lastCall()).toEqual([
+      'SELECT "stores".*, bm25("stores_fts") AS "__fts_rank", snippet("stores_fts", -1, ?, ?, ?, 12) AS "__fts_snippet" FROM "stores_fts" INNER JOIN "stores" ON "stores".rowid = "stores_fts".rowid WHERE "stores_fts" MATCH ? ORDER BY "__fts_rank" LIMIT ? OFFSET ?',
+      ['<b>', '</b>', '…', '{name} : ("sai"* """gon"*)', 5, 0],
+    ]);
+    expect(results).toEqual([
+      {
+        item: { id: 's1', name: 'Cà phê Sài Gòn', address: '12 Lê Lợi', sync_enabled: true },
+        rank: -2.5,
+        snippet: 'Cà phê <b>Sài</b> <b>Gòn</b>',
+      },
+    ]);
+
+    await dao.search('stores', 'name:phở OR bún', { raw: true, highlight: ['[', ']'] });
+    expect(lastCall()[1]).toEqual(['[', ']', '…', 'name:phở OR bún', 20, 0]);
+  });
+
+  it('should reject searches the schema does not index', async () => {
+    dao.setSchema(storesSchema);
+    const calls = mockDb.executeSql.mock.calls.length;
+
+    await expect(dao.search('stores', '   ')).resolves.toEqual([]);
+    await expect(dao.search('stores', 'x', { columns: ['sync_enabled'] })).rejects.toThrow(
+      "Column 'sync_enabled' of 'stores' is not in its full-text index: expected one of name, address"
+    );
+    dao.setSchema(coreSchema);
+    await expect(dao.search('user_sessions', 'admin')).rejects.toThrow(
+      "Table 'user_sessions' has no full-text index"
+    );
+    expect(mockDb.executeSql.mock.calls.length).toBe(calls);
+  });
+
+  describe('SchemaDiff', () => {
+    const liveStores = (ftsObjects) =>
+      withFts5((sql) => {
+        if (sql.startsWith("SELECT name FROM sqlite_master WHERE type = 'table'")) {
+          return [{ name: 'stores' }];
+        }
+        if (sql.startsWith('PRAGMA table_info')) {
+          return [
+            { name: 'id', type: 'TEXT', notnull: 0, dflt_value: null, pk: 1 },
+            { name: 'name', type: 'TEXT', notnull: 1, dflt_value: null, pk: 0 },
+            { name: 'address', type: 'TEXT', notnull: 0, dflt_value: null, pk: 0 },
+            { name: 'sync_enabled', type: 'INTEGER', notnull: 0, dflt_value: null, pk: 0 },
+          ];
+        }
+        if (sql.startsWith('PRAGMA index_list')) {
+          return [{ name: 'sqlite_autoindex_stores_1', unique: 1, origin: 'pk' }];
+        }
+        if (sql.startsWith('PRAGMA index_info')) return [{ name: 'id' }];
+        if (sql.startsWith('SELECT name, sql FROM sqlite_master')) return ftsObjects;
+        return [];
+      });
+
+    const liveObjects = () => {
+      const [table, ...triggers] = dao.buildFullTextSql('stores', storesSchema.schemas.stores.fts);
+      return [table, ...triggers].map((sql) => ({
+        name: /"(\w+)"/.exec(sql.replace(' IF NOT EXISTS', ''))[1],
+        sql: sql.replace(' IF NOT EXISTS', ''),
+      }));
+    };
+
+    it('should leave an FTS table in sync alone', async () => {
+      dao.setSchema(storesSchema);
+      liveStores(liveObjects());
+
+      const plan = await new SchemaDiff(dao, storesSchema).plan();
+
+      expect(plan.changes).toEqual([]);
+    });
+
+    it('should recreate missing triggers and reindex', async () => {
+      dao.setSchema(storesSchema);
+      liveStores(liveObjects().filter((object) => object.name !== 'stores_fts_au'));
+
+      const plan = await new SchemaDiff(dao, storesSchema).plan();
+
+      expect(plan.changes).toHaveLength(1);
+      expect(plan.changes[0]).toMatchObject({
+        kind: 'create_fts',
+        table: 'stores',
+        target: 'stores_fts',
+        reasons: ["trigger 'stores_fts_au' is not in the database"],
+        dataLoss: false,
+      });
+      expect(plan.changes[0].statements).toEqual([
+        'DROP TRIGGER IF EXISTS "stores_fts_ai"',
+        'DROP TRIGGER IF EXISTS "stores_fts_ad"',
+        'DROP TRIGGER IF EXISTS "stores_fts_au"',
+        ...dao.buildFullTextSql('stores', storesSchema.schemas.stores.fts),
+        'INSERT INTO "stores_fts" ("stores_fts") VALUES (\'rebuild\')',
+      ]);
+    });
+
+    it('should drop and recreate an FTS table whose columns changed', async () => {
+      const schema = {
+        ...storesSchema,
+        schemas: { stores: { ...storesSchema.schemas.stores, fts: { columns: ['name'] } } },
+      };
+      dao.setSchema(storesSchema);
+      liveStores(liveObjects());
+      dao.setSchema(schema);
+
+      const [change] = (await new SchemaDiff(dao, schema).plan()).changes;
+
+      expect(change.reasons).toEqual([
+        'full-text table definition changed',
+        "trigger 'stores_fts_ai' definition changed",
+        "trigger 'stores_fts_ad' definition changed",
+        "trigger 'stores_fts_au' definition changed",
+      ]);
+      expect(change.statements[3]).toBe('DROP TABLE IF EXISTS "stores_fts"');
+      expect(change.statements[4]).toBe(
+        'CREATE VIRTUAL TABLE IF NOT EXISTS "stores_fts" USING fts5("name", content=\'stores\', tokenize=\'unicode61 remove_diacritics 2\')'
+      );
+    });
+  });
+});
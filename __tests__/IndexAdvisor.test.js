@@ -0,0 +1,165 @@
+import initSqlJs from 'sql.js';
+import { SQLiteDAO } from '../src/database/SQLiteDAO';
+import { IndexAdvisor } from '../src/database/IndexAdvisor';
+import { SqlJsDriver } from '../src/database/drivers';
+
+const schema = {
+  version: '1.0',
+  database_name: 'retail',
+  schemas: {
+    stores: {
+      cols: [
+        { name: 'id', type: 'string', constraints: 'PRIMARY KEY' },
+        { name: 'enterprise_id', type: 'string' },
+        { name: 'code', type: 'string' },
+        { name: 'name', type: 'string' },
+        { name: 'status', type: 'string' },
+      ],
+      indexes: [
+        { name: 'idx_stores_enterprise_status', columns: ['enterprise_id', 'status'] },
+        { name: 'idx_stores_name', columns: ['name'] },
+        { name: 'idx_stores_code', columns: ['code'], unique: true },
+      ],
+    },
+    users: {
+      cols: [
+        { name: 'id', type: 'string', constraints: 'PRIMARY KEY' },
+        { name: 'store_id', type: 'string' },
+        { name: 'role', type: 'string' },
+        { name: 'created_at', type: 'timestamp' },
+      ],
+    },
+  },
+};
+
+describe('IndexAdvisor', () => {
+  let driver;
+  let dao;
+  let advisor;
+
+  beforeAll(async () => {
+    driver = new SqlJsDriver(await initSqlJs());
+  });
+
+  beforeEach(async () => {
+    dao = new SQLiteDAO('retail.db', false, driver);
+    await dao.connect();
+    await dao.initializeFromSchema(schema);
+    advisor = new IndexAdvisor(dao);
+  });
+
+  afterEach(async () => {
+    advisor.stop();
+    await dao.close();
+    driver.destroy();
+  });
+
+  it('should explain queries built by the DAO', async () => {
+    const plan = await dao
+      .from('stores')
+      .where('enterprise_id', 'e1')
+      .where('status', 'active')
+      .explain();
+
+    expect(plan.indexes).toEqual(['idx_stores_enterprise_status']);
+    expect(plan.fullScans).toEqual([]);
+    expect(plan.nodes[0]).toMatchObject({
+      operation: 'SEARCH',
+      table: 'stores',
+      constraints: 'enterprise_id=? AND status=?',
+    });
+    expect((await dao.explain({ name: 'users', cols: [] })).fullScans).toEqual(['users']);
+  });
+
+  it('should record the statements of a session and skip the rest', async () => {
+    advisor.start();
+    await dao.from('users').where('role', 'admin').all();
+    await dao.from('users').where('role', 'staff').all();
+    await dao.insert({ name: 'users', cols: [{ name: 'id', value: 'u1' }] });
+    await dao.getRsts('SELECT name FROM sqlite_master');
+    advisor.stop();
+    await dao.from('users').all();
+
+    expect(advisor.getQueries()).toEqual([
+      {
+        sql: 'SELECT * FROM "users" WHERE "role" = ?',
+        params: ['staff'],
+        count: 2,
+        totalMs: expect.any(Number),
+        maxMs: expect.any(Number),
+      },
+    ]);
+  });
+
+  it('should suggest indexes for full scans from equality, range and ORDER BY columns', async () => {
+    advisor.start();
+    await dao.from('users').where('store_id', 's1').where('role', 'in', ['admin']).all();
+    await dao.from('users').where('role', 'admin').orderBy('created_at', 'desc').all();
+    await dao.from('users').where('created_at', '>=', '2024-01-01').where('store_id', 's1').all();
+    await dao.from('users').all();
+
+    const advice = await advisor.analyze();
+    const additions = advice.suggestions.filter((s) => s.action === 'add');
+
+    expect(advice.fullScans.map((scan) => scan.table)).toEqual([
+      'users',
+      'users',
+      'users',
+      'users',
+    ]);
+    expect(additions.map((s) => s.index)).toEqual([
+      { name: 'idx_users_store_id_role', columns: ['store_id', 'role'] },
+      { name: 'idx_users_role_created_at', columns: ['role', 'created_at'] },
+      { name: 'idx_users_store_id_created_at', columns: ['store_id', 'created_at'] },
+    ]);
+    expect(additions[0]).toMatchObject({
+      table: 'users',
+      reason: "'users' is scanned in full when filtered by store_id, role",
+      queries: ['SELECT * FROM "users" WHERE "store_id" = ? AND "role" IN (?)'],
+    });
+  });
+
+  it('should suggest removing schema indexes that no recorded query uses', async () => {
+    advisor.start();
+    await dao.from('stores').where('enterprise_id', 'e1').where('status', 'active').all();
+    await dao.from('stores').where('code', 'C1').first();
+
+    const advice = await advisor.analyze();
+
+    expect(advice.suggestions).toEqual([
+      {
+        action: 'remove',
+        table: 'stores',
+        index: { name: 'idx_stores_name', columns: ['name'] },
+        reason: "not used by any of the 2 recorded queries on 'stores'",
+        queries: [
+          'SELECT * FROM "stores" WHERE "enterprise_id" = ? AND "status" = ?',
+          'SELECT * FROM "stores" WHERE "code" = ? LIMIT 1',
+        ],
+      },
+    ]);
+    expect(IndexAdvisor.format(advice)).toBe(
+      [
+        "Index advice for 'retail.db' (2 queries):",
+        "- remove idx_stores_name on stores(name): not used by any of the 2 recorded queries on 'stores'",
+      ].join('\n')
+    );
+  });
+
+  it('should attribute join steps to their table and skip covered columns', async () => {
+    advisor.record(
+      'SELECT * FROM "users" AS "u" INNER JOIN "stores" AS "s" ON "u"."store_id" = "s"."id" WHERE "s"."enterprise_id" = ? AND "u"."role" = ?',
+      ['e1', 'admin']
+    );
+    advisor.record('SELECT * FROM "stores" WHERE "status" = ? AND "enterprise_id" = ?', [
+      'active',
+      'e1',
+    ]);
+
+    const advice = await advisor.analyze();
+
+    expect(advice.suggestions.filter((s) => s.action === 'add').map((s) => s.index.name)).toEqual([
+      'idx_users_role',
+    ]);
+  });
+});
@@ -0,0 +1,174 @@
+import SQLite from 'react-native-sqlite-storage';
+import { SQLiteDAO } from '../src/database/SQLiteDAO';
+import { MigrationRunner } from '../src/database/MigrationRunner';
+
+// Mock react-native-sqlite-storage
+jest.mock('react-native-sqlite-storage', () => ({
+  openDatabase: jest.fn(),
+  enablePromise: jest.fn(),
+}));
+
+const resultSet = (rows = []) => [
+  { rows: { length: rows.length, item: (i) => rows[i] }, rowsAffected: 0 },
+];
+
+describe('MigrationRunner', () => {
+  let mockDb;
+  let dao;
+  let userVersion;
+  let tableCount;
+  let failOn;
+
+  const statements = () => mockDb.executeSql.mock.calls.map(([sql]) => sql);
+  const migrations = [
+    {
+      version: 2,
+      description: 'add tax rate',
+      up: 'ALTER TABLE stores ADD tax REAL',
+      down: 'ALTER TABLE stores DROP tax',
+    },
+    {
+      version: 1,
+      up: ['CREATE TABLE tags (id TEXT)', 'CREATE INDEX idx_tags ON tags (id)'],
+      down: 'DROP TABLE tags',
+    },
+  ];
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    userVersion = 0;
+    tableCount = 3;
+    failOn = null;
+
+    mockDb = {
+      executeSql: jest.fn(async (sql) => {
+        if (sql === failOn) throw new Error('no such table: stores');
+        const pragma = /^PRAGMA user_version = (\d+)$/.exec(sql);
+        if (pragma) userVersion = Number(pragma[1]);
+        if (sql === 'PRAGMA user_version') return resultSet([{ user_version: userVersion }]);
+        if (sql.includes('count(*) AS count FROM sqlite_master')) {
+          return resultSet([{ count: tableCount }]);
+        }
+        return resultSet();
+      }),
+      close: jest.fn(async () => {}),
+    };
+    SQLite.openDatabase.mockResolvedValue(mockDb);
+
+    dao = new SQLiteDAO('shop.db', false);
+    await dao.connect();
+  });
+
+  it('should apply pending migrations in order inside one transaction', async () => {
+    const result = await new MigrationRunner(dao, migrations).migrate();
+
+    expect(result).toEqual({ from: 0, to: 2, applied: [1, 2] });
+    expect(userVersion).toBe(2);
+    expect(statements().filter((sql) => !sql.startsWith('CREATE TABLE IF NOT EXISTS'))).toEqual([
+      'PRAGMA user_version',
+      'BEGIN TRANSACTION',
+      'CREATE TABLE tags (id TEXT)',
+      'CREATE INDEX idx_tags ON tags (id)',
+      'PRAGMA user_version = 1',
+      'INSERT INTO "schema_migrations" ("version", "description", "direction") VALUES (?, ?, ?)',
+      'ALTER TABLE stores ADD tax REAL',
+      'PRAGMA user_version = 2',
+      'INSERT INTO "schema_migrations" ("version", "description", "direction") VALUES (?, ?, ?)',
+      'COMMIT',
+    ]);
+    expect(
+      mockDb.executeSql.mock.calls
+        .filter(([sql]) => sql.startsWith('INSERT'))
+        .map(([, params]) => params)
+    ).toEqual([
+      [1, null, 'up'],
+      [2, 'add tax rate', 'up'],
+    ]);
+  });
+
+  it('should do nothing when the database is up to date', async () => {
+    userVersion = 2;
+
+    expect(await new MigrationRunner(dao, migrations).migrate()).toEqual({
+      from: 2,
+      to: 2,
+      applied: [],
+    });
+    expect(statements()).toEqual(['PRAGMA user_version']);
+  });
+
+  it('should run JS callbacks with the transaction handle', async () => {
+    const up = jest.fn(async (tx) => {
+      expect(tx.isInTransaction()).toBe(true);
+      await tx.runSql('UPDATE stores SET tax = 0');
+    });
+
+    await new MigrationRunner(dao, [{ version: 1, up }]).migrate();
+
+    expect(up).toHaveBeenCalledTimes(1);
+    expect(statements()).toContain('UPDATE stores SET tax = 0');
+  });
+
+  it('should roll back and name the failing migration', async () => {
+    failOn = 'ALTER TABLE stores ADD tax REAL';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(new MigrationRunner(dao, migrations).migrate()).rejects.toThrow(
+      "Migration 2 (add tax rate) failed while migrating database 'shop.db' up from version 0 to 2; the database was left at version 0: no such table: stores"
+    );
+    expect(statements()[statements().length - 1]).toBe('ROLLBACK');
+    console.error.mockRestore();
+  });
+
+  it('should refuse to open a database written by a newer app', async () => {
+    userVersion = 5;
+
+    await expect(new MigrationRunner(dao, migrations).migrate()).rejects.toThrow(
+      "Database 'shop.db' is at version 5, newer than the latest known migration 2"
+    );
+    expect(statements()).toEqual(['PRAGMA user_version']);
+  });
+
+  it('should migrate down in reverse order only when every step can be reverted', async () => {
+    userVersion = 2;
+    const runner = new MigrationRunner(dao, migrations);
+
+    expect(await runner.migrate(0)).toEqual({ from: 2, to: 0, applied: [2, 1] });
+    expect(statements()).toEqual(
+      expect.arrayContaining([
+        'ALTER TABLE stores DROP tax',
+        'PRAGMA user_version = 1',
+        'DROP TABLE tags',
+        'PRAGMA user_version = 0',
+      ])
+    );
+
+    userVersion = 2;
+    await expect(
+      new MigrationRunner(dao, [{ version: 1, up: 'SELECT 1' }, migrations[0]]).migrate(0)
+    ).rejects.toThrow(
+      "Cannot migrate database 'shop.db' down from version 2 to 0: migration 1 has no down step"
+    );
+    await expect(runner.migrate(3)).rejects.toThrow('expected a version between 0 and 2');
+  });
+
+  it('should stamp a fresh database with the latest version', async () => {
+    tableCount = 0;
+    const runner = new MigrationRunner(dao, migrations);
+
+    expect(await runner.isFreshDatabase()).toBe(true);
+    await runner.baseline();
+
+    expect(userVersion).toBe(2);
+    expect(statements()).not.toContain('CREATE TABLE tags (id TEXT)');
+  });
+
+  it('should reject invalid migration lists', () => {
+    expect(() => new MigrationRunner(dao, [{ version: 0, up: 'SELECT 1' }])).toThrow(
+      'Invalid migration version 0: expected a positive integer'
+    );
+    expect(() => new MigrationRunner(dao, [migrations[1], { version: 1, up: 'SELECT 2' }])).toThrow(
+      'Duplicate migration version 1'
+    );
+  });
+});
@@ -0,0 +1,180 @@
+import initSqlJs from 'sql.js';
+import { SQLiteDAO } from '../src/database/SQLiteDAO';
+import { BaseService } from '../src/database/BaseService';
+import { DatabaseManager } from '../src/database/DatabaseManager';
+import { SqlJsDriver } from '../src/database/drivers';
+
+jest.mock('../src/database/DatabaseManager', () => ({
+  DatabaseManager: {
+    getLazyLoading: jest.fn(),
+  },
+}));
+
+const schema = {
+  version: '1.0',
+  database_name: 'sessions',
+  schemas: {
+    user_sessions: {
+      cols: [
+        { name: 'id', type: 'integer', constraints: 'PRIMARY KEY' },
+        { name: 'user_id', type: 'string' },
+        { name: 'device', type: 'string' },
+        { name: 'is_active', type: 'boolean' },
+        { name: 'started_at', type: 'timestamp' },
+      ],
+    },
+  },
+};
+
+// 12 phiên, device lặp lại để thứ tự theo device có nhiều giá trị trùng, một số device NULL
+const seed = Array.from({ length: 12 }, (_, i) => [
+  i + 1,
+  `u${i % 3}`,
+  i % 4 === 3 ? null : `d${i % 4}`,
+  i % 2,
+  `2024-05-${String(10 + (i % 5)).padStart(2, '0')} 08:00:00`,
+]);
+
+const drain = async (iterator) => {
+  const batches = [];
+  for await (const batch of iterator) batches.push(batch);
+  return batches;
+};
+
+describe('Keyset pagination', () => {
+  let driver;
+  let dao;
+  let sessions;
+
+  beforeAll(async () => {
+    driver = new SqlJsDriver(await initSqlJs());
+  });
+
+  beforeEach(async () => {
+    dao = new SQLiteDAO('sessions.db', false, driver);
+    await dao.connect();
+    await dao.initializeFromSchema(schema);
+    await dao.runBatch(
+      seed.map((row) => ({ sql: 'INSERT INTO user_sessions VALUES (?, ?, ?, ?, ?)', params: row }))
+    );
+    DatabaseManager.getLazyLoading.mockResolvedValue(dao);
+    sessions = new BaseService('sessions', 'user_sessions');
+  });
+
+  afterEach(async () => {
+    await dao.close();
+    driver.destroy();
+  });
+
+  const walk = async (options) => {
+    const ids = [];
+    let cursor = null;
+    let pages = 0;
+    do {
+      const page = await sessions.paginate({ ...options, cursor });
+      ids.push(...page.items.map((item) => item.id));
+      cursor = page.nextCursor;
+      pages++;
+    } while (cursor);
+    return { ids, pages };
+  };
+
+  it('should walk every row once ordered by the primary key', async () => {
+    const first = await sessions.paginate({ pageSize: 5 });
+
+    expect(first.items.map((item) => item.id)).toEqual([1, 2, 3, 4, 5]);
+    expect(first.hasMore).toBe(true);
+    expect(typeof first.nextCursor).toBe('string');
+    expect(await walk({ pageSize: 5 })).toEqual({
+      ids: seed.map(([id]) => id),
+      pages: 3,
+    });
+  });
+
+  it('should break ties and keep NULLs in SQLite order in both directions', async () => {
+    for (const direction of ['ASC', 'DESC']) {
+      const expected = (
+        await dao.getRsts(
+          `SELECT id FROM user_sessions ORDER BY device ${direction}, started_at DESC, id ASC`
+        )
+      ).map((row) => row.id);
+      const { ids } = await walk({
+        pageSize: 2,
+        orderBy: [
+          { name: 'device', direction },
+          { name: 'started_at', direction: 'DESC' },
+        ],
+      });
+
+      expect(ids).toEqual(expected);
+    }
+  });
+
+  it('should not shift later pages when rows are inserted before the cursor', async () => {
+    const first = await sessions.paginate({ pageSize: 2, conditions: { user_id: 'u0' } });
+    await sessions.create({ id: 0, user_id: 'u0', device: 'd9' });
+    const second = await sessions.paginate({
+      pageSize: 2,
+      conditions: { user_id: 'u0' },
+      cursor: first.nextCursor,
+    });
+
+    expect(first.items.map((item) => item.id)).toEqual([1, 4]);
+    expect(second.items.map((item) => item.id)).toEqual([7, 10]);
+    expect(second).toMatchObject({ nextCursor: null, hasMore: false });
+  });
+
+  it('should return decoded rows without the cursor columns', async () => {
+    const page = await sessions.paginate({
+      pageSize: 1,
+      columns: ['user_id', 'is_active'],
+      orderBy: [{ name: 'started_at', direction: 'DESC' }],
+    });
+
+    expect(page.items).toEqual([{ user_id: 'u1', is_active: false }]);
+  });
+
+  it('should reject cursors of another ordering or that are not cursors', async () => {
+    const { nextCursor } = await sessions.paginate({ pageSize: 2 });
+
+    await expect(
+      sessions.paginate({ cursor: nextCursor, orderBy: [{ name: 'device' }] })
+    ).rejects.toThrow("Pagination cursor for 'user_sessions' was created with a different orderBy");
+    await expect(sessions.paginate({ cursor: 'not-a-cursor' })).rejects.toThrow(
+      "Invalid pagination cursor for 'user_sessions'"
+    );
+  });
+
+  it('should iterate a table in batches', async () => {
+    const batches = await drain(
+      dao.iterate(
+        {
+          name: 'user_sessions',
+          cols: [{ name: 'id' }, { name: 'started_at' }],
+          wheres: [{ name: 'is_active', value: true }],
+          orderbys: [{ name: 'started_at' }],
+        },
+        { batchSize: 4 }
+      )
+    );
+
+    expect(batches.map((batch) => batch.length)).toEqual([4, 2]);
+    expect(batches.flat().map((row) => row.id)).toEqual([6, 2, 12, 8, 4, 10]);
+    expect(batches[0][0]).toEqual({ id: 6, started_at: new Date('2024-05-10T08:00:00.000Z') });
+  });
+
+  it('should require a unique key and no limit/offset', async () => {
+    const plain = new SQLiteDAO('sessions.db', false, driver);
+    await plain.connect();
+    const query = { name: 'user_sessions', cols: [] };
+
+    await expect(drain(plain.iterate(query))).rejects.toThrow(
+      "Keyset pagination on 'user_sessions' needs a unique key"
+    );
+    expect(await drain(plain.iterate(query, { key: ['id'], batchSize: 10 }))).toHaveLength(2);
+    await expect(
+      dao.selectPage({ ...query, limitOffset: { limit: 5 } }, { pageSize: 5 })
+    ).rejects.toThrow("Keyset pagination on 'user_sessions' sets its own LIMIT");
+    await plain.close();
+  });
+});
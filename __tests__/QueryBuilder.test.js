@@ -0,0 +1,156 @@
+import initSqlJs from 'sql.js';
+import { SQLiteDAO } from '../src/database/SQLiteDAO';
+import { SqlJsDriver } from '../src/database/drivers';
+
+const schema = {
+  version: '1.0',
+  database_name: 'shop',
+  schemas: {
+    stores: {
+      cols: [
+        { name: 'id', type: 'string', constraints: 'PRIMARY KEY' },
+        { name: 'name', type: 'string' },
+      ],
+    },
+    users: {
+      cols: [
+        { name: 'id', type: 'integer', constraints: 'PRIMARY KEY' },
+        { name: 'store_id', type: 'string' },
+        { name: 'username', type: 'string' },
+        { name: 'role', type: 'string' },
+        { name: 'is_active', type: 'boolean' },
+        { name: 'last_login', type: 'timestamp' },
+      ],
+    },
+  },
+};
+
+describe('QueryBuilder', () => {
+  let driver;
+  let dao;
+
+  beforeAll(async () => {
+    driver = new SqlJsDriver(await initSqlJs());
+  });
+
+  beforeEach(async () => {
+    dao = new SQLiteDAO('shop.db', false, driver);
+    await dao.connect();
+    await dao.initializeFromSchema(schema);
+    await dao.runBatch([
+      { sql: "INSERT INTO stores VALUES ('s1', 'Central'), ('s2', 'Harbor')" },
+      {
+        sql:
+          'INSERT INTO users (id, store_id, username, role, is_active, last_login) VALUES ' +
+          "(1, 's1', 'ann', 'admin', 1, '2024-05-01T08:00:00.000Z'), " +
+          "(2, 's1', 'bob', 'staff', 1, NULL), " +
+          "(3, 's2', 'cat', 'manager', 0, NULL), " +
+          "(4, 's2', 'dan', 'staff', 1, '2024-05-02T08:00:00.000Z')",
+      },
+    ]);
+  });
+
+  afterEach(async () => {
+    await dao.close();
+    driver.destroy();
+  });
+
+  it('should compile a chain to parameterized SQL', () => {
+    const query = dao
+      .from('users')
+      .select('id', 'username')
+      .where('role', 'in', ['admin', 'manager'])
+      .where('is_active', true)
+      .orderBy('last_login', 'desc')
+      .limit(20)
+      .offset(40);
+
+    expect(query.toSQL()).toEqual({
+      sql: 'SELECT "id", "username" FROM "users" WHERE "role" IN (?, ?) AND "is_active" = ? ORDER BY "last_login" DESC LIMIT 20 OFFSET 40',
+      params: ['admin', 'manager', 1],
+    });
+  });
+
+  it('should group earlier conditions for orWhere and support null checks', () => {
+    expect(
+      dao
+        .from('users')
+        .where('store_id', 's1')
+        .whereNotNull('last_login')
+        .orWhere('role', 'manager')
+        .toSQL()
+    ).toEqual({
+      sql: 'SELECT * FROM "users" WHERE ("store_id" = ? AND "last_login" IS NOT NULL) OR "role" = ?',
+      params: ['s1', 'manager'],
+    });
+    expect(dao.from('users').whereNull('last_login').whereBetween('id', 2, 3).toSQL()).toEqual({
+      sql: 'SELECT * FROM "users" WHERE "last_login" IS NULL AND "id" BETWEEN ? AND ?',
+      params: [2, 3],
+    });
+  });
+
+  it('should run selects with joins and decode values', async () => {
+    const rows = await dao
+      .from('users', 'u')
+      .select('u.username', 's.name as store_name', 'u.is_active')
+      .join('stores', { 'u.store_id': 's.id' }, 's')
+      .whereIn('u.role', ['admin', 'manager'])
+      .orderBy('u.id')
+      .all();
+
+    expect(rows).toEqual([
+      { username: 'ann', store_name: 'Central', is_active: true },
+      { username: 'cat', store_name: 'Harbor', is_active: false },
+    ]);
+  });
+
+  it('should return the first row and count without changing the builder', async () => {
+    const query = dao.from('users').where('role', 'staff').orderBy('id', 'desc');
+
+    expect(await query.first()).toMatchObject({ id: 4, username: 'dan' });
+    expect(await query.count()).toBe(2);
+    expect(await query.all()).toHaveLength(2);
+    expect(await dao.from('users').where('role', 'owner').first()).toBeUndefined();
+  });
+
+  it('should compile groupBy, aggregates and having', async () => {
+    const query = dao
+      .from('users')
+      .groupBy('store_id')
+      .aggregate({ fn: 'count', alias: 'total' })
+      .having('total', '>=', 2)
+      .orderBy('store_id');
+
+    expect(query.toSQL().sql).toBe(
+      'SELECT "store_id", COUNT(*) AS "total" FROM "users" GROUP BY "store_id" HAVING "total" >= ? ORDER BY "store_id" ASC'
+    );
+    expect(await query.all()).toEqual([
+      { store_id: 's1', total: 2 },
+      { store_id: 's2', total: 2 },
+    ]);
+    expect(() => dao.from('users').groupBy('role').toQueryTable()).toThrow(
+      "groupBy() on 'users' requires at least one aggregate()"
+    );
+  });
+
+  it('should update and delete only through where conditions', async () => {
+    expect(
+      await dao.from('users').where('role', 'staff').update({ is_active: false })
+    ).toMatchObject({ rowsAffected: 2 });
+    expect(await dao.from('users').where('is_active', false).count()).toBe(3);
+    expect(await dao.from('users').where('id', 3).delete()).toMatchObject({ rowsAffected: 1 });
+
+    await expect(dao.from('users').where('role', 'staff').limit(1).delete()).rejects.toThrow(
+      "delete() on 'users' only supports where conditions, not limit/offset"
+    );
+    await expect(dao.from('users').delete()).rejects.toThrow(
+      'WHERE clause is required for DELETE operation'
+    );
+  });
+
+  it('should reject unknown columns like hand-written queries', () => {
+    expect(() => dao.from('users').where('password', 'x').toSQL()).toThrow(
+      "Unknown column 'password'"
+    );
+  });
+});
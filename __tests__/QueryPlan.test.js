@@ -0,0 +1,114 @@
+import { extractTableAliases, parseQueryPlan } from '../src/database/QueryPlan';
+
+const rows = (...details) =>
+  details.map(([id, parent, detail]) => ({ id, parent, notused: 0, detail }));
+
+describe('parseQueryPlan', () => {
+  it('should map aliases printed by recent SQLite versions back to tables', () => {
+    const sql =
+      'SELECT * FROM "users" AS "u" INNER JOIN "stores" AS "s" ON "u"."store_id" = "s"."id" WHERE "s"."status" = ? ORDER BY "u"."created_at"';
+    const plan = parseQueryPlan(
+      rows(
+        [4, 0, 'SCAN u'],
+        [6, 0, 'SEARCH s USING INDEX idx_stores_status (status=?)'],
+        [9, 0, 'USE TEMP B-TREE FOR ORDER BY']
+      ),
+      sql,
+      ['active']
+    );
+
+    expect(
+      plan.nodes.map(({ operation, table, alias, index, fullScan }) => ({
+        operation,
+        table,
+        alias,
+        index,
+        fullScan,
+      }))
+    ).toEqual([
+      { operation: 'SCAN', table: 'users', alias: 'u', index: undefined, fullScan: true },
+      {
+        operation: 'SEARCH',
+        table: 'stores',
+        alias: 's',
+        index: 'idx_stores_status',
+        fullScan: false,
+      },
+      {
+        operation: undefined,
+        table: undefined,
+        alias: undefined,
+        index: undefined,
+        fullScan: false,
+      },
+    ]);
+    expect(plan.nodes[1].constraints).toBe('status=?');
+    expect(plan).toMatchObject({
+      params: ['active'],
+      fullScans: ['users'],
+      indexes: ['idx_stores_status'],
+      tempBTrees: ['ORDER BY'],
+    });
+  });
+
+  it('should read the legacy TABLE ... AS format, primary keys and automatic indexes', () => {
+    const plan = parseQueryPlan(
+      rows(
+        [3, 0, 'SCAN TABLE users AS u USING COVERING INDEX idx_users_role'],
+        [5, 0, 'SEARCH TABLE orders USING INTEGER PRIMARY KEY (rowid=?)'],
+        [7, 0, 'SEARCH s USING AUTOMATIC COVERING INDEX (enterprise_id=?)']
+      ),
+      'SELECT 1 FROM users u JOIN orders ON 1 JOIN stores s ON 1'
+    );
+
+    expect(plan.nodes[0]).toMatchObject({
+      table: 'users',
+      alias: 'u',
+      index: 'idx_users_role',
+      covering: true,
+      fullScan: false,
+    });
+    expect(plan.nodes[1]).toMatchObject({ table: 'orders', index: 'INTEGER PRIMARY KEY' });
+    expect(plan.nodes[2]).toMatchObject({
+      table: 'stores',
+      automaticIndex: true,
+      constraints: 'enterprise_id=?',
+    });
+    expect(plan.nodes[2].index).toBeUndefined();
+    expect(plan.indexes).toEqual(['idx_users_role']);
+    expect(plan.fullScans).toEqual([]);
+  });
+
+  it('should nest subquery steps under their parent', () => {
+    const plan = parseQueryPlan(
+      rows(
+        [2, 0, 'SCAN users'],
+        [7, 0, 'LIST SUBQUERY 1'],
+        [11, 7, 'SEARCH users USING INDEX idx_users_role (role=?)'],
+        [20, 7, 'SCAN CONSTANT ROW']
+      ),
+      'SELECT * FROM users WHERE id IN (SELECT id FROM users WHERE role = ?) OR store_id = ?'
+    );
+
+    expect(plan.nodes.map((node) => node.id)).toEqual([2, 7]);
+    expect(plan.nodes[1].children.map((node) => node.detail)).toEqual([
+      'SEARCH users USING INDEX idx_users_role (role=?)',
+      'SCAN CONSTANT ROW',
+    ]);
+    expect(plan.nodes[1].children[1].fullScan).toBe(false);
+    expect(plan.fullScans).toEqual(['users']);
+  });
+
+  it('should not take keywords for aliases', () => {
+    expect(
+      Array.from(
+        extractTableAliases(
+          'UPDATE "users" SET "role" = ? WHERE "id" IN (SELECT "user_id" FROM sessions WHERE 1)'
+        )
+      )
+    ).toEqual([
+      ['users', 'users'],
+      ['sessions', 'sessions'],
+    ]);
+  });
+});
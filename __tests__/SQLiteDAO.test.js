@@ -0,0 +1,1128 @@
+import SQLite from 'react-native-sqlite-storage';
+import { SQLiteDAO } from '../src/database/SQLiteDAO';
+import coreSchema from '../src/database/schemas/core.json';
+
+// Mock react-native-sqlite-storage
+jest.mock('react-native-sqlite-storage', () => ({
+  openDatabase: jest.fn(),
+  enablePromise: jest.fn(),
+}));
+
+const emptyResult = () => [{ rows: { length: 0, item: () => undefined }, rowsAffected: 0 }];
+
+describe('SQLiteDAO', () => {
+  let mockDb;
+  let dao;
+
+  const lastCall = () => mockDb.executeSql.mock.calls[mockDb.executeSql.mock.calls.length - 1];
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+
+    mockDb = {
+      executeSql: jest.fn(async () => emptyResult()),
+      close: jest.fn(async () => {}),
+    };
+    SQLite.openDatabase.mockResolvedValue(mockDb);
+
+    dao = new SQLiteDAO('test.db', false);
+    await dao.connect();
+  });
+
+  describe('WHERE operators', () => {
+    it('should default to = and keep the legacy AND join', async () => {
+      await dao.selectAll({
+        name: 'users',
+        cols: [],
+        wheres: [
+          { name: 'role', value: 'admin' },
+          { name: 'is_active', value: 1 },
+        ],
+      });
+
+      expect(lastCall()).toEqual([
+        'SELECT * FROM "users" WHERE "role" = ? AND "is_active" = ?',
+        ['admin', 1],
+      ]);
+    });
+
+    it('should build comparison, LIKE and BETWEEN conditions', async () => {
+      await dao.selectAll({
+        name: 'user_sessions',
+        cols: [],
+        wheres: [
+          { name: 'login_time', operator: 'BETWEEN', value: ['2024-01-01', '2024-01-31'] },
+          { name: 'failed_login_attempts', operator: '>=', value: 3 },
+          { name: 'user_agent', operator: 'not like', value: '%bot%' },
+          { name: 'store_id', operator: '!=', value: 's1' },
+        ],
+      });
+
+      expect(lastCall()).toEqual([
+        'SELECT * FROM "user_sessions" WHERE "login_time" BETWEEN ? AND ? AND "failed_login_attempts" >= ? AND "user_agent" NOT LIKE ? AND "store_id" != ?',
+        ['2024-01-01', '2024-01-31', 3, '%bot%', 's1'],
+      ]);
+    });
+
+    it('should expand IN lists and handle empty lists', async () => {
+      await dao.selectAll({
+        name: 'stores',
+        cols: [],
+        wheres: [
+          { name: 'status', operator: 'IN', value: ['active', 'maintenance'] },
+          { name: 'store_type', operator: 'NOT IN', value: [] },
+        ],
+      });
+      expect(lastCall()).toEqual([
+        'SELECT * FROM "stores" WHERE "status" IN (?, ?) AND 1 = 1',
+        ['active', 'maintenance'],
+      ]);
+
+      await dao.selectAll({
+        name: 'stores',
+        cols: [],
+        wheres: [{ name: 'status', operator: 'IN', value: [] }],
+      });
+      expect(lastCall()).toEqual(['SELECT * FROM "stores" WHERE 0 = 1', []]);
+    });
+
+    it('should build IS NULL conditions without parameters', async () => {
+      await dao.selectAll({
+        name: 'user_sessions',
+        cols: [],
+        wheres: [
+          { name: 'logout_time', operator: 'IS NULL' },
+          { name: 'expires_at', operator: 'IS NOT NULL' },
+          { name: 'refresh_token', value: null },
+        ],
+      });
+
+      expect(lastCall()).toEqual([
+        'SELECT * FROM "user_sessions" WHERE "logout_time" IS NULL AND "expires_at" IS NOT NULL AND "refresh_token" IS NULL',
+        [],
+      ]);
+    });
+
+    it('should apply operators to UPDATE and DELETE', async () => {
+      await dao.update({
+        name: 'users',
+        cols: [{ name: 'is_active', value: 0 }],
+        wheres: [{ name: 'last_login', operator: '<', value: '2023-01-01' }],
+      });
+      expect(lastCall()).toEqual([
+        'UPDATE "users" SET "is_active" = ? WHERE "last_login" < ?',
+        [0, '2023-01-01'],
+      ]);
+
+      await dao.delete({
+        name: 'user_sessions',
+        cols: [],
+        wheres: [{ name: 'id', operator: 'IN', value: [1, 2, 3] }],
+      });
+      expect(lastCall()).toEqual(['DELETE FROM "user_sessions" WHERE "id" IN (?, ?, ?)', [1, 2, 3]]);
+    });
+
+    it('should reject unknown operators and malformed BETWEEN values', async () => {
+      await expect(
+        dao.selectAll({ name: 'users', cols: [], wheres: [{ name: 'id', operator: 'REGEXP', value: 'x' }] })
+      ).rejects.toThrow("Unsupported operator 'REGEXP' on 'id'");
+      await expect(
+        dao.selectAll({ name: 'users', cols: [], wheres: [{ name: 'id', operator: 'BETWEEN', value: 1 }] })
+      ).rejects.toThrow('BETWEEN on');
+    });
+  });
+
+  describe('Nested condition groups', () => {
+    it('should wrap nested OR groups in parentheses', async () => {
+      await dao.selectAll({
+        name: 'users',
+        cols: [],
+        wheres: [
+          { name: 'is_active', value: 1 },
+          { or: [{ name: 'role', value: 'admin' }, { name: 'role', value: 'manager' }] },
+        ],
+      });
+
+      expect(lastCall()).toEqual([
+        'SELECT * FROM "users" WHERE "is_active" = ? AND ("role" = ? OR "role" = ?)',
+        [1, 'admin', 'manager'],
+      ]);
+    });
+
+    it('should nest and/or/not groups to any depth', async () => {
+      await dao.selectAll({
+        name: 'users',
+        cols: [],
+        wheres: [
+          {
+            or: [
+              { name: 'email', value: 'a@b.c' },
+              {
+                and: [
+                  { name: 'username', value: 'admin' },
+                  { not: { name: 'role', operator: 'IN', value: ['viewer', 'cashier'] } },
+                ],
+              },
+            ],
+          },
+        ],
+      });
+
+      expect(lastCall()).toEqual([
+        'SELECT * FROM "users" WHERE "email" = ? OR ("username" = ? AND NOT ("role" IN (?, ?)))',
+        ['a@b.c', 'admin', 'viewer', 'cashier'],
+      ]);
+    });
+
+    it('should treat empty groups as no restriction (AND) or no match (OR)', async () => {
+      await dao.selectAll({ name: 'users', cols: [], wheres: [{ and: [] }] });
+      expect(lastCall()).toEqual(['SELECT * FROM "users"', []]);
+
+      await dao.selectAll({ name: 'users', cols: [], wheres: [{ or: [] }] });
+      expect(lastCall()).toEqual(['SELECT * FROM "users" WHERE 0 = 1', []]);
+
+      await expect(
+        dao.delete({ name: 'users', cols: [], wheres: [{ and: [] }] })
+      ).rejects.toThrow('WHERE clause is required for DELETE operation');
+    });
+
+    it('should reject malformed conditions', async () => {
+      await expect(
+        dao.selectAll({ name: 'users', cols: [], wheres: [{ xor: [] }] })
+      ).rejects.toThrow('Invalid where condition');
+    });
+  });
+
+  describe('JOIN', () => {
+    const usersWithStores = (type = 'INNER') => ({
+      name: 'users',
+      alias: 'u',
+      cols: [
+        { name: 'u.id' },
+        { name: 'u.username' },
+        { name: 's.name', alias: 'store_name' },
+        { name: 'e.name', alias: 'enterprise_name' },
+      ],
+      joins: [
+        { type, table: 'stores', alias: 's', on: { 'u.store_id': 's.id' } },
+        { type: 'LEFT', table: 'enterprises', alias: 'e', on: 's.enterprise_id = e.id' },
+      ],
+      wheres: [{ name: 'e.status', value: 'active' }],
+      orderbys: [{ name: 'u.username' }],
+    });
+
+    it('should build joins with aliases and qualified columns', async () => {
+      await dao.selectAll(usersWithStores());
+
+      expect(lastCall()).toEqual([
+        'SELECT "u"."id", "u"."username", "s"."name" AS "store_name", "e"."name" AS "enterprise_name"' +
+          ' FROM "users" AS "u"' +
+          ' INNER JOIN "stores" AS "s" ON "u"."store_id" = "s"."id"' +
+          ' LEFT JOIN "enterprises" AS "e" ON s.enterprise_id = e.id' +
+          ' WHERE "e"."status" = ? ORDER BY "u"."username" ASC',
+        ['active'],
+      ]);
+    });
+
+    it('should reject RIGHT/FULL joins on SQLite older than 3.39.0', async () => {
+      mockDb.executeSql.mockImplementation(async (sql) =>
+        sql.includes('sqlite_version()')
+          ? [{ rows: { length: 1, item: () => ({ version: '3.32.1' }) } }]
+          : emptyResult()
+      );
+
+      await expect(dao.selectAll(usersWithStores('RIGHT'))).rejects.toThrow(
+        "RIGHT JOIN on 'stores' requires SQLite 3.39.0 or newer, but the connected engine is 3.32.1"
+      );
+    });
+
+    it('should allow RIGHT/FULL joins on newer SQLite', async () => {
+      mockDb.executeSql.mockImplementation(async (sql) =>
+        sql.includes('sqlite_version()')
+          ? [{ rows: { length: 1, item: () => ({ version: '3.45.0' }) } }]
+          : emptyResult()
+      );
+
+      await dao.selectAll(usersWithStores('FULL'));
+      expect(lastCall()[0]).toContain('FULL OUTER JOIN "stores" AS "s" ON "u"."store_id" = "s"."id"');
+    });
+  });
+
+  describe('Aggregates', () => {
+    it('should build GROUP BY and HAVING with aggregate aliases', async () => {
+      await dao.aggregate({
+        name: 'stores',
+        groupBy: ['enterprise_id', 'status'],
+        aggregates: [
+          { fn: 'count', alias: 'total' },
+          { fn: 'avg', column: 'tax_rate', alias: 'avg_tax' },
+        ],
+        wheres: [{ name: 'store_type', operator: '!=', value: 'office' }],
+        having: [{ name: 'total', operator: '>', value: 1 }],
+        orderbys: [{ name: 'total', direction: 'DESC' }],
+      });
+
+      expect(lastCall()).toEqual([
+        'SELECT "enterprise_id", "status", COUNT(*) AS "total", AVG("tax_rate") AS "avg_tax" FROM "stores"' +
+          ' WHERE "store_type" != ? GROUP BY "enterprise_id", "status" HAVING "total" > ? ORDER BY "total" DESC',
+        ['office', 1],
+      ]);
+    });
+
+    it('should group by date buckets and support COUNT(DISTINCT)', async () => {
+      await dao.aggregate({
+        name: 'user_sessions',
+        groupBy: ['user_id', { name: 'login_time', granularity: 'day', alias: 'day' }],
+        aggregates: [
+          { fn: 'count', alias: 'sessions' },
+          { fn: 'count', column: 'store_id', distinct: true, alias: 'stores' },
+        ],
+      });
+
+      expect(lastCall()).toEqual([
+        'SELECT "user_id", strftime(\'%Y-%m-%d\', "login_time") AS "day", COUNT(*) AS "sessions",' +
+          ' COUNT(DISTINCT "store_id") AS "stores" FROM "user_sessions"' +
+          ' GROUP BY "user_id", strftime(\'%Y-%m-%d\', "login_time")',
+        [],
+      ]);
+    });
+
+    it('should validate aggregate definitions', async () => {
+      await expect(dao.aggregate({ name: 'stores', aggregates: [] })).rejects.toThrow(
+        'aggregate() requires at least one aggregate column'
+      );
+      await expect(
+        dao.aggregate({ name: 'stores', aggregates: [{ fn: 'median', column: 'x', alias: 'm' }] })
+      ).rejects.toThrow("Unsupported aggregate function 'median'");
+      await expect(
+        dao.aggregate({ name: 'stores', aggregates: [{ fn: 'sum', alias: 's' }] })
+      ).rejects.toThrow('Aggregate SUM requires a column');
+    });
+  });
+
+  describe('Identifiers', () => {
+    it('should quote reserved words used as column names', async () => {
+      dao.setSchema(coreSchema);
+      await dao.update({
+        name: 'settings',
+        cols: [{ name: 'value', value: 'vi' }],
+        wheres: [{ name: 'key', value: 'language' }],
+      });
+
+      expect(lastCall()).toEqual([
+        'UPDATE "settings" SET "value" = ? WHERE "key" = ?',
+        ['vi', 'language'],
+      ]);
+    });
+
+    it('should reject identifiers that could inject SQL', async () => {
+      await expect(
+        dao.selectAll({ name: 'users; DROP TABLE users', cols: [] })
+      ).rejects.toThrow('Invalid SQL identifier');
+      await expect(
+        dao.selectAll({ name: 'users', cols: [], wheres: [{ name: 'id = 1 OR 1', value: 1 }] })
+      ).rejects.toThrow('Invalid SQL identifier');
+      await expect(
+        dao.selectAll({ name: 'users', cols: [{ name: 'id', alias: 'x"; --' }] })
+      ).rejects.toThrow('Invalid SQL identifier');
+      expect(mockDb.executeSql).not.toHaveBeenCalled();
+    });
+
+    it('should reject tables and columns missing from the loaded schema', async () => {
+      dao.setSchema(coreSchema);
+
+      await expect(dao.selectAll({ name: 'accounts', cols: [] })).rejects.toThrow(
+        "Unknown table 'accounts' in schema 'core.db'"
+      );
+      await expect(
+        dao.selectAll({ name: 'users', cols: [], wheres: [{ name: 'passwd', value: 'x' }] })
+      ).rejects.toThrow("Unknown column 'passwd' in table 'users'");
+      await expect(
+        dao.selectAll({ name: 'users', alias: 'u', cols: [{ name: 'x.id' }] })
+      ).rejects.toThrow("Unknown table or alias 'x' in column reference 'x.id'");
+
+      await dao.selectAll({ name: 'users', cols: [{ name: 'rowid' }, { name: 'id' }] });
+      expect(lastCall()).toEqual(['SELECT "rowid", "id" FROM "users"', []]);
+    });
+
+    it('should validate ORDER BY direction and LIMIT values', async () => {
+      await expect(
+        dao.selectAll({ name: 'users', cols: [], orderbys: [{ name: 'id', direction: 'DESC; DROP' }] })
+      ).rejects.toThrow("Invalid ORDER BY direction 'DESC; DROP' for 'id'");
+      await expect(
+        dao.selectAll({ name: 'users', cols: [], limitOffset: { limit: '10; DROP' } })
+      ).rejects.toThrow('LIMIT must be a non-negative integer');
+    });
+
+    it('should quote DDL and validate foreign key actions', async () => {
+      await dao.createIndexFromDefinition('users', { name: 'idx_users_role', columns: ['role'] });
+      expect(lastCall()).toEqual([
+        'CREATE INDEX IF NOT EXISTS "idx_users_role" ON "users" ("role")',
+        [],
+      ]);
+
+      await expect(
+        dao.createTableWithForeignKeys({
+          name: 'orders',
+          cols: [{ name: 'user_id', type: 'TEXT' }],
+          foreign_keys: [
+            {
+              name: 'fk_orders_user',
+              column: 'user_id',
+              references: { table: 'users', column: 'id' },
+              on_delete: 'CASCADE; DROP TABLE users',
+            },
+          ],
+        })
+      ).rejects.toThrow("Invalid foreign key action 'CASCADE; DROP TABLE users' on 'fk_orders_user'");
+    });
+  });
+
+  describe('Write results', () => {
+    it('should return insertId, rowsAffected and the executed SQL', async () => {
+      mockDb.executeSql.mockResolvedValueOnce([
+        { rows: { length: 0, item: () => undefined }, rowsAffected: 1, insertId: 42 },
+      ]);
+
+      await expect(
+        dao.insert({ name: 'settings', cols: [{ name: 'key', value: 'theme' }] })
+      ).resolves.toEqual({
+        insertId: 42,
+        rowsAffected: 1,
+        sql: 'INSERT INTO "settings" ("key") VALUES (?)',
+      });
+    });
+
+    it('should report zero rows affected when nothing matched', async () => {
+      const result = await dao.delete({ name: 'users', cols: [], wheres: [{ name: 'id', value: 'missing' }] });
+
+      expect(result.rowsAffected).toBe(0);
+      expect(result.sql).toBe('DELETE FROM "users" WHERE "id" = ?');
+    });
+  });
+
+  describe('Upsert and conflict modes', () => {
+    const settingRow = [
+      { name: 'store_id', value: 's1' },
+      { name: 'category', value: 'display' },
+      { name: 'key', value: 'theme' },
+      { name: 'value', value: 'dark' },
+    ];
+
+    beforeEach(() => {
+      dao.setSchema(coreSchema);
+      mockDb.executeSql.mockImplementation(async (sql) =>
+        sql.includes('sqlite_version()')
+          ? [{ rows: { length: 1, item: () => ({ version: '3.45.0' }) } }]
+          : emptyResult()
+      );
+    });
+
+    it('should insert with OR IGNORE / OR REPLACE', async () => {
+      await dao.insert({ name: 'stores', cols: [{ name: 'id', value: 's1' }] }, { conflict: 'IGNORE' });
+      expect(lastCall()[0]).toBe('INSERT OR IGNORE INTO "stores" ("id") VALUES (?)');
+
+      await dao.insert({ name: 'stores', cols: [{ name: 'id', value: 's1' }] }, { conflict: 'replace' });
+      expect(lastCall()[0]).toBe('INSERT OR REPLACE INTO "stores" ("id") VALUES (?)');
+
+      await expect(
+        dao.insert({ name: 'stores', cols: [{ name: 'id', value: 's1' }] }, { conflict: 'FAIL; --' })
+      ).rejects.toThrow("Unsupported conflict resolution 'FAIL; --'");
+    });
+
+    it('should upsert on the primary key when it is written', async () => {
+      await dao.upsert({
+        name: 'stores',
+        cols: [
+          { name: 'id', value: 's1' },
+          { name: 'name', value: 'Shop' },
+        ],
+      });
+
+      expect(lastCall()).toEqual([
+        'INSERT INTO "stores" ("id", "name") VALUES (?, ?)' +
+          ' ON CONFLICT("id") DO UPDATE SET "name" = excluded."name"',
+        ['s1', 'Shop'],
+      ]);
+    });
+
+    it('should fall back to a unique index covered by the written columns', async () => {
+      await dao.upsert({ name: 'settings', cols: settingRow });
+
+      expect(lastCall()[0]).toBe(
+        'INSERT INTO "settings" ("store_id", "category", "key", "value") VALUES (?, ?, ?, ?)' +
+          ' ON CONFLICT("store_id", "category", "key") DO UPDATE SET "value" = excluded."value"'
+      );
+    });
+
+    it('should honour explicit target and update columns', async () => {
+      await dao.upsert(
+        { name: 'users', cols: [{ name: 'username', value: 'bob' }, { name: 'email', value: 'b@x.y' }] },
+        { conflictTarget: ['username'], updateColumns: [] }
+      );
+
+      expect(lastCall()[0]).toBe(
+        'INSERT INTO "users" ("username", "email") VALUES (?, ?) ON CONFLICT("username") DO NOTHING'
+      );
+    });
+
+    it('should reject upserts without a usable conflict target', async () => {
+      await expect(
+        dao.upsert({ name: 'settings', cols: [{ name: 'value', value: 'dark' }] })
+      ).rejects.toThrow("No primary key or unique index of 'settings' is covered by the columns value");
+    });
+
+    it('should reject upserts on SQLite older than 3.24.0', async () => {
+      mockDb.executeSql.mockImplementation(async (sql) =>
+        sql.includes('sqlite_version()')
+          ? [{ rows: { length: 1, item: () => ({ version: '3.22.0' }) } }]
+          : emptyResult()
+      );
+
+      await expect(dao.upsert({ name: 'settings', cols: settingRow })).rejects.toThrow(
+        "Upsert on 'settings' requires SQLite 3.24.0 or newer"
+      );
+    });
+  });
+
+  describe('insertMany', () => {
+    it('should build multi-row VALUES and derive the generated rowids', async () => {
+      dao.setSchema(coreSchema);
+      mockDb.executeSql.mockResolvedValueOnce([
+        { rows: { length: 0, item: () => undefined }, rowsAffected: 3, insertId: 12 },
+      ]);
+
+      const result = await dao.insertMany('settings', [
+        { key: 'a', value: '1' },
+        { key: 'b', value: '2' },
+        { key: 'c', value: '3' },
+      ]);
+
+      expect(lastCall()).toEqual([
+        'INSERT INTO "settings" ("key", "value") VALUES (?, ?), (?, ?), (?, ?)',
+        ['a', '1', 'b', '2', 'c', '3'],
+      ]);
+      expect(result).toEqual({ rowsAffected: 3, insertIds: [10, 11, 12], statements: 1 });
+    });
+
+    it('should chunk under the bound-parameter limit and report progress', async () => {
+      const rows = Array.from({ length: 1200 }, (_, i) => ({ key: `k${i}`, value: `${i}` }));
+      const progress = [];
+
+      const result = await dao.insertMany('settings', rows, {
+        onProgress: (inserted, total) => progress.push([inserted, total]),
+      });
+
+      // 999 parameters / 2 columns = 499 rows per statement
+      const sizes = mockDb.executeSql.mock.calls.map(([, params]) => params.length / 2);
+      expect(sizes).toEqual([499, 499, 202]);
+      expect(progress).toEqual([
+        [499, 1200],
+        [998, 1200],
+        [1200, 1200],
+      ]);
+      expect(result.statements).toBe(3);
+
+      mockDb.executeSql.mockClear();
+      await dao.insertMany('settings', rows.slice(0, 5), { chunkSize: 2, conflict: 'IGNORE' });
+      expect(mockDb.executeSql).toHaveBeenCalledTimes(3);
+      expect(lastCall()[0]).toBe('INSERT OR IGNORE INTO "settings" ("key", "value") VALUES (?, ?)');
+    });
+
+    it('should split rows with different column sets into separate statements', async () => {
+      await dao.insertMany('settings', [
+        { key: 'a', value: '1' },
+        { key: 'b', value: '2' },
+        { key: 'c', description: null },
+        { key: 'd', value: '4' },
+      ]);
+
+      expect(mockDb.executeSql.mock.calls.map(([sql]) => sql)).toEqual([
+        'INSERT INTO "settings" ("key", "value") VALUES (?, ?), (?, ?)',
+        'INSERT INTO "settings" ("key") VALUES (?)',
+        'INSERT INTO "settings" ("key", "value") VALUES (?, ?)',
+      ]);
+    });
+
+    it('should not guess ids when rows were skipped', async () => {
+      mockDb.executeSql.mockResolvedValueOnce([
+        { rows: { length: 0, item: () => undefined }, rowsAffected: 1, insertId: 7 },
+      ]);
+
+      const result = await dao.insertMany('settings', [{ key: 'a' }, { key: 'b' }], { conflict: 'IGNORE' });
+
+      expect(result.insertIds).toEqual([undefined, undefined]);
+    });
+
+    it('should report explicit ids as given instead of deriving them', async () => {
+      const inserted = [{ rows: { length: 0, item: () => undefined }, rowsAffected: 3, insertId: 9 }];
+      const tableInfo = [{ name: 'id', type: 'INTEGER', pk: 1 }];
+      mockDb.executeSql.mockImplementation(async (sql) =>
+        sql.startsWith('PRAGMA table_info')
+          ? [{ rows: { length: 1, item: (i) => tableInfo[i] }, rowsAffected: 0 }]
+          : inserted
+      );
+      const rows = [
+        { id: 5, key: 'a' },
+        { id: 1, key: 'b' },
+        { id: 9, key: 'c' },
+      ];
+
+      // Không có schema: cột alias của rowid được đọc một lần bằng PRAGMA table_info
+      await expect(dao.insertMany('settings', rows)).resolves.toMatchObject({ insertIds: [5, 1, 9] });
+      await expect(dao.insertMany('settings', rows.map(({ key }) => ({ key })))).resolves.toMatchObject({
+        insertIds: [7, 8, 9],
+      });
+      expect(mockDb.executeSql.mock.calls.filter(([sql]) => sql.startsWith('PRAGMA'))).toHaveLength(1);
+
+      dao.setSchema(coreSchema);
+      await expect(dao.insertMany('settings', rows)).resolves.toMatchObject({ insertIds: [5, 1, 9] });
+      // users.id là TEXT PRIMARY KEY, không phải alias của rowid
+      const users = await dao.insertMany('users', [{ id: 'u1' }, { id: 'u2' }, { id: 'u3' }]);
+      expect(users.insertIds).toEqual([7, 8, 9]);
+    });
+  });
+
+  describe('Value codec', () => {
+    beforeEach(() => dao.setSchema(coreSchema));
+
+    it('should encode values by column type on write and in conditions', async () => {
+      const lastLogin = new Date(Date.UTC(2024, 0, 2, 3, 4, 5));
+      await dao.insert({
+        name: 'users',
+        cols: [
+          { name: 'id', value: 'u1' },
+          { name: 'is_active', value: true },
+          { name: 'permissions', value: ['read', 'write'] },
+          { name: 'last_login', value: lastLogin },
+        ],
+      });
+      expect(lastCall()[1]).toEqual(['u1', 1, '["read","write"]', '2024-01-02T03:04:05.000Z']);
+
+      await dao.update({
+        name: 'users',
+        cols: [{ name: 'is_active', value: false }],
+        wheres: [
+          { name: 'last_login', operator: '<', value: lastLogin },
+          { name: 'locked_until', operator: 'BETWEEN', value: [lastLogin, '2025-01-01'] },
+        ],
+      });
+      expect(lastCall()[1]).toEqual([
+        0,
+        '2024-01-02T03:04:05.000Z',
+        '2024-01-02T03:04:05.000Z',
+        '2025-01-01',
+      ]);
+    });
+
+    it('should decode selected rows, including aliased and joined columns', async () => {
+      mockDb.executeSql.mockResolvedValueOnce([
+        {
+          rows: {
+            length: 1,
+            item: () => ({
+              id: 'u1',
+              active: 1,
+              permissions: '["read"]',
+              sync_enabled: 0,
+              created_at: '2024-01-02 03:04:05',
+            }),
+          },
+        },
+      ]);
+
+      const rows = await dao.selectAll({
+        name: 'users',
+        alias: 'u',
+        cols: [
+          { name: 'u.id' },
+          { name: 'u.is_active', alias: 'active' },
+          { name: 'permissions' },
+          { name: 's.sync_enabled' },
+          { name: 's.created_at' },
+        ],
+        joins: [{ type: 'INNER', table: 'stores', alias: 's', on: { 'u.store_id': 's.id' } }],
+      });
+
+      expect(rows).toEqual([
+        {
+          id: 'u1',
+          active: true,
+          permissions: ['read'],
+          sync_enabled: false,
+          created_at: new Date(Date.UTC(2024, 0, 2, 3, 4, 5)),
+        },
+      ]);
+    });
+
+    it('should decode SELECT * rows and plain GROUP BY columns', async () => {
+      mockDb.executeSql
+        .mockResolvedValueOnce([
+          { rows: { length: 1, item: () => ({ id: 's1', operating_hours: '{"mon":"8-17"}' }) } },
+        ])
+        .mockResolvedValueOnce([
+          { rows: { length: 1, item: () => ({ is_active: 1, total: 4 }) } },
+        ]);
+
+      expect(await dao.select({ name: 'stores', cols: [] })).toEqual({
+        id: 's1',
+        operating_hours: { mon: '8-17' },
+      });
+      expect(
+        await dao.aggregate({
+          name: 'users',
+          groupBy: ['is_active'],
+          aggregates: [{ fn: 'count', alias: 'total' }],
+        })
+      ).toEqual([{ is_active: true, total: 4 }]);
+    });
+
+    it('should apply codecs registered on the DAO', async () => {
+      dao.registerCodec('json', { encode: (value) => `json:${value.length}`, decode: (v) => v });
+      await dao.insert({ name: 'users', cols: [{ name: 'permissions', value: ['a', 'b'] }] });
+
+      expect(lastCall()[1]).toEqual(['json:2']);
+    });
+  });
+
+  describe('Schema metadata constraints', () => {
+    it('should create tables with enum, length and precision CHECK constraints', async () => {
+      await dao.initializeFromSchema(coreSchema);
+
+      const createStores = mockDb.executeSql.mock.calls.find(([sql]) =>
+        sql.startsWith('CREATE TABLE IF NOT EXISTS "stores"')
+      )[0];
+      expect(createStores).toContain(
+        `"status" TEXT DEFAULT 'active' CHECK ("status" IN ('active', 'inactive', 'maintenance', 'closed')) CHECK (length("status") <= 20)`
+      );
+      expect(createStores).toContain(
+        '"tax_rate" REAL DEFAULT 0 CHECK (abs("tax_rate") < 1e3 AND abs(round("tax_rate", 2) - "tax_rate") < 1e-9)'
+      );
+    });
+
+    it('should build column constraints from the parsed constraint string', async () => {
+      await dao.initializeFromSchema({
+        ...coreSchema,
+        schemas: {
+          products: {
+            cols: [
+              { name: 'id', type: 'integer', constraints: 'PRIMARY KEY AUTO_INCREMENT' },
+              {
+                name: 'store_id',
+                type: 'uuid',
+                constraints: 'NOT NULL REFERENCES stores(id) ON DELETE CASCADE',
+              },
+              { name: 'sku', type: 'varchar', constraints: 'UNIQUE COLLATE NOCASE' },
+              { name: 'price', type: 'decimal', constraints: 'DEFAULT 0 CHECK (price >= 0)' },
+              { name: 'visible', type: 'boolean', constraints: 'DEFAULT TRUE' },
+            ],
+          },
+        },
+      });
+
+      expect(
+        mockDb.executeSql.mock.calls.find(([sql]) => sql.startsWith('CREATE TABLE'))[0]
+      ).toBe(
+        'CREATE TABLE IF NOT EXISTS "products" (' +
+          '"id" INTEGER PRIMARY KEY AUTOINCREMENT, ' +
+          '"store_id" TEXT NOT NULL REFERENCES "stores"("id") ON DELETE CASCADE, ' +
+          '"sku" TEXT UNIQUE COLLATE NOCASE, ' +
+          '"price" REAL DEFAULT 0 CHECK (price >= 0), ' +
+          '"visible" INTEGER DEFAULT 1)'
+      );
+    });
+
+    it('should fail schema initialization on unknown constraints', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(
+        dao.initializeFromSchema({
+          ...coreSchema,
+          schemas: { tags: { cols: [{ name: 'name', type: 'string', constraints: 'NOT NULL SORTED' }] } },
+        })
+      ).rejects.toThrow("Invalid constraints for column 'tags.name' at position 10: unknown constraint 'SORTED'");
+      console.error.mockRestore();
+    });
+
+    it('should add table-level primary key, unique and check constraints', async () => {
+      const schema = {
+        ...coreSchema,
+        schemas: {
+          store_settings: {
+            cols: [
+              { name: 'store_id', type: 'uuid', constraints: 'NOT NULL' },
+              { name: 'key', type: 'varchar', constraints: 'NOT NULL' },
+              { name: 'slug', type: 'varchar' },
+              { name: 'min_value', type: 'integer' },
+              { name: 'max_value', type: 'integer' },
+            ],
+            primary_key: ['store_id', 'key'],
+            unique: [['store_id', 'slug']],
+            check: ["min_value <= max_value OR key = 'any'"],
+          },
+        },
+      };
+      await dao.initializeFromSchema(schema);
+
+      expect(
+        mockDb.executeSql.mock.calls.find(([sql]) => sql.startsWith('CREATE TABLE'))[0]
+      ).toBe(
+        'CREATE TABLE IF NOT EXISTS "store_settings" (' +
+          '"store_id" TEXT NOT NULL, "key" TEXT NOT NULL, "slug" TEXT, ' +
+          '"min_value" INTEGER, "max_value" INTEGER, ' +
+          'PRIMARY KEY ("store_id", "key"), UNIQUE ("store_id", "slug"), ' +
+          "CHECK (min_value <= max_value OR key = 'any'))"
+      );
+      expect(dao.getConflictTarget('store_settings', ['store_id', 'key', 'slug'])).toEqual([
+        'store_id',
+        'key',
+      ]);
+      expect(dao.getConflictTarget('store_settings', ['store_id', 'slug'])).toEqual([
+        'store_id',
+        'slug',
+      ]);
+    });
+
+    it('should reject invalid table-level constraints', async () => {
+      const table = (extra) => ({
+        name: 'tags',
+        cols: [
+          { name: 'id', type: 'TEXT', option_key: 'PRIMARY KEY', constraints: 'PRIMARY KEY' },
+          { name: 'label', type: 'TEXT' },
+        ],
+        ...extra,
+      });
+
+      await expect(
+        dao.createTableWithForeignKeys(table({ primary_key: ['id', 'label'] }))
+      ).rejects.toThrow(
+        "Table 'tags' declares a primary key on column 'id' and a table-level primary_key"
+      );
+      await expect(
+        dao.createTableWithForeignKeys(table({ unique: [['label', 'color']] }))
+      ).rejects.toThrow("Unknown column 'color' in unique of table 'tags'");
+      await expect(
+        dao.createTableWithForeignKeys(table({ check: ['length(label) > 0) OR (1'] }))
+      ).rejects.toThrow("Invalid constraints for column 'tags (table check)'");
+      await expect(
+        dao.createTableWithForeignKeys(table({ check: ['label <> 1) CHECK (label <> 2'] }))
+      ).rejects.toThrow("Invalid check of table 'tags': expected a single expression");
+      expect(mockDb.executeSql).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid values before writing', async () => {
+      dao.setSchema(coreSchema);
+
+      await expect(
+        dao.insert({ name: 'users', cols: [{ name: 'role', value: 'owner' }] })
+      ).rejects.toMatchObject({ column: 'role', value: 'owner', rule: 'enum' });
+      await expect(
+        dao.update({
+          name: 'stores',
+          cols: [{ name: 'currency', value: 'DONG' }],
+          wheres: [{ name: 'id', value: 's1' }],
+        })
+      ).rejects.toThrow(`Invalid value "DONG" for 'stores.currency': expected at most 3 characters`);
+      await expect(
+        dao.insertMany('stores', [{ tax_rate: 5 }, { tax_rate: 5.555 }])
+      ).rejects.toMatchObject({ rule: 'scale', value: 5.555 });
+      expect(mockDb.executeSql).not.toHaveBeenCalled();
+    });
+
+    it('should check the length of JSON columns as stored', async () => {
+      dao.setSchema(coreSchema);
+
+      await expect(
+        dao.insert({
+          name: 'enterprises',
+          cols: [{ name: 'industries', value: Array(300).fill('food') }],
+        })
+      ).rejects.toMatchObject({ rule: 'length', allowed: { max: 1024 } });
+    });
+  });
+
+  describe('Nested transactions', () => {
+    const statements = () => mockDb.executeSql.mock.calls.map(([sql]) => sql);
+
+    it('should turn nested begin/commit into SAVEPOINT/RELEASE', async () => {
+      const tx = await dao.beginTransaction();
+      expect(await tx.beginTransaction()).toBe(tx);
+      await tx.beginTransaction();
+      expect(tx.getTransactionDepth()).toBe(3);
+      expect(tx.getSavepoints()).toEqual(['sp_1', 'sp_2']);
+      expect(dao.getTransactionDepth()).toBe(0);
+
+      await tx.commitTransaction();
+      await tx.commitTransaction();
+      await tx.commitTransaction();
+
+      expect(statements()).toEqual([
+        'BEGIN TRANSACTION',
+        'SAVEPOINT sp_1',
+        'SAVEPOINT sp_2',
+        'RELEASE SAVEPOINT sp_2',
+        'RELEASE SAVEPOINT sp_1',
+        'COMMIT',
+      ]);
+      expect(tx.isInTransaction()).toBe(false);
+    });
+
+    it('should roll back only the innermost scope', async () => {
+      const tx = await dao.beginTransaction();
+      await tx.beginTransaction();
+      await tx.rollbackTransaction();
+      expect(tx.getTransactionDepth()).toBe(1);
+      await tx.commitTransaction();
+
+      expect(statements()).toEqual([
+        'BEGIN TRANSACTION',
+        'SAVEPOINT sp_1',
+        'ROLLBACK TO SAVEPOINT sp_1',
+        'RELEASE SAVEPOINT sp_1',
+        'COMMIT',
+      ]);
+    });
+
+    it('should keep the scope open when COMMIT fails and close it on rollback', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const tx = await dao.beginTransaction();
+      mockDb.executeSql.mockRejectedValueOnce(new Error('FOREIGN KEY constraint failed'));
+
+      await expect(tx.commitTransaction()).rejects.toThrow('FOREIGN KEY constraint failed');
+      expect(tx.getTransactionDepth()).toBe(1);
+
+      await tx.rollbackTransaction();
+      expect(tx.getTransactionDepth()).toBe(0);
+      await expect(tx.commitTransaction()).rejects.toThrow('No transaction in progress');
+      console.error.mockRestore();
+    });
+  });
+
+  describe('Transaction queue', () => {
+    const statements = () => mockDb.executeSql.mock.calls.map(([sql]) => sql);
+    const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+    it('should hold the connection until the transaction ends', async () => {
+      let release;
+      const held = new Promise((resolve) => (release = resolve));
+
+      const tx = dao.transaction(async (handle) => {
+        await handle.runSql('DELETE FROM "users"');
+        await held;
+        await handle.runSql('DELETE FROM "stores"');
+      }, { label: 'cleanup' });
+      await tick();
+
+      const outside = dao.getRsts('SELECT 1');
+      const other = dao.transaction((handle) => handle.runSql('DELETE FROM "settings"'));
+      await tick();
+
+      expect(dao.getLockInfo()).toMatchObject({
+        holder: 'cleanup',
+        depth: 1,
+        waiting: [
+          { label: 'SELECT 1', transaction: false },
+          { label: expect.stringMatching(/^transaction#\d+\(test\.db\)$/), transaction: true },
+        ],
+      });
+      expect(statements()).toEqual(['BEGIN TRANSACTION', 'DELETE FROM "users"']);
+
+      release();
+      await Promise.all([tx, outside, other]);
+      expect(statements()).toEqual([
+        'BEGIN TRANSACTION',
+        'DELETE FROM "users"',
+        'DELETE FROM "stores"',
+        'COMMIT',
+        'SELECT 1',
+        'BEGIN TRANSACTION',
+        'DELETE FROM "settings"',
+        'COMMIT',
+      ]);
+      expect(dao.getLockInfo().holder).toBeNull();
+    });
+
+    it('should give concurrent beginTransaction callers their own transactions', async () => {
+      const first = await dao.beginTransaction({ label: 'first' });
+      let secondStarted = false;
+      const second = dao.beginTransaction({ label: 'second' }).then((tx) => {
+        secondStarted = true;
+        return tx;
+      });
+      await tick();
+
+      expect(secondStarted).toBe(false);
+      expect(dao.getLockInfo()).toMatchObject({
+        holder: 'first',
+        depth: 1,
+        waiting: [{ label: 'second', transaction: true }],
+      });
+      await first.runSql('DELETE FROM "users"');
+      await first.commitTransaction();
+
+      const tx = await second;
+      expect(tx).not.toBe(first);
+      expect(tx.getTransactionDepth()).toBe(1);
+      await tx.runSql('DELETE FROM "stores"');
+      await tx.commitTransaction();
+      await expect(dao.commitTransaction()).rejects.toThrow('No transaction in progress');
+
+      expect(statements()).toEqual([
+        'BEGIN TRANSACTION',
+        'DELETE FROM "users"',
+        'COMMIT',
+        'BEGIN TRANSACTION',
+        'DELETE FROM "stores"',
+        'COMMIT',
+      ]);
+    });
+
+    it('should nest transactions started from the handle as savepoints', async () => {
+      await dao.transaction(async (tx) => {
+        await tx.transaction((inner) => inner.runSql('DELETE FROM "users"'));
+        expect(tx.getTransactionDepth()).toBe(1);
+        expect(dao.getTransactionDepth()).toBe(0);
+      });
+
+      expect(statements()).toEqual([
+        'BEGIN TRANSACTION',
+        'SAVEPOINT sp_1',
+        'DELETE FROM "users"',
+        'RELEASE SAVEPOINT sp_1',
+        'COMMIT',
+      ]);
+    });
+
+    it('should time out with diagnostics when a transaction waits on itself', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      dao.setLockTimeout(20);
+
+      await expect(
+        dao.transaction(() => dao.getRsts('SELECT * FROM "users"'), { label: 'import' })
+      ).rejects.toThrow(
+        "Timed out after 20ms waiting for database 'test.db' to run SELECT * FROM \"users\": the connection is held by import"
+      );
+      expect(statements()).toEqual(['BEGIN TRANSACTION', 'ROLLBACK']);
+      expect(dao.getLockInfo()).toEqual({ holder: null, heldForMs: 0, depth: 0, waiting: [] });
+      console.error.mockRestore();
+    });
+
+    it('should time out waiting to begin when another transaction holds the connection', async () => {
+      let release;
+      const held = new Promise((resolve) => (release = resolve));
+      const first = dao.transaction(() => held, { label: 'long' });
+      await tick();
+
+      await expect(dao.transaction(async () => {}, { timeout: 10 })).rejects.toThrow(
+        'the connection is held by long'
+      );
+      release();
+      await first;
+    });
+  });
+
+  describe('Query hooks', () => {
+    const rows = (items) => [
+      { rows: { length: items.length, item: (i) => items[i] }, rowsAffected: 0 },
+    ];
+
+    it('should report each statement with its parameters, duration and row count', async () => {
+      const events = [];
+      dao.addQueryHooks({
+        beforeQuery: (event) => events.push(['before', event]),
+        afterQuery: (event) => events.push(['after', event]),
+      });
+      mockDb.executeSql.mockResolvedValueOnce(rows([{ id: 'u1' }, { id: 'u2' }]));
+
+      await dao.getRsts('SELECT * FROM "users" WHERE "role" = ?', ['admin']);
+
+      expect(events).toEqual([
+        [
+          'before',
+          {
+            database: 'test.db',
+            sql: 'SELECT * FROM "users" WHERE "role" = ?',
+            params: ['admin'],
+            startedAt: expect.any(Number),
+          },
+        ],
+        [
+          'after',
+          expect.objectContaining({
+            sql: 'SELECT * FROM "users" WHERE "role" = ?',
+            durationMs: expect.any(Number),
+            rowCount: 2,
+            rowsAffected: 0,
+            error: undefined,
+            slow: false,
+          }),
+        ],
+      ]);
+    });
+
+    it('should report failed statements and keep running when a hook throws', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const afterQuery = jest.fn();
+      dao.addQueryHooks({
+        beforeQuery: () => {
+          throw new Error('telemetry down');
+        },
+      });
+      dao.addQueryHooks({ afterQuery });
+      mockDb.executeSql.mockRejectedValueOnce(new Error('no such table: audit'));
+
+      await expect(dao.runSql('DELETE FROM "audit"')).rejects.toThrow('no such table: audit');
+      expect(afterQuery).toHaveBeenCalledWith(
+        expect.objectContaining({
+          sql: 'DELETE FROM "audit"',
+          error: new Error('no such table: audit'),
+        })
+      );
+      expect(console.error).toHaveBeenCalledWith(
+        '[SQLiteDAO ERROR]: Query hook beforeQuery failed:',
+        new Error('telemetry down')
+      );
+      console.error.mockRestore();
+    });
+
+    it('should report statements over the slow query threshold', async () => {
+      const onSlowQuery = jest.fn();
+      const unsubscribe = dao.addQueryHooks({ onSlowQuery });
+      mockDb.executeSql.mockImplementationOnce(
+        () => new Promise((resolve) => setTimeout(() => resolve(emptyResult()), 30))
+      );
+
+      dao.setSlowQueryThreshold(20);
+      await dao.getRsts('SELECT * FROM "orders"');
+      await dao.getRsts('SELECT 1');
+      dao.setSlowQueryThreshold(null);
+      mockDb.executeSql.mockImplementationOnce(
+        () => new Promise((resolve) => setTimeout(() => resolve(emptyResult()), 30))
+      );
+      await dao.getRsts('SELECT * FROM "orders"');
+      unsubscribe();
+      dao.setSlowQueryThreshold(0);
+      await dao.getRsts('SELECT 2');
+
+      expect(onSlowQuery).toHaveBeenCalledTimes(1);
+      expect(onSlowQuery.mock.calls[0][0]).toMatchObject({
+        sql: 'SELECT * FROM "orders"',
+        slow: true,
+        durationMs: expect.any(Number),
+      });
+      expect(onSlowQuery.mock.calls[0][0].durationMs).toBeGreaterThanOrEqual(20);
+      expect(() => dao.setSlowQueryThreshold(-1)).toThrow(
+        'Slow query threshold must be a non-negative number of milliseconds or null'
+      );
+    });
+
+    it('should share hooks with transaction handles', async () => {
+      const statements = [];
+      dao.addQueryHooks({ afterQuery: (event) => statements.push(event.sql) });
+
+      await dao.transaction((tx) => tx.runSql('DELETE FROM "users"'));
+
+      expect(statements).toEqual(['BEGIN TRANSACTION', 'DELETE FROM "users"', 'COMMIT']);
+    });
+  });
+});
@@ -0,0 +1,321 @@
+import SQLite from 'react-native-sqlite-storage';
+import initSqlJs from 'sql.js';
+import { SQLiteDAO } from '../src/database/SQLiteDAO';
+import { SchemaDiff } from '../src/database/SchemaDiff';
+import { SqlJsDriver } from '../src/database/drivers';
+
+// Mock react-native-sqlite-storage
+jest.mock('react-native-sqlite-storage', () => ({
+  openDatabase: jest.fn(),
+  enablePromise: jest.fn(),
+}));
+
+const resultSet = (rows = []) => [
+  { rows: { length: rows.length, item: (i) => rows[i] }, rowsAffected: 0 },
+];
+
+const column = (name, type, extra = {}) => ({
+  name,
+  type,
+  notnull: 0,
+  dflt_value: null,
+  pk: 0,
+  ...extra,
+});
+
+describe('SchemaDiff', () => {
+  let mockDb;
+  let dao;
+  let live;
+  let violations;
+
+  const statements = () => mockDb.executeSql.mock.calls.map(([sql]) => sql);
+  const schema = (cols, extra = {}) => ({
+    version: '1.0',
+    database_name: 'shop',
+    schemas: {
+      stores: {
+        cols: [
+          { name: 'id', type: 'string', constraints: 'PRIMARY KEY' },
+          { name: 'name', type: 'string', constraints: 'NOT NULL' },
+          ...cols,
+        ],
+        ...extra,
+      },
+    },
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    violations = [];
+    live = {
+      tables: ['stores', 'legacy'],
+      columns: [
+        column('id', 'TEXT', { pk: 1 }),
+        column('name', 'TEXT', { notnull: 1 }),
+        column('status', 'TEXT', { dflt_value: "'active'" }),
+      ],
+      indexes: [{ name: 'idx_stores_old', unique: 0, origin: 'c', columns: ['name'] }],
+      foreignKeys: [],
+    };
+
+    mockDb = {
+      executeSql: jest.fn(async (sql) => {
+        if (sql.includes('FROM sqlite_master')) {
+          return resultSet(live.tables.map((name) => ({ name })));
+        }
+        if (sql.startsWith('PRAGMA table_info')) return resultSet(live.columns);
+        if (sql.startsWith('PRAGMA index_list')) return resultSet(live.indexes);
+        if (sql.startsWith('PRAGMA index_info')) {
+          const index = live.indexes.find((candidate) => sql.includes(`"${candidate.name}"`));
+          return resultSet(index.columns.map((name) => ({ name })));
+        }
+        if (sql.startsWith('PRAGMA foreign_key_list')) return resultSet(live.foreignKeys);
+        if (sql === 'PRAGMA foreign_keys') return resultSet([{ foreign_keys: 1 }]);
+        if (sql === 'PRAGMA foreign_key_check') return resultSet(violations);
+        return resultSet();
+      }),
+      close: jest.fn(async () => {}),
+    };
+    SQLite.openDatabase.mockResolvedValue(mockDb);
+
+    dao = new SQLiteDAO('shop.db', false);
+    await dao.connect();
+  });
+
+  it('should report nothing when the database matches the schema', async () => {
+    live.indexes = [];
+    const plan = await new SchemaDiff(
+      dao,
+      schema([{ name: 'status', type: 'string', constraints: "DEFAULT 'active'" }])
+    ).plan();
+
+    expect(plan).toEqual({ database: 'shop.db', changes: [] });
+    expect(SchemaDiff.format(plan)).toBe("Database 'shop.db' matches its schema.");
+  });
+
+  it('should plan new tables, columns and indexes without touching unknown tables', async () => {
+    const target = schema(
+      [
+        { name: 'status', type: 'string', constraints: "DEFAULT 'active'" },
+        { name: 'tax_rate', type: 'decimal', constraints: 'DEFAULT 0' },
+      ],
+      { indexes: [{ name: 'idx_stores_tax', columns: ['tax_rate'] }] }
+    );
+    target.schemas.tags = { cols: [{ name: 'id', type: 'string', constraints: 'PRIMARY KEY' }] };
+
+    const plan = await new SchemaDiff(dao, target).plan();
+
+    expect(plan.changes.map(({ kind, table, target: name }) => [kind, table, name])).toEqual([
+      ['add_column', 'stores', 'tax_rate'],
+      ['drop_index', 'stores', 'idx_stores_old'],
+      ['create_index', 'stores', 'idx_stores_tax'],
+      ['create_table', 'tags', undefined],
+    ]);
+    expect(plan.changes[0].statements).toEqual([
+      'ALTER TABLE "stores" ADD COLUMN "tax_rate" REAL DEFAULT 0',
+    ]);
+    expect(plan.changes[3].statements).toEqual([
+      'CREATE TABLE IF NOT EXISTS "tags" ("id" TEXT PRIMARY KEY)',
+    ]);
+    expect(plan.changes.some((change) => change.dataLoss)).toBe(false);
+    expect(SchemaDiff.format(plan)).toContain(
+      "- add_column stores 'tax_rate': column is not in the database\n    ALTER TABLE"
+    );
+  });
+
+  it('should rebuild a table when ALTER TABLE cannot make the change', async () => {
+    live.indexes = [];
+    const plan = await new SchemaDiff(
+      dao,
+      schema([
+        { name: 'status', type: 'integer', constraints: 'DEFAULT 1' },
+        { name: 'code', type: 'string', constraints: "NOT NULL DEFAULT 'x' UNIQUE" },
+      ])
+    ).plan();
+
+    expect(plan.changes).toHaveLength(1);
+    expect(plan.changes[0]).toEqual({
+      kind: 'rebuild_table',
+      table: 'stores',
+      reasons: [
+        "column 'status' changed type from TEXT to INTEGER",
+        "column 'status' changed default from 'active' to 1",
+        "column 'code' cannot be added with ALTER TABLE: UNIQUE",
+        'unique constraints changed',
+      ],
+      dataLoss: false,
+      statements: [
+        'CREATE TABLE "stores__rebuild" ("id" TEXT PRIMARY KEY, "name" TEXT NOT NULL, "status" INTEGER DEFAULT 1, "code" TEXT NOT NULL UNIQUE DEFAULT \'x\')',
+        'INSERT INTO "stores__rebuild" ("id", "name", "status") SELECT "id", "name", "status" FROM "stores"',
+        'DROP TABLE "stores"',
+        'ALTER TABLE "stores__rebuild" RENAME TO "stores"',
+      ],
+    });
+  });
+
+  it('should detect changed foreign keys and removed columns', async () => {
+    live.indexes = [];
+    live.foreignKeys = [
+      { from: 'name', table: 'brands', to: 'id', on_delete: 'NO ACTION', on_update: 'NO ACTION' },
+    ];
+
+    const plan = await new SchemaDiff(
+      dao,
+      schema([], {
+        foreign_keys: [
+          {
+            name: 'fk_brand',
+            column: 'name',
+            references: { table: 'brands', column: 'id' },
+            on_delete: 'cascade',
+          },
+        ],
+      })
+    ).plan();
+
+    expect(plan.changes[0].reasons).toEqual([
+      "column 'status' is no longer in the schema",
+      'foreign keys changed',
+    ]);
+    expect(plan.changes[0].dataLoss).toBe(true);
+    expect(SchemaDiff.format(plan)).toContain('[data loss]');
+  });
+
+  it('should refuse to drop columns unless data loss is allowed', async () => {
+    live.indexes = [];
+    const diff = new SchemaDiff(dao, schema([]));
+
+    await expect(diff.apply()).rejects.toThrow(
+      "Schema diff of database 'shop.db' drops columns that may hold data (stores); pass allowDataLoss to apply it"
+    );
+    expect(statements()).not.toContain('BEGIN TRANSACTION');
+
+    mockDb.executeSql.mockClear();
+    await diff.apply(undefined, { allowDataLoss: true });
+    const sql = statements();
+    expect(sql.indexOf('PRAGMA foreign_keys = OFF')).toBeLessThan(sql.indexOf('BEGIN TRANSACTION'));
+    expect(sql.slice(-4)).toEqual([
+      'ALTER TABLE "stores__rebuild" RENAME TO "stores"',
+      'PRAGMA foreign_key_check',
+      'COMMIT',
+      'PRAGMA foreign_keys = ON',
+    ]);
+  });
+
+  it('should roll back a rebuild that breaks foreign keys', async () => {
+    live.indexes = [];
+    violations = [{ table: 'stores', rowid: 1, parent: 'brands', fkid: 0 }];
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(
+      new SchemaDiff(dao, schema([{ name: 'status', type: 'integer' }])).apply()
+    ).rejects.toThrow(
+      "Schema diff of database 'shop.db' leaves 1 row(s) breaking foreign keys, first in table 'stores'"
+    );
+    expect(statements().slice(-2)).toEqual(['ROLLBACK', 'PRAGMA foreign_keys = ON']);
+    console.error.mockRestore();
+  });
+
+  it('should require a schema', () => {
+    expect(() => new SchemaDiff(dao)).toThrow(
+      "Cannot diff database 'shop.db': no schema was given or set on the DAO"
+    );
+  });
+});
+
+describe('SchemaDiff on sql.js', () => {
+  let driver;
+  let dao;
+
+  const schema = (status, extra = {}) => ({
+    version: '1.0',
+    database_name: 'shop',
+    schemas: {
+      stores: {
+        cols: [
+          { name: 'id', type: 'string', constraints: 'PRIMARY KEY' },
+          { name: 'name', type: 'string', length: 20 },
+          { name: 'status', type: 'string', enum: ['a', 'b'], ...status },
+        ],
+        ...extra,
+      },
+    },
+  });
+
+  const applyAndInsert = async (next, values) => {
+    dao.setSchema(next);
+    const diff = new SchemaDiff(dao, next);
+    const plan = await diff.plan();
+    await diff.apply(plan);
+    await dao.runSql('INSERT INTO stores (id, name, status) VALUES (?, ?, ?)', values);
+    expect((await diff.plan()).changes).toEqual([]);
+    return plan;
+  };
+
+  beforeAll(async () => {
+    driver = new SqlJsDriver(await initSqlJs());
+  });
+
+  beforeEach(async () => {
+    dao = new SQLiteDAO('shop.db', false, driver);
+    await dao.connect();
+    await dao.initializeFromSchema(schema({}));
+    await dao.runSql("INSERT INTO stores (id, name, status) VALUES ('s1', 'First', 'a')");
+  });
+
+  afterEach(async () => {
+    await dao.close();
+    driver.destroy();
+  });
+
+  it('should report nothing for a database created from the same schema', async () => {
+    await expect(new SchemaDiff(dao, schema({})).plan()).resolves.toEqual({
+      database: 'shop.db',
+      changes: [],
+    });
+
+    // ALTER TABLE ... ADD COLUMN ghi cột mới với CHECK của nó vào cuối câu CREATE TABLE
+    const next = schema({});
+    next.schemas.stores.cols.push({ name: 'kind', type: 'string', enum: ['x'] });
+    const { changes } = await new SchemaDiff(dao, next).apply();
+    expect(changes.map((change) => change.kind)).toEqual(['add_column']);
+    await expect(new SchemaDiff(dao, next).plan()).resolves.toMatchObject({ changes: [] });
+  });
+
+  it('should rebuild a table when the enum of a column changes', async () => {
+    const plan = await applyAndInsert(schema({ enum: ['a', 'b', 'c'] }), ['s2', 'Second', 'c']);
+
+    expect(plan.changes.map((change) => [change.kind, change.reasons])).toEqual([
+      ['rebuild_table', ["CHECK constraints of column 'status' changed"]],
+    ]);
+    await expect(dao.getRsts('SELECT id FROM stores ORDER BY id')).resolves.toEqual([
+      { id: 's1' },
+      { id: 's2' },
+    ]);
+  });
+
+  it('should rebuild a table when the length of a column changes', async () => {
+    const next = schema({});
+    next.schemas.stores.cols[1] = { name: 'name', type: 'string', length: 40 };
+
+    const plan = await applyAndInsert(next, ['s2', 'A name longer than twenty', 'b']);
+
+    expect(plan.changes[0].reasons).toEqual(["CHECK constraints of column 'name' changed"]);
+  });
+
+  it('should rebuild a table when a collation or a table check changes', async () => {
+    const plan = await applyAndInsert(
+      schema({ constraints: 'COLLATE NOCASE' }, { check: ["id <> ''"] }),
+      ['s2', 'Second', 'b']
+    );
+
+    expect(plan.changes[0].reasons).toEqual([
+      "column 'status' changed collation from none to NOCASE",
+      'table CHECK constraints changed',
+    ]);
+    await expect(dao.runSql("INSERT INTO stores (id) VALUES ('')")).rejects.toThrow(
+      'CHECK constraint failed'
+    );
+  });
+});
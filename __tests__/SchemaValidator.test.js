@@ -0,0 +1,90 @@
+import { SchemaValidator, SchemaValidationError } from '../src/database/SchemaValidator';
+import coreSchema from '../src/database/schemas/core.json';
+
+describe('SchemaValidator', () => {
+  let validator;
+
+  const column = (table, name) => coreSchema.schemas[table].cols.find((col) => col.name === name);
+  const catchError = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      return error;
+    }
+    throw new Error('expected a validation error');
+  };
+
+  beforeEach(() => {
+    validator = new SchemaValidator();
+    validator.setSchema(coreSchema);
+  });
+
+  describe('CHECK constraints', () => {
+    it('should turn enum and length into CHECK constraints', () => {
+      expect(validator.getCheckConstraints(column('users', 'role'), '"role"')).toEqual([
+        `CHECK ("role" IN ('admin', 'manager', 'staff', 'cashier', 'viewer'))`,
+        'CHECK (length("role") <= 20)',
+      ]);
+    });
+
+    it('should turn precision and scale into a range and rounding CHECK', () => {
+      expect(validator.getCheckConstraints(column('stores', 'tax_rate'), '"tax_rate"')).toEqual([
+        'CHECK (abs("tax_rate") < 1e3 AND abs(round("tax_rate", 2) - "tax_rate") < 1e-9)',
+      ]);
+    });
+
+    it('should escape enum literals and reject invalid limits', () => {
+      expect(
+        validator.getCheckConstraints({ name: 'mode', type: 'string', enum: ["it's", 2] }, '"mode"')
+      ).toEqual([`CHECK ("mode" IN ('it''s', 2))`]);
+      expect(() =>
+        validator.getCheckConstraints({ name: 'code', type: 'string', length: -1 }, '"code"')
+      ).toThrow("Invalid length -1 for column 'code'");
+    });
+  });
+
+  describe('validate', () => {
+    it('should name the column, the bad value and the allowed values', () => {
+      const error = catchError(() => validator.validate('enterprises', 'status', 'deleted'));
+
+      expect(error).toBeInstanceOf(SchemaValidationError);
+      expect(error).toMatchObject({
+        table: 'enterprises',
+        column: 'status',
+        value: 'deleted',
+        rule: 'enum',
+        allowed: ['active', 'inactive', 'suspended', 'pending'],
+      });
+      expect(error.message).toBe(
+        `Invalid value "deleted" for 'enterprises.status': expected one of active, inactive, suspended, pending`
+      );
+    });
+
+    it('should count characters like SQLite length()', () => {
+      expect(() => validator.validate('stores', 'currency', 'VND')).not.toThrow();
+      expect(() => validator.validate('stores', 'currency', '₫₫₫')).not.toThrow();
+      expect(catchError(() => validator.validate('stores', 'currency', 'VNDX'))).toMatchObject({
+        rule: 'length',
+        allowed: { max: 3 },
+      });
+    });
+
+    it('should check precision and scale of numbers', () => {
+      expect(() => validator.validate('stores', 'tax_rate', 10.25)).not.toThrow();
+      expect(() => validator.validate('stores', 'tax_rate', 0.1 + 0.2)).not.toThrow();
+      expect(catchError(() => validator.validate('stores', 'tax_rate', 1000))).toMatchObject({
+        rule: 'precision',
+        allowed: { precision: 5, scale: 2 },
+      });
+      expect(catchError(() => validator.validate('stores', 'tax_rate', 1.005))).toMatchObject({
+        rule: 'scale',
+      });
+    });
+
+    it('should skip null values and columns without metadata', () => {
+      expect(() => validator.validate('enterprises', 'status', null)).not.toThrow();
+      expect(() => validator.validate('enterprises', 'email', 'x'.repeat(500))).not.toThrow();
+      expect(() => validator.validate('unknown', 'status', 'deleted')).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,78 @@
+import { ValueCodec } from '../src/database/ValueCodec';
+import coreSchema from '../src/database/schemas/core.json';
+
+describe('ValueCodec', () => {
+  let codec;
+
+  beforeEach(() => {
+    codec = new ValueCodec();
+    codec.setSchema(coreSchema);
+  });
+
+  it('should store booleans as 0/1 and read them back as booleans', () => {
+    expect(codec.encode('users', 'is_active', true)).toBe(1);
+    expect(codec.encode('users', 'is_active', false)).toBe(0);
+    expect(codec.decode('users', 'is_active', 1)).toBe(true);
+    expect(codec.decode('users', 'is_active', 0)).toBe(false);
+  });
+
+  it('should store timestamps as ISO text and parse SQLite CURRENT_TIMESTAMP as UTC', () => {
+    const date = new Date(Date.UTC(2024, 4, 1, 8, 30, 0));
+
+    expect(codec.encode('users', 'last_login', date)).toBe('2024-05-01T08:30:00.000Z');
+    expect(codec.decode('users', 'last_login', '2024-05-01T08:30:00.000Z')).toEqual(date);
+    expect(codec.decode('users', 'created_at', '2024-05-01 08:30:00')).toEqual(date);
+    expect(codec.decode('users', 'created_at', 'not a date')).toBe('not a date');
+  });
+
+  it('should serialize JSON and array columns and keep invalid JSON as text', () => {
+    expect(codec.encode('enterprises', 'industries', ['retail', 'food'])).toBe('["retail","food"]');
+    expect(codec.encode('enterprises', 'industries', '["retail"]')).toBe('["retail"]');
+    expect(codec.decode('enterprises', 'industries', '["retail","food"]')).toEqual([
+      'retail',
+      'food',
+    ]);
+    expect(codec.decode('enterprises', 'industries', 'retail')).toBe('retail');
+  });
+
+  it('should round-trip blobs as base64 text', () => {
+    codec.setSchema({
+      ...coreSchema,
+      schemas: { files: { cols: [{ name: 'content', type: 'blob' }] } },
+    });
+    const bytes = new Uint8Array([0, 1, 2, 250, 251, 255, 128]);
+
+    const stored = codec.encode('files', 'content', bytes);
+    expect(stored).toBe('AAEC+vv/gA==');
+    expect(codec.decode('files', 'content', stored)).toEqual(bytes);
+  });
+
+  it('should leave null values and untyped columns as they are', () => {
+    expect(codec.encode('users', 'is_active', null)).toBeNull();
+    expect(codec.decode('users', 'permissions', undefined)).toBeUndefined();
+    expect(codec.encode('unknown', 'meta', { a: 1 })).toBe('{"a":1}');
+    expect(codec.decode('unknown', 'meta', '{"a":1}')).toBe('{"a":1}');
+  });
+
+  it('should use registered codecs and report values that cannot be encoded', () => {
+    codec.register('decimal', { encode: (value) => value.toFixed(2), decode: Number });
+
+    expect(codec.encode('stores', 'tax_rate', 1.5)).toBe('1.50');
+    expect(() => codec.encode('users', 'last_login', new Date('nope'))).toThrow(
+      "Cannot encode value of 'users.last_login' as timestamp: Invalid date"
+    );
+  });
+
+  it('should decode only the row keys whose source column is known', () => {
+    const outputs = new Map([
+      ['active', { table: 'users', column: 'is_active' }],
+      ['permissions', { table: 'users', column: 'permissions' }],
+    ]);
+
+    expect(codec.decodeRow({ active: 1, permissions: '["read"]', total: 3 }, outputs)).toEqual({
+      active: true,
+      permissions: ['read'],
+      total: 3,
+    });
+  });
+});
@@ -0,0 +1,238 @@
+import initSqlJs from 'sql.js';
+import { SQLiteDAO } from '../src/database/SQLiteDAO';
+import { SchemaDiff } from '../src/database/SchemaDiff';
+import { BaseService } from '../src/database/BaseService';
+import { DatabaseManager } from '../src/database/DatabaseManager';
+import { SqlJsDriver } from '../src/database/drivers';
+
+// Mock DatabaseManager so services get the DAO created in the test
+jest.mock('../src/database/DatabaseManager', () => ({
+  DatabaseManager: {
+    getLazyLoading: jest.fn(),
+  },
+}));
+
+const touchStores = {
+  name: 'trg_stores_touch_updated_at',
+  table: 'stores',
+  timing: 'AFTER',
+  event: 'UPDATE',
+  when: 'NEW.updated_at IS OLD.updated_at',
+  statements: ["UPDATE stores SET updated_at = '2030-01-01 00:00:00' WHERE rowid = NEW.rowid"],
+};
+
+const activeStores = {
+  name: 'v_enterprise_active_stores',
+  select:
+    'SELECT e.id AS enterprise_id, e.name AS enterprise_name, COUNT(s.id) AS active_stores ' +
+    "FROM enterprises e LEFT JOIN stores s ON s.enterprise_id = e.id AND s.status = 'active' " +
+    'GROUP BY e.id, e.name',
+  cols: [
+    { name: 'enterprise_id', type: 'string' },
+    { name: 'enterprise_name', type: 'string' },
+    { name: 'active_stores', type: 'integer' },
+  ],
+};
+
+const schema = (extra = {}, storeCols = []) => ({
+  version: '1.0',
+  database_name: 'shop',
+  schemas: {
+    enterprises: {
+      cols: [
+        { name: 'id', type: 'string', constraints: 'PRIMARY KEY' },
+        { name: 'name', type: 'string' },
+      ],
+    },
+    stores: {
+      cols: [
+        { name: 'id', type: 'string', constraints: 'PRIMARY KEY' },
+        { name: 'enterprise_id', type: 'string' },
+        { name: 'status', type: 'string' },
+        { name: 'updated_at', type: 'timestamp', constraints: 'DEFAULT CURRENT_TIMESTAMP' },
+        ...storeCols,
+      ],
+    },
+  },
+  views: [activeStores],
+  triggers: [touchStores],
+  ...extra,
+});
+
+describe('Views and triggers', () => {
+  let driver;
+  let dao;
+
+  const objects = async () =>
+    (
+      await dao.getRsts(
+        "SELECT type, name FROM sqlite_master WHERE type IN ('view', 'trigger') ORDER BY name"
+      )
+    ).map((row) => `${row.type}:${row.name}`);
+
+  beforeAll(async () => {
+    driver = new SqlJsDriver(await initSqlJs());
+  });
+
+  beforeEach(async () => {
+    dao = new SQLiteDAO('shop.db', false, driver);
+    await dao.connect();
+    await dao.initializeFromSchema(schema());
+    await dao.runBatch([
+      { sql: "INSERT INTO enterprises VALUES ('e1', 'Acme'), ('e2', 'Globex')" },
+      {
+        sql:
+          'INSERT INTO stores (id, enterprise_id, status, updated_at) VALUES ' +
+          "('s1', 'e1', 'active', '2024-01-01 00:00:00'), ('s2', 'e1', 'active', '2024-01-01 00:00:00'), " +
+          "('s3', 'e1', 'closed', '2024-01-01 00:00:00')",
+      },
+    ]);
+  });
+
+  afterEach(async () => {
+    await dao.close();
+    driver.destroy();
+  });
+
+  it('should create the views and triggers of the schema', async () => {
+    expect(await objects()).toEqual([
+      'trigger:trg_stores_touch_updated_at',
+      'view:v_enterprise_active_stores',
+    ]);
+
+    await dao.runSql("UPDATE stores SET status = 'closed' WHERE id = 's1'");
+    await dao.runSql(
+      "UPDATE stores SET status = 'active', updated_at = '2024-06-01 00:00:00' WHERE id = 's3'"
+    );
+    const stores = await dao.selectAll({ name: 'stores', cols: [], orderbys: [{ name: 'id' }] });
+    expect(stores.map((store) => store.updated_at.toISOString())).toEqual([
+      '2030-01-01T00:00:00.000Z',
+      '2024-01-01T00:00:00.000Z',
+      '2024-06-01T00:00:00.000Z',
+    ]);
+
+    // Cột của view được kiểm tra và decode như cột của bảng
+    await expect(
+      dao.selectAll({
+        name: 'v_enterprise_active_stores',
+        cols: [],
+        wheres: [{ name: 'active_stores', operator: '>=', value: 0 }],
+        orderbys: [{ name: 'enterprise_id' }],
+      })
+    ).resolves.toEqual([
+      { enterprise_id: 'e1', enterprise_name: 'Acme', active_stores: 2 },
+      { enterprise_id: 'e2', enterprise_name: 'Globex', active_stores: 0 },
+    ]);
+    await expect(
+      dao.selectAll({ name: 'v_enterprise_active_stores', cols: [{ name: 'status' }] })
+    ).rejects.toThrow("Unknown column 'status'");
+  });
+
+  it('should reject invalid trigger definitions', () => {
+    expect(dao.buildCreateTriggerSql({ ...touchStores, columns: ['status'] })).toBe(
+      'CREATE TRIGGER IF NOT EXISTS "trg_stores_touch_updated_at" AFTER UPDATE OF "status" ON "stores" ' +
+        'FOR EACH ROW WHEN NEW.updated_at IS OLD.updated_at ' +
+        "BEGIN UPDATE stores SET updated_at = '2030-01-01 00:00:00' WHERE rowid = NEW.rowid; END"
+    );
+    expect(() => dao.buildCreateTriggerSql({ ...touchStores, timing: 'INSTEAD OF' })).toThrow(
+      'INSTEAD OF triggers are only allowed on views'
+    );
+    expect(() => dao.buildCreateTriggerSql({ ...touchStores, timing: 'AROUND' })).toThrow(
+      "Invalid timing 'AROUND' of trigger 'trg_stores_touch_updated_at'"
+    );
+    expect(() =>
+      dao.buildCreateTriggerSql({ ...touchStores, event: 'INSERT', columns: ['status'] })
+    ).toThrow('only UPDATE triggers can have');
+    expect(() => dao.buildCreateTriggerSql({ ...touchStores, statements: [' ; '] })).toThrow(
+      "Trigger 'trg_stores_touch_updated_at' has no statements"
+    );
+    expect(() => dao.buildCreateViewSql({ ...activeStores, select: 'DROP TABLE stores' })).toThrow(
+      "View 'v_enterprise_active_stores' must be defined by a SELECT statement"
+    );
+  });
+
+  it('should recreate changed views and drop undeclared triggers', async () => {
+    const next = schema({
+      views: [{ ...activeStores, select: activeStores.select.replace("'active'", "'closed'") }],
+      triggers: [],
+    });
+    dao.setSchema(next);
+    const diff = new SchemaDiff(dao, next);
+
+    const plan = await diff.plan();
+    expect(plan.changes.map((change) => [change.kind, change.target || change.table])).toEqual([
+      ['drop_view', 'v_enterprise_active_stores'],
+      ['drop_trigger', 'trg_stores_touch_updated_at'],
+      ['create_view', 'v_enterprise_active_stores'],
+    ]);
+    expect(plan.changes[1].reasons).toEqual(['trigger is no longer in the schema']);
+
+    await diff.apply(plan);
+    expect(await objects()).toEqual(['view:v_enterprise_active_stores']);
+    expect(
+      (
+        await dao.getRst(
+          "SELECT active_stores FROM v_enterprise_active_stores WHERE enterprise_id = 'e1'"
+        )
+      ).active_stores
+    ).toBe(1);
+    expect((await diff.plan()).changes).toEqual([]);
+  });
+
+  it('should leave undeclared objects alone without a views or triggers section', async () => {
+    await dao.runSql('CREATE VIEW legacy_stores AS SELECT id FROM stores');
+    const next = schema({ views: undefined, triggers: undefined });
+
+    expect((await new SchemaDiff(dao, next).plan()).changes).toEqual([]);
+  });
+
+  it('should drop and recreate views and triggers around a table rebuild', async () => {
+    // Không khai báo trong schema: được tạo lại từ SQL đang có trong database
+    await dao.runSql('CREATE VIEW legacy_stores AS SELECT id, status FROM stores');
+    const next = schema({ views: undefined }, [
+      { name: 'opened_at', type: 'timestamp', constraints: 'NOT NULL DEFAULT CURRENT_TIMESTAMP' },
+    ]);
+    dao.setSchema(next);
+    const diff = new SchemaDiff(dao, next);
+
+    const plan = await diff.plan();
+    expect(plan.changes.map((change) => change.kind)).toEqual([
+      'drop_view',
+      'drop_view',
+      'drop_trigger',
+      'rebuild_table',
+      'create_view',
+      'create_view',
+      'create_trigger',
+    ]);
+    expect(plan.changes[6].reasons).toEqual(['recreated after tables are rebuilt']);
+
+    await diff.apply(plan);
+    expect(await objects()).toEqual([
+      'view:legacy_stores',
+      'trigger:trg_stores_touch_updated_at',
+      'view:v_enterprise_active_stores',
+    ]);
+    await expect(dao.getRsts('SELECT id FROM legacy_stores')).resolves.toHaveLength(3);
+  });
+
+  it('should serve views through read-only services', async () => {
+    DatabaseManager.getLazyLoading.mockResolvedValue(dao);
+    const service = new BaseService('shop', 'v_enterprise_active_stores');
+    service.setPrimaryKeyFields(['enterprise_id']);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(service.findById('e1')).resolves.toEqual({
+      enterprise_id: 'e1',
+      enterprise_name: 'Acme',
+      active_stores: 2,
+    });
+    expect(service.isReadOnly()).toBe(true);
+    await expect(service.create({ enterprise_id: 'e3' })).rejects.toThrow(
+      "'v_enterprise_active_stores' is a view of schema 'shop': create() is not allowed on a read-only service"
+    );
+    await expect(service.delete('e1')).rejects.toThrow('delete() is not allowed');
+    expect(new BaseService('shop', 'stores').isReadOnly()).toBe(false);
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,226 @@
+import initSqlJs from 'sql.js';
+import { SQLiteDAO } from '../src/database/SQLiteDAO';
+import {
+  ExpoSQLiteDriver,
+  OpSQLiteDriver,
+  SqlJsDriver,
+  getDefaultDriver,
+  setDefaultDriver,
+} from '../src/database/drivers';
+
+const schema = {
+  version: '1.0',
+  database_name: 'shop',
+  schemas: {
+    stores: {
+      cols: [
+        { name: 'id', type: 'string', constraints: 'PRIMARY KEY' },
+        { name: 'name', type: 'string', constraints: 'NOT NULL' },
+        { name: 'is_active', type: 'boolean', constraints: 'DEFAULT TRUE' },
+      ],
+    },
+    settings: {
+      cols: [
+        { name: 'id', type: 'integer', constraints: 'PRIMARY KEY AUTOINCREMENT' },
+        { name: 'store_id', type: 'string', constraints: 'REFERENCES stores(id)' },
+        { name: 'key', type: 'string' },
+        { name: 'value', type: 'json' },
+      ],
+      unique: [['store_id', 'key']],
+    },
+  },
+};
+
+const table = (name, values, wheres = []) => ({
+  name,
+  cols: Object.entries(values).map(([key, value]) => ({ name: key, value })),
+  wheres,
+});
+
+describe('SqlJsDriver', () => {
+  let driver;
+  let dao;
+
+  beforeAll(async () => {
+    driver = new SqlJsDriver(await initSqlJs());
+  });
+
+  beforeEach(async () => {
+    dao = new SQLiteDAO('shop.db', false, driver);
+    await dao.connect();
+    await dao.initializeFromSchema(schema);
+  });
+
+  afterEach(async () => {
+    await dao.close();
+    driver.destroy();
+  });
+
+  it('should run the DAO against a real SQLite engine', async () => {
+    expect(dao.getDriverName()).toBe('sql.js');
+    await dao.insert(table('stores', { id: 's1', name: 'Shop' }));
+    const result = await dao.insert(
+      table('settings', { store_id: 's1', key: 'theme', value: { dark: true } })
+    );
+
+    expect(result.insertId).toBe(1);
+    expect(result.rowsAffected).toBe(1);
+    expect(await dao.select(table('stores', {}, [{ name: 'id', value: 's1' }]))).toEqual({
+      id: 's1',
+      name: 'Shop',
+      is_active: true,
+    });
+    expect(
+      await dao.upsert(table('settings', { store_id: 's1', key: 'theme', value: { dark: false } }))
+    ).toMatchObject({ rowsAffected: 1 });
+    expect(await dao.selectAll(table('settings', {}))).toEqual([
+      { id: 1, store_id: 's1', key: 'theme', value: { dark: false } },
+    ]);
+    expect((await dao.runSql('SELECT 1')).rowsAffected).toBe(0);
+  });
+
+  it('should roll back transactions and keep data across reconnects', async () => {
+    await dao.insert(table('stores', { id: 's1', name: 'Shop' }));
+    await expect(
+      dao.transaction(async (tx) => {
+        await tx.insert(table('stores', { id: 's2', name: 'Other' }));
+        await tx.insert(table('stores', { id: 's1', name: 'Duplicate' }));
+      })
+    ).rejects.toThrow('UNIQUE constraint failed: stores.id');
+
+    await dao.close();
+    await dao.connect();
+    expect(await dao.getRsts('SELECT id FROM stores')).toEqual([{ id: 's1' }]);
+  });
+
+  it('should apply a batch atomically', async () => {
+    const result = await dao.runBatch([
+      { sql: 'INSERT INTO stores (id, name) VALUES (?, ?)', params: ['s1', 'A'] },
+      { sql: 'INSERT INTO stores (id, name) VALUES (?, ?)', params: ['s2', 'B'] },
+    ]);
+    expect(result).toEqual({ rowsAffected: 2 });
+
+    await expect(
+      dao.runBatch([
+        { sql: "UPDATE stores SET name = 'C'" },
+        { sql: 'INSERT INTO stores (id, name) VALUES (?, ?)', params: ['s1', 'D'] },
+      ])
+    ).rejects.toThrow('UNIQUE constraint failed');
+    expect(await dao.getRsts('SELECT name FROM stores ORDER BY id')).toEqual([
+      { name: 'A' },
+      { name: 'B' },
+    ]);
+
+    // Trong transaction, batch chạy lần lượt trên transaction đó
+    await dao.transaction(async (tx) => {
+      await tx.runBatch([{ sql: "UPDATE stores SET name = 'E'" }]);
+      expect(tx.getTransactionDepth()).toBe(1);
+    });
+    expect(await dao.getRst('SELECT count(*) AS n FROM stores WHERE name = ?', ['E'])).toEqual({
+      n: 2,
+    });
+  });
+
+  it('should not count rows written by triggers in rowsAffected', async () => {
+    await dao.runSql('CREATE TABLE store_log (store_id TEXT)');
+    await dao.runSql(
+      'CREATE TRIGGER log_store AFTER INSERT ON stores BEGIN INSERT INTO store_log VALUES (NEW.id); END'
+    );
+
+    expect(await dao.insert(table('stores', { id: 's1', name: 'A' }))).toMatchObject({
+      rowsAffected: 1,
+    });
+    const result = await dao.insertMany('stores', [
+      { id: 's2', name: 'B' },
+      { id: 's3', name: 'C' },
+    ]);
+    expect(result.rowsAffected).toBe(2);
+    expect(result.insertIds).toEqual([2, 3]);
+    expect(await dao.getRst('SELECT count(*) AS n FROM store_log')).toEqual({ n: 3 });
+  });
+
+  it('should be used by DAOs created without a driver once set as default', async () => {
+    const previous = getDefaultDriver();
+    setDefaultDriver(driver);
+    try {
+      const other = new SQLiteDAO('shop.db', false);
+      await other.connect();
+      expect(other.getDriverName()).toBe('sql.js');
+      expect(await other.getRsts("SELECT name FROM sqlite_master WHERE name = 'stores'")).toEqual([
+        { name: 'stores' },
+      ]);
+    } finally {
+      setDefaultDriver(previous);
+    }
+  });
+});
+
+describe('OpSQLiteDriver', () => {
+  it('should adapt op-sqlite results and batches', async () => {
+    const db = {
+      execute: jest.fn(async (sql) =>
+        sql.startsWith('SELECT')
+          ? { rows: [{ id: 1 }], rowsAffected: 0, insertId: 7 }
+          : { rows: { _array: [] }, rowsAffected: 1, insertId: 7 }
+      ),
+      executeBatch: jest.fn(async () => ({ rowsAffected: 3 })),
+      close: jest.fn(),
+    };
+    const open = jest.fn(() => db);
+    const connection = await new OpSQLiteDriver(open).open({
+      name: 'shop.db',
+      location: 'default',
+    });
+
+    expect(open).toHaveBeenCalledWith({ name: 'shop.db', location: undefined });
+    expect(await connection.execute('SELECT id FROM stores', [])).toEqual({
+      rows: [{ id: 1 }],
+      rowsAffected: 0,
+      insertId: undefined,
+    });
+    expect(await connection.execute('INSERT INTO stores (id) VALUES (?)', [1])).toEqual({
+      rows: [],
+      rowsAffected: 1,
+      insertId: 7,
+    });
+    expect(await connection.batch([{ sql: 'DELETE FROM stores' }])).toEqual({ rowsAffected: 3 });
+    expect(db.executeBatch).toHaveBeenCalledWith([['DELETE FROM stores', []]]);
+    await connection.close();
+    expect(db.close).toHaveBeenCalled();
+  });
+});
+
+describe('ExpoSQLiteDriver', () => {
+  it('should adapt expo-sqlite statements and transactions', async () => {
+    const statement = {
+      executeAsync: jest.fn(async () => ({
+        changes: 1,
+        lastInsertRowId: 4,
+        getAllAsync: async () => [],
+      })),
+      finalizeAsync: jest.fn(async () => {}),
+    };
+    const db = {
+      prepareAsync: jest.fn(async () => statement),
+      runAsync: jest.fn(async () => ({ changes: 2, lastInsertRowId: 0 })),
+      withTransactionAsync: jest.fn(async (task) => task()),
+      closeAsync: jest.fn(async () => {}),
+    };
+    const connection = await new ExpoSQLiteDriver(async () => db).open({ name: 'shop.db' });
+
+    expect(await connection.execute('INSERT INTO stores (id) VALUES (?)', ['s1'])).toEqual({
+      rows: [],
+      rowsAffected: 1,
+      insertId: 4,
+    });
+    expect(statement.executeAsync).toHaveBeenCalledWith(['s1']);
+    expect(statement.finalizeAsync).toHaveBeenCalled();
+    expect(
+      await connection.batch([
+        { sql: 'UPDATE stores SET name = ?', params: ['A'] },
+        { sql: 'DELETE FROM settings' },
+      ])
+    ).toEqual({ rowsAffected: 4 });
+    expect(db.runAsync).toHaveBeenCalledWith('DELETE FROM settings', []);
+  });
+});
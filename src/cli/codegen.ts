@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+import * as fs from 'fs';
+import * as path from 'path';
+import { CodeGenOptions, generateSchemaTypes } from '../database/CodeGenerator';
+
+const USAGE = `Usage: sqlite-dao-codegen <schema.json> [options]
+
+Generates row, insert and update types and BaseService<T> subclasses from a schema JSON.
+
+Options:
+  -o, --out <file>         Write to <file> instead of stdout
+  --schema-name <name>     DatabaseManager key of the schema (default: database_name without .db)
+  --import <module>        Module that exports BaseService (default: react-native-sqlite-dao-service)
+  --type <type>=<ts type>  TypeScript type of a generic column type, e.g. --type json=Record<string,any>
+  --no-services            Only generate types
+  --check                  Exit with 1 when <file> of --out is not up to date, without writing it
+  -h, --help               Show this help`;
+
+interface CodegenArgs {
+  schemaFile?: string;
+  out?: string;
+  check: boolean;
+  help: boolean;
+  options: CodeGenOptions;
+}
+
+function parseArgs(argv: string[]): CodegenArgs {
+  const args: CodegenArgs = { check: false, help: false, options: {} };
+  const valueOf = (i: number): string => {
+    if (i + 1 >= argv.length || argv[i + 1].startsWith('-')) {
+      throw new Error(`Option '${argv[i]}' needs a value`);
+    }
+    return argv[i + 1];
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '-o':
+      case '--out':
+        args.out = valueOf(i++);
+        break;
+      case '--schema-name':
+        args.options.schemaName = valueOf(i++);
+        break;
+      case '--import':
+        args.options.importPath = valueOf(i++);
+        break;
+      case '--type': {
+        const value = valueOf(i++);
+        const separator = value.indexOf('=');
+        const type = value.slice(0, Math.max(separator, 0));
+        const tsType = value.slice(separator + 1);
+        if (separator < 0 || !type || !tsType)
+          throw new Error(`Option '--type' expects <type>=<ts type>`);
+        args.options.types = { ...args.options.types, [type]: tsType };
+        break;
+      }
+      case '--no-services':
+        args.options.services = false;
+        break;
+      case '--check':
+        args.check = true;
+        break;
+      case '-h':
+      case '--help':
+        args.help = true;
+        break;
+      default:
+        if (arg.startsWith('-')) throw new Error(`Unknown option '${arg}'`);
+        if (args.schemaFile) throw new Error(`Unexpected argument '${arg}'`);
+        args.schemaFile = arg;
+    }
+  }
+  return args;
+}
+
+/**
+ * Runs the generator with command line arguments and returns the exit code,
+ * so build scripts can call it without spawning a process.
+ */
+export function runCodegen(argv: string[]): number {
+  try {
+    const args = parseArgs(argv);
+    if (args.help) {
+      console.log(USAGE);
+      return 0;
+    }
+    if (!args.schemaFile) throw new Error(`Missing schema file\n\n${USAGE}`);
+
+    const schema = JSON.parse(fs.readFileSync(args.schemaFile, 'utf8'));
+    const code = generateSchemaTypes(schema, args.options);
+
+    if (args.check) {
+      if (!args.out) throw new Error("Option '--check' needs '--out'");
+      const current = fs.existsSync(args.out) ? fs.readFileSync(args.out, 'utf8') : null;
+      if (current !== code) {
+        console.error(`${args.out} is out of date with ${args.schemaFile}, run sqlite-dao-codegen`);
+        return 1;
+      }
+      return 0;
+    }
+    if (!args.out) {
+      process.stdout.write(code);
+      return 0;
+    }
+    fs.mkdirSync(path.dirname(args.out), { recursive: true });
+    fs.writeFileSync(args.out, code);
+    console.log(`Generated ${args.out} from ${args.schemaFile}`);
+    return 0;
+  } catch (error) {
+    console.error(`sqlite-dao-codegen: ${(error as Error).message}`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exit(runCodegen(process.argv.slice(2)));
+}
@@ -1,5 +1,22 @@
-import { SQLiteDAO, QueryTable, OrderByClause } from './SQLiteDAO';
+import {
+  SQLiteDAO,
+  AggregateColumn,
+  FullTextSearchOptions,
+  FullTextSearchResult,
+  GroupByColumn,
+  InsertManyOptions,
+  QueryTable,
+  OrderByClause,
+  UpsertOptions,
+  WhereClause,
+  WhereCondition,
+  WhereGroup,
+  WhereOperator,
+} from './SQLiteDAO';
 import { DatabaseManager } from './DatabaseManager';
+import { SchemaName } from './schemas';
+import { QueryBuilder } from './QueryBuilder';
+import { decodeBase64, encodeBase64 } from './ValueCodec';
 
 export interface ServiceStatus {
   schemaName: string;
@@ -16,17 +33,87 @@ export interface HealthCheckResult {
   timestamp: string;
 }
 
-export interface FindOptions {
-  orderBy?: OrderByClause[];
+// Tên cột của kiểu dòng T, là string bất kỳ khi T là any
+export type ColumnName<T> = Extract<keyof T, string>;
+
+export interface OrderBy<T = any> extends OrderByClause {
+  name: ColumnName<T>;
+}
+
+export interface FindOptions<T = any> {
+  orderBy?: OrderBy<T>[];
   limit?: number;
   offset?: number;
-  columns?: string[];
+  columns?: ColumnName<T>[];
+}
+
+export interface PaginateOptions<T = any> {
+  conditions?: QueryConditions<T>;
+  // nextCursor của trang trước, bỏ trống để lấy trang đầu
+  cursor?: string | null;
+  pageSize?: number;
+  // Khóa chính luôn được nối vào cuối để thứ tự không bị trùng
+  orderBy?: OrderBy<T>[];
+  columns?: ColumnName<T>[];
+}
+
+export interface Page<T = any> {
+  items: T[];
+  // Truyền lại vào paginate() để lấy trang sau, null ở trang cuối
+  nextCursor: string | null;
+  hasMore: boolean;
+}
+
+export interface GroupByOptions extends FindOptions {
+  // Điều kiện trên kết quả gom nhóm, có thể dùng alias của aggregate, ví dụ { total: { operator: '>', value: 5 } }
+  having?: QueryConditions;
+}
+
+// Điều kiện lọc: object dạng { field: value } (so sánh '='), mảng WhereClause hoặc nhóm and/or/not.
+// Trong dạng object, value có thể là { operator, value } để dùng toán tử khác, ví dụ:
+// { status: { operator: 'IN', value: ['active', 'pending'] } }
+// Các khóa 'and', 'or', 'not' được dành cho nhóm điều kiện lồng nhau, ví dụ:
+// { status: 'active', or: [{ role: 'admin' }, { role: 'manager' }] } hoặc { or: { email, username } }
+export type QueryConditions<T = any> = FieldConditions<T> | WhereCondition[] | WhereGroup;
+
+// Toán tử khác '=' cho một cột trong điều kiện dạng object
+export interface ConditionOperator {
+  operator: WhereOperator | Lowercase<WhereOperator>;
+  value?: any;
 }
 
+// Cột ngày giờ được so sánh với Date hoặc chuỗi ngày giờ như khi ghi
+type ConditionValue<V> = V extends Date ? Date | string : V;
+
+export type FieldConditions<T = any> = {
+  [K in keyof T]?: ConditionValue<T[K]> | ConditionOperator;
+} & {
+  and?: FieldConditions<T> | FieldConditions<T>[];
+  or?: FieldConditions<T> | FieldConditions<T>[];
+  not?: FieldConditions<T> | FieldConditions<T>[];
+  // rowid của SQLite, có ở mọi bảng không khai báo WITHOUT ROWID
+  rowid?: number | ConditionOperator;
+};
+
+const GROUP_KEYS = ['and', 'or', 'not'];
+
+const DEFAULT_PAGE_SIZE = 20;
+
+// Khóa của một bản ghi: giá trị đơn với khóa chính một cột,
+// hoặc object chứa mọi cột khóa với khóa chính nhiều cột, ví dụ { store_id: 's1', key: 'theme' }
+export type RecordId = string | number | Record<string, any>;
+
+// Kết quả của findById/findFirst khi không có dòng nào khớp: dao.select trả về {}
+export type EmptyRecord = Record<string, never>;
+
 export type ErrorHandler = (error: Error) => void;
 export type EventHandler = (data: any) => void;
 
-export class BaseService {
+// T là kiểu một dòng của bảng và TInsert là dữ liệu để thêm mới, ví dụ các interface do sqlite-dao-codegen sinh từ schema
+export class BaseService<
+  T extends Record<string, any> = any,
+  TInsert extends Record<string, any> = Partial<T>,
+> {
   protected schemaName: string;
   protected tableName: string;
   protected dao: SQLiteDAO | null = null;
@@ -70,7 +157,7 @@ export class BaseService {
       }
       // sử dụng mở cơ sở dữ liệu nếu chưa mở kết nối
       // tức là mở đơn lẻ khi muốn dùng tránh mở nhiều csdl mà không dùng đến
-      this.dao = (await DatabaseManager.getLazyLoading(this.schemaName)) as SQLiteDAO;
+      this.dao = (await DatabaseManager.getLazyLoading(this.schemaName as SchemaName)) as SQLiteDAO;
       if (!this.dao) {
         throw new Error(`Failed to initialize DAO for schema: ${this.schemaName}`);
       }
@@ -88,7 +175,7 @@ export class BaseService {
 
   // Helper method to build QueryTable for select operations
   protected buildSelectTable(
-    conditions: Record<string, any> = {},
+    conditions: QueryConditions = {},
     options: FindOptions = {}
   ): QueryTable {
     const queryTable: QueryTable = {
@@ -105,13 +192,7 @@ export class BaseService {
     }
 
     // Build WHERE conditions
-    if (conditions && Object.keys(conditions).length > 0) {
-      queryTable.wheres = Object.entries(conditions).map(([key, value]) => ({
-        name: key,
-        value,
-        operator: '=',
-      }));
-    }
+    queryTable.wheres = this.buildWheres(conditions);
 
     // Set limit and offset
     if (options.limit !== undefined) {
@@ -124,69 +205,115 @@ export class BaseService {
     return queryTable;
   }
 
+  // Helper method to convert conditions (object, array or and/or/not group) to WhereCondition[]
+  protected buildWheres(conditions: QueryConditions = {}): WhereCondition[] {
+    if (!conditions) {
+      return [];
+    }
+    if (Array.isArray(conditions)) {
+      return conditions.map((item) => this.toWhereCondition(item));
+    }
+
+    return Object.entries(conditions).map(([key, value]): WhereCondition => {
+      if (GROUP_KEYS.includes(key) && value && typeof value === 'object') {
+        return this.toWhereCondition({ [key]: value });
+      }
+      if (value && typeof value === 'object' && !Array.isArray(value) && 'operator' in value) {
+        return { name: key, operator: value.operator, value: value.value };
+      }
+      return { name: key, value, operator: '=' };
+    });
+  }
+
+  // A WhereClause or group passes through (with its members normalized); a plain object becomes an AND group.
+  // A WhereClause is recognized by `name` together with `value` or `operator`, so { name: 'Shop A' } stays a filter on a name column
+  private toWhereCondition(item: Record<string, any>): WhereCondition {
+    if ('name' in item && ('value' in item || 'operator' in item)) {
+      return item as WhereClause;
+    }
+
+    const keys = Object.keys(item);
+    if (keys.length === 1 && GROUP_KEYS.includes(keys[0])) {
+      const members = item[keys[0]];
+      if (keys[0] === 'not') {
+        return {
+          not: Array.isArray(members) ? this.buildWheres(members) : this.toWhereCondition(members),
+        };
+      }
+      const normalized = this.buildWheres(members);
+      return keys[0] === 'or' ? { or: normalized } : { and: normalized };
+    }
+
+    return { and: this.buildWheres(item) };
+  }
+
   // Helper method to build QueryTable for insert/update operations
   protected buildDataTable(data: Record<string, any>): QueryTable {
     return this.dao!.convertJsonToQueryTable(this.tableName, data, this.primaryKeyFields);
   }
 
   // Generic CRUD operations
-  async findAll(conditions: Record<string, any> = {}, options: FindOptions = {}): Promise<any[]> {
+  async findAll(conditions: QueryConditions<T> = {}, options: FindOptions<T> = {}): Promise<T[]> {
     await this._ensureInitialized();
     try {
       const queryTable = this.buildSelectTable(conditions, options);
       const result = await this.dao!.selectAll(queryTable);
       this._emit('dataFetched', { operation: 'findAll', count: result.length });
-      return result;
+      return result as T[];
     } catch (error) {
       this._handleError('FIND_ALL_ERROR', error as Error);
       throw error;
     }
   }
 
-  async findById(id: string | number): Promise<any> {
+  async findById(id: RecordId): Promise<T | EmptyRecord> {
     await this._ensureInitialized();
     try {
       if (!id) {
         throw new Error('ID is required');
       }
 
-      const conditions = { [this.primaryKeyFields[0]]: id };
+      const conditions = this._buildIdConditions(id);
       const queryTable = this.buildSelectTable(conditions);
       const result = await this.dao!.select(queryTable);
 
       this._emit('dataFetched', { operation: 'findById', id });
-      return result;
+      return result as T | EmptyRecord;
     } catch (error) {
       this._handleError('FIND_BY_ID_ERROR', error as Error);
       throw error;
     }
   }
 
-  async findFirst(conditions: Record<string, any> = {}): Promise<any> {
+  async findFirst(conditions: QueryConditions<T> = {}): Promise<T | EmptyRecord> {
     await this._ensureInitialized();
     try {
       const queryTable = this.buildSelectTable(conditions);
       const result = await this.dao!.select(queryTable);
       this._emit('dataFetched', { operation: 'findFirst' });
-      return result;
+      return result as T | EmptyRecord;
     } catch (error) {
       this._handleError('FIND_FIRST_ERROR', error as Error);
       throw error;
     }
   }
 
-  async create(data: Record<string, any>): Promise<any> {
+  async create(data: TInsert): Promise<T | EmptyRecord> {
     await this._ensureInitialized();
     try {
+      this._assertWritable('create');
       this._validateData(data);
 
       const queryTable = this.buildDataTable(data);
-      await this.dao!.insert(queryTable);
-
-      // Get the created record if it has an ID
-      let result = data;
-      if (data[this.primaryKeyFields[0]]) {
-        result = await this.findById(data[this.primaryKeyFields[0]]);
+      const { insertId } = await this.dao!.insert(queryTable);
+
+      // Get the created record by its ID, or by rowid when the key was generated (AUTO_INCREMENT)
+      let result = data as Record<string, any> as T | EmptyRecord;
+      const id = this._extractId(data);
+      if (id !== undefined) {
+        result = await this.findById(id);
+      } else if (insertId) {
+        result = await this.findFirst({ rowid: insertId } as QueryConditions<T>);
       }
 
       this._emit('dataCreated', { operation: 'create', data: result });
@@ -197,9 +324,10 @@ export class BaseService {
     }
   }
 
-  async update(id: string | number, data: Record<string, any>): Promise<any> {
+  async update(id: RecordId, data: Partial<TInsert>): Promise<T | EmptyRecord | null> {
     await this._ensureInitialized();
     try {
+      this._assertWritable('update');
       if (!id) {
         throw new Error('ID is required for update');
       }
@@ -208,11 +336,16 @@ export class BaseService {
       // Build update data with WHERE condition
       const updateData = {
         ...data,
-        [this.primaryKeyFields[0]]: id,
+        ...this._buildIdConditions(id),
       };
 
       const queryTable = this.buildDataTable(updateData);
-      await this.dao!.update(queryTable);
+      const { rowsAffected } = await this.dao!.update(queryTable);
+
+      // No row matched the ID
+      if (rowsAffected === 0) {
+        return null;
+      }
 
       // Get the updated record
       const result = await this.findById(id);
@@ -224,17 +357,23 @@ export class BaseService {
     }
   }
 
-  async delete(id: string | number): Promise<boolean> {
+  async delete(id: RecordId): Promise<boolean> {
     await this._ensureInitialized();
     try {
+      this._assertWritable('delete');
       if (!id) {
         throw new Error('ID is required for delete');
       }
 
-      const conditions = { [this.primaryKeyFields[0]]: id };
+      const conditions = this._buildIdConditions(id);
       const queryTable = this.buildSelectTable(conditions);
 
-      await this.dao!.delete(queryTable);
+      const { rowsAffected } = await this.dao!.delete(queryTable);
+      // No row matched the ID
+      if (rowsAffected === 0) {
+        return false;
+      }
+
       this._emit('dataDeleted', { operation: 'delete', id });
       return true;
     } catch (error) {
@@ -243,43 +382,100 @@ export class BaseService {
     }
   }
 
-  async bulkCreate(dataArray: Record<string, any>[]): Promise<any[]> {
+  // Insert many records with batched multi-row INSERTs; generated ids are set on records without a primary key
+  async bulkCreate(dataArray: TInsert[], options: InsertManyOptions = {}): Promise<TInsert[]> {
     await this._ensureInitialized();
     try {
+      this._assertWritable('bulkCreate');
       if (!Array.isArray(dataArray) || dataArray.length === 0) {
         throw new Error('Data must be a non-empty array');
       }
 
-      const results: any[] = [];
+      dataArray.forEach((data) => this._validateData(data));
+      // Generated rowids only stand for the key of a single-column primary key
+      const primaryKey = this.primaryKeyFields.length === 1 ? this.primaryKeyFields[0] : null;
+      let results: TInsert[] = [];
 
       // Use transaction for bulk operations
-      await this.executeTransaction(async () => {
+      await this.executeTransaction(async (scoped, tx) => {
+        const { insertIds } = await tx.insertMany(this.tableName, dataArray, options);
+        results = dataArray.map((data, i) =>
+          primaryKey && data[primaryKey] === undefined && insertIds[i] !== undefined
+            ? { ...data, [primaryKey]: insertIds[i] }
+            : data
+        );
+      });
+
+      this._emit('dataBulkCreated', {
+        operation: 'bulkCreate',
+        count: results.length,
+      });
+      return results;
+    } catch (error) {
+      this._handleError('BULK_CREATE_ERROR', error as Error);
+      throw error;
+    }
+  }
+
+  // Insert or update on conflict; the conflict target defaults to the PK or a unique index covered by data
+  async upsert(data: TInsert, options: UpsertOptions = {}): Promise<T | EmptyRecord> {
+    await this._ensureInitialized();
+    try {
+      this._assertWritable('upsert');
+      this._validateData(data);
+
+      const target = this._getConflictTarget(data, options);
+      const queryTable = this.buildDataTable(data);
+      await this.dao!.upsert(queryTable, { ...options, conflictTarget: target });
+
+      // Get the inserted or updated record by its conflict target
+      const key = Object.fromEntries(target.map((column) => [column, data[column]]));
+      const result = await this.findFirst(key as QueryConditions<T>);
+
+      this._emit('dataUpserted', { operation: 'upsert', data: result });
+      return result;
+    } catch (error) {
+      this._handleError('UPSERT_ERROR', error as Error);
+      throw error;
+    }
+  }
+
+  async bulkUpsert(dataArray: TInsert[], options: UpsertOptions = {}): Promise<TInsert[]> {
+    await this._ensureInitialized();
+    try {
+      this._assertWritable('bulkUpsert');
+      if (!Array.isArray(dataArray) || dataArray.length === 0) {
+        throw new Error('Data must be a non-empty array');
+      }
+
+      const results: TInsert[] = [];
+
+      // Use transaction for bulk operations
+      await this.executeTransaction(async (scoped, tx) => {
         for (const data of dataArray) {
           this._validateData(data);
+          const conflictTarget = this._getConflictTarget(data, options);
           const queryTable = this.buildDataTable(data);
-          await this.dao!.insert(queryTable);
+          await tx.upsert(queryTable, { ...options, conflictTarget });
           results.push(data);
         }
       });
 
-      this._emit('dataBulkCreated', {
-        operation: 'bulkCreate',
+      this._emit('dataBulkUpserted', {
+        operation: 'bulkUpsert',
         count: results.length,
       });
       return results;
     } catch (error) {
-      this._handleError('BULK_CREATE_ERROR', error as Error);
+      this._handleError('BULK_UPSERT_ERROR', error as Error);
       throw error;
     }
   }
 
-  async count(conditions: Record<string, any> = {}): Promise<number> {
+  async count(conditions: QueryConditions<T> = {}): Promise<number> {
     await this._ensureInitialized();
     try {
-      const queryTable = this.buildSelectTable(conditions, {
-        columns: ['COUNT(*) as count'],
-      });
-      const result = await this.dao!.select(queryTable);
+      const result = await this.aggregate([{ fn: 'count', alias: 'count' }], conditions);
       return result.count || 0;
     } catch (error) {
       this._handleError('COUNT_ERROR', error as Error);
@@ -287,37 +483,176 @@ export class BaseService {
     }
   }
 
+  // Aggregate over the whole (filtered) table, e.g. [{ fn: 'sum', column: 'tax_rate', alias: 'total' }]
+  async aggregate(
+    aggregates: AggregateColumn[],
+    conditions: QueryConditions<T> = {}
+  ): Promise<Record<string, any>> {
+    await this._ensureInitialized();
+    try {
+      const rows = await this.dao!.aggregate({
+        name: this.tableName,
+        aggregates,
+        wheres: this.buildWheres(conditions),
+      });
+      return rows[0] || {};
+    } catch (error) {
+      this._handleError('AGGREGATE_ERROR', error as Error);
+      throw error;
+    }
+  }
+
+  // Aggregate per group, e.g. groupBy(['enterprise_id', 'status'], [{ fn: 'count', alias: 'total' }])
+  async groupBy(
+    columns: (ColumnName<T> | GroupByColumn)[],
+    aggregates: AggregateColumn[],
+    conditions: QueryConditions<T> = {},
+    options: GroupByOptions = {}
+  ): Promise<Record<string, any>[]> {
+    await this._ensureInitialized();
+    try {
+      const queryTable = this.buildSelectTable(conditions, options);
+      const result = await this.dao!.aggregate({
+        ...queryTable,
+        aggregates,
+        groupBy: columns,
+        having: options.having ? this.buildWheres(options.having) : undefined,
+        cols: queryTable.cols,
+      });
+      this._emit('dataFetched', { operation: 'groupBy', count: result.length });
+      return result;
+    } catch (error) {
+      this._handleError('GROUP_BY_ERROR', error as Error);
+      throw error;
+    }
+  }
+
+  /**
+   * Keyset pagination: returns `pageSize` records after `cursor` and an
+   * opaque `nextCursor` for the following page. Stays fast on large tables
+   * and stable while rows are inserted, unlike findAll with an offset.
+   */
+  async paginate<R = T>(options: PaginateOptions<T> = {}): Promise<Page<R>> {
+    await this._ensureInitialized();
+    try {
+      const { conditions = {}, cursor, pageSize = DEFAULT_PAGE_SIZE } = options;
+      const queryTable = this.buildSelectTable(conditions, {
+        orderBy: options.orderBy,
+        columns: options.columns,
+      });
+      // Con trỏ chỉ hợp lệ với đúng thứ tự sắp xếp đã tạo ra nó
+      const ordering = [
+        ...(options.orderBy || []).map((o) => `${o.name} ${o.direction || 'ASC'}`),
+        ...this.primaryKeyFields,
+      ].join(',');
+      const page = await this.dao!.selectPage(queryTable, {
+        pageSize,
+        after: cursor ? this._decodeCursor(cursor, ordering) : null,
+        key: this.primaryKeyFields,
+      });
+      this._emit('dataFetched', { operation: 'paginate', count: page.rows.length });
+      return {
+        items: page.rows as R[],
+        nextCursor: page.hasMore ? this._encodeCursor(page.last!, ordering) : null,
+        hasMore: page.hasMore,
+      };
+    } catch (error) {
+      this._handleError('PAGINATE_ERROR', error as Error);
+      throw error;
+    }
+  }
+
+  /**
+   * Full-text search over the columns the schema declares in `fts` for the
+   * service table, best match first: `search('cafe sai gon', { columns: ['name'], limit: 10 })`
+   * returns `{ item, rank, snippet }` for each matching record.
+   */
+  async search<R = T>(
+    text: string,
+    options: FullTextSearchOptions = {}
+  ): Promise<FullTextSearchResult<R>[]> {
+    await this._ensureInitialized();
+    try {
+      const results = await this.dao!.search(this.tableName, text, options);
+      this._emit('dataFetched', { operation: 'search', count: results.length });
+      return results as FullTextSearchResult<R>[];
+    } catch (error) {
+      this._handleError('SEARCH_ERROR', error as Error);
+      throw error;
+    }
+  }
+
+  /**
+   * Chainable query on the service table, e.g.
+   * `this.query().where('status', 'active').orderBy('created_at', 'desc').limit(20).all()`.
+   * The database is opened on the first query when the service is not initialized yet.
+   */
+  query<R extends Record<string, any> = T>(alias?: string): QueryBuilder<R> {
+    return new QueryBuilder<R>(
+      this.dao ||
+        (async () => {
+          await this._ensureInitialized();
+          return this.dao!;
+        }),
+      this.tableName,
+      alias
+    );
+  }
+
   // Transaction support
-  async executeTransaction(callback: () => Promise<any>): Promise<any> {
+  // The connection is held exclusively until the callback settles. Calls through this service
+  // (`this` or the service passed in) join the transaction, other services wait for it to end
+  async executeTransaction<R = any>(
+    callback: (service: this, tx: SQLiteDAO) => Promise<R>
+  ): Promise<R> {
     await this._ensureInitialized();
+    const dao = this.dao!;
     try {
-      await this.dao!.beginTransaction();
-      const result = await callback();
-      await this.dao!.commitTransaction();
+      const result = await dao.transaction(async (tx) => {
+        // A nested call gets the same handle back, only the outermost one swaps the DAO
+        this.dao = tx;
+        try {
+          return await callback(this.withTransaction(tx), tx);
+        } finally {
+          this.dao = dao;
+        }
+      });
 
       this._emit('transactionCompleted', { operation: 'transaction' });
       return result;
     } catch (error) {
-      try {
-        await this.dao!.rollbackTransaction();
-      } catch (rollbackError) {
-        this._handleError('ROLLBACK_ERROR', rollbackError as Error);
-      }
       this._handleError('TRANSACTION_ERROR', error as Error);
       throw error;
     }
   }
 
+  // View of this service whose statements run inside `tx` when it is a transaction on the same connection
+  withTransaction(tx: SQLiteDAO): this {
+    if (!this.dao || !this.dao.isSameConnection(tx)) {
+      return this;
+    }
+    const scoped = Object.create(this);
+    scoped.dao = tx;
+    // Methods bound in the constructor still point at the original instance, rebind them to the view
+    const prototype = this.constructor.prototype;
+    Object.getOwnPropertyNames(prototype).forEach((method) => {
+      if (typeof prototype[method] === 'function' && method !== 'constructor') {
+        scoped[method] = prototype[method].bind(scoped);
+      }
+    });
+    return scoped;
+  }
+
   // Legacy method aliases for backward compatibility
-  async getAll(conditions: Record<string, any> = {}, options: FindOptions = {}): Promise<any[]> {
+  async getAll(conditions: QueryConditions<T> = {}, options: FindOptions<T> = {}): Promise<T[]> {
     return this.findAll(conditions, options);
   }
 
-  async getById(id: string | number): Promise<any> {
+  async getById(id: RecordId): Promise<T | EmptyRecord> {
     return this.findById(id);
   }
 
-  async getFirst(conditions: Record<string, any> = {}): Promise<any> {
+  async getFirst(conditions: QueryConditions<T> = {}): Promise<T | EmptyRecord> {
     return this.findFirst(conditions);
   }
 
@@ -375,6 +710,19 @@ export class BaseService {
     this._emit('error', { errorType, error });
   }
 
+  // Service trên một view của schema chỉ đọc được
+  isReadOnly(): boolean {
+    return !!this.dao?.isView(this.tableName);
+  }
+
+  protected _assertWritable(operation: string): void {
+    if (this.isReadOnly()) {
+      throw new Error(
+        `'${this.tableName}' is a view of schema '${this.schemaName}': ${operation}() is not allowed on a read-only service`
+      );
+    }
+  }
+
   // Validation (override in subclasses)
   protected _validateData(data: any): void {
     if (!data || typeof data !== 'object') {
@@ -389,6 +737,73 @@ export class BaseService {
     }
   }
 
+  // Conditions selecting one record by its primary key, which may span several columns
+  protected _buildIdConditions(id: RecordId): Record<string, any> {
+    if (id !== null && typeof id === 'object') {
+      const missing = this.primaryKeyFields.filter(
+        (field) => id[field] === undefined || id[field] === null
+      );
+      if (missing.length > 0) {
+        throw new Error(`ID of ${this.tableName} is missing key field(s): ${missing.join(', ')}`);
+      }
+      return Object.fromEntries(this.primaryKeyFields.map((field) => [field, id[field]]));
+    }
+    if (this.primaryKeyFields.length > 1) {
+      throw new Error(
+        `${this.tableName} has a composite primary key (${this.primaryKeyFields.join(
+          ', '
+        )}), pass an object with every key field as ID`
+      );
+    }
+    return { [this.primaryKeyFields[0]]: id };
+  }
+
+  // The ID of a record when `data` carries every primary key field
+  protected _extractId(data: Record<string, any>): RecordId | undefined {
+    if (this.primaryKeyFields.some((field) => !data[field])) {
+      return undefined;
+    }
+    if (this.primaryKeyFields.length === 1) {
+      return data[this.primaryKeyFields[0]];
+    }
+    return Object.fromEntries(this.primaryKeyFields.map((field) => [field, data[field]]));
+  }
+
+  // Base64 của JSON đã qua encodeURIComponent, nên chỉ cần byte ASCII
+  protected _encodeCursor(values: any[], ordering: string): string {
+    const text = encodeURIComponent(JSON.stringify({ o: ordering, v: values }));
+    return encodeBase64(Uint8Array.from(text, (char) => char.charCodeAt(0)));
+  }
+
+  protected _decodeCursor(cursor: string, ordering: string): any[] {
+    let parsed: any;
+    try {
+      parsed = JSON.parse(decodeURIComponent(String.fromCharCode(...decodeBase64(cursor))));
+    } catch (error) {
+      throw new Error(`Invalid pagination cursor for '${this.tableName}'`);
+    }
+    if (!parsed || !Array.isArray(parsed.v)) {
+      throw new Error(`Invalid pagination cursor for '${this.tableName}'`);
+    }
+    if (parsed.o !== ordering) {
+      throw new Error(
+        `Pagination cursor for '${this.tableName}' was created with a different orderBy (${parsed.o})`
+      );
+    }
+    return parsed.v;
+  }
+
+  // Conflict target of an upsert: the one given in options or the PK/unique index covered by data
+  protected _getConflictTarget(data: Record<string, any>, options: UpsertOptions): string[] {
+    if (options.conflictTarget) {
+      return options.conflictTarget;
+    }
+    const columns = Object.keys(data).filter(
+      (key) => data[key] !== undefined && data[key] !== null
+    );
+    return this.dao!.getConflictTarget(this.tableName, columns);
+  }
+
   // Get database info
   async getDatabaseInfo(): Promise<any> {
     await this._ensureInitialized();
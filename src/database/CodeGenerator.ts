@@ -0,0 +1,284 @@
+import { ConstraintParser } from './ConstraintParser';
+import { ColumnDefinition, DatabaseSchemaWithTypeMapping } from './SQLiteDAO';
+
+export interface CodeGenOptions {
+  // Khóa của schema trong DatabaseManager, mặc định là database_name bỏ đuôi '.db'
+  schemaName?: string;
+  // Module mà file sinh ra import BaseService
+  importPath?: string;
+  // Sinh class kế thừa BaseService<T> cho mỗi bảng và view, mặc định true
+  services?: boolean;
+  // Kiểu TypeScript dùng thay kiểu mặc định của một kiểu generic, ví dụ { json: 'Record<string, any>' }
+  types?: Record<string, string>;
+  // Tên kiểu của dòng theo tên bảng/view, thay cho tên số ít tự suy ra, ví dụ { people: 'Person' }
+  typeNames?: Record<string, string>;
+}
+
+// Tên và thông tin của các cột trong file sinh ra
+interface ColumnInfo {
+  name: string;
+  description?: string;
+  rowType: string;
+  inputType: string;
+  nullable: boolean;
+  // Có thể bỏ trống khi insert: cho phép NULL, có DEFAULT hoặc do SQLite tự sinh
+  optional: boolean;
+}
+
+const DEFAULT_IMPORT_PATH = 'react-native-sqlite-dao-service';
+const PRINT_WIDTH = 100;
+
+// Kiểu của giá trị đọc ra, sau khi ValueCodec decode
+const ROW_TYPES: Record<string, string> = {
+  string: 'string',
+  varchar: 'string',
+  char: 'string',
+  text: 'string',
+  email: 'string',
+  url: 'string',
+  uuid: 'string',
+  time: 'string',
+  integer: 'number',
+  bigint: 'number',
+  smallint: 'number',
+  tinyint: 'number',
+  decimal: 'number',
+  numeric: 'number',
+  float: 'number',
+  double: 'number',
+  real: 'number',
+  boolean: 'boolean',
+  timestamp: 'Date',
+  datetime: 'Date',
+  date: 'Date',
+  json: 'unknown',
+  array: 'unknown[]',
+  blob: 'Uint8Array',
+  binary: 'Uint8Array',
+};
+
+// Kiểu được nhận khi ghi, rộng hơn kiểu đọc ra với các cột có codec
+const INPUT_TYPES: Record<string, string> = {
+  timestamp: 'Date | string',
+  datetime: 'Date | string',
+  date: 'Date | string',
+  blob: 'Uint8Array | ArrayBuffer',
+  binary: 'Uint8Array | ArrayBuffer',
+};
+
+// Khóa chính một cột kiểu này là alias của rowid, SQLite tự sinh giá trị khi bỏ trống
+const INTEGER_TYPES = ['integer', 'bigint', 'smallint', 'tinyint'];
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+export function toPascalCase(name: string): string {
+  const pascal = name
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((word) => word[0].toUpperCase() + word.slice(1))
+    .join('');
+  return /^\d/.test(pascal) ? `T${pascal}` : pascal;
+}
+
+// Số ít theo quy tắc thông thường của tiếng Anh: stores -> store, categories -> category,
+// addresses -> address; tên bất quy tắc (people...) đặt qua CodeGenOptions.typeNames
+export function singularize(name: string): string {
+  if (/[^aeiou]ies$/i.test(name)) return name.slice(0, -3) + 'y';
+  if (/(ss|x|z|ch|sh)es$/i.test(name)) return name.slice(0, -2);
+  if (/(ss|us|is)$/i.test(name)) return name;
+  return name.replace(/s$/i, '');
+}
+
+function quoteString(value: string): string {
+  return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function propertyName(name: string): string {
+  return IDENTIFIER_PATTERN.test(name) ? name : quoteString(name);
+}
+
+function docComment(text: string | undefined, indent = ''): string[] {
+  if (!text || !text.trim()) return [];
+  return [`${indent}/** ${text.trim().replace(/\s+/g, ' ').replace(/\*\//g, '*\\/')} */`];
+}
+
+// Xuống dòng từng thành phần như prettier khi kiểu union dài hơn một dòng
+function typeAlias(name: string, members: string[]): string[] {
+  const line = `export type ${name} = ${members.join(' | ')};`;
+  if (line.length <= PRINT_WIDTH) return [line];
+  return [
+    `export type ${name} =`,
+    ...members.map((member, i) => `  | ${member}${i === members.length - 1 ? ';' : ''}`),
+  ];
+}
+
+/**
+ * Generates a TypeScript module from a schema JSON: for every table a row
+ * interface (as read back through ValueCodec), an insert interface whose
+ * optional fields follow nullability, defaults and generated keys, an update
+ * type, literal unions for `enum` columns and a `BaseService<Row>` subclass;
+ * for every view a row interface and a read-only service. `<Schema>Tables`
+ * maps each table and view name to its row type.
+ */
+export function generateSchemaTypes(
+  schema: DatabaseSchemaWithTypeMapping,
+  options: CodeGenOptions = {}
+): string {
+  if (!schema || typeof schema.schemas !== 'object' || schema.schemas === null) {
+    throw new Error("Schema has no 'schemas' section");
+  }
+  const schemaName = options.schemaName || String(schema.database_name).replace(/\.db$/i, '');
+  const withServices = options.services !== false;
+  const typeOverrides = Object.fromEntries(
+    Object.entries(options.types || {}).map(([type, tsType]) => [type.toLowerCase(), tsType])
+  );
+  // Tên đã sinh -> bảng/cột sinh ra nó, để báo lỗi khi hai đối tượng trùng tên
+  const names = new Map<string, string>();
+  const claim = (name: string, owner: string): string => {
+    const existing = names.get(name);
+    if (existing) throw new Error(`${existing} and ${owner} both generate the type '${name}'`);
+    names.set(name, owner);
+    return name;
+  };
+
+  const describeColumn = (
+    owner: string,
+    rowName: string,
+    col: ColumnDefinition,
+    primaryKey: string[]
+  ): { info: ColumnInfo; enumType?: string[] } => {
+    const type = String(col.type).toLowerCase();
+    const constraints = ConstraintParser.parse(col.constraints, `${owner}.${col.name}`);
+    const isKey = primaryKey.includes(col.name);
+    const generated =
+      constraints.autoIncrement ||
+      !!col.auto_increment ||
+      (isKey && primaryKey.length === 1 && INTEGER_TYPES.includes(type));
+    const nullable = !isKey && !constraints.notNull && col.nullable !== false;
+    const hasDefault = constraints.default !== undefined || col.default !== undefined;
+
+    let rowType = typeOverrides[type] || ROW_TYPES[type] || 'unknown';
+    let inputType = typeOverrides[type] || INPUT_TYPES[type] || rowType;
+    let enumType: string[] | undefined;
+    if (col.enum && col.enum.length > 0) {
+      const enumName = claim(`${rowName}${toPascalCase(col.name)}`, `'${owner}.${col.name}'`);
+      enumType = typeAlias(
+        enumName,
+        col.enum.map((value) => (typeof value === 'number' ? String(value) : quoteString(value)))
+      );
+      rowType = inputType = enumName;
+    }
+    return {
+      info: {
+        name: col.name,
+        description: col.description,
+        rowType,
+        inputType,
+        nullable,
+        optional: nullable || hasDefault || generated,
+      },
+      enumType,
+    };
+  };
+
+  const field = (col: ColumnInfo, type: string, optional: boolean): string[] => [
+    ...docComment(col.description, '  '),
+    `  ${propertyName(col.name)}${optional ? '?' : ''}: ${type}${col.nullable ? ' | null' : ''};`,
+  ];
+
+  // BaseService<Row, RowInsert> cho bảng, BaseService<Row> cho view
+  const serviceClass = (serviceName: string, typeArgs: string, source: string, keys: string[]) => [
+    `export class ${serviceName} extends BaseService<${typeArgs}> {`,
+    '  constructor() {',
+    `    super(${quoteString(schemaName)}, ${quoteString(source)});`,
+    // BaseService mặc định dùng khóa chính ['id']
+    ...(keys.length > 0 && keys.join() !== 'id'
+      ? [`    this.setPrimaryKeyFields([${keys.map(quoteString).join(', ')}]);`]
+      : []),
+    '  }',
+    '}',
+  ];
+
+  const blocks: string[][] = [];
+  // Tên bảng/view -> kiểu dòng, cho interface <Schema>Tables ở cuối file
+  const rowTypes: [string, string][] = [];
+  for (const [tableName, table] of Object.entries(schema.schemas)) {
+    const rowName = options.typeNames?.[tableName] || toPascalCase(singularize(tableName));
+    const primaryKey =
+      table.primary_key ||
+      table.cols
+        .filter(
+          (col) =>
+            col.primary_key ||
+            ConstraintParser.parse(col.constraints, `${tableName}.${col.name}`).primaryKey
+        )
+        .map((col) => col.name);
+    claim(rowName, `table '${tableName}'`);
+    rowTypes.push([tableName, rowName]);
+    claim(`${rowName}Insert`, `table '${tableName}'`);
+    claim(`${rowName}Update`, `table '${tableName}'`);
+    const columns = table.cols.map((col) => describeColumn(tableName, rowName, col, primaryKey));
+
+    blocks.push(...columns.filter((col) => col.enumType).map((col) => col.enumType!));
+    blocks.push([
+      ...docComment(table.description),
+      `export interface ${rowName} {`,
+      ...columns.flatMap(({ info }) => field(info, info.rowType, false)),
+      '}',
+    ]);
+    blocks.push([
+      `export interface ${rowName}Insert {`,
+      ...columns.flatMap(({ info }) => field(info, info.inputType, info.optional)),
+      '}',
+    ]);
+    blocks.push([`export type ${rowName}Update = Partial<${rowName}Insert>;`]);
+    if (withServices) {
+      const serviceName = claim(`${rowName}Service`, `table '${tableName}'`);
+      blocks.push(serviceClass(serviceName, `${rowName}, ${rowName}Insert`, tableName, primaryKey));
+    }
+  }
+
+  for (const view of schema.views || []) {
+    const rowName = claim(
+      options.typeNames?.[view.name] || toPascalCase(view.name),
+      `view '${view.name}'`
+    );
+    rowTypes.push([view.name, rowName]);
+    const columns = view.cols.map((col) => describeColumn(view.name, rowName, col, []));
+
+    blocks.push(...columns.filter((col) => col.enumType).map((col) => col.enumType!));
+    blocks.push([
+      ...docComment(view.description),
+      `export interface ${rowName} {`,
+      ...columns.flatMap(({ info }) => field(info, info.rowType, false)),
+      '}',
+    ]);
+    if (withServices) {
+      const serviceName = claim(`${rowName}Service`, `view '${view.name}'`);
+      blocks.push([
+        `/** Read-only: '${view.name}' is a view. */`,
+        ...serviceClass(serviceName, rowName, view.name, []),
+      ]);
+    }
+  }
+
+  const tablesName = claim(`${toPascalCase(schemaName)}Tables`, `schema '${schemaName}'`);
+  blocks.push([
+    `/** Row type of each table and view of the schema '${schemaName}'. */`,
+    `export interface ${tablesName} {`,
+    ...rowTypes.map(([source, rowName]) => `  ${propertyName(source)}: ${rowName};`),
+    '}',
+  ]);
+
+  const header = [
+    `// Generated from the schema '${schema.database_name}' (version ${schema.version}) by sqlite-dao-codegen.`,
+    '// Do not edit by hand: change the schema JSON and run the generator again.',
+  ];
+  if (withServices && rowTypes.length > 0) {
+    header.push(
+      '',
+      `import { BaseService } from ${quoteString(options.importPath || DEFAULT_IMPORT_PATH)};`
+    );
+  }
+  return [header, ...blocks].map((block) => block.join('\n')).join('\n\n') + '\n';
+}
@@ -0,0 +1,310 @@
+// Ràng buộc của một cột sau khi phân tích chuỗi `constraints` trong schema JSON
+export interface ColumnConstraints {
+  primaryKey: boolean;
+  // ASC/DESC của PRIMARY KEY nếu có khai báo
+  primaryKeyOrder?: 'ASC' | 'DESC';
+  autoIncrement: boolean;
+  notNull: boolean;
+  unique: boolean;
+  // Biểu thức SQL của DEFAULT, giữ nguyên chữ hoa/thường của literal
+  default?: string;
+  collate?: string;
+  // Biểu thức bên trong từng CHECK (...)
+  checks: string[];
+  references?: {
+    table: string;
+    column?: string;
+    onDelete?: string;
+    onUpdate?: string;
+  };
+}
+
+type TokenType = 'word' | 'string' | 'number' | 'identifier' | 'symbol';
+
+interface Token {
+  type: TokenType;
+  // Từ khóa được viết hoa, các loại còn lại giữ nguyên văn bản gốc
+  value: string;
+  start: number;
+  end: number;
+}
+
+const WORD_PATTERN = /[A-Za-z_][A-Za-z0-9_$]*/y;
+const NUMBER_PATTERN = /(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?/y;
+
+// DEFAULT không cần ngoặc với các từ khóa này; TRUE/FALSE được đổi thành 1/0 cho SQLite trước 3.23
+const DEFAULT_KEYWORDS: Record<string, string> = {
+  NULL: 'NULL',
+  TRUE: '1',
+  FALSE: '0',
+  CURRENT_TIMESTAMP: 'CURRENT_TIMESTAMP',
+  CURRENT_DATE: 'CURRENT_DATE',
+  CURRENT_TIME: 'CURRENT_TIME',
+};
+
+/**
+ * Parses the `constraints` string of a schema column (`NOT NULL DEFAULT
+ * 'active'`, `CHECK (price >= 0)`, `REFERENCES stores(id) ON DELETE
+ * CASCADE`, ...) without changing the case of literals or expressions.
+ * Anything it does not recognise is reported as a schema error.
+ */
+export class ConstraintParser {
+  private tokens: Token[];
+  private position = 0;
+
+  private constructor(
+    private readonly text: string,
+    private readonly column: string
+  ) {
+    this.tokens = this.tokenize();
+  }
+
+  static parse(constraints: string | undefined, column: string): ColumnConstraints {
+    const parsed: ColumnConstraints = {
+      primaryKey: false,
+      autoIncrement: false,
+      notNull: false,
+      unique: false,
+      checks: [],
+    };
+    if (!constraints || !constraints.trim()) return parsed;
+    return new ConstraintParser(constraints, column).parseConstraints(parsed);
+  }
+
+  private parseConstraints(parsed: ColumnConstraints): ColumnConstraints {
+    while (this.peek()) {
+      const token = this.next();
+      switch (token.type === 'word' ? token.value : '') {
+        case 'PRIMARY':
+          this.expectWord('KEY');
+          parsed.primaryKey = true;
+          if (this.acceptWord('ASC')) parsed.primaryKeyOrder = 'ASC';
+          else if (this.acceptWord('DESC')) parsed.primaryKeyOrder = 'DESC';
+          break;
+        case 'AUTOINCREMENT':
+        case 'AUTO_INCREMENT':
+          parsed.autoIncrement = true;
+          break;
+        case 'NOT':
+          this.expectWord('NULL');
+          parsed.notNull = true;
+          break;
+        case 'NULL':
+          break;
+        case 'UNIQUE':
+          parsed.unique = true;
+          break;
+        case 'DEFAULT':
+          parsed.default = this.parseDefault();
+          break;
+        case 'CHECK':
+          parsed.checks.push(this.parseParenthesized('CHECK').slice(1, -1).trim());
+          break;
+        case 'COLLATE':
+          parsed.collate = this.expectName('COLLATE');
+          break;
+        case 'REFERENCES':
+          parsed.references = this.parseReferences();
+          break;
+        default:
+          throw this.error(`unknown constraint '${this.source(token)}'`, token);
+      }
+    }
+    return parsed;
+  }
+
+  private parseDefault(): string {
+    const token = this.peek();
+    if (!token) throw this.error('DEFAULT requires a value');
+    if (token.type === 'symbol' && token.value === '(') return this.parseParenthesized('DEFAULT');
+    this.position++;
+    if (token.type === 'string' || token.type === 'number') return token.value;
+    if (token.type === 'symbol' && (token.value === '-' || token.value === '+')) {
+      const number = this.next();
+      if (number?.type !== 'number') {
+        throw this.error(`DEFAULT ${token.value} must be followed by a number`, number);
+      }
+      return `${token.value}${number.value}`;
+    }
+    if (token.type === 'word' && DEFAULT_KEYWORDS[token.value]) {
+      return DEFAULT_KEYWORDS[token.value];
+    }
+    throw this.error(
+      `DEFAULT expects a literal, NULL, TRUE, FALSE, CURRENT_TIMESTAMP, CURRENT_DATE, CURRENT_TIME or a (expression), got '${this.source(
+        token
+      )}'`,
+      token
+    );
+  }
+
+  private parseReferences(): ColumnConstraints['references'] {
+    const references: ColumnConstraints['references'] = {
+      table: this.expectName('REFERENCES'),
+    };
+    if (this.acceptSymbol('(')) {
+      references.column = this.expectName('REFERENCES');
+      this.expectSymbol(')');
+    }
+    while (this.acceptWord('ON')) {
+      const event = this.next();
+      if (event?.value !== 'DELETE' && event?.value !== 'UPDATE') {
+        throw this.error('expected ON DELETE or ON UPDATE', event);
+      }
+      const action = this.parseForeignKeyAction();
+      if (event.value === 'DELETE') references.onDelete = action;
+      else references.onUpdate = action;
+    }
+    return references;
+  }
+
+  private parseForeignKeyAction(): string {
+    if (this.acceptWord('CASCADE')) return 'CASCADE';
+    if (this.acceptWord('RESTRICT')) return 'RESTRICT';
+    if (this.acceptWord('SET')) {
+      if (this.acceptWord('NULL')) return 'SET NULL';
+      this.expectWord('DEFAULT');
+      return 'SET DEFAULT';
+    }
+    if (this.acceptWord('NO')) {
+      this.expectWord('ACTION');
+      return 'NO ACTION';
+    }
+    throw this.error(
+      'expected a foreign key action: CASCADE, RESTRICT, SET NULL, SET DEFAULT or NO ACTION',
+      this.peek()
+    );
+  }
+
+  // Trả về nguyên văn "( ... )" với các ngoặc lồng nhau, chuỗi trong biểu thức được giữ nguyên
+  private parseParenthesized(clause: string): string {
+    const open = this.peek();
+    if (open?.type !== 'symbol' || open.value !== '(') {
+      throw this.error(`${clause} requires a parenthesized expression`, open);
+    }
+    let depth = 0;
+    while (this.peek()) {
+      const token = this.next();
+      if (token.type !== 'symbol') continue;
+      if (token.value === '(') depth++;
+      if (token.value === ')' && --depth === 0) {
+        const expression = this.text.slice(open.start, token.end);
+        if (!expression.slice(1, -1).trim()) {
+          throw this.error(`${clause} expression is empty`, open);
+        }
+        return expression;
+      }
+    }
+    throw this.error(`unbalanced parentheses after ${clause}`, open);
+  }
+
+  private tokenize(): Token[] {
+    const tokens: Token[] = [];
+    let index = 0;
+    while (index < this.text.length) {
+      const char = this.text[index];
+      if (/\s/.test(char)) {
+        index++;
+        continue;
+      }
+      const start = index;
+      if (char === "'" || char === '"' || char === '`' || char === '[') {
+        const close = char === '[' ? ']' : char;
+        index++;
+        // '' bên trong chuỗi là một dấu nháy đã escape
+        while (index < this.text.length) {
+          if (this.text[index] === close) {
+            if (close !== ']' && this.text[index + 1] === close) index += 2;
+            else break;
+          } else {
+            index++;
+          }
+        }
+        if (index >= this.text.length) {
+          throw this.error(`unterminated ${char === "'" ? 'string' : 'quoted name'}`, {
+            type: 'symbol',
+            value: char,
+            start,
+            end: start + 1,
+          });
+        }
+        index++;
+        const raw = this.text.slice(start, index);
+        tokens.push({
+          type: char === "'" ? 'string' : 'identifier',
+          value: char === "'" ? raw : raw.slice(1, -1),
+          start,
+          end: index,
+        });
+        continue;
+      }
+      WORD_PATTERN.lastIndex = index;
+      NUMBER_PATTERN.lastIndex = index;
+      const word = WORD_PATTERN.exec(this.text);
+      const number = word ? null : NUMBER_PATTERN.exec(this.text);
+      if (word) {
+        index += word[0].length;
+        tokens.push({ type: 'word', value: word[0].toUpperCase(), start, end: index });
+      } else if (number) {
+        index += number[0].length;
+        tokens.push({ type: 'number', value: number[0], start, end: index });
+      } else {
+        index++;
+        tokens.push({ type: 'symbol', value: char, start, end: index });
+      }
+    }
+    return tokens;
+  }
+
+  private peek(): Token | undefined {
+    return this.tokens[this.position];
+  }
+
+  private next(): Token {
+    return this.tokens[this.position++];
+  }
+
+  private acceptWord(word: string): boolean {
+    const token = this.peek();
+    if (token?.type !== 'word' || token.value !== word) return false;
+    this.position++;
+    return true;
+  }
+
+  private acceptSymbol(symbol: string): boolean {
+    const token = this.peek();
+    if (token?.type !== 'symbol' || token.value !== symbol) return false;
+    this.position++;
+    return true;
+  }
+
+  private expectWord(word: string): void {
+    if (!this.acceptWord(word)) throw this.error(`expected ${word}`, this.peek());
+  }
+
+  private expectSymbol(symbol: string): void {
+    if (!this.acceptSymbol(symbol)) throw this.error(`expected '${symbol}'`, this.peek());
+  }
+
+  // Tên bảng/cột/collation, có thể đặt trong nháy kép
+  private expectName(clause: string): string {
+    const token = this.peek();
+    if (token?.type !== 'word' && token?.type !== 'identifier') {
+      throw this.error(`${clause} requires a name`, token);
+    }
+    this.position++;
+    return token.type === 'word' ? this.source(token) : token.value;
+  }
+
+  private source(token: Token): string {
+    return this.text.slice(token.start, token.end);
+  }
+
+  private error(message: string, token?: Token): Error {
+    const where = token ? ` at position ${token.start + 1}` : ' at the end';
+    return new Error(
+      `Invalid constraints for column '${this.column}'${where}: ${message} in "${this.text}"`
+    );
+  }
+}
+
+export default ConstraintParser;
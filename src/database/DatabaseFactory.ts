@@ -1,6 +1,9 @@
 import {Platform} from 'react-native';
 import RNFS from 'react-native-fs';
 import SQLiteDAO, {DatabaseSchemaWithTypeMapping} from './SQLiteDAO';
+import {Migration, MigrationRunner} from './MigrationRunner';
+import {SchemaDiff} from './SchemaDiff';
+import {SQLiteDriver} from './drivers';
 
 // Interface for database factory options
 interface DbFactoryOptions {
@@ -9,6 +12,9 @@ interface DbFactoryOptions {
   configAsset?: any; // Option 3: Provide a required JSON asset
   dbDirectory?: string; // Optional: Directory to store the .db file
   debug?: boolean; // Optional: Enable debug logging
+  migrations?: Migration[]; // Optional: Migrations with JS callbacks, added to those declared in the schema
+  syncSchema?: 'apply' | 'dry-run'; // Optional: Diff an existing database against the schema, then apply the plan or only log it
+  driver?: SQLiteDriver; // Optional: SQLite engine, the default driver (react-native-sqlite-storage) if omitted
 }
 
 /**
@@ -44,23 +50,55 @@ export class DatabaseFactory {
   }
 
   /**
-   * Thêm kiểm tra phiên bản schema trong DatabaseFactory để đảm bảo schema trong mã khớp với cơ sở dữ liệu hiện tại:
-   * Lợi ích: Ngăn chặn lỗi do schema không đồng bộ.
-   * @param dao 
-   * @param schema 
+   * Brings an existing database up to the latest migration version.
+   * Thay cho việc so sánh version của schema JSON với PRAGMA user_version:
+   * database cũ được nâng cấp, database mới hơn ứng dụng sẽ báo lỗi rõ ràng.
+   * @param dao Connected DAO
+   * @param migrations Migrations from the schema and the factory options
    */
-  private static async validateSchemaVersion(
+  private static async runMigrations(
     dao: SQLiteDAO,
-    schema: DatabaseSchemaWithTypeMapping,
+    migrations: Migration[],
   ): Promise<void> {
-    const dbInfo = await dao.getDatabaseInfo();
-    if (dbInfo.version !== schema.version) {
-      throw new Error(
-        `Schema version mismatch: database (${dbInfo.version}) vs config (${schema.version})`,
+    const result = await new MigrationRunner(dao, migrations).migrate();
+    if (result.applied.length > 0) {
+      console.log(
+        `⬆️ Migrated '${dao.getDatabaseName()}' from version ${result.from} to ${
+          result.to
+        }.`,
       );
     }
   }
 
+  /**
+   * Compares an existing database with its schema after migrations have run.
+   * 'apply' adds what is missing and rebuilds changed tables, except rebuilds
+   * that would drop columns with data, which are only logged.
+   */
+  private static async syncSchema(
+    dao: SQLiteDAO,
+    schema: DatabaseSchemaWithTypeMapping,
+    mode: 'apply' | 'dry-run',
+  ): Promise<void> {
+    // type_mapping của schema quyết định kiểu SQLite được so sánh
+    dao.setSchema(schema);
+    const diff = new SchemaDiff(dao, schema);
+    const plan = await diff.plan();
+    if (plan.changes.length === 0) return;
+    console.log(SchemaDiff.format(plan));
+    if (mode === 'dry-run') return;
+
+    const safe = plan.changes.filter(change => !change.dataLoss);
+    if (safe.length < plan.changes.length)
+      console.warn(
+        `⚠️ Skipped changes of '${plan.database}' that drop columns: ${plan.changes
+          .filter(change => change.dataLoss)
+          .map(change => change.table)
+          .join(', ')}. Apply them with SchemaDiff and allowDataLoss.`,
+      );
+    if (safe.length > 0) await diff.apply({...plan, changes: safe});
+  }
+
   /**
    * Opens an existing database without initializing its schema.
    * Thêm kiểm tra tính toàn vẹn file cơ sở dữ liệu trong DatabaseFactory.openExisting() để phát hiện file bị hỏng:
@@ -71,10 +109,7 @@ export class DatabaseFactory {
    */
   public static async openExisting(
     dbName: string,
-    options: Omit<
-      DbFactoryOptions,
-      'config' | 'configAsset' | 'configPath'
-    > = {},
+    options: Omit<DbFactoryOptions, 'configAsset' | 'configPath'> = {},
   ): Promise<SQLiteDAO> {
     // Step 1: Determine the database file path
     const outputDir = this.getDbDirectory(options.dbDirectory);
@@ -94,12 +129,23 @@ export class DatabaseFactory {
     console.log(`🗄️ Opening existing database at: ${dbPath}`);
 
     // Step 3: Create and connect DAO instance
-    const dao = new SQLiteDAO(dbFileName, options.debug ?? __DEV__);
+    const dao = new SQLiteDAO(
+      dbFileName,
+      options.debug ?? __DEV__,
+      options.driver,
+    );
     try {
       await dao.connect();
       // Kiểm tra tính toàn vẹn
       //
       await dao.runSql('PRAGMA integrity_check');
+      if (options.migrations && options.migrations.length > 0) {
+        await this.runMigrations(dao, options.migrations);
+      }
+      // config chỉ dùng để so sánh schema, không khởi tạo bảng
+      if (options.config && options.syncSchema) {
+        await this.syncSchema(dao, options.config, options.syncSchema);
+      }
       console.log(
         `🔗 Connection to existing database '${dbFileName}' established.`,
       );
@@ -277,15 +323,33 @@ export class DatabaseFactory {
     console.log(`🗄️ Database will be created/connected at: ${dbPath}`);
 
     // Step 3: Initialize DAO, connect, and build the schema
-    const dao = new SQLiteDAO(dbFileName, options.debug ?? true);
+    const dao = new SQLiteDAO(
+      dbFileName,
+      options.debug ?? true,
+      options.driver,
+    );
 
     try {
       // Establish the connection to the database file
       await dao.connect();
       console.log('🔗 Connection to the database has been established.');
 
-      // Initialize the database schema (creates tables, indexes, etc.)
-      await dao.initializeFromSchema(schema);
+      const migrations = [
+        ...(schema.migrations || []),
+        ...(options.migrations || []),
+      ];
+      const runner = new MigrationRunner(dao, migrations);
+      if (await runner.isFreshDatabase()) {
+        // A new file gets the latest schema directly and is stamped with the latest version
+        await dao.initializeFromSchema(schema);
+        if (runner.getLatestVersion() > 0) await runner.baseline();
+      } else {
+        // Upgrade an existing file first, then create tables/indexes the schema added
+        await this.runMigrations(dao, migrations);
+        if (options.syncSchema)
+          await this.syncSchema(dao, schema, options.syncSchema);
+        await dao.initializeFromSchema(schema);
+      }
       console.log('🎉 Database schema has been successfully initialized.');
 
       // Step 4: Return the fully configured and ready-to-use DAO instance
@@ -310,10 +374,7 @@ export class DatabaseFactory {
    */
   public static async createFromAsset(
     configAsset: DatabaseSchemaWithTypeMapping,
-    options: Omit<
-      DbFactoryOptions,
-      'config' | 'configAsset' | 'configPath'
-    > = {},
+    options: Omit<DbFactoryOptions, 'configAsset' | 'configPath'> = {},
   ): Promise<SQLiteDAO> {
     return this.create({
       ...options,
@@ -329,10 +390,7 @@ export class DatabaseFactory {
    */
   public static async createFromConfig(
     config: DatabaseSchemaWithTypeMapping,
-    options: Omit<
-      DbFactoryOptions,
-      'config' | 'configAsset' | 'configPath'
-    > = {},
+    options: Omit<DbFactoryOptions, 'configAsset' | 'configPath'> = {},
   ): Promise<SQLiteDAO> {
     return this.create({
       ...options,
@@ -348,10 +406,7 @@ export class DatabaseFactory {
    */
   public static async createFromPath(
     configPath: string,
-    options: Omit<
-      DbFactoryOptions,
-      'config' | 'configAsset' | 'configPath'
-    > = {},
+    options: Omit<DbFactoryOptions, 'configAsset' | 'configPath'> = {},
   ): Promise<SQLiteDAO> {
     return this.create({
       ...options,
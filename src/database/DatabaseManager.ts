@@ -1,8 +1,8 @@
 import {AppState, AppStateStatus} from 'react-native';
 import RNFS from 'react-native-fs';
 import {DatabaseFactory} from './DatabaseFactory';
-import SQLiteDAO from './SQLiteDAO';
-import {schemaConfigurations} from './schemas'; // Import the central schema registry
+import SQLiteDAO, {QueryHooks} from './SQLiteDAO';
+import {schemaConfigurations, SchemaName} from './schemas'; // Import the central schema registry
 
 /**
  * @description A record to hold active database connections (DAOs).
@@ -17,8 +17,8 @@ export type DatabaseConnections = {
  */
 export interface RoleConfig {
   roleName: string;
-  requiredDatabases: string[];
-  optionalDatabases?: string[];
+  requiredDatabases: SchemaName[];
+  optionalDatabases?: SchemaName[];
   priority?: number; // Higher priority roles get initialized first
 }
 
@@ -48,6 +48,13 @@ export class DatabaseManager {
   private static currentRole: string | null = null;
   private static currentUserRoles: string[] = []; // User can have multiple roles
 
+  // Query hooks and slow-query threshold applied to every connection, including ones opened later
+  private static queryHooks: QueryHooks[] = [];
+  private static slowQueryThreshold: number | null | undefined;
+
+  // Schema sync mode per database, databases not listed only log the plan ('dry-run')
+  private static schemaSync: Partial<Record<SchemaName, 'apply' | 'dry-run'>> = {};
+
   /**
    * Register a role configuration in the parent registry
    * @param roleConfig Role configuration object
@@ -78,7 +85,7 @@ export class DatabaseManager {
    * @param roleName Role name
    * @returns Array of database keys the role can access
    */
-  public static getRoleDatabases(roleName: string): string[] {
+  public static getRoleDatabases(roleName: string): SchemaName[] {
     const roleConfig = this.roleRegistry[roleName];
     if (!roleConfig) {
       throw new Error(`Role '${roleName}' is not registered.`);
@@ -94,8 +101,8 @@ export class DatabaseManager {
    * Get all databases that current user's roles can access
    * @returns Array of unique database keys
    */
-  public static getCurrentUserDatabases(): string[] {
-    const allDatabases = new Set<string>();
+  public static getCurrentUserDatabases(): SchemaName[] {
+    const allDatabases = new Set<SchemaName>();
     
     // Always include core database
     allDatabases.add('core');
@@ -114,6 +121,83 @@ export class DatabaseManager {
     return Array.from(allDatabases);
   }
 
+  /**
+   * Open an existing database file, check its integrity and attach its JSON schema to the DAO
+   * @param key Database key in schemaConfigurations
+   */
+  private static async openConnection(key: string): Promise<SQLiteDAO> {
+    const dao = await DatabaseFactory.openExisting(key, {
+      config: schemaConfigurations[key],
+      migrations: schemaConfigurations[key]?.migrations,
+      syncSchema: this.schemaSync[key as SchemaName] || 'dry-run',
+    });
+    this.instrument(dao);
+    await dao.runSql('PRAGMA integrity_check');
+    if (schemaConfigurations[key]) {
+      dao.setSchema(schemaConfigurations[key]);
+    }
+    return dao;
+  }
+
+  /**
+   * Choose how databases are reconciled with their JSON schema when opened (after migrations).
+   * The default 'dry-run' only logs the plan; 'apply' adds missing tables, columns and indexes
+   * and rebuilds changed tables (copy, drop, rename), skipping rebuilds that drop columns
+   * @param mode 'apply' or 'dry-run'
+   * @param keys Databases the mode is set for, every database in schemaConfigurations if omitted
+   */
+  public static setSchemaSync(mode: 'apply' | 'dry-run', keys?: SchemaName[]): void {
+    if (mode !== 'apply' && mode !== 'dry-run') {
+      throw new Error(`Schema sync mode must be 'apply' or 'dry-run', got ${JSON.stringify(mode)}`);
+    }
+    for (const key of keys || (Object.keys(schemaConfigurations) as SchemaName[])) {
+      this.schemaSync[key] = mode;
+    }
+  }
+
+  /**
+   * Subscribe to the statements of every connection, including connections opened later,
+   * e.g. to feed telemetry with SQL, parameters, duration, row count and errors
+   * @param hooks beforeQuery / afterQuery / onSlowQuery callbacks
+   * @returns Function that unsubscribes the hooks from all connections
+   */
+  public static addQueryHooks(hooks: QueryHooks): () => void {
+    this.queryHooks.push(hooks);
+    Object.values(this.connections).forEach(dao => dao.addQueryHooks(hooks));
+    return () => this.removeQueryHooks(hooks);
+  }
+
+  public static removeQueryHooks(hooks: QueryHooks): void {
+    this.queryHooks = this.queryHooks.filter(
+      registered => registered !== hooks,
+    );
+    Object.values(this.connections).forEach(dao => dao.removeQueryHooks(hooks));
+  }
+
+  /**
+   * Set the duration from which statements of every connection are reported to onSlowQuery
+   * @param ms Threshold in milliseconds, or null to stop reporting slow queries
+   */
+  public static setSlowQueryThreshold(ms: number | null): void {
+    if (ms !== null && (typeof ms !== 'number' || !(ms >= 0))) {
+      throw new Error(
+        `Slow query threshold must be a non-negative number of milliseconds or null, got ${JSON.stringify(ms)}`,
+      );
+    }
+    this.slowQueryThreshold = ms;
+    Object.values(this.connections).forEach(dao =>
+      dao.setSlowQueryThreshold(ms),
+    );
+  }
+
+  // Gắn query hooks và ngưỡng câu lệnh chậm đã đăng ký vào một kết nối mới
+  private static instrument(dao: SQLiteDAO): void {
+    this.queryHooks.forEach(hooks => dao.addQueryHooks(hooks));
+    if (this.slowQueryThreshold !== undefined) {
+      dao.setSlowQueryThreshold(this.slowQueryThreshold);
+    }
+  }
+
   /**
    * Initialize core database connection (always required)
    * @returns Promise that resolves when core database is connected
@@ -131,8 +215,7 @@ export class DatabaseManager {
         throw new Error('Core database schema not found in schemaConfigurations.');
       }
 
-      const dao = await DatabaseFactory.openExisting('core');
-      await dao.runSql('PRAGMA integrity_check');
+      const dao = await this.openConnection('core');
       this.connections['core'] = dao;
       
       console.log('[DatabaseManager] ✅ Core database connection established.');
@@ -211,8 +294,7 @@ export class DatabaseManager {
           throw new Error(`Database key '${dbKey}' not found in schemaConfigurations.`);
         }
 
-        const dao = await DatabaseFactory.openExisting(dbKey);
-        await dao.runSql('PRAGMA integrity_check');
+        const dao = await this.openConnection(dbKey);
         this.connections[dbKey] = dao;
         
         console.log(`[DB Role Init] <<<<< ✅ Successfully initialized '${dbKey}'.`);
@@ -253,7 +335,7 @@ export class DatabaseManager {
    */
   private static async cleanupUnusedConnections(previousRoles: string[]): Promise<void> {
     // Get databases that were needed by previous roles
-    const previousDatabases = new Set<string>();
+    const previousDatabases = new Set<SchemaName>();
     previousDatabases.add('core'); // Always keep core
     
     for (const roleName of previousRoles) {
@@ -294,7 +376,7 @@ export class DatabaseManager {
    * @param dbKey Database key
    * @returns True if user has access, false otherwise
    */
-  public static hasAccessToDatabase(dbKey: string): boolean {
+  public static hasAccessToDatabase(dbKey: SchemaName): boolean {
     const allowedDatabases = this.getCurrentUserDatabases();
     return allowedDatabases.includes(dbKey);
   }
@@ -304,7 +386,7 @@ export class DatabaseManager {
    * @param key Database key
    * @returns SQLiteDAO instance
    */
-  public static get(key: keyof typeof schemaConfigurations): SQLiteDAO {
+  public static get(key: SchemaName): SQLiteDAO {
     // Check if user has access to this database
     if (!this.hasAccessToDatabase(key)) {
       throw new Error(`Access denied: Database '${key}' is not accessible by current user roles: ${this.currentUserRoles.join(', ')}`);
@@ -384,7 +466,7 @@ export class DatabaseManager {
     return { ...this.connections };
   }
 
-  public static async debugDatabaseFiles(databaseKeys: string[]): Promise<void> {
+  public static async debugDatabaseFiles(databaseKeys: SchemaName[]): Promise<void> {
     console.log('=== DATABASE FILES DEBUG ===');
 
     for (const key of databaseKeys) {
@@ -421,7 +503,7 @@ export class DatabaseManager {
     console.log('=== END DEBUG ===');
   }
 
-  public static async openAllExisting(databaseKeys: string[]): Promise<boolean> {
+  public static async openAllExisting(databaseKeys: SchemaName[]): Promise<boolean> {
     const startTime = Date.now();
 
     console.log('=== BEFORE OPENING EXISTING DATABASES ===');
@@ -437,8 +519,7 @@ export class DatabaseManager {
           throw new Error(`Invalid database key: ${key}. Not found in schemaConfigurations.`);
         }
 
-        const dao = await DatabaseFactory.openExisting(key);
-        await dao.runSql('PRAGMA integrity_check');
+        const dao = await this.openConnection(key);
         this.connections[key] = dao;
         console.log(`[DB Open] <<<<< ✅ Successfully opened '${key}'.`);
       } catch (error) {
@@ -478,6 +559,7 @@ export class DatabaseManager {
           const dao = await DatabaseFactory.createFromConfig(schema, {
             debug: __DEV__,
           });
+          this.instrument(dao);
           this.connections[key] = dao;
           console.log(`[DB Init] <<<<< ✅ Initialized '${key}'.`);
         } catch (error) {
@@ -504,7 +586,7 @@ export class DatabaseManager {
     this.setupAppStateListener();
   }
 
-  public static async getLazyLoading(key: keyof typeof schemaConfigurations): Promise<SQLiteDAO> {
+  public static async getLazyLoading(key: SchemaName): Promise<SQLiteDAO> {
     // Check access permission first
     if (!this.hasAccessToDatabase(key)) {
       throw new Error(`Access denied: Database '${key}' is not accessible by current user roles: ${this.currentUserRoles.join(', ')}`);
@@ -520,8 +602,7 @@ export class DatabaseManager {
       }
 
       console.log(`[DB Lazy Init] >>>>> Initializing database '${key}'...`);
-      const dao = await DatabaseFactory.openExisting(key);
-      await dao.runSql('PRAGMA integrity_check');
+      const dao = await this.openConnection(key);
       this.connections[key] = dao;
       console.log(`[DB Lazy Init] <<<<< ✅ Initialized '${key}'.`);
     }
@@ -532,9 +613,9 @@ export class DatabaseManager {
     return this.connections[key];
   }
 
-  public static async executeCrossSchemaTransaction(
-    schemas: string[],
-    callback: (daos: Record<string, SQLiteDAO>) => Promise<void>,
+  public static async executeCrossSchemaTransaction<S extends SchemaName>(
+    schemas: S[],
+    callback: (daos: Record<S, SQLiteDAO>) => Promise<void>,
   ): Promise<void> {
     // Check access permissions for all schemas
     for (const key of schemas) {
@@ -543,19 +624,18 @@ export class DatabaseManager {
       }
     }
 
-    const daos = schemas.reduce((acc, key) => {
-      acc[key] = this.get(key);
-      return acc;
-    }, {} as Record<string, SQLiteDAO>);
-
-    try {
-      await Promise.all(Object.values(daos).map(dao => dao.beginTransaction()));
-      await callback(daos);
-      await Promise.all(Object.values(daos).map(dao => dao.commitTransaction()));
-    } catch (error) {
-      await Promise.all(Object.values(daos).map(dao => dao.rollbackTransaction()));
-      throw error;
-    }
+    // Mở transaction lồng nhau trên từng database theo thứ tự tên cố định để hai
+    // cross-schema transaction không giữ kết nối theo thứ tự ngược nhau (deadlock).
+    // callback nhận các handle transaction, lỗi ở bất kỳ đâu sẽ rollback tất cả
+    const keys = [...schemas].sort();
+    const run = async (index: number, handles: Record<string, SQLiteDAO>): Promise<void> => {
+      if (index === keys.length) {
+        return callback(handles as Record<S, SQLiteDAO>);
+      }
+      const key = keys[index];
+      return this.get(key).transaction(tx => run(index + 1, {...handles, [key]: tx}));
+    };
+    await run(0, {});
   }
 
   public static async closeAll(): Promise<void> {
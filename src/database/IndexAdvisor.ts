@@ -0,0 +1,299 @@
+import { IndexDefinition, SQLiteDAO } from './SQLiteDAO';
+import { QueryPlan, QueryPlanNode, extractTableAliases } from './QueryPlan';
+
+export interface RecordedQuery {
+  sql: string;
+  // Tham số của lần chạy gần nhất, dùng lại khi EXPLAIN
+  params: any[];
+  count: number;
+  totalMs: number;
+  maxMs: number;
+}
+
+export interface AnalyzedQuery extends RecordedQuery {
+  plan?: QueryPlan;
+  // Lỗi khi EXPLAIN, ví dụ bảng đã bị xóa từ lúc ghi nhận
+  error?: string;
+}
+
+export interface FullScan {
+  table: string;
+  sql: string;
+  count: number;
+}
+
+export interface IndexSuggestion {
+  action: 'add' | 'remove';
+  table: string;
+  // Phần tử cần thêm vào hoặc bỏ khỏi "indexes" của bảng trong schema JSON
+  index: IndexDefinition;
+  reason: string;
+  // Câu lệnh cần index (add), hoặc các câu lệnh trên bảng không dùng tới index (remove)
+  queries: string[];
+}
+
+export interface IndexAdvice {
+  database: string;
+  queries: AnalyzedQuery[];
+  fullScans: FullScan[];
+  suggestions: IndexSuggestion[];
+}
+
+// Chỉ câu lệnh đọc/sửa theo điều kiện mới hưởng lợi từ index; INSERT, PRAGMA, EXPLAIN được bỏ qua
+const RECORDABLE_PATTERN = /^\s*(?:SELECT|UPDATE|DELETE|WITH)\b/i;
+const INTERNAL_PATTERN = /\bsqlite_(?:master|schema|temp_master|sequence)\b/i;
+
+const WHERE_PATTERN = /\bWHERE\b([\s\S]*?)(?:\bGROUP BY\b|\bORDER BY\b|\bLIMIT\b|\bHAVING\b|$)/i;
+const ORDER_BY_PATTERN = /\bORDER BY\b([\s\S]*?)(?:\bLIMIT\b|$)/i;
+// "u"."role" = ?, "status" IN (...), created_at >= ?; cả dạng 'role=?' trong điều kiện của plan
+const CONDITION_PATTERN =
+  /(?:"?(\w+)"?\.)?"?(\w+)"?\s*(<>|!=|==|=|>=|<=|>|<|IN\b|IS\s+NOT\b|IS\b|BETWEEN\b|NOT\b|LIKE\b)/gi;
+const ORDER_COLUMN_PATTERN = /^(?:"?(\w+)"?\.)?"?(\w+)"?(?:\s+(?:ASC|DESC))?$/i;
+const EQUALITY_OPERATORS = ['=', '==', 'IN', 'IS'];
+const RANGE_OPERATORS = ['>', '>=', '<', '<=', 'BETWEEN'];
+const KEYWORDS = new Set(['AND', 'OR', 'NOT', 'WHERE', 'ON', 'NULL']);
+
+interface ColumnCondition {
+  qualifier?: string;
+  column: string;
+  operator: string;
+}
+
+function parseConditions(text: string): ColumnCondition[] {
+  const conditions: ColumnCondition[] = [];
+  for (const [, qualifier, column, operator] of text.matchAll(CONDITION_PATTERN)) {
+    if (KEYWORDS.has(column.toUpperCase())) continue;
+    conditions.push({ qualifier, column, operator: operator.toUpperCase().replace(/\s+/g, ' ') });
+  }
+  return conditions;
+}
+
+/**
+ * Records the statements a session runs on a database, then explains them to
+ * find full table scans and suggest `IndexDefinition` entries to add to or
+ * remove from the schema JSON:
+ *
+ *   const advisor = new IndexAdvisor(dao).start();
+ *   // ... use the app ...
+ *   console.log(IndexAdvisor.format(await advisor.analyze()));
+ */
+export class IndexAdvisor {
+  private recorded: Map<string, RecordedQuery> = new Map();
+  private unsubscribe: (() => void) | null = null;
+
+  constructor(private readonly dao: SQLiteDAO) {}
+
+  // Bắt đầu ghi nhận các câu lệnh chạy thành công trên DAO (qua query hooks)
+  start(): this {
+    if (!this.unsubscribe) {
+      this.unsubscribe = this.dao.addQueryHooks({
+        afterQuery: (event) => {
+          if (!event.error) this.record(event.sql, event.params, event.durationMs);
+        },
+      });
+    }
+    return this;
+  }
+
+  stop(): this {
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+    return this;
+  }
+
+  // Ghi nhận một câu lệnh; câu lệnh trùng SQL được gộp lại, giữ tham số của lần gần nhất
+  record(sql: string, params: any[] = [], durationMs: number = 0): void {
+    if (!RECORDABLE_PATTERN.test(sql) || INTERNAL_PATTERN.test(sql)) return;
+    const existing = this.recorded.get(sql);
+    if (existing) {
+      existing.params = params;
+      existing.count++;
+      existing.totalMs += durationMs;
+      existing.maxMs = Math.max(existing.maxMs, durationMs);
+    } else {
+      this.recorded.set(sql, { sql, params, count: 1, totalMs: durationMs, maxMs: durationMs });
+    }
+  }
+
+  getQueries(): RecordedQuery[] {
+    return Array.from(this.recorded.values(), (query) => ({ ...query }));
+  }
+
+  reset(): void {
+    this.recorded.clear();
+  }
+
+  /**
+   * Explains every recorded statement. Tables read in full (or through an
+   * index SQLite builds on the fly) get an index on the columns they are
+   * filtered by; non-unique schema indexes of the queried tables that no plan
+   * uses are suggested for removal. Suggestions are hints from the recorded
+   * session only: review them against the queries the app runs elsewhere.
+   */
+  async analyze(): Promise<IndexAdvice> {
+    const queries: AnalyzedQuery[] = [];
+    for (const query of this.getQueries()) {
+      try {
+        queries.push({ ...query, plan: await this.dao.explain(query.sql, query.params) });
+      } catch (error) {
+        queries.push({ ...query, error: (error as Error).message });
+      }
+    }
+
+    const fullScans: FullScan[] = [];
+    const additions = new Map<string, IndexSuggestion>();
+    for (const query of queries) {
+      if (!query.plan) continue;
+      for (const table of query.plan.fullScans) {
+        fullScans.push({ table, sql: query.sql, count: query.count });
+      }
+      for (const node of this.flatten(query.plan.nodes)) {
+        if (!node.table || (!node.fullScan && !node.automaticIndex)) continue;
+        const columns = this.getCandidateColumns(node, query.plan);
+        if (columns.length === 0 || this.isCovered(node.table, columns)) continue;
+        const name = `idx_${node.table}_${columns.join('_')}`;
+        const suggestion = additions.get(name) || {
+          action: 'add' as const,
+          table: node.table,
+          index: { name, columns },
+          reason: node.fullScan
+            ? `'${node.table}' is scanned in full when filtered by ${columns.join(', ')}`
+            : `SQLite builds an automatic index on '${node.table}'(${columns.join(', ')}) for every run`,
+          queries: [],
+        };
+        if (!suggestion.queries.includes(query.sql)) suggestion.queries.push(query.sql);
+        additions.set(name, suggestion);
+      }
+    }
+
+    return {
+      database: this.dao.getDatabaseName(),
+      queries,
+      fullScans,
+      suggestions: [...additions.values(), ...this.getUnusedIndexes(queries)],
+    };
+  }
+
+  static format(advice: IndexAdvice): string {
+    const lines = [`Index advice for '${advice.database}' (${advice.queries.length} queries):`];
+    for (const scan of advice.fullScans) {
+      lines.push(`* full scan of ${scan.table} (${scan.count}x): ${scan.sql}`);
+    }
+    for (const suggestion of advice.suggestions) {
+      const { name, columns } = suggestion.index;
+      const sign = suggestion.action === 'add' ? '+' : '-';
+      lines.push(
+        `${sign} ${suggestion.action} ${name} on ${suggestion.table}(${columns.join(', ')}): ${
+          suggestion.reason
+        }`
+      );
+    }
+    if (advice.fullScans.length === 0 && advice.suggestions.length === 0) {
+      lines.push('No full table scans or index changes found.');
+    }
+    return lines.join('\n');
+  }
+
+  private flatten(nodes: QueryPlanNode[]): QueryPlanNode[] {
+    return nodes.flatMap((node) => [node, ...this.flatten(node.children)]);
+  }
+
+  /**
+   * Equality columns of the table first, then one range column or, when the
+   * plan sorts in a temp B-tree, the ORDER BY columns: the order in which a
+   * composite index serves a query.
+   */
+  private getCandidateColumns(node: QueryPlanNode, plan: QueryPlan): string[] {
+    if (node.automaticIndex && node.constraints) {
+      return this.orderColumns(parseConditions(node.constraints));
+    }
+    const aliases = extractTableAliases(plan.sql);
+    const tableCount = new Set(aliases.values()).size;
+    const columnsOf = new Set(
+      (this.dao.getSchema()?.schemas[node.table!]?.cols || []).map((col) => col.name)
+    );
+    const belongs = (qualifier: string | undefined, column: string) =>
+      qualifier
+        ? qualifier === node.table || qualifier === node.alias
+        : tableCount <= 1 || columnsOf.has(column);
+
+    const where = WHERE_PATTERN.exec(plan.sql);
+    const conditions = where
+      ? parseConditions(where[1]).filter((c) => belongs(c.qualifier, c.column))
+      : [];
+    const columns = this.orderColumns(conditions);
+    const hasRange = conditions.some((c) => RANGE_OPERATORS.includes(c.operator));
+    const orderBy = ORDER_BY_PATTERN.exec(plan.sql);
+    if (!hasRange && orderBy && plan.tempBTrees.includes('ORDER BY')) {
+      const orderColumns = orderBy[1]
+        .split(',')
+        .map((item) => ORDER_COLUMN_PATTERN.exec(item.trim()));
+      if (orderColumns.every((match) => match && belongs(match[1], match[2]))) {
+        for (const match of orderColumns) {
+          if (!columns.includes(match![2])) columns.push(match![2]);
+        }
+      }
+    }
+    return columns;
+  }
+
+  private orderColumns(conditions: ColumnCondition[]): string[] {
+    const columns = conditions
+      .filter((c) => EQUALITY_OPERATORS.includes(c.operator))
+      .map((c) => c.column)
+      .filter((column, index, all) => all.indexOf(column) === index);
+    const range = conditions.find(
+      (c) => RANGE_OPERATORS.includes(c.operator) && !columns.includes(c.column)
+    );
+    return range ? [...columns, range.column] : columns;
+  }
+
+  // Khóa chính hoặc index đã khai báo bắt đầu bằng đúng các cột này: planner có index nhưng không dùng
+  private isCovered(table: string, columns: string[]): boolean {
+    const existing = [
+      this.dao.getPrimaryKey(table),
+      ...(this.dao.getSchema()?.schemas[table]?.indexes || []).map((index) => index.columns),
+    ];
+    return existing.some(
+      (indexColumns) =>
+        indexColumns.length >= columns.length &&
+        columns.every((column, i) => indexColumns[i] === column)
+    );
+  }
+
+  // Index không unique của các bảng đã được truy vấn mà không plan nào dùng tới
+  private getUnusedIndexes(queries: AnalyzedQuery[]): IndexSuggestion[] {
+    const schema = this.dao.getSchema();
+    if (!schema) return [];
+    const used = new Set(queries.flatMap((query) => query.plan?.indexes || []));
+    const queriesByTable = new Map<string, string[]>();
+    for (const query of queries) {
+      for (const node of this.flatten(query.plan?.nodes || [])) {
+        if (!node.table) continue;
+        const list = queriesByTable.get(node.table) || [];
+        if (!list.includes(query.sql)) list.push(query.sql);
+        queriesByTable.set(node.table, list);
+      }
+    }
+
+    const suggestions: IndexSuggestion[] = [];
+    for (const [table, tableQueries] of queriesByTable) {
+      for (const index of schema.schemas[table]?.indexes || []) {
+        // Index unique còn giữ ràng buộc dữ liệu, không thể bỏ chỉ vì chưa được dùng để đọc
+        if (index.unique || used.has(index.name)) continue;
+        suggestions.push({
+          action: 'remove',
+          table,
+          index,
+          reason: `not used by any of the ${tableQueries.length} recorded ${
+            tableQueries.length === 1 ? 'query' : 'queries'
+          } on '${table}'`,
+          queries: tableQueries,
+        });
+      }
+    }
+    return suggestions;
+  }
+}
+
+export default IndexAdvisor;
@@ -0,0 +1,224 @@
+import { SQLiteDAO } from './SQLiteDAO';
+
+// Một bước migration: câu SQL, danh sách câu SQL, hoặc callback chạy trên handle transaction
+export type MigrationStep = string | string[] | ((tx: SQLiteDAO) => Promise<void>);
+
+export interface Migration {
+  // Số nguyên dương, tăng dần; được ghi vào PRAGMA user_version sau khi áp dụng
+  version: number;
+  description?: string;
+  up: MigrationStep;
+  // Bỏ trống nếu migration không thể đảo ngược
+  down?: MigrationStep;
+}
+
+// Dạng khai báo trong schema JSON, chỉ gồm SQL
+export interface MigrationDefinition extends Migration {
+  up: string | string[];
+  down?: string | string[];
+}
+
+export interface MigrationRecord {
+  id: number;
+  version: number;
+  description: string | null;
+  direction: 'up' | 'down' | 'baseline';
+  applied_at: string;
+}
+
+export interface MigrationResult {
+  from: number;
+  to: number;
+  // Các version đã chạy theo đúng thứ tự
+  applied: number[];
+}
+
+export const MIGRATIONS_TABLE = 'schema_migrations';
+
+/**
+ * Applies ordered migrations to a database and tracks its version in
+ * `PRAGMA user_version`, with every step also recorded in the
+ * `schema_migrations` history table. All steps of one run share a single
+ * transaction, so a failure leaves the database at its previous version.
+ */
+export class MigrationRunner {
+  private migrations: Migration[];
+
+  constructor(
+    private readonly dao: SQLiteDAO,
+    migrations: Migration[] = []
+  ) {
+    this.migrations = MigrationRunner.sort(migrations);
+  }
+
+  private static sort(migrations: Migration[]): Migration[] {
+    const seen = new Set<number>();
+    for (const migration of migrations) {
+      if (!Number.isInteger(migration.version) || migration.version <= 0) {
+        throw new Error(
+          `Invalid migration version ${JSON.stringify(
+            migration.version
+          )}: expected a positive integer`
+        );
+      }
+      if (seen.has(migration.version)) {
+        throw new Error(`Duplicate migration version ${migration.version}`);
+      }
+      if (!migration.up) {
+        throw new Error(`Migration ${migration.version} has no up step`);
+      }
+      seen.add(migration.version);
+    }
+    return [...migrations].sort((a, b) => a.version - b.version);
+  }
+
+  // Version của schema hiện tại trong mã nguồn: version lớn nhất đã khai báo, 0 nếu chưa có migration
+  getLatestVersion(): number {
+    return this.migrations.length ? this.migrations[this.migrations.length - 1].version : 0;
+  }
+
+  async getCurrentVersion(): Promise<number> {
+    const row = await this.dao.getRst('PRAGMA user_version');
+    return Number(row.user_version) || 0;
+  }
+
+  // A database without any table yet, which the schema creates at its latest version
+  async isFreshDatabase(): Promise<boolean> {
+    const row = await this.dao.getRst(
+      "SELECT count(*) AS count FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'"
+    );
+    return Number(row.count) === 0 && (await this.getCurrentVersion()) === 0;
+  }
+
+  /**
+   * Marks a database just created from the current schema as being at the
+   * latest version, without running the migrations that lead there.
+   */
+  async baseline(): Promise<void> {
+    const version = this.getLatestVersion();
+    await this.dao.transaction(async (tx) => {
+      await this.ensureHistoryTable(tx);
+      await this.record(tx, version, 'Baseline from schema', 'baseline');
+      await tx.runSql(`PRAGMA user_version = ${version}`);
+    });
+  }
+
+  /**
+   * Brings the database to `targetVersion` (the latest by default), running
+   * up steps in ascending order or down steps in descending order.
+   */
+  async migrate(targetVersion: number = this.getLatestVersion()): Promise<MigrationResult> {
+    const name = this.dao.getDatabaseName();
+    const latest = this.getLatestVersion();
+    const current = await this.getCurrentVersion();
+
+    if (!Number.isInteger(targetVersion) || targetVersion < 0 || targetVersion > latest) {
+      throw new Error(
+        `Cannot migrate database '${name}' to version ${targetVersion}: expected a version between 0 and ${latest}`
+      );
+    }
+    if (current > latest) {
+      throw new Error(
+        `Database '${name}' is at version ${current}, newer than the latest known migration ${latest}. It was written by a newer version of the app and cannot be downgraded by this one.`
+      );
+    }
+    if (current === targetVersion) {
+      return { from: current, to: current, applied: [] };
+    }
+
+    const direction = targetVersion > current ? 'up' : 'down';
+    const steps =
+      direction === 'up'
+        ? this.migrations.filter((m) => m.version > current && m.version <= targetVersion)
+        : this.migrations
+            .filter((m) => m.version <= current && m.version > targetVersion)
+            .reverse();
+    if (direction === 'down') {
+      const irreversible = steps.find((m) => !m.down);
+      if (irreversible) {
+        throw new Error(
+          `Cannot migrate database '${name}' down from version ${current} to ${targetVersion}: migration ${irreversible.version} has no down step`
+        );
+      }
+    }
+
+    const applied: number[] = [];
+    await this.dao.transaction(
+      async (tx) => {
+        await this.ensureHistoryTable(tx);
+        for (const migration of steps) {
+          try {
+            await this.runStep(tx, direction === 'up' ? migration.up : migration.down!);
+          } catch (error) {
+            throw new Error(
+              `Migration ${migration.version}${
+                migration.description ? ` (${migration.description})` : ''
+              } failed while migrating database '${name}' ${direction} from version ${current} to ${targetVersion}; the database was left at version ${current}: ${
+                (error as Error).message
+              }`
+            );
+          }
+          // Sau khi down migration N, database ở version của migration liền trước
+          const reached =
+            direction === 'up' ? migration.version : this.previousVersion(migration.version);
+          await tx.runSql(`PRAGMA user_version = ${reached}`);
+          await this.record(tx, migration.version, migration.description, direction);
+          applied.push(migration.version);
+        }
+      },
+      { label: `migrate(${name})` }
+    );
+    return { from: current, to: targetVersion, applied };
+  }
+
+  async getHistory(): Promise<MigrationRecord[]> {
+    const table = await this.dao.getRst(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?",
+      [MIGRATIONS_TABLE]
+    );
+    if (!table.name) {
+      return [];
+    }
+    return (await this.dao.getRsts(
+      `SELECT * FROM "${MIGRATIONS_TABLE}" ORDER BY "id"`
+    )) as MigrationRecord[];
+  }
+
+  private previousVersion(version: number): number {
+    const index = this.migrations.findIndex((m) => m.version === version);
+    return index > 0 ? this.migrations[index - 1].version : 0;
+  }
+
+  private async runStep(tx: SQLiteDAO, step: MigrationStep): Promise<void> {
+    if (typeof step === 'function') {
+      await step(tx);
+      return;
+    }
+    for (const sql of Array.isArray(step) ? step : [step]) {
+      await tx.runSql(sql);
+    }
+  }
+
+  private async ensureHistoryTable(dao: SQLiteDAO): Promise<void> {
+    await dao.runSql(
+      `CREATE TABLE IF NOT EXISTS "${MIGRATIONS_TABLE}" (` +
+        '"id" INTEGER PRIMARY KEY AUTOINCREMENT, "version" INTEGER NOT NULL, ' +
+        '"description" TEXT, "direction" TEXT NOT NULL, ' +
+        '"applied_at" TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP)'
+    );
+  }
+
+  private async record(
+    tx: SQLiteDAO,
+    version: number,
+    description: string | undefined,
+    direction: MigrationRecord['direction']
+  ): Promise<void> {
+    await tx.runSql(
+      `INSERT INTO "${MIGRATIONS_TABLE}" ("version", "description", "direction") VALUES (?, ?, ?)`,
+      [version, description ?? null, direction]
+    );
+  }
+}
+
+export default MigrationRunner;
@@ -0,0 +1,301 @@
+import {
+  AggregateColumn,
+  AggregateQuery,
+  Column,
+  GroupByColumn,
+  JoinClause,
+  QueryTable,
+  RunResult,
+  SQLiteDAO,
+  WhereCondition,
+  WhereOperator,
+} from './SQLiteDAO';
+import { QueryPlan } from './QueryPlan';
+
+type Operator = WhereOperator | Lowercase<WhereOperator>;
+type Direction = 'ASC' | 'DESC' | 'asc' | 'desc';
+// (điều kiện) | (cột, giá trị) | (cột, toán tử, giá trị)
+type ConditionArgs = [WhereCondition] | [string, any] | [string, Operator, any];
+
+// DAO của builder, hoặc hàm trả về DAO khi cần (BaseService chỉ mở database ở truy vấn đầu tiên)
+export type QueryBuilderSource = SQLiteDAO | (() => Promise<SQLiteDAO>);
+
+// 'u.name as user_name' -> { name: 'u.name', alias: 'user_name' }
+const COLUMN_ALIAS_PATTERN = /^\s*(\S+)\s+as\s+(\S+)\s*$/i;
+
+/**
+ * Chainable builder that compiles to the QueryTable (or AggregateQuery) the
+ * DAO already runs, so identifiers are checked and values bound as
+ * parameters exactly as with hand-written QueryTable objects:
+ *
+ *   dao.from('users').select('id', 'username').where('role', 'in', roles)
+ *     .orderBy('created_at', 'desc').limit(20).all()
+ */
+export class QueryBuilder<T extends Record<string, any> = Record<string, any>> {
+  private dao: SQLiteDAO | null;
+  private readonly resolveDao?: () => Promise<SQLiteDAO>;
+  private cols: Column[] = [];
+  private joins: JoinClause[] = [];
+  private wheres: WhereCondition[] = [];
+  private orderbys: QueryTable['orderbys'] = [];
+  private limitValue?: number;
+  private offsetValue?: number;
+  private groups: (string | GroupByColumn)[] = [];
+  private aggregates: AggregateColumn[] = [];
+  private havings: WhereCondition[] = [];
+
+  constructor(
+    source: QueryBuilderSource,
+    private readonly table: string,
+    private readonly alias?: string
+  ) {
+    if (typeof source === 'function') {
+      this.dao = null;
+      this.resolveDao = source;
+    } else {
+      this.dao = source;
+    }
+  }
+
+  select(...columns: (string | Column)[]): this {
+    for (const column of columns) {
+      if (typeof column !== 'string') {
+        this.cols.push(column);
+        continue;
+      }
+      const match = COLUMN_ALIAS_PATTERN.exec(column);
+      this.cols.push(match ? { name: match[1], alias: match[2] } : { name: column.trim() });
+    }
+    return this;
+  }
+
+  /**
+   * Adds a condition joined with AND: `where('status', 'active')`,
+   * `where('price', '>=', 10)` or a WhereClause / and-or-not group.
+   */
+  where(...args: ConditionArgs): this {
+    this.wheres.push(this.toCondition(args));
+    return this;
+  }
+
+  // (mọi điều kiện trước đó) OR điều kiện mới
+  orWhere(...args: ConditionArgs): this {
+    const condition = this.toCondition(args);
+    if (this.wheres.length === 0) {
+      this.wheres.push(condition);
+    } else {
+      const previous = this.wheres.length === 1 ? this.wheres[0] : { and: this.wheres };
+      this.wheres = [{ or: [previous, condition] }];
+    }
+    return this;
+  }
+
+  whereIn(name: string, values: any[]): this {
+    return this.where(name, 'IN', values);
+  }
+
+  whereNotIn(name: string, values: any[]): this {
+    return this.where(name, 'NOT IN', values);
+  }
+
+  whereBetween(name: string, from: any, to: any): this {
+    return this.where(name, 'BETWEEN', [from, to]);
+  }
+
+  whereNull(name: string): this {
+    return this.where(name, 'IS NULL');
+  }
+
+  whereNotNull(name: string): this {
+    return this.where(name, 'IS NOT NULL');
+  }
+
+  join(
+    table: string,
+    on: JoinClause['on'],
+    alias?: string,
+    type: JoinClause['type'] = 'INNER'
+  ): this {
+    this.joins.push({ type, table, alias, on });
+    return this;
+  }
+
+  leftJoin(table: string, on: JoinClause['on'], alias?: string): this {
+    return this.join(table, on, alias, 'LEFT');
+  }
+
+  rightJoin(table: string, on: JoinClause['on'], alias?: string): this {
+    return this.join(table, on, alias, 'RIGHT');
+  }
+
+  fullJoin(table: string, on: JoinClause['on'], alias?: string): this {
+    return this.join(table, on, alias, 'FULL');
+  }
+
+  orderBy(name: string, direction: Direction = 'ASC'): this {
+    this.orderbys!.push({ name, direction: direction.toUpperCase() as 'ASC' | 'DESC' });
+    return this;
+  }
+
+  limit(limit: number): this {
+    this.limitValue = limit;
+    return this;
+  }
+
+  offset(offset: number): this {
+    this.offsetValue = offset;
+    return this;
+  }
+
+  groupBy(...columns: (string | GroupByColumn)[]): this {
+    this.groups.push(...columns);
+    return this;
+  }
+
+  // Cột aggregate trong kết quả, ví dụ aggregate({ fn: 'sum', column: 'total', alias: 'revenue' })
+  aggregate(...columns: AggregateColumn[]): this {
+    this.aggregates.push(...columns);
+    return this;
+  }
+
+  // Điều kiện trên kết quả gom nhóm, nối bằng AND; có thể dùng alias của aggregate
+  having(...args: ConditionArgs): this {
+    this.havings.push(this.toCondition(args));
+    return this;
+  }
+
+  // QueryTable tương đương, hoặc AggregateQuery khi có groupBy/aggregate
+  toQueryTable(): QueryTable | AggregateQuery {
+    const query: QueryTable = {
+      name: this.table,
+      cols: [...this.cols],
+      wheres: [...this.wheres],
+      orderbys: [...this.orderbys!],
+    };
+    if (this.alias) query.alias = this.alias;
+    if (this.joins.length > 0) query.joins = [...this.joins];
+    if (this.limitValue !== undefined || this.offsetValue !== undefined) {
+      query.limitOffset = { limit: this.limitValue, offset: this.offsetValue };
+    }
+    if (this.aggregates.length === 0 && this.groups.length === 0) {
+      if (this.havings.length > 0) {
+        throw new Error(`having() on '${this.table}' requires groupBy() or aggregate()`);
+      }
+      return query;
+    }
+    if (this.aggregates.length === 0) {
+      throw new Error(`groupBy() on '${this.table}' requires at least one aggregate()`);
+    }
+    return {
+      ...query,
+      aggregates: [...this.aggregates],
+      groupBy: [...this.groups],
+      having: this.havings.length > 0 ? [...this.havings] : undefined,
+    };
+  }
+
+  // Câu SQL có tham số và danh sách tham số mà all() sẽ chạy, để kiểm tra hoặc ghi log
+  toSQL(): { sql: string; params: any[] } {
+    if (!this.dao) {
+      throw new Error(
+        `Query on '${this.table}' is not bound to an open database yet; initialize the service first`
+      );
+    }
+    return this.dao.buildSelectSql(this.toQueryTable());
+  }
+
+  // EXPLAIN QUERY PLAN của câu SELECT, để kiểm tra truy vấn có dùng index không
+  async explain(): Promise<QueryPlan> {
+    const dao = await this.getDao();
+    return dao.explain(this.toQueryTable());
+  }
+
+  async all(): Promise<T[]> {
+    return this.run(this.toQueryTable());
+  }
+
+  // Bản ghi đầu tiên, undefined nếu không có; không thay đổi limit của builder
+  async first(): Promise<T | undefined> {
+    const query = this.toQueryTable();
+    const rows = await this.run({ ...query, limitOffset: { ...query.limitOffset, limit: 1 } });
+    return rows[0];
+  }
+
+  // Số bản ghi thỏa điều kiện, bỏ qua select/orderBy/limit/offset
+  async count(): Promise<number> {
+    const dao = await this.getDao();
+    const rows = await dao.aggregate({
+      name: this.table,
+      alias: this.alias,
+      joins: this.joins.length > 0 ? this.joins : undefined,
+      wheres: this.wheres,
+      aggregates: [{ fn: 'count', alias: 'count' }],
+    });
+    return rows[0]?.count || 0;
+  }
+
+  async update(values: Record<string, any>): Promise<RunResult> {
+    this.assertFilterOnly('update');
+    const dao = await this.getDao();
+    return dao.update({
+      name: this.table,
+      cols: Object.entries(values).map(([name, value]) => ({ name, value })),
+      wheres: this.wheres,
+    });
+  }
+
+  async delete(): Promise<RunResult> {
+    this.assertFilterOnly('delete');
+    const dao = await this.getDao();
+    return dao.delete({ name: this.table, cols: [], wheres: this.wheres });
+  }
+
+  private async run(query: QueryTable | AggregateQuery): Promise<T[]> {
+    const dao = await this.getDao();
+    const rows = 'aggregates' in query ? await dao.aggregate(query) : await dao.selectAll(query);
+    return rows as T[];
+  }
+
+  private toCondition(args: ConditionArgs): WhereCondition {
+    if (args.length === 1) {
+      if (!args[0] || typeof args[0] !== 'object') {
+        throw new Error(`Invalid condition on '${this.table}': ${JSON.stringify(args[0])}`);
+      }
+      return args[0];
+    }
+    if (args.length === 2) {
+      const [name, value] = args;
+      // where('deleted_at', 'IS NULL') không cần giá trị
+      if (typeof value === 'string' && /^is (not )?null$/i.test(value.trim())) {
+        return { name, operator: value as Operator };
+      }
+      return { name, operator: '=', value };
+    }
+    const [name, operator, value] = args;
+    return { name, operator, value };
+  }
+
+  // UPDATE/DELETE của DAO chỉ dùng WHERE; join/order/limit bị bỏ qua sẽ làm đổi phạm vi câu lệnh
+  private assertFilterOnly(operation: string): void {
+    const unsupported = [
+      this.joins.length > 0 && 'join',
+      this.orderbys!.length > 0 && 'orderBy',
+      (this.limitValue !== undefined || this.offsetValue !== undefined) && 'limit/offset',
+      (this.groups.length > 0 || this.aggregates.length > 0) && 'groupBy/aggregate',
+    ].filter(Boolean);
+    if (unsupported.length > 0) {
+      throw new Error(
+        `${operation}() on '${this.table}' only supports where conditions, not ${unsupported.join(
+          ', '
+        )}`
+      );
+    }
+  }
+
+  private async getDao(): Promise<SQLiteDAO> {
+    if (!this.dao) this.dao = await this.resolveDao!();
+    return this.dao;
+  }
+}
+
+export default QueryBuilder;
@@ -0,0 +1,156 @@
+// Một dòng của EXPLAIN QUERY PLAN
+export interface QueryPlanRow {
+  id: number;
+  parent: number;
+  notused?: number;
+  detail: string;
+}
+
+export interface QueryPlanNode {
+  id: number;
+  parent: number;
+  detail: string;
+  // Với bước đọc bảng: SCAN duyệt lần lượt, SEARCH tìm theo index hoặc khóa chính
+  operation?: 'SCAN' | 'SEARCH';
+  // Tên bảng, đã đổi từ alias trong câu lệnh nếu có
+  table?: string;
+  alias?: string;
+  // Index được dùng, 'INTEGER PRIMARY KEY'/'PRIMARY KEY' khi tìm theo khóa chính; index tự động không có tên
+  index?: string;
+  covering: boolean;
+  // Index tạm SQLite tự tạo cho riêng câu lệnh vì không có index phù hợp
+  automaticIndex: boolean;
+  // Điều kiện dùng với index, ví dụ 'enterprise_id=? AND status=?'
+  constraints?: string;
+  // SCAN cả bảng, không qua index nào
+  fullScan: boolean;
+  children: QueryPlanNode[];
+}
+
+export interface QueryPlan {
+  sql: string;
+  params: any[];
+  // Các bước ở mức trên cùng; subquery, UNION... nằm trong children
+  nodes: QueryPlanNode[];
+  // Bảng bị duyệt toàn bộ không qua index, theo thứ tự trong plan
+  fullScans: string[];
+  // Index có tên được dùng (không gồm khóa chính và index tự động)
+  indexes: string[];
+  // 'ORDER BY', 'GROUP BY', 'DISTINCT'... phải sắp xếp bằng B-tree tạm
+  tempBTrees: string[];
+}
+
+// 'SCAN users', 'SCAN TABLE users AS u' (SQLite < 3.36), 'SEARCH s USING INDEX idx (a=?)'
+const TABLE_STEP_PATTERN = /^(SCAN|SEARCH)\s+(?:TABLE\s+)?(\S+)(?:\s+AS\s+(\S+))?(.*)$/;
+const INDEX_PATTERN =
+  /\bUSING\s+(AUTOMATIC\s+)?(?:PARTIAL\s+)?(COVERING\s+)?INDEX(?:\s+([^\s(]+))?/;
+const PRIMARY_KEY_PATTERN = /\bUSING\s+(INTEGER PRIMARY KEY|PRIMARY KEY)\b/;
+const CONSTRAINTS_PATTERN = /\(([^()]*)\)\s*$/;
+const TEMP_BTREE_PATTERN = /^USE TEMP B-TREE FOR (.+)$/;
+// Các bước không phải bảng thật: 'SCAN CONSTANT ROW', 'SCAN subquery-1', 'SCAN (subquery-1)'...
+const PSEUDO_TABLE_PATTERN = /^(?:CONSTANT|\(?subquery-\d+\)?|\(?co-routine\b)/i;
+
+// "table" AS "alias" sau FROM/JOIN trong câu lệnh do DAO tạo hoặc viết tay
+const TABLE_REFERENCE_PATTERN =
+  /\b(?:FROM|JOIN|UPDATE|INTO)\s+("?)(\w+)\1(?:\s+(?:AS\s+)?("?)(\w+)\3)?/gi;
+const NOT_ALIASES = new Set([
+  'WHERE',
+  'ON',
+  'USING',
+  'INNER',
+  'LEFT',
+  'RIGHT',
+  'FULL',
+  'CROSS',
+  'NATURAL',
+  'JOIN',
+  'GROUP',
+  'ORDER',
+  'LIMIT',
+  'HAVING',
+  'SET',
+  'UNION',
+  'EXCEPT',
+  'INTERSECT',
+  'WINDOW',
+  'VALUES',
+]);
+
+/**
+ * Alias -> table name of the FROM/JOIN/UPDATE references of a statement, so
+ * plan steps that name an alias can be attributed to their table.
+ */
+export function extractTableAliases(sql: string): Map<string, string> {
+  const aliases = new Map<string, string>();
+  for (const match of sql.matchAll(TABLE_REFERENCE_PATTERN)) {
+    const [, , table, , alias] = match;
+    aliases.set(table, table);
+    if (alias && !NOT_ALIASES.has(alias.toUpperCase())) aliases.set(alias, table);
+  }
+  return aliases;
+}
+
+function parseNode(row: QueryPlanRow, aliases: Map<string, string>): QueryPlanNode {
+  const detail = String(row.detail);
+  const node: QueryPlanNode = {
+    id: Number(row.id),
+    parent: Number(row.parent),
+    detail,
+    covering: false,
+    automaticIndex: false,
+    fullScan: false,
+    children: [],
+  };
+  const step = TABLE_STEP_PATTERN.exec(detail);
+  if (!step || PSEUDO_TABLE_PATTERN.test(step[2])) return node;
+
+  const [, operation, name, legacyAlias, rest] = step;
+  node.operation = operation as 'SCAN' | 'SEARCH';
+  // SQLite mới in alias thay cho tên bảng, bản cũ in 'tên AS alias'
+  const table = aliases.get(legacyAlias || name);
+  const alias = legacyAlias || (table && table !== name ? name : undefined);
+  node.table = table || name;
+  if (alias) node.alias = alias;
+
+  const index = INDEX_PATTERN.exec(rest);
+  const primaryKey = PRIMARY_KEY_PATTERN.exec(rest);
+  if (index) {
+    node.automaticIndex = !!index[1];
+    node.covering = !!index[2];
+    if (index[3]) node.index = index[3];
+  } else if (primaryKey) {
+    node.index = primaryKey[1];
+  }
+  const constraints = CONSTRAINTS_PATTERN.exec(rest);
+  if (constraints && (index || primaryKey)) node.constraints = constraints[1];
+  node.fullScan = operation === 'SCAN' && !index && !primaryKey && !/\bVIRTUAL TABLE\b/.test(rest);
+  return node;
+}
+
+/**
+ * Builds the tree of an `EXPLAIN QUERY PLAN` result. `sql` is the explained
+ * statement, used to map the aliases that recent SQLite versions print in
+ * place of table names.
+ */
+export function parseQueryPlan(rows: QueryPlanRow[], sql: string, params: any[] = []): QueryPlan {
+  const aliases = extractTableAliases(sql);
+  const byId = new Map<number, QueryPlanNode>();
+  const plan: QueryPlan = { sql, params, nodes: [], fullScans: [], indexes: [], tempBTrees: [] };
+
+  for (const row of rows) {
+    const node = parseNode(row, aliases);
+    // parent 0 là gốc; id của bước luôn lớn hơn id của bước cha
+    const parent = byId.get(node.parent);
+    if (parent) parent.children.push(node);
+    else plan.nodes.push(node);
+    byId.set(node.id, node);
+
+    if (node.fullScan && !plan.fullScans.includes(node.table!)) plan.fullScans.push(node.table!);
+    if (node.index && !node.automaticIndex && !/PRIMARY KEY$/.test(node.index)) {
+      if (!plan.indexes.includes(node.index)) plan.indexes.push(node.index);
+    }
+    const tempBTree = TEMP_BTREE_PATTERN.exec(node.detail);
+    if (tempBTree) plan.tempBTrees.push(tempBTree[1]);
+  }
+  return plan;
+}
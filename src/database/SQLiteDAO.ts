@@ -1,5 +1,17 @@
-import SQLite, {SQLiteDatabase} from 'react-native-sqlite-storage';
-SQLite.enablePromise(true);
+import {
+  BatchResult,
+  BatchStatement,
+  DriverResult,
+  SQLiteConnection,
+  SQLiteDriver,
+  getDefaultDriver,
+} from './drivers';
+import {ColumnCodec, ColumnSource, ValueCodec} from './ValueCodec';
+import {SchemaValidator} from './SchemaValidator';
+import {ConstraintParser} from './ConstraintParser';
+import {MigrationDefinition} from './MigrationRunner';
+import {QueryBuilder} from './QueryBuilder';
+import {parseQueryPlan, QueryPlan, QueryPlanRow} from './QueryPlan';
 
 // Type mapping configuration
 export interface TypeMappingConfig {
@@ -24,24 +36,85 @@ export interface ColumnDefinition {
   // Thêm 'constraints' để tương thích với core.json
   constraints?: string;
   length?: number;
+  // Giá trị hợp lệ của cột, sinh CHECK (col IN (...)) và được kiểm tra trước khi ghi
+  enum?: (string | number)[];
+  // Tổng số chữ số và số chữ số sau dấu phẩy của cột decimal/numeric
+  precision?: number;
+  scale?: number;
 }
 
 export interface Column {
+  // Có thể là tên cột đầy đủ theo bảng/alias, ví dụ 's.name'
   name: string;
   value?: any;
+  // Tên cột trong kết quả (SELECT name AS alias), tránh trùng tên khi JOIN
+  alias?: string;
 }
 
+export type WhereOperator =
+  | '='
+  | '!='
+  | '<>'
+  | '>'
+  | '>='
+  | '<'
+  | '<='
+  | 'LIKE'
+  | 'NOT LIKE'
+  | 'IN'
+  | 'NOT IN'
+  | 'BETWEEN'
+  | 'IS NULL'
+  | 'IS NOT NULL';
+
 export interface WhereClause {
   name: string;
-  value: any;
-  operator?: string;
+  // Với IN/NOT IN là một mảng, với BETWEEN là [from, to], với IS NULL/IS NOT NULL thì bỏ qua
+  value?: any;
+  // Mặc định là '='; không phân biệt hoa thường ('like', 'not in', ...)
+  operator?: WhereOperator | Lowercase<WhereOperator>;
 }
 
+// Nhóm điều kiện lồng nhau: and/or/not có thể lồng vào nhau ở bất kỳ độ sâu nào
+export type WhereGroup =
+  | {and: WhereCondition[]}
+  | {or: WhereCondition[]}
+  | {not: WhereCondition | WhereCondition[]};
+
+export type WhereCondition = WhereClause | WhereGroup;
+
 export interface OrderByClause {
   name: string;
   direction?: 'ASC' | 'DESC';
 }
 
+export type AggregateFunction = 'count' | 'sum' | 'avg' | 'min' | 'max';
+
+export interface AggregateColumn {
+  fn: AggregateFunction;
+  // Bỏ trống (hoặc '*') với count để đếm tất cả bản ghi
+  column?: string;
+  distinct?: boolean;
+  alias: string;
+}
+
+export type DateGranularity = 'hour' | 'day' | 'week' | 'month' | 'year';
+
+export interface GroupByColumn {
+  name: string;
+  // Gom nhóm theo mốc thời gian, ví dụ 'day' => strftime('%Y-%m-%d', name)
+  granularity?: DateGranularity;
+  alias?: string;
+}
+
+const DATE_GRANULARITY_FORMATS: Record<DateGranularity, string> = {
+  hour: '%Y-%m-%d %H:00',
+  day: '%Y-%m-%d',
+  week: '%Y-W%W',
+  month: '%Y-%m',
+  year: '%Y',
+};
+
 export interface LimitOffset {
   limit?: number;
   offset?: number;
@@ -49,16 +122,69 @@ export interface LimitOffset {
 
 export interface QueryTable {
   name: string;
+  alias?: string;
   cols: Column[];
-  wheres?: WhereClause[];
+  joins?: JoinClause[];
+  // Các phần tử ở mức trên cùng được nối bằng AND
+  wheres?: WhereCondition[];
   orderbys?: OrderByClause[];
   limitOffset?: LimitOffset;
 }
 
+export interface AggregateQuery extends Omit<QueryTable, 'cols'> {
+  aggregates: AggregateColumn[];
+  // Các cột gom nhóm luôn được đưa vào danh sách cột trả về
+  groupBy?: (string | GroupByColumn)[];
+  // Điều kiện trên kết quả gom nhóm, có thể dùng alias của aggregate (ví dụ 'total')
+  having?: WhereCondition[];
+  // Cột bổ sung ngoài cột gom nhóm và aggregate
+  cols?: Column[];
+}
+
+export interface KeysetOptions {
+  // Cột duy nhất (hoặc nhóm cột) nối sau orderbys để thứ tự không bị trùng; mặc định là khóa chính trong schema
+  key?: string[];
+}
+
+export interface KeysetPageOptions extends KeysetOptions {
+  pageSize: number;
+  // KeysetPage.last của trang trước, bỏ trống với trang đầu
+  after?: any[] | null;
+}
+
+export interface KeysetPage {
+  rows: Record<string, any>[];
+  // Giá trị đang lưu của các cột sắp xếp ở bản ghi cuối trang, null khi trang rỗng
+  last: any[] | null;
+  hasMore: boolean;
+}
+
+export interface IterateOptions extends KeysetOptions {
+  batchSize?: number;
+}
+
 export interface JoinClause {
   type: 'INNER' | 'LEFT' | 'RIGHT' | 'FULL';
   table: string;
-  on: string;
+  alias?: string;
+  // Biểu thức ON dạng chuỗi, hoặc map cột bên trái -> cột bên phải được nối bằng AND,
+  // ví dụ {'u.store_id': 's.id'}
+  on: string | Record<string, string>;
+}
+
+// RIGHT và FULL OUTER JOIN chỉ có từ SQLite 3.39.0
+const OUTER_JOIN_MIN_VERSION = '3.39.0';
+
+// Tên bảng/cột/index/alias hợp lệ: chữ cái, chữ số, gạch dưới, không bắt đầu bằng số
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Cột ẩn của mọi bảng rowid, luôn được phép dù không khai báo trong schema
+const ROWID_ALIASES = ['rowid', 'oid', '_rowid_'];
+
+// Bảng (theo tên hoặc alias) và alias đầu ra được phép tham chiếu trong một câu lệnh
+interface IdentifierScope {
+  tables: Map<string, string>;
+  outputAliases: Set<string>;
 }
 
 export interface IndexDefinition {
@@ -68,13 +194,89 @@ export interface IndexDefinition {
   description?: string;
 }
 
+// Bảng FTS5 external-content gắn với một bảng của schema, đồng bộ bằng trigger
+export interface FullTextDefinition {
+  // Cột của bảng được đánh chỉ mục tìm kiếm
+  columns: string[];
+  // Tên bảng ảo, mặc định '<bảng>_fts'
+  name?: string;
+  // Tokenizer của FTS5, mặc định 'unicode61 remove_diacritics 2' (tìm tiếng Việt không dấu)
+  tokenize?: string;
+  // Độ dài tiền tố được đánh chỉ mục thêm để tìm 'từ*' nhanh hơn, ví dụ [2, 3]
+  prefix?: number[];
+}
+
+export interface FullTextSearchOptions {
+  // Chỉ tìm trong các cột này (thuộc fts.columns), mặc định mọi cột
+  columns?: string[];
+  limit?: number;
+  offset?: number;
+  // Dùng text như một biểu thức MATCH của FTS5 thay vì tách thành các từ
+  raw?: boolean;
+  // Chuỗi mở/đóng bao quanh từ khớp trong snippet
+  highlight?: [string, string];
+}
+
+export interface FullTextSearchResult<T = Record<string, any>> {
+  item: T;
+  // Điểm bm25 của FTS5: càng nhỏ càng khớp, kết quả đã được sắp theo điểm này
+  rank: number;
+  // Đoạn văn bản quanh từ khớp, từ khớp được bao bởi highlight
+  snippet: string;
+}
+
+const DEFAULT_FTS_TOKENIZE = 'unicode61 remove_diacritics 2';
+const DEFAULT_SEARCH_LIMIT = 20;
+const DEFAULT_HIGHLIGHT: [string, string] = ['<b>', '</b>'];
+// Số token tối đa của snippet (FTS5 giới hạn 64)
+const SNIPPET_TOKENS = 12;
+
+// View của schema; cols khai báo cột đầu ra để kiểm tra định danh và decode như cột của bảng
+export interface ViewDefinition {
+  name: string;
+  description?: string;
+  // Câu SELECT tạo ra view
+  select: string;
+  cols: ColumnDefinition[];
+}
+
+export type TriggerTiming = 'BEFORE' | 'AFTER' | 'INSTEAD OF';
+export type TriggerEvent = 'INSERT' | 'UPDATE' | 'DELETE';
+
+export interface TriggerDefinition {
+  name: string;
+  description?: string;
+  // Bảng, hoặc view với INSTEAD OF
+  table: string;
+  timing: string | TriggerTiming;
+  event: string | TriggerEvent;
+  // UPDATE OF các cột này; bỏ trống để chạy khi cập nhật bất kỳ cột nào
+  columns?: string[];
+  // Điều kiện WHEN, có thể dùng NEW. và OLD.
+  when?: string;
+  // Các câu lệnh trong BEGIN ... END
+  statements: string[];
+}
+
+const TRIGGER_TIMINGS = ['BEFORE', 'AFTER', 'INSTEAD OF'];
+const TRIGGER_EVENTS = ['INSERT', 'UPDATE', 'DELETE'];
+
 export type ForeignKeyAction =
   | 'CASCADE'
   | 'RESTRICT'
   | 'SET NULL'
+  | 'SET DEFAULT'
   | 'NO ACTION'
   | undefined;
 
+const FOREIGN_KEY_ACTIONS = [
+  'CASCADE',
+  'RESTRICT',
+  'SET NULL',
+  'SET DEFAULT',
+  'NO ACTION',
+];
+
 export interface ForeignKeyDefinition {
   name: string;
   column: string;
@@ -87,7 +289,17 @@ export interface ForeignKeyDefinition {
   description?: string;
 }
 
-export interface TableDefinition {
+// Ràng buộc ở mức bảng, dùng khi khóa hoặc điều kiện gồm nhiều cột
+export interface TableConstraints {
+  // PRIMARY KEY (a, b), không dùng cùng PRIMARY KEY khai báo ở cột
+  primary_key?: string[];
+  // Mỗi phần tử là một nhóm cột UNIQUE (a, b, ...)
+  unique?: string[][];
+  // Biểu thức bên trong CHECK (...), có thể tham chiếu nhiều cột
+  check?: string[];
+}
+
+export interface TableDefinition extends TableConstraints {
   name: string;
   cols: ColumnDefinition[];
   description?: string;
@@ -101,34 +313,185 @@ export interface DatabaseSchemaWithTypeMapping {
   database_name: string;
   description?: string;
   type_mapping?: TypeMappingConfig['type_mapping'];
+  // Các bước nâng cấp database đã tạo từ schema cũ, theo thứ tự version
+  migrations?: MigrationDefinition[];
+  // Tạo theo thứ tự khai báo, view sau có thể đọc từ view trước
+  views?: ViewDefinition[];
+  triggers?: TriggerDefinition[];
   schemas: Record<
     string,
-    {
+    TableConstraints & {
       description?: string;
       cols: ColumnDefinition[];
       indexes?: IndexDefinition[];
       foreign_keys?: ForeignKeyDefinition[];
+      fts?: FullTextDefinition;
     }
   >;
 }
 
+// Kết quả của một câu lệnh ghi (INSERT/UPDATE/DELETE/DDL)
+export interface RunResult {
+  // rowid của bản ghi vừa INSERT, chỉ có nghĩa với câu lệnh INSERT
+  insertId?: number;
+  // Số dòng bị thay đổi, 0 nghĩa là không có bản ghi nào khớp điều kiện
+  rowsAffected: number;
+  sql: string;
+}
+
+// Cách xử lý khi INSERT vi phạm ràng buộc UNIQUE/PRIMARY KEY: bỏ qua dòng mới hoặc thay thế dòng cũ
+export type ConflictResolution = 'IGNORE' | 'REPLACE';
+
+export interface InsertOptions {
+  conflict?: ConflictResolution;
+}
+
+export interface UpsertOptions {
+  // Cột của khóa chính hoặc unique index dùng cho ON CONFLICT, mặc định chọn theo schema
+  conflictTarget?: string[];
+  // Cột được cập nhật khi trùng khóa, mặc định là mọi cột được ghi trừ conflictTarget
+  updateColumns?: string[];
+}
+
+// INSERT ... ON CONFLICT DO UPDATE chỉ có từ SQLite 3.24.0
+const UPSERT_MIN_VERSION = '3.24.0';
+
+// Giới hạn số tham số ? trong một câu lệnh (SQLITE_MAX_VARIABLE_NUMBER) của SQLite trước 3.32.0
+const SQLITE_MAX_VARIABLES = 999;
+
+export interface InsertManyOptions extends InsertOptions {
+  // Số dòng tối đa trong một câu INSERT, luôn bị giới hạn bởi SQLITE_MAX_VARIABLES / số cột
+  chunkSize?: number;
+  // Gọi sau mỗi câu INSERT với số dòng đã ghi và tổng số dòng
+  onProgress?: (inserted: number, total: number) => void;
+}
+
+export interface InsertManyResult {
+  rowsAffected: number;
+  // rowid theo thứ tự dòng đầu vào, undefined nếu không xác định được (dòng bị IGNORE, bảng chưa nạp schema)
+  insertIds: (number | undefined)[];
+  statements: number;
+}
+
 // Transaction types
 export interface TransactionOperation {
   type: 'insert' | 'update' | 'delete' | 'select';
   table: QueryTable;
 }
 
+export interface TransactionOptions {
+  // Thời gian tối đa (ms) chờ khi kết nối đang bị transaction khác giữ, 0 là chờ không giới hạn
+  timeout?: number;
+  // Tên transaction hiển thị trong thông báo chẩn đoán deadlock
+  label?: string;
+}
+
+export interface ConnectionLockInfo {
+  holder: string | null;
+  heldForMs: number;
+  depth: number;
+  waiting: {label: string; waitedMs: number; transaction: boolean}[];
+}
+
+export interface QueryEvent {
+  database: string;
+  // Với runBatch là các câu lệnh nối bằng ';\n' và params nối theo thứ tự
+  sql: string;
+  params: any[];
+  // Date.now() khi câu lệnh được gửi xuống driver, sau khi đã chờ kết nối
+  startedAt: number;
+}
+
+export interface QueryCompleteEvent extends QueryEvent {
+  durationMs: number;
+  // Số bản ghi trả về (SELECT, PRAGMA...)
+  rowCount: number;
+  rowsAffected: number;
+  error?: Error;
+  // durationMs đạt ngưỡng của setSlowQueryThreshold
+  slow: boolean;
+}
+
+export interface QueryHooks {
+  beforeQuery?: (event: QueryEvent) => void;
+  afterQuery?: (event: QueryCompleteEvent) => void;
+  // Chỉ được gọi với câu lệnh chậm, sau afterQuery
+  onSlowQuery?: (event: QueryCompleteEvent) => void;
+}
+
+interface ConnectionWaiter {
+  // Transaction chờ giữ kết nối, hoặc null với câu lệnh đơn lẻ chỉ chờ kết nối được nhả
+  owner: symbol | null;
+  label: string;
+  enqueuedAt: number;
+  resolve: () => void;
+  timer?: ReturnType<typeof setTimeout>;
+}
+
+// Khóa của một kết nối, dùng chung giữa DAO và các handle transaction tạo từ nó
+interface ConnectionState {
+  owner: symbol | null;
+  ownerLabel: string;
+  acquiredAt: number;
+  waiters: ConnectionWaiter[];
+  // Câu lệnh đã được cho qua khi nhả khóa nhưng chưa gửi xuống driver
+  admitted: number;
+  // Transaction của owner: phần tử đầu là BEGIN, các phần tử sau là tên SAVEPOINT lồng nhau
+  transactionStack: string[];
+}
+
+const DEFAULT_LOCK_TIMEOUT = 30000;
+const DEFAULT_SLOW_QUERY_THRESHOLD = 200;
+const DEFAULT_BATCH_SIZE = 500;
+// Alias của các cột sắp xếp được chọn thêm để lấy giá trị con trỏ, bị bỏ khỏi bản ghi trả về
+const KEYSET_ALIAS_PREFIX = '__keyset_';
+let transactionSequence = 0;
+
 export class SQLiteDAO {
-  private db: SQLiteDatabase | null = null;
+  private db: SQLiteConnection | null = null;
+  private driver: SQLiteDriver | null;
   private isOpen: boolean = false;
   private isDebug: boolean = true;
   private dbName: string;
-  private inTransaction: boolean = false;
+  private connection: ConnectionState = {
+    owner: null,
+    ownerLabel: '',
+    acquiredAt: 0,
+    waiters: [],
+    admitted: 0,
+    transactionStack: [],
+  };
+  // Định danh chủ sở hữu khóa: DAO gốc và mỗi handle transaction có định danh riêng
+  private ownerToken: symbol = Symbol('connection');
+  // Tên transaction của handle, hiển thị trong getLockInfo() và thông báo timeout
+  private transactionLabel: string = '';
+  private lockTimeout: number = DEFAULT_LOCK_TIMEOUT;
+  // Dùng chung với các handle transaction (tạo bằng Object.create) nên chỉ được sửa tại chỗ
+  private queryHooks: QueryHooks[] = [];
+  private slowQueryThreshold: number | null = DEFAULT_SLOW_QUERY_THRESHOLD;
+  private sqliteVersion: string | null = null;
+  private fullTextSupported: boolean | null = null;
   private typeMappingConfig: TypeMappingConfig['type_mapping'] | null = null;
+  private schema: DatabaseSchemaWithTypeMapping | null = null;
+  // Tên cột theo bảng của schema đã nạp, dùng để kiểm tra định danh trong SQL sinh ra
+  private tableColumns: Map<string, Set<string>> = new Map();
+  // Cột alias của rowid đọc bằng PRAGMA table_info, cho các bảng schema không khai báo
+  private rowidColumns: Map<string, string | null> = new Map();
+  private codec: ValueCodec = new ValueCodec();
+  private validator: SchemaValidator = new SchemaValidator();
 
-  constructor(dbFilePath: string, debug: boolean = true) {
+  /**
+   * @param driver SQLite engine to open the database with, the default driver
+   * (react-native-sqlite-storage unless changed by setDefaultDriver) if omitted
+   */
+  constructor(
+    dbFilePath: string,
+    debug: boolean = true,
+    driver?: SQLiteDriver,
+  ) {
     this.dbName = dbFilePath;
     this.isDebug = debug;
+    this.driver = driver || null;
     // Connection is no longer initiated in the constructor
   }
 
@@ -142,7 +505,8 @@ export class SQLiteDAO {
     }
 
     try {
-      this.db = await SQLite.openDatabase({
+      // Driver mặc định được lấy lúc kết nối để setDefaultDriver có tác dụng với DAO đã tạo
+      this.db = await (this.driver || getDefaultDriver()).open({
         name: this.dbName,
         location: 'default',
       });
@@ -179,6 +543,42 @@ export class SQLiteDAO {
     this.log('Type mapping configuration loaded');
   }
 
+  /**
+   * Registers the JSON schema this connection serves. Once set, generated SQL
+   * may only reference the tables and columns it declares.
+   */
+  setSchema(schema: DatabaseSchemaWithTypeMapping): void {
+    this.schema = schema;
+    this.tableColumns = new Map(
+      [
+        ...Object.entries(schema.schemas),
+        ...(schema.views || []).map(view => [view.name, view] as const),
+      ].map(([tableName, tableConfig]) => [
+        tableName,
+        new Set(tableConfig.cols.map(col => col.name)),
+      ]),
+    );
+    this.codec.setSchema(schema);
+    this.validator.setSchema(schema);
+    if (schema.type_mapping) this.setTypeMappingConfig(schema.type_mapping);
+  }
+
+  getSchema(): DatabaseSchemaWithTypeMapping | null {
+    return this.schema;
+  }
+
+  /**
+   * Replaces how values of a generic column type are written and read, e.g.
+   * to keep `decimal` columns in an arbitrary-precision number type.
+   */
+  registerCodec(type: string, codec: ColumnCodec): void {
+    this.codec.register(type, codec);
+  }
+
+  getValueCodec(): ValueCodec {
+    return this.codec;
+  }
+
   private convertToSQLiteType(genericType: string): string {
     if (!this.typeMappingConfig || !this.typeMappingConfig.sqlite) {
       return this.getDefaultSQLiteType(genericType);
@@ -221,38 +621,58 @@ export class SQLiteDAO {
     return defaultMapping[genericType.toLowerCase()] || 'TEXT';
   }
 
-  private processColumnDefinition(col: ColumnDefinition): ColumnDefinition {
+  private processColumnDefinition(
+    col: ColumnDefinition,
+    tableName: string,
+  ): ColumnDefinition {
     const processedCol: ColumnDefinition = {...col};
     processedCol.type = this.convertToSQLiteType(col.type);
+    const constraints = ConstraintParser.parse(
+      col.constraints,
+      `${tableName}.${col.name}`,
+    );
     const options: string[] = [];
-    if (col.constraints) {
-      const constraints = col.constraints.toUpperCase().split(' ');
-      if (constraints.includes('PRIMARY')) {
-        options.push('PRIMARY KEY');
-        processedCol.primary_key = true;
-      }
-      if (
-        constraints.includes('AUTO_INCREMENT') ||
-        constraints.includes('AUTOINCREMENT')
-      ) {
-        if (processedCol.primary_key) options.push('AUTOINCREMENT');
-        processedCol.auto_increment = true;
-      }
-      if (constraints.includes('NOT') && constraints.includes('NULL')) {
-        options.push('NOT NULL');
-        processedCol.nullable = false;
-      }
-      if (constraints.includes('UNIQUE')) {
-        if (!processedCol.primary_key) options.push('UNIQUE');
-        processedCol.unique = true;
-      }
-      const defaultIndex = constraints.indexOf('DEFAULT');
-      if (defaultIndex !== -1 && constraints.length > defaultIndex + 1) {
-        const defaultValue = constraints[defaultIndex + 1];
-        options.push(`DEFAULT ${defaultValue}`);
-        processedCol.default = defaultValue;
-      }
+    if (constraints.primaryKey) {
+      options.push(
+        ['PRIMARY KEY', constraints.primaryKeyOrder].filter(Boolean).join(' '),
+      );
+      processedCol.primary_key = true;
+    }
+    if (constraints.autoIncrement) {
+      if (processedCol.primary_key) options.push('AUTOINCREMENT');
+      processedCol.auto_increment = true;
+    }
+    if (constraints.notNull) {
+      options.push('NOT NULL');
+      processedCol.nullable = false;
+    }
+    if (constraints.unique) {
+      if (!processedCol.primary_key) options.push('UNIQUE');
+      processedCol.unique = true;
     }
+    if (constraints.default !== undefined) {
+      options.push(`DEFAULT ${constraints.default}`);
+      processedCol.default = constraints.default;
+    }
+    if (constraints.collate) {
+      this.quoteIdentifier(constraints.collate);
+      options.push(`COLLATE ${constraints.collate}`);
+    }
+    options.push(...constraints.checks.map(check => `CHECK (${check})`));
+    if (constraints.references) {
+      const {table, column, onDelete, onUpdate} = constraints.references;
+      let references = `REFERENCES ${this.quoteIdentifier(table)}`;
+      if (column) references += `(${this.quoteIdentifier(column)})`;
+      if (onDelete) references += ` ON DELETE ${onDelete}`;
+      if (onUpdate) references += ` ON UPDATE ${onUpdate}`;
+      options.push(references);
+    }
+    options.push(
+      ...this.validator.getCheckConstraints(
+        col,
+        this.quoteIdentifier(col.name),
+      ),
+    );
     processedCol.option_key = options.join(' ').trim();
     return processedCol;
   }
@@ -267,59 +687,161 @@ export class SQLiteDAO {
     if (!this.isConnected())
       throw new Error('Database is not connected. Call connect() first.');
     this.log(`Initializing database from schema: ${schema.database_name}`);
-    if (schema.type_mapping) this.setTypeMappingConfig(schema.type_mapping);
+    this.setSchema(schema);
 
     try {
       await this.runSql('PRAGMA foreign_keys = ON');
-      await this.beginTransaction();
-
-      for (const [tableName, tableConfig] of Object.entries(schema.schemas)) {
-        const tableDefinition: TableDefinition = {
-          name: tableName,
-          cols: tableConfig.cols.map(col => this.processColumnDefinition(col)),
-          description: tableConfig.description,
-          indexes: tableConfig.indexes,
-          foreign_keys: tableConfig.foreign_keys,
-        };
-        await this.createTableWithForeignKeys(tableDefinition);
-        this.log(`Created table: ${tableName}`);
-      }
+      const fullText = await this.getFullTextTables(schema);
+      await this.transaction(async tx => {
+        for (const [tableName, tableConfig] of Object.entries(schema.schemas)) {
+          await tx.createTableWithForeignKeys(
+            tx.buildTableDefinition(tableName, tableConfig),
+          );
+          tx.log(`Created table: ${tableName}`);
+        }
 
-      for (const [tableName, tableConfig] of Object.entries(schema.schemas)) {
-        if (tableConfig.indexes && tableConfig.indexes.length > 0) {
-          await this.createIndexesForTable(tableName, tableConfig.indexes);
+        for (const [tableName, tableConfig] of Object.entries(schema.schemas)) {
+          if (tableConfig.indexes && tableConfig.indexes.length > 0) {
+            await tx.createIndexesForTable(tableName, tableConfig.indexes);
+          }
         }
-      }
 
-      await this.commitTransaction();
+        for (const [tableName, fts] of fullText)
+          await tx.createFullTextTable(tableName, fts);
+
+        for (const view of schema.views || [])
+          await tx.runSql(tx.buildCreateViewSql(view));
+        for (const trigger of schema.triggers || [])
+          await tx.runSql(tx.buildCreateTriggerSql(trigger));
+      });
       this.log('Database schema initialized successfully from JSON config.');
     } catch (error) {
-      await this.rollbackTransaction();
       this.logError('Failed to initialize database schema:', error);
       throw error;
     }
   }
 
-  async createTableWithForeignKeys(table: TableDefinition): Promise<string> {
-    const columnDefs = table.cols.map(col =>
-      `${col.name} ${col.type} ${col.option_key || ''}`.trim(),
-    );
+  /**
+   * Resolves a table of the JSON schema into the definition used for CREATE
+   * TABLE: SQLite column types and parsed column constraints.
+   */
+  buildTableDefinition(
+    tableName: string,
+    tableConfig: DatabaseSchemaWithTypeMapping['schemas'][string],
+  ): TableDefinition {
+    return {
+      name: tableName,
+      cols: tableConfig.cols.map(col =>
+        this.processColumnDefinition(col, tableName),
+      ),
+      description: tableConfig.description,
+      indexes: tableConfig.indexes,
+      foreign_keys: tableConfig.foreign_keys,
+      primary_key: tableConfig.primary_key,
+      unique: tableConfig.unique,
+      check: tableConfig.check,
+    };
+  }
+
+  async createTableWithForeignKeys(table: TableDefinition): Promise<RunResult> {
+    const result = await this.runSql(this.buildCreateTableSql(table));
+    this.log(`Created table ${table.name} with foreign keys`);
+    return result;
+  }
+
+  // Câu CREATE TABLE của một bảng; ifNotExists = false khi tạo bảng tạm để rebuild
+  buildCreateTableSql(table: TableDefinition, ifNotExists = true): string {
+    const columnDefs = table.cols.map(col => this.buildColumnSql(col));
     const foreignKeyDefs: string[] = [];
     if (table.foreign_keys) {
       for (const fk of table.foreign_keys) {
-        let fkSql = `FOREIGN KEY (${fk.column}) REFERENCES ${fk.references.table}(${fk.references.column})`;
-        if (fk.on_delete) fkSql += ` ON DELETE ${fk.on_delete}`;
-        if (fk.on_update) fkSql += ` ON UPDATE ${fk.on_update}`;
+        let fkSql = `FOREIGN KEY (${this.quoteIdentifier(
+          fk.column,
+        )}) REFERENCES ${this.quoteIdentifier(
+          fk.references.table,
+        )}(${this.quoteIdentifier(fk.references.column)})`;
+        if (fk.on_delete)
+          fkSql += ` ON DELETE ${this.toForeignKeyAction(fk.on_delete, fk)}`;
+        if (fk.on_update)
+          fkSql += ` ON UPDATE ${this.toForeignKeyAction(fk.on_update, fk)}`;
         foreignKeyDefs.push(fkSql);
       }
     }
-    const allDefs = [...columnDefs, ...foreignKeyDefs];
-    let sql = `CREATE TABLE IF NOT EXISTS ${table.name} (${allDefs.join(
-      ', ',
-    )})`;
-    const result = await this.runSql(sql);
-    this.log(`Created table ${table.name} with foreign keys`);
-    return result;
+    const allDefs = [
+      ...columnDefs,
+      ...this.buildTableConstraints(table),
+      ...foreignKeyDefs,
+    ];
+    return `CREATE TABLE ${
+      ifNotExists ? 'IF NOT EXISTS ' : ''
+    }${this.quoteIdentifier(table.name)} (${allDefs.join(', ')})`;
+  }
+
+  // Định nghĩa một cột trong CREATE TABLE hoặc ALTER TABLE ... ADD COLUMN
+  buildColumnSql(col: ColumnDefinition): string {
+    return `${this.quoteIdentifier(col.name)} ${col.type} ${
+      col.option_key || ''
+    }`.trim();
+  }
+
+  private buildTableConstraints(table: TableDefinition): string[] {
+    const columnList = (columns: string[], clause: string) => {
+      if (!Array.isArray(columns) || columns.length === 0)
+        throw new Error(
+          `${clause} of table '${table.name}' requires at least one column`,
+        );
+      return columns
+        .map(column => {
+          if (!table.cols.some(col => col.name === column))
+            throw new Error(
+              `Unknown column '${column}' in ${clause} of table '${table.name}'`,
+            );
+          return this.quoteIdentifier(column);
+        })
+        .join(', ');
+    };
+    const constraints: string[] = [];
+    if (table.primary_key) {
+      const columnKey = table.cols.find(
+        col =>
+          col.primary_key ||
+          ConstraintParser.parse(col.constraints, `${table.name}.${col.name}`)
+            .primaryKey,
+      );
+      if (columnKey)
+        throw new Error(
+          `Table '${table.name}' declares a primary key on column '${columnKey.name}' and a table-level primary_key, use only one`,
+        );
+      constraints.push(
+        `PRIMARY KEY (${columnList(table.primary_key, 'primary_key')})`,
+      );
+    }
+    for (const columns of table.unique || [])
+      constraints.push(`UNIQUE (${columnList(columns, 'unique')})`);
+    // Dùng lại parser của ràng buộc cột để kiểm tra ngoặc và chuỗi trong biểu thức
+    for (const check of table.check || []) {
+      const {checks} = ConstraintParser.parse(
+        `CHECK (${check})`,
+        `${table.name} (table check)`,
+      );
+      if (checks.length !== 1)
+        throw new Error(
+          `Invalid check of table '${table.name}': expected a single expression, got "${check}"`,
+        );
+      constraints.push(`CHECK (${checks[0]})`);
+    }
+    return constraints;
+  }
+
+  private toForeignKeyAction(action: string, fk: ForeignKeyDefinition): string {
+    const normalized = action.trim().replace(/\s+/g, ' ').toUpperCase();
+    if (!FOREIGN_KEY_ACTIONS.includes(normalized))
+      throw new Error(
+        `Invalid foreign key action '${action}' on '${
+          fk.name
+        }', expected one of ${FOREIGN_KEY_ACTIONS.join(', ')}`,
+      );
+    return normalized;
   }
 
   // ===========================================
@@ -330,28 +852,357 @@ export class SQLiteDAO {
     return this.isOpen && !!this.db;
   }
 
-  async beginTransaction(): Promise<void> {
-    if (this.inTransaction) throw new Error('Transaction already in progress');
-    await this.runSql('BEGIN TRANSACTION');
-    this.inTransaction = true;
+  getDatabaseName(): string {
+    return this.dbName;
+  }
+
+  getDriverName(): string {
+    return (this.driver || getDefaultDriver()).name;
+  }
+
+  /**
+   * Runs `work` in a transaction that holds this connection exclusively:
+   * statements issued through any other reference to the DAO wait until it
+   * ends. `work` must run its statements on the `tx` handle it receives;
+   * nested calls on `tx` become SAVEPOINTs.
+   */
+  async transaction<T>(
+    work: (tx: SQLiteDAO) => Promise<T>,
+    options: TransactionOptions = {},
+  ): Promise<T> {
+    const tx = await this.beginTransaction(options);
+    const depth = tx.getTransactionDepth();
+    try {
+      const result = await work(tx);
+      await tx.commitTransaction();
+      return result;
+    } catch (error) {
+      // Still open when work() or the COMMIT itself failed
+      if (tx.getTransactionDepth() >= depth) {
+        try {
+          await tx.rollbackTransaction();
+        } catch (rollbackError) {
+          this.logError('Rollback failed:', rollbackError);
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Starts a transaction and returns the handle that holds it: statements,
+   * commitTransaction() and rollbackTransaction() must go through that handle.
+   * Waits while another transaction holds the connection. Called on a handle
+   * inside its transaction, opens a SAVEPOINT on it instead, so nested
+   * begin/commit/rollback pairs only affect their own scope.
+   */
+  async beginTransaction(options: TransactionOptions = {}): Promise<SQLiteDAO> {
+    if (!this.ownsConnection()) {
+      const tx = this.createHandle(options.label);
+      await tx.acquireConnection(options);
+      try {
+        await tx.runSql('BEGIN TRANSACTION');
+      } catch (error) {
+        tx.releaseConnection();
+        throw error;
+      }
+      this.connection.transactionStack.push('BEGIN');
+      return tx;
+    }
+    const stack = this.connection.transactionStack;
+    const savepoint = `sp_${stack.length}`;
+    await this.runSql(`SAVEPOINT ${savepoint}`);
+    stack.push(savepoint);
+    this.log(`Savepoint ${savepoint} started`);
+    return this;
   }
 
   async commitTransaction(): Promise<void> {
-    if (!this.inTransaction) throw new Error('No transaction in progress');
-    await this.runSql('COMMIT');
-    this.inTransaction = false;
+    if (this.getTransactionDepth() === 0)
+      throw new Error('No transaction in progress');
+    const stack = this.connection.transactionStack;
+    // A failed COMMIT/RELEASE leaves the scope open so it can still be rolled back
+    if (stack.length === 1) {
+      await this.runSql('COMMIT');
+    } else {
+      await this.runSql(`RELEASE SAVEPOINT ${this.currentSavepoint()}`);
+    }
+    stack.pop();
+    if (stack.length === 0) this.releaseConnection();
   }
 
   async rollbackTransaction(): Promise<void> {
-    if (!this.inTransaction) throw new Error('No transaction in progress');
-    await this.runSql('ROLLBACK');
-    this.inTransaction = false;
+    if (this.getTransactionDepth() === 0)
+      throw new Error('No transaction in progress');
+    const stack = this.connection.transactionStack;
+    try {
+      if (stack.length === 1) {
+        await this.runSql('ROLLBACK');
+      } else {
+        // ROLLBACK TO keeps the savepoint open, RELEASE then closes it
+        const savepoint = this.currentSavepoint();
+        await this.runSql(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+        await this.runSql(`RELEASE SAVEPOINT ${savepoint}`);
+      }
+    } finally {
+      stack.pop();
+      if (stack.length === 0) this.releaseConnection();
+    }
+  }
+
+  isInTransaction(): boolean {
+    return this.getTransactionDepth() > 0;
+  }
+
+  /**
+   * Nesting depth of the transaction this reference holds: 0 when none, 1 for
+   * the outer BEGIN, +1 for each SAVEPOINT inside it.
+   */
+  getTransactionDepth(): number {
+    return this.ownsConnection() ? this.connection.transactionStack.length : 0;
+  }
+
+  // Tên các SAVEPOINT đang mở, từ ngoài vào trong
+  getSavepoints(): string[] {
+    return this.ownsConnection()
+      ? this.connection.transactionStack.slice(1)
+      : [];
+  }
+
+  // Thời gian chờ mặc định (ms) khi kết nối đang bị transaction khác giữ, 0 là chờ không giới hạn
+  setLockTimeout(timeout: number): void {
+    this.lockTimeout = timeout;
+  }
+
+  /**
+   * Subscribes to every statement sent to the driver, with its SQL,
+   * parameters, duration, row count and error. A hook that throws is logged
+   * and does not affect the statement. Returns a function that unsubscribes.
+   */
+  addQueryHooks(hooks: QueryHooks): () => void {
+    this.queryHooks.push(hooks);
+    return () => this.removeQueryHooks(hooks);
+  }
+
+  removeQueryHooks(hooks: QueryHooks): void {
+    const index = this.queryHooks.indexOf(hooks);
+    if (index !== -1) this.queryHooks.splice(index, 1);
+  }
+
+  // Câu lệnh chạy lâu từ `ms` mili giây trở lên được báo qua onSlowQuery; null để tắt
+  setSlowQueryThreshold(ms: number | null): void {
+    if (ms !== null && (typeof ms !== 'number' || !(ms >= 0)))
+      throw new Error(
+        `Slow query threshold must be a non-negative number of milliseconds or null, got ${JSON.stringify(
+          ms,
+        )}`,
+      );
+    this.slowQueryThreshold = ms;
+  }
+
+  /**
+   * Who holds the connection and who is waiting for it, for diagnosing
+   * transactions that block each other.
+   */
+  getLockInfo(): ConnectionLockInfo {
+    const state = this.connection;
+    const now = Date.now();
+    return {
+      holder: state.owner ? state.ownerLabel : null,
+      heldForMs: state.owner ? now - state.acquiredAt : 0,
+      depth: state.transactionStack.length,
+      waiting: state.waiters.map(waiter => ({
+        label: waiter.label,
+        waitedMs: now - waiter.enqueuedAt,
+        transaction: waiter.owner !== null,
+      })),
+    };
+  }
+
+  // True when both references run on the same connection (a DAO and its transaction handles)
+  isSameConnection(other: SQLiteDAO): boolean {
+    return this.connection === other.connection;
+  }
+
+  private currentSavepoint(): string {
+    return this.connection.transactionStack[
+      this.connection.transactionStack.length - 1
+    ];
+  }
+
+  private ownsConnection(): boolean {
+    return this.connection.owner === this.ownerToken;
+  }
+
+  // Handle shares the connection and its state through the prototype, but has its own lock identity
+  private createHandle(label?: string): SQLiteDAO {
+    const handle: SQLiteDAO = Object.create(this);
+    handle.ownerToken = Symbol('transaction');
+    handle.transactionLabel =
+      label || `transaction#${++transactionSequence}(${this.dbName})`;
+    return handle;
+  }
+
+  private async acquireConnection(options: TransactionOptions): Promise<void> {
+    const state = this.connection;
+    const label = this.transactionLabel;
+    if (
+      state.owner === null &&
+      state.waiters.length === 0 &&
+      state.admitted === 0
+    ) {
+      state.owner = this.ownerToken;
+      state.ownerLabel = label;
+      state.acquiredAt = Date.now();
+      return;
+    }
+    await this.enqueue(this.ownerToken, label, options.timeout);
+  }
+
+  private releaseConnection(): void {
+    this.connection.owner = null;
+    this.connection.ownerLabel = '';
+    this.grantNext();
+  }
+
+  /**
+   * Waits while another transaction holds the connection. Returns true when
+   * the statement was let through from the queue.
+   */
+  private async waitForConnection(sql: string): Promise<boolean> {
+    const state = this.connection;
+    if (state.owner === null || this.ownsConnection()) return false;
+    await this.enqueue(null, sql, this.lockTimeout);
+    return true;
+  }
+
+  private enqueue(
+    owner: symbol | null,
+    label: string,
+    timeout: number = this.lockTimeout,
+  ): Promise<void> {
+    const state = this.connection;
+    return new Promise((resolve, reject) => {
+      const waiter: ConnectionWaiter = {
+        owner,
+        label,
+        enqueuedAt: Date.now(),
+        resolve,
+      };
+      if (timeout > 0)
+        waiter.timer = setTimeout(() => {
+          state.waiters.splice(state.waiters.indexOf(waiter), 1);
+          reject(
+            new Error(
+              `Timed out after ${timeout}ms waiting for database '${
+                this.dbName
+              }' to run ${label}: the connection is held by ${
+                state.ownerLabel || 'another statement'
+              } for ${
+                Date.now() - state.acquiredAt
+              }ms. A statement issued from inside a transaction callback through the shared DAO waits for its own transaction (deadlock); use the transaction handle passed to the callback instead.`,
+            ),
+          );
+          this.grantNext();
+        }, timeout);
+      state.waiters.push(waiter);
+    });
+  }
+
+  private grantNext(): void {
+    const state = this.connection;
+    while (state.owner === null && state.waiters.length > 0) {
+      const next = state.waiters[0];
+      // Statements let through must reach the driver before the next BEGIN
+      if (next.owner && state.admitted > 0) return;
+      state.waiters.shift();
+      clearTimeout(next.timer);
+      if (next.owner) {
+        state.owner = next.owner;
+        state.ownerLabel = next.label;
+        state.acquiredAt = Date.now();
+      } else {
+        state.admitted++;
+      }
+      next.resolve();
+    }
+  }
+
+  private async execute(sql: string, params: any[]): Promise<DriverResult> {
+    const admitted = await this.waitForConnection(sql);
+    try {
+      if (!this.db || !this.isOpen)
+        throw new Error('Database is not initialized');
+      const db = this.db;
+      return await this.profile(sql, params, () => db.execute(sql, params));
+    } finally {
+      if (admitted) {
+        this.connection.admitted--;
+        this.grantNext();
+      }
+    }
   }
 
   // ===========================================
   // TABLE & INDEX MANAGEMENT
   // ===========================================
 
+  // Đo thời gian một lần gọi driver và báo cho các QueryHooks đã đăng ký
+  private async profile<T extends {rowsAffected: number; rows?: any[]}>(
+    sql: string,
+    params: any[],
+    run: () => Promise<T>,
+  ): Promise<T> {
+    const event: QueryEvent = {
+      database: this.dbName,
+      sql,
+      params,
+      startedAt: Date.now(),
+    };
+    this.notifyQueryHooks('beforeQuery', event);
+    let result: T | undefined;
+    let error: Error | undefined;
+    try {
+      result = await run();
+      return result;
+    } catch (err) {
+      error = err as Error;
+      throw err;
+    } finally {
+      const durationMs = Date.now() - event.startedAt;
+      const completed: QueryCompleteEvent = {
+        ...event,
+        durationMs,
+        rowCount: result?.rows?.length ?? 0,
+        rowsAffected: result?.rowsAffected ?? 0,
+        error,
+        slow:
+          this.slowQueryThreshold !== null &&
+          durationMs >= this.slowQueryThreshold,
+      };
+      this.notifyQueryHooks('afterQuery', completed);
+      if (completed.slow) {
+        this.log(`Slow query (${durationMs}ms): ${sql}`, params);
+        this.notifyQueryHooks('onSlowQuery', completed);
+      }
+    }
+  }
+
+  private notifyQueryHooks(
+    name: keyof QueryHooks,
+    event: QueryEvent | QueryCompleteEvent,
+  ): void {
+    // Bản sao để hook có thể tự hủy đăng ký trong lúc được gọi
+    for (const hooks of [...this.queryHooks]) {
+      const hook = hooks[name] as ((event: QueryEvent) => void) | undefined;
+      try {
+        hook?.(event);
+      } catch (error) {
+        this.logError(`Query hook ${name} failed:`, error);
+      }
+    }
+  }
+
   async getDatabaseInfo(): Promise<any> {
     const tables = await this.getRsts(
       "SELECT name FROM sqlite_master WHERE type='table'",
@@ -366,11 +1217,13 @@ export class SQLiteDAO {
   }
 
   async getTableInfo(tableName: string): Promise<any[]> {
-    return this.getRsts(`PRAGMA table_info(${tableName})`);
+    return this.getRsts(
+      `PRAGMA table_info(${this.quoteIdentifier(tableName)})`,
+    );
   }
 
-  async dropTable(tableName: string): Promise<string> {
-    const sql = `DROP TABLE IF EXISTS ${tableName}`;
+  async dropTable(tableName: string): Promise<RunResult> {
+    const sql = `DROP TABLE IF EXISTS ${this.quoteIdentifier(tableName)}`;
     return this.runSql(sql);
   }
 
@@ -385,46 +1238,605 @@ export class SQLiteDAO {
   async createIndexFromDefinition(
     tableName: string,
     indexDef: IndexDefinition,
-  ): Promise<string> {
-    const columns = indexDef.columns.join(', ');
-    const isUnique = indexDef.unique || false;
-    const sql = `CREATE ${isUnique ? 'UNIQUE' : ''} INDEX IF NOT EXISTS ${
-      indexDef.name
-    } ON ${tableName} (${columns})`;
-    return this.runSql(sql);
+  ): Promise<RunResult> {
+    return this.runSql(this.buildCreateIndexSql(tableName, indexDef));
+  }
+
+  buildCreateIndexSql(tableName: string, indexDef: IndexDefinition): string {
+    const scope = this.createScope(tableName);
+    const columns = indexDef.columns
+      .map(column => this.quoteColumn(column, scope))
+      .join(', ');
+    const unique = indexDef.unique ? 'UNIQUE ' : '';
+    return `CREATE ${unique}INDEX IF NOT EXISTS ${this.quoteIdentifier(
+      indexDef.name,
+    )} ON ${this.quoteIdentifier(tableName)} (${columns})`;
   }
 
   // ===========================================
-  // CRUD OPERATIONS
+  // VIEWS AND TRIGGERS
   // ===========================================
 
-  async insert(insertTable: QueryTable): Promise<string> {
-    const validCols = insertTable.cols.filter(
-      col => col.value !== undefined && col.value !== null,
-    );
-    if (validCols.length === 0) throw new Error('No valid columns to insert');
-    const columnNames = validCols.map(col => col.name).join(', ');
-    const placeholders = validCols.map(() => '?').join(', ');
-    const params = validCols.map(col =>
-      typeof col.value === 'object' ? JSON.stringify(col.value) : col.value,
-    );
-    const sql = `INSERT INTO ${insertTable.name} (${columnNames}) VALUES (${placeholders})`;
-    return this.runSql(sql, params);
+  isView(name: string): boolean {
+    return !!this.schema?.views?.some(view => view.name === name);
   }
 
-  async update(updateTable: QueryTable): Promise<string> {
-    const setCols = updateTable.cols.filter(
-      col =>
+  buildCreateViewSql(view: ViewDefinition): string {
+    if (!view.select || !/^\s*(SELECT|WITH|VALUES)\b/i.test(view.select))
+      throw new Error(
+        `View '${view.name}' must be defined by a SELECT statement`,
+      );
+    return `CREATE VIEW IF NOT EXISTS ${this.quoteIdentifier(
+      view.name,
+    )} AS ${view.select.trim().replace(/;\s*$/, '')}`;
+  }
+
+  /**
+   * CREATE TRIGGER of a schema trigger, e.g. an auto-touch of `updated_at`:
+   * `{name, table: 'users', timing: 'AFTER', event: 'UPDATE', when:
+   * 'NEW.updated_at IS OLD.updated_at', statements: ['UPDATE users SET
+   * updated_at = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid']}`.
+   */
+  buildCreateTriggerSql(trigger: TriggerDefinition): string {
+    const timing = String(trigger.timing || '').toUpperCase();
+    const event = String(trigger.event || '').toUpperCase();
+    if (!TRIGGER_TIMINGS.includes(timing))
+      throw new Error(
+        `Invalid timing '${trigger.timing}' of trigger '${trigger.name}': expected ${TRIGGER_TIMINGS.join(
+          ', ',
+        )}`,
+      );
+    if (!TRIGGER_EVENTS.includes(event))
+      throw new Error(
+        `Invalid event '${trigger.event}' of trigger '${trigger.name}': expected ${TRIGGER_EVENTS.join(
+          ', ',
+        )}`,
+      );
+    if ((timing === 'INSTEAD OF') !== this.isView(trigger.table))
+      throw new Error(
+        `Trigger '${trigger.name}' on '${trigger.table}': INSTEAD OF triggers are only allowed on views, and views only allow INSTEAD OF triggers`,
+      );
+    if (trigger.columns?.length && event !== 'UPDATE')
+      throw new Error(
+        `Trigger '${trigger.name}' lists columns, which only UPDATE triggers can have`,
+      );
+    const statements = (trigger.statements || [])
+      .map(statement => statement.trim().replace(/;\s*$/, ''))
+      .filter(Boolean);
+    if (statements.length === 0)
+      throw new Error(`Trigger '${trigger.name}' has no statements`);
+
+    const scope = this.createScope(trigger.table);
+    const columns = trigger.columns?.length
+      ? ` OF ${trigger.columns
+          .map(column => this.quoteColumn(column, scope))
+          .join(', ')}`
+      : '';
+    const when = trigger.when ? ` WHEN ${trigger.when}` : '';
+    return `CREATE TRIGGER IF NOT EXISTS ${this.quoteIdentifier(
+      trigger.name,
+    )} ${timing} ${event}${columns} ON ${this.quoteIdentifier(
+      trigger.table,
+    )} FOR EACH ROW${when} BEGIN ${statements
+      .map(statement => `${statement};`)
+      .join(' ')} END`;
+  }
+
+  // ===========================================
+  // FULL-TEXT SEARCH (FTS5)
+  // ===========================================
+
+  /**
+   * Whether the connected engine has FTS5 compiled in (cached). Builds
+   * without it, such as sql.js, skip the `fts` tables of the schema.
+   */
+  async supportsFullTextSearch(): Promise<boolean> {
+    if (this.fullTextSupported === null) {
+      const row = await this.getRst(
+        "SELECT sqlite_compileoption_used('ENABLE_FTS5') AS fts5",
+      );
+      this.fullTextSupported = Number(row.fts5) === 1;
+    }
+    return this.fullTextSupported;
+  }
+
+  /**
+   * Tables of the schema that declare `fts`, or none (with a warning) when
+   * the engine has no FTS5.
+   */
+  async getFullTextTables(
+    schema: DatabaseSchemaWithTypeMapping,
+  ): Promise<[string, FullTextDefinition][]> {
+    const tables = Object.entries(schema.schemas)
+      .filter(([, tableConfig]) => tableConfig.fts)
+      .map(([tableName, tableConfig]): [string, FullTextDefinition] => [
+        tableName,
+        tableConfig.fts!,
+      ]);
+    if (tables.length === 0 || (await this.supportsFullTextSearch()))
+      return tables;
+    this.log(
+      `SQLite of database ${this.dbName} has no FTS5, full-text tables of ${tables
+        .map(([tableName]) => tableName)
+        .join(', ')} are not created`,
+    );
+    return [];
+  }
+
+  getFullTextName(tableName: string, fts: FullTextDefinition): string {
+    return fts.name || `${tableName}_fts`;
+  }
+
+  /**
+   * CREATE VIRTUAL TABLE of the external-content FTS5 table of `tableName`,
+   * then the AFTER INSERT/DELETE/UPDATE triggers (`<fts>_ai`, `_ad`, `_au`)
+   * that keep it in sync. The FTS table stores only the index and reads the
+   * text back from the base table by rowid.
+   */
+  buildFullTextSql(tableName: string, fts: FullTextDefinition): string[] {
+    const scope = this.createScope(tableName);
+    if (!Array.isArray(fts.columns) || fts.columns.length === 0)
+      throw new Error(
+        `Full-text index of '${tableName}' must list at least one column`,
+      );
+    const name = this.getFullTextName(tableName, fts);
+    const table = this.quoteIdentifier(tableName);
+    const ftsTable = this.quoteIdentifier(name);
+    const columns = fts.columns.map(column => this.quoteColumn(column, scope));
+    const options = [
+      ...columns,
+      `content=${this.toSqlString(tableName)}`,
+      `tokenize=${this.toSqlString(fts.tokenize || DEFAULT_FTS_TOKENIZE)}`,
+    ];
+    if (fts.prefix && fts.prefix.length > 0) {
+      if (!fts.prefix.every(length => Number.isInteger(length) && length > 0))
+        throw new Error(
+          `Invalid prefix ${JSON.stringify(
+            fts.prefix,
+          )} for the full-text index of '${tableName}': expected positive integers`,
+        );
+      options.push(`prefix='${fts.prefix.join(' ')}'`);
+    }
+    const values = (row: 'new' | 'old') =>
+      [`${row}.rowid`, ...columns.map(column => `${row}.${column}`)].join(', ');
+    const insert = `INSERT INTO ${ftsTable} (rowid, ${columns.join(
+      ', ',
+    )}) VALUES (${values('new')});`;
+    // Bảng external-content không tự đọc được giá trị cũ: lệnh 'delete' phải truyền lại đúng giá trị đã index
+    const remove = `INSERT INTO ${ftsTable} (${ftsTable}, rowid, ${columns.join(
+      ', ',
+    )}) VALUES ('delete', ${values('old')});`;
+    const trigger = (suffix: string, event: string, body: string) =>
+      `CREATE TRIGGER IF NOT EXISTS ${this.quoteIdentifier(
+        `${name}_${suffix}`,
+      )} AFTER ${event} ON ${table} BEGIN ${body} END`;
+    return [
+      `CREATE VIRTUAL TABLE IF NOT EXISTS ${ftsTable} USING fts5(${options.join(
+        ', ',
+      )})`,
+      trigger('ai', 'INSERT', insert),
+      trigger('ad', 'DELETE', remove),
+      trigger('au', `UPDATE OF ${columns.join(', ')}`, `${remove} ${insert}`),
+    ];
+  }
+
+  // Lệnh đánh chỉ mục lại toàn bộ bảng FTS từ bảng gốc
+  buildFullTextRebuildSql(tableName: string, fts: FullTextDefinition): string {
+    const ftsTable = this.quoteIdentifier(this.getFullTextName(tableName, fts));
+    return `INSERT INTO ${ftsTable} (${ftsTable}) VALUES ('rebuild')`;
+  }
+
+  // Đánh chỉ mục lại, ví dụ sau khi nạp dữ liệu với trigger tắt hoặc bằng INSERT OR REPLACE
+  async rebuildFullTextIndex(tableName: string): Promise<RunResult> {
+    return this.runSql(
+      this.buildFullTextRebuildSql(
+        tableName,
+        this.getFullTextDefinition(tableName),
+      ),
+    );
+  }
+
+  /**
+   * Searches the FTS5 table of `tableName`. Words of `text` must all match,
+   * each as a prefix ("ca phe sai" finds "Cà phê Sài Gòn"); quotes and FTS5
+   * operators in `text` are taken literally unless `raw` is set. Results are
+   * the base table rows, best match first, with a highlighted snippet.
+   */
+  async search(
+    tableName: string,
+    text: string,
+    options: FullTextSearchOptions = {},
+  ): Promise<FullTextSearchResult[]> {
+    const fts = this.getFullTextDefinition(tableName);
+    const scope = this.createScope(tableName);
+    const columns = options.columns || [];
+    const unknown = columns.find(column => !fts.columns.includes(column));
+    if (unknown)
+      throw new Error(
+        `Column '${unknown}' of '${tableName}' is not in its full-text index: expected one of ${fts.columns.join(
+          ', ',
+        )}`,
+      );
+    const expression = options.raw
+      ? String(text).trim()
+      : this.buildMatchExpression(text);
+    if (!expression) return [];
+    const match =
+      columns.length > 0
+        ? `{${columns.join(' ')}} : (${expression})`
+        : expression;
+    const limit = this.toCount(options.limit ?? DEFAULT_SEARCH_LIMIT, 'LIMIT');
+    const offset = this.toCount(options.offset ?? 0, 'OFFSET');
+    const [open, close] = options.highlight || DEFAULT_HIGHLIGHT;
+
+    const table = this.quoteIdentifier(tableName);
+    const ftsTable = this.quoteIdentifier(this.getFullTextName(tableName, fts));
+    const sql =
+      `SELECT ${table}.*, bm25(${ftsTable}) AS "__fts_rank", ` +
+      `snippet(${ftsTable}, -1, ?, ?, ?, ${SNIPPET_TOKENS}) AS "__fts_snippet" ` +
+      `FROM ${ftsTable} INNER JOIN ${table} ON ${table}.rowid = ${ftsTable}.rowid ` +
+      `WHERE ${ftsTable} MATCH ? ORDER BY "__fts_rank" LIMIT ? OFFSET ?`;
+    const rows = await this.getRsts(sql, [
+      open,
+      close,
+      '…',
+      match,
+      limit,
+      offset,
+    ]);
+    const outputs = this.getOutputColumns([], scope, true);
+    return rows.map(row => {
+      const {__fts_rank: rank, __fts_snippet: snippet, ...item} = row;
+      return {
+        item: this.codec.decodeRow(item, outputs),
+        rank: Number(rank),
+        snippet: snippet ?? '',
+      };
+    });
+  }
+
+  // Mỗi từ thành một chuỗi FTS5 có tiền tố ("từ"*), các từ nối bằng AND ngầm định
+  private buildMatchExpression(text: string): string {
+    return String(text ?? '')
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(word => `"${word.replace(/"/g, '""')}"*`)
+      .join(' ');
+  }
+
+  private getFullTextDefinition(tableName: string): FullTextDefinition {
+    this.assertKnownTable(tableName);
+    const fts = this.schema?.schemas[tableName]?.fts;
+    if (!fts)
+      throw new Error(
+        `Table '${tableName}' has no full-text index: declare "fts" for it in schema '${this.schema?.database_name}'`,
+      );
+    return fts;
+  }
+
+  // Tạo bảng FTS và trigger nếu chưa có; bảng FTS mới được đánh chỉ mục từ dữ liệu đang có
+  private async createFullTextTable(
+    tableName: string,
+    fts: FullTextDefinition,
+  ): Promise<void> {
+    const name = this.getFullTextName(tableName, fts);
+    const existing = await this.getRst(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?",
+      [name],
+    );
+    for (const sql of this.buildFullTextSql(tableName, fts))
+      await this.runSql(sql);
+    if (!existing.name)
+      await this.runSql(this.buildFullTextRebuildSql(tableName, fts));
+    this.log(`Created full-text table ${name} for ${tableName}`);
+  }
+
+  private toSqlString(value: string): string {
+    return `'${String(value).replace(/'/g, "''")}'`;
+  }
+
+  // ===========================================
+  // CRUD OPERATIONS
+  // ===========================================
+
+  async insert(
+    insertTable: QueryTable,
+    options: InsertOptions = {},
+  ): Promise<RunResult> {
+    const {sql, params} = this.buildInsert(
+      insertTable,
+      this.toInsertVerb(options.conflict),
+    );
+    return this.runSql(sql, params);
+  }
+
+  /**
+   * Inserts a row, or updates the existing one when it collides on the
+   * conflict target (`INSERT ... ON CONFLICT(...) DO UPDATE`). Without an
+   * explicit target, the primary key or a unique index declared in the schema
+   * whose columns are all being written is used.
+   */
+  async upsert(
+    upsertTable: QueryTable,
+    options: UpsertOptions = {},
+  ): Promise<RunResult> {
+    const insert = this.buildInsert(upsertTable, 'INSERT');
+    const target =
+      options.conflictTarget ||
+      this.getConflictTarget(upsertTable.name, insert.columns);
+    if (target.length === 0)
+      throw new Error(
+        `Upsert on '${upsertTable.name}' requires a conflict target`,
+      );
+    const scope = this.createScope(upsertTable.name);
+    const targetSql = target
+      .map(column => this.quoteColumn(column, scope))
+      .join(', ');
+    const updateColumns =
+      options.updateColumns ||
+      insert.columns.filter(column => !target.includes(column));
+    const assignments = updateColumns.map(column => {
+      const quoted = this.quoteColumn(column, scope);
+      return `${quoted} = excluded.${quoted}`;
+    });
+    const action = assignments.length
+      ? `DO UPDATE SET ${assignments.join(', ')}`
+      : 'DO NOTHING';
+
+    await this.assertUpsertSupported(upsertTable.name);
+    return this.runSql(
+      `${insert.sql} ON CONFLICT(${targetSql}) ${action}`,
+      insert.params,
+    );
+  }
+
+  /**
+   * Picks the ON CONFLICT target for a write of `columns` from the loaded
+   * schema: the primary key first, then unique indexes, then UNIQUE columns.
+   */
+  getConflictTarget(tableName: string, columns: string[]): string[] {
+    const table = this.schema?.schemas[tableName];
+    if (!table)
+      throw new Error(
+        `Cannot choose a conflict target for '${tableName}' without its schema, pass conflictTarget explicitly`,
+      );
+    const constraintsOf = (col: ColumnDefinition) =>
+      ConstraintParser.parse(col.constraints, `${tableName}.${col.name}`);
+    const candidates = [
+      this.getPrimaryKey(tableName),
+      ...(table.unique || []),
+      ...(table.indexes || [])
+        .filter(index => index.unique)
+        .map(index => index.columns),
+      ...table.cols
+        .filter(col => col.unique || constraintsOf(col).unique)
+        .map(col => [col.name]),
+    ];
+    const target = candidates.find(
+      key => key.length > 0 && key.every(column => columns.includes(column)),
+    );
+    if (!target)
+      throw new Error(
+        `No primary key or unique index of '${tableName}' is covered by the columns ${columns.join(
+          ', ',
+        )}, pass conflictTarget explicitly`,
+      );
+    return target;
+  }
+
+  // Các cột khóa chính của bảng theo schema đã nạp, mảng rỗng nếu không biết
+  getPrimaryKey(tableName: string): string[] {
+    const table = this.schema?.schemas[tableName];
+    if (!table) return [];
+    return (
+      table.primary_key ||
+      table.cols
+        .filter(
+          col =>
+            col.primary_key ||
+            ConstraintParser.parse(col.constraints, `${tableName}.${col.name}`)
+              .primaryKey,
+        )
+        .map(col => col.name)
+    );
+  }
+
+  /**
+   * Inserts many rows with multi-row `VALUES` statements, chunked to stay under
+   * SQLite's bound-parameter limit. Consecutive rows with the same column set
+   * share a statement. Wrap the call in a transaction to make it atomic.
+   */
+  async insertMany(
+    tableName: string,
+    rows: Record<string, any>[],
+    options: InsertManyOptions = {},
+  ): Promise<InsertManyResult> {
+    const verb = this.toInsertVerb(options.conflict);
+    const scope = this.createScope(tableName);
+    const table = this.quoteIdentifier(tableName);
+    const result: InsertManyResult = {
+      rowsAffected: 0,
+      insertIds: [],
+      statements: 0,
+    };
+
+    let start = 0;
+    while (start < rows.length) {
+      // Same rule as insert(): null/undefined values are left to the column DEFAULT
+      const columns = Object.keys(rows[start]).filter(
+        key => rows[start][key] !== undefined && rows[start][key] !== null,
+      );
+      if (columns.length === 0)
+        throw new Error(`No valid columns to insert in row ${start}`);
+      if (columns.length > SQLITE_MAX_VARIABLES)
+        throw new Error(
+          `Cannot insert ${columns.length} columns into '${tableName}' in one statement, the limit is ${SQLITE_MAX_VARIABLES}`,
+        );
+      const signature = columns.join(',');
+      const maxRows = Math.max(
+        1,
+        Math.min(
+          options.chunkSize || Infinity,
+          Math.floor(SQLITE_MAX_VARIABLES / columns.length),
+        ),
+      );
+
+      let end = start + 1;
+      while (
+        end < rows.length &&
+        end - start < maxRows &&
+        this.columnSignature(rows[end]) === signature
+      )
+        end++;
+
+      const chunk = rows.slice(start, end);
+      const placeholders = `(${columns.map(() => '?').join(', ')})`;
+      const params = chunk.flatMap(row =>
+        columns.map(column =>
+          this.toStoredValue(tableName, column, row[column]),
+        ),
+      );
+      const sql = `${verb} INTO ${table} (${columns
+        .map(column => this.quoteColumn(column, scope))
+        .join(', ')}) VALUES ${chunk.map(() => placeholders).join(', ')}`;
+      const {insertId, rowsAffected} = await this.runSql(sql, params);
+
+      // Rows of one statement get consecutive rowids ending at insertId, unless some were
+      // skipped or the rows supply their own rowid, which is then reported as given
+      const complete = rowsAffected === chunk.length;
+      const rowidColumn = complete
+        ? await this.getRowidColumn(tableName)
+        : null;
+      const keyColumn = columns.find(
+        column =>
+          ROWID_ALIASES.includes(column.toLowerCase()) ||
+          column === rowidColumn,
+      );
+      chunk.forEach((row, i) => {
+        const key = keyColumn ? Number(row[keyColumn]) : NaN;
+        if (!complete) result.insertIds.push(undefined);
+        else if (keyColumn)
+          result.insertIds.push(Number.isInteger(key) ? key : undefined);
+        else if (insertId !== undefined)
+          result.insertIds.push(insertId - chunk.length + 1 + i);
+        else result.insertIds.push(undefined);
+      });
+      result.rowsAffected += rowsAffected;
+      result.statements++;
+      start = end;
+      options.onProgress?.(start, rows.length);
+    }
+    return result;
+  }
+
+  /**
+   * The INTEGER PRIMARY KEY column of a table, which SQLite makes an alias of
+   * the rowid, or null when it has none. Read from the schema, or once from
+   * `PRAGMA table_info` for tables the schema does not declare.
+   */
+  private async getRowidColumn(tableName: string): Promise<string | null> {
+    const table = this.schema?.schemas[tableName];
+    if (!table) {
+      if (!this.rowidColumns.has(tableName)) {
+        const keys = (await this.getTableInfo(tableName)).filter(
+          col => col.pk > 0,
+        );
+        this.rowidColumns.set(
+          tableName,
+          keys.length === 1 && String(keys[0].type).toUpperCase() === 'INTEGER'
+            ? keys[0].name
+            : null,
+        );
+      }
+      return this.rowidColumns.get(tableName) as string | null;
+    }
+    const primaryKey = this.getPrimaryKey(tableName);
+    const col =
+      primaryKey.length === 1
+        ? table.cols.find(candidate => candidate.name === primaryKey[0])
+        : undefined;
+    // PRIMARY KEY DESC trên một cột INTEGER không phải alias của rowid
+    if (
+      !col ||
+      this.convertToSQLiteType(col.type).toUpperCase() !== 'INTEGER' ||
+      ConstraintParser.parse(col.constraints, `${tableName}.${col.name}`)
+        .primaryKeyOrder === 'DESC'
+    )
+      return null;
+    return col.name;
+  }
+
+  // Giá trị sẽ được ghi vào cột: đã qua codec và thỏa enum/length/precision của schema
+  private toStoredValue(table: string, column: string, value: any): any {
+    const stored = this.codec.encode(table, column, value);
+    this.validator.validate(table, column, stored, value);
+    return stored;
+  }
+
+  private columnSignature(row: Record<string, any>): string {
+    return Object.keys(row)
+      .filter(key => row[key] !== undefined && row[key] !== null)
+      .join(',');
+  }
+
+  private toInsertVerb(conflict?: ConflictResolution): string {
+    if (!conflict) return 'INSERT';
+    const normalized = String(conflict).toUpperCase();
+    if (normalized !== 'IGNORE' && normalized !== 'REPLACE')
+      throw new Error(
+        `Unsupported conflict resolution '${conflict}': expected IGNORE or REPLACE`,
+      );
+    return `INSERT OR ${normalized}`;
+  }
+
+  private buildInsert(
+    insertTable: QueryTable,
+    verb: string,
+  ): {sql: string; params: any[]; columns: string[]} {
+    const validCols = insertTable.cols.filter(
+      col => col.value !== undefined && col.value !== null,
+    );
+    if (validCols.length === 0) throw new Error('No valid columns to insert');
+    const scope = this.createScope(insertTable.name);
+    const columnNames = validCols
+      .map(col => this.quoteColumn(col.name, scope))
+      .join(', ');
+    const placeholders = validCols.map(() => '?').join(', ');
+    const params = validCols.map(col =>
+      this.toStoredValue(insertTable.name, col.name, col.value),
+    );
+    const sql = `${verb} INTO ${this.quoteIdentifier(
+      insertTable.name,
+    )} (${columnNames}) VALUES (${placeholders})`;
+    return {sql, params, columns: validCols.map(col => col.name)};
+  }
+
+  private async assertUpsertSupported(tableName: string): Promise<void> {
+    const version = await this.getSQLiteVersion();
+    if (this.compareVersions(version, UPSERT_MIN_VERSION) < 0)
+      throw new Error(
+        `Upsert on '${tableName}' requires SQLite ${UPSERT_MIN_VERSION} or newer, but the connected engine is ${version}. Insert with conflict 'IGNORE' and then update the row instead.`,
+      );
+  }
+
+  async update(updateTable: QueryTable): Promise<RunResult> {
+    const setCols = updateTable.cols.filter(
+      col =>
         col.value !== undefined &&
-        !updateTable.wheres?.some(w => w.name === col.name),
+        !updateTable.wheres?.some(w => 'name' in w && w.name === col.name),
     );
     if (setCols.length === 0) throw new Error('No columns to update');
-    const setClause = setCols.map(col => `${col.name} = ?`).join(', ');
+    const scope = this.createScope(updateTable.name);
+    const setClause = setCols
+      .map(col => `${this.quoteColumn(col.name, scope)} = ?`)
+      .join(', ');
     const params = setCols.map(col =>
-      typeof col.value === 'object' ? JSON.stringify(col.value) : col.value,
+      this.toStoredValue(updateTable.name, col.name, col.value),
     );
-    let sql = `UPDATE ${updateTable.name} SET ${setClause}`;
-    const whereClause = this.buildWhereClause(updateTable.wheres);
+    let sql = `UPDATE ${this.quoteIdentifier(
+      updateTable.name,
+    )} SET ${setClause}`;
+    const whereClause = this.buildWhereClause(updateTable.wheres, scope);
     if (!whereClause.sql)
       throw new Error('WHERE clause is required for UPDATE operation');
     sql += whereClause.sql;
@@ -432,9 +1844,10 @@ export class SQLiteDAO {
     return this.runSql(sql, params);
   }
 
-  async delete(deleteTable: QueryTable): Promise<string> {
-    let sql = `DELETE FROM ${deleteTable.name}`;
-    const whereClause = this.buildWhereClause(deleteTable.wheres);
+  async delete(deleteTable: QueryTable): Promise<RunResult> {
+    const scope = this.createScope(deleteTable.name);
+    let sql = `DELETE FROM ${this.quoteIdentifier(deleteTable.name)}`;
+    const whereClause = this.buildWhereClause(deleteTable.wheres, scope);
     if (!whereClause.sql)
       throw new Error('WHERE clause is required for DELETE operation');
     sql += whereClause.sql;
@@ -442,13 +1855,240 @@ export class SQLiteDAO {
   }
 
   async select(selectTable: QueryTable): Promise<Record<string, any>> {
-    const {sql, params} = this.buildSelectQuery(selectTable, ' LIMIT 1');
-    return this.getRst(sql, params);
+    await this.assertJoinsSupported(selectTable.joins);
+    const {sql, params, outputs} = this.buildSelectQuery(
+      selectTable,
+      ' LIMIT 1',
+    );
+    return this.codec.decodeRow(await this.getRst(sql, params), outputs);
   }
 
   async selectAll(selectTable: QueryTable): Promise<Record<string, any>[]> {
-    const {sql, params} = this.buildSelectQuery(selectTable);
-    return this.getRsts(sql, params);
+    await this.assertJoinsSupported(selectTable.joins);
+    const {sql, params, outputs} = this.buildSelectQuery(selectTable);
+    const rows = await this.getRsts(sql, params);
+    return rows.map(row => this.codec.decodeRow(row, outputs));
+  }
+
+  /**
+   * Runs an aggregate query (COUNT/SUM/AVG/MIN/MAX with optional DISTINCT,
+   * GROUP BY and HAVING) and returns one row per group.
+   */
+  async aggregate(query: AggregateQuery): Promise<Record<string, any>[]> {
+    await this.assertJoinsSupported(query.joins);
+    const {sql, params, outputs} = this.buildAggregateQuery(query);
+    const rows = await this.getRsts(sql, params);
+    return rows.map(row => this.codec.decodeRow(row, outputs));
+  }
+
+  /**
+   * Reads the page of `query` that follows the row whose sort values are
+   * `after`, ordered by the query's orderbys and then the key columns. Unlike
+   * OFFSET, the cost does not grow with the page number and rows inserted
+   * meanwhile do not shift later pages.
+   */
+  async selectPage(
+    query: QueryTable,
+    options: KeysetPageOptions,
+  ): Promise<KeysetPage> {
+    await this.assertJoinsSupported(query.joins);
+    if (query.limitOffset?.limit || query.limitOffset?.offset)
+      throw new Error(
+        `Keyset pagination on '${query.name}' sets its own LIMIT, remove limitOffset from the query`,
+      );
+    const pageSize = this.toCount(options.pageSize, 'pageSize');
+    if (pageSize === 0)
+      throw new Error(`pageSize on '${query.name}' must be at least 1`);
+    const order = this.getKeysetOrder(query, options.key);
+    const after = options.after || null;
+    if (after && after.length !== order.length)
+      throw new Error(
+        `Invalid cursor for '${query.name}': expected ${order.length} values for ${order
+          .map(o => o.name)
+          .join(', ')}, got ${after.length}`,
+      );
+    const cursorCols = order.map((o, i) => ({
+      name: o.name,
+      alias: `${KEYSET_ALIAS_PREFIX}${i}`,
+    }));
+    const wheres = [...(query.wheres || [])];
+    if (after) {
+      const condition = this.buildKeysetCondition(order, after);
+      if (!condition) return {rows: [], last: null, hasMore: false};
+      wheres.push(condition);
+    }
+    const {sql, params, outputs} = this.buildSelectQuery({
+      ...query,
+      cols: [
+        ...(query.cols.length > 0 ? query.cols : [{name: '*'}]),
+        ...cursorCols,
+      ],
+      wheres,
+      orderbys: order,
+      limitOffset: {limit: pageSize + 1},
+    });
+    const rows = await this.getRsts(sql, params);
+    const pageRows = rows.slice(0, pageSize);
+    const lastRow = pageRows[pageRows.length - 1];
+    return {
+      rows: pageRows.map(row => {
+        const decoded = this.codec.decodeRow(row, outputs);
+        cursorCols.forEach(col => delete decoded[col.alias]);
+        return decoded;
+      }),
+      // Giá trị thô (chưa decode) để so sánh đúng với dữ liệu đang lưu ở trang sau
+      last: lastRow ? cursorCols.map(col => lastRow[col.alias]) : null,
+      hasMore: rows.length > pageSize,
+    };
+  }
+
+  /**
+   * Walks every row of `query` in batches with keyset pagination, so a large
+   * table can be exported or synced without loading it at once:
+   *
+   *   for await (const batch of dao.iterate({name: 'user_sessions', cols: []}, {batchSize: 200})) ...
+   */
+  async *iterate(
+    query: QueryTable,
+    options: IterateOptions = {},
+  ): AsyncGenerator<Record<string, any>[]> {
+    const {batchSize = DEFAULT_BATCH_SIZE, key} = options;
+    let after: any[] | null = null;
+    while (true) {
+      const page: KeysetPage = await this.selectPage(query, {
+        pageSize: batchSize,
+        after,
+        key,
+      });
+      if (page.rows.length > 0) yield page.rows;
+      if (!page.hasMore) return;
+      after = page.last;
+    }
+  }
+
+  // orderbys của truy vấn, nối thêm các cột khóa chưa có để mỗi bản ghi có vị trí duy nhất
+  private getKeysetOrder(
+    query: QueryTable,
+    key: string[] = this.getPrimaryKey(query.name),
+  ): OrderByClause[] {
+    if (key.length === 0)
+      throw new Error(
+        `Keyset pagination on '${query.name}' needs a unique key: load a schema with its primary key or pass the key columns`,
+      );
+    const order: OrderByClause[] = (query.orderbys || []).map(o => ({
+      name: o.name,
+      direction: String(o.direction || 'ASC').toUpperCase() as 'ASC' | 'DESC',
+    }));
+    // Với JOIN, cột khóa không ghi rõ bảng có thể trùng tên giữa các bảng
+    const owner = query.joins?.length ? query.alias || query.name : null;
+    for (const column of key) {
+      const name =
+        owner && !column.includes('.') ? `${owner}.${column}` : column;
+      if (!order.some(o => o.name === name || o.name === column))
+        order.push({name, direction: 'ASC'});
+    }
+    return order;
+  }
+
+  /**
+   * (a, b, id) đứng sau (va, vb, vid) theo hướng của từng cột:
+   * a > va OR (a = va AND b > vb) OR (a = va AND b = vb AND id > vid).
+   * NULL đứng đầu với ASC và cuối với DESC, đúng thứ tự SQLite sắp xếp.
+   * Trả về null khi không còn bản ghi nào đứng sau.
+   */
+  private buildKeysetCondition(
+    order: OrderByClause[],
+    values: any[],
+  ): WhereCondition | null {
+    const isNull = (value: any) => value === null || value === undefined;
+    const branches: WhereCondition[] = [];
+    order.forEach((o, i) => {
+      const value = values[i];
+      let after: WhereCondition | null;
+      if (o.direction === 'DESC')
+        after = isNull(value)
+          ? null
+          : {
+              or: [
+                {name: o.name, operator: '<', value},
+                {name: o.name, operator: 'IS NULL'},
+              ],
+            };
+      else
+        after = isNull(value)
+          ? {name: o.name, operator: 'IS NOT NULL'}
+          : {name: o.name, operator: '>', value};
+      if (!after) return;
+      const equal: WhereCondition[] = order
+        .slice(0, i)
+        .map((previous, j) =>
+          isNull(values[j])
+            ? {name: previous.name, operator: 'IS NULL'}
+            : {name: previous.name, operator: '=', value: values[j]},
+        );
+      branches.push(equal.length > 0 ? {and: [...equal, after]} : after);
+    });
+    return branches.length > 0 ? {or: branches} : null;
+  }
+
+  /**
+   * Starts a chainable query on a table, e.g.
+   * `dao.from('users').where('role', 'in', roles).orderBy('created_at', 'desc').all()`.
+   */
+  from<T extends Record<string, any> = Record<string, any>>(
+    table: string,
+    alias?: string,
+  ): QueryBuilder<T> {
+    return new QueryBuilder<T>(this, table, alias);
+  }
+
+  /**
+   * SQL and parameters of the SELECT that selectAll, or aggregate for a
+   * query with aggregates, would run.
+   */
+  buildSelectSql(query: QueryTable | AggregateQuery): {
+    sql: string;
+    params: any[];
+  } {
+    const {sql, params} =
+      'aggregates' in query
+        ? this.buildAggregateQuery(query)
+        : this.buildSelectQuery(query);
+    return {sql, params};
+  }
+
+  /**
+   * Runs `EXPLAIN QUERY PLAN` for a query, or a SQL statement with its
+   * parameters, and returns the parsed plan tree with the tables it reads in
+   * full and the indexes it uses.
+   */
+  async explain(
+    query: QueryTable | AggregateQuery | string,
+    params: any[] = [],
+  ): Promise<QueryPlan> {
+    const statement =
+      typeof query === 'string'
+        ? {sql: query, params}
+        : this.buildSelectSql(query);
+    const rows = await this.getRsts(
+      `EXPLAIN QUERY PLAN ${statement.sql}`,
+      statement.params,
+    );
+    return parseQueryPlan(
+      rows as QueryPlanRow[],
+      statement.sql,
+      statement.params,
+    );
+  }
+
+  private buildAggregateQuery(query: AggregateQuery) {
+    if (!query.aggregates || query.aggregates.length === 0)
+      throw new Error('aggregate() requires at least one aggregate column');
+    return this.buildSelectQuery({...query, cols: query.cols || []}, '', {
+      groupBy: query.groupBy || [],
+      aggregates: query.aggregates,
+      having: query.having,
+    });
   }
 
   convertJsonToQueryTable(
@@ -466,6 +2106,106 @@ export class SQLiteDAO {
     return queryTable;
   }
 
+  // ===========================================
+  // IDENTIFIERS
+  // ===========================================
+
+  /**
+   * Quotes a table, column, index or alias name after checking that it is a
+   * plain identifier, so caller-supplied names can never inject SQL.
+   */
+  quoteIdentifier(name: string): string {
+    if (typeof name !== 'string' || !IDENTIFIER_PATTERN.test(name))
+      throw new Error(
+        `Invalid SQL identifier ${JSON.stringify(
+          name,
+        )}: only letters, digits and underscores are allowed and it must not start with a digit`,
+      );
+    return `"${name}"`;
+  }
+
+  private assertKnownTable(table: string): void {
+    this.quoteIdentifier(table);
+    if (this.tableColumns.size > 0 && !this.tableColumns.has(table))
+      throw new Error(
+        `Unknown table '${table}' in schema '${this.schema?.database_name}'`,
+      );
+  }
+
+  private isKnownColumn(table: string, column: string): boolean {
+    const columns = this.tableColumns.get(table);
+    if (!columns) return true;
+    return columns.has(column) || ROWID_ALIASES.includes(column.toLowerCase());
+  }
+
+  private createScope(
+    table: string,
+    alias?: string,
+    joins?: JoinClause[],
+  ): IdentifierScope {
+    this.assertKnownTable(table);
+    if (alias) this.quoteIdentifier(alias);
+    const scope: IdentifierScope = {
+      tables: new Map([[alias || table, table]]),
+      outputAliases: new Set(),
+    };
+    for (const join of joins || []) {
+      this.assertKnownTable(join.table);
+      const name = join.alias || join.table;
+      this.quoteIdentifier(name);
+      if (scope.tables.has(name))
+        throw new Error(
+          `Table or alias '${name}' is used more than once in the same query`,
+        );
+      scope.tables.set(name, join.table);
+    }
+    return scope;
+  }
+
+  /**
+   * Quotes a `column` or `table.column` reference, checking it against the
+   * loaded schema. Output aliases (AS ...) are accepted where SQL allows them.
+   */
+  private quoteColumn(
+    name: string,
+    scope: IdentifierScope,
+    options: {allowStar?: boolean; allowOutputAlias?: boolean} = {},
+  ): string {
+    if (options.allowStar && name === '*') return '*';
+    const parts = typeof name === 'string' ? name.split('.') : [name];
+    if (parts.length > 2)
+      throw new Error(
+        `Invalid column reference '${name}': expected 'column' or 'table.column'`,
+      );
+
+    if (parts.length === 2) {
+      const [qualifier, column] = parts;
+      const table = scope.tables.get(qualifier);
+      if (!table)
+        throw new Error(
+          `Unknown table or alias '${qualifier}' in column reference '${name}'`,
+        );
+      if (options.allowStar && column === '*')
+        return `${this.quoteIdentifier(qualifier)}.*`;
+      const quoted = `${this.quoteIdentifier(
+        qualifier,
+      )}.${this.quoteIdentifier(column)}`;
+      if (!this.isKnownColumn(table, column))
+        throw new Error(`Unknown column '${column}' in table '${table}'`);
+      return quoted;
+    }
+
+    const quoted = this.quoteIdentifier(name);
+    if (options.allowOutputAlias && scope.outputAliases.has(name))
+      return quoted;
+    const tables = Array.from(new Set(scope.tables.values()));
+    if (!tables.some(table => this.isKnownColumn(table, name)))
+      throw new Error(
+        `Unknown column '${name}' in table '${tables.join("', '")}'`,
+      );
+    return quoted;
+  }
+
   // ===========================================
   // UTILITY & CORE METHODS
   // ===========================================
@@ -473,58 +2213,487 @@ export class SQLiteDAO {
   private buildSelectQuery(
     selectTable: QueryTable,
     suffix: string = '',
-  ): {sql: string; params: any[]} {
-    const columns =
-      selectTable.cols.length > 0
-        ? selectTable.cols.map(col => col.name).join(', ')
-        : '*';
-    let sql = `SELECT ${columns} FROM ${selectTable.name}`;
-    const whereClause = this.buildWhereClause(selectTable.wheres);
+    grouping?: {
+      groupBy: (string | GroupByColumn)[];
+      aggregates: AggregateColumn[];
+      having?: WhereCondition[];
+    },
+  ): {sql: string; params: any[]; outputs: Map<string, ColumnSource>} {
+    const scope = this.createScope(
+      selectTable.name,
+      selectTable.alias,
+      selectTable.joins,
+    );
+    const groups = (grouping?.groupBy || []).map(group =>
+      this.buildGroupByColumn(group, scope),
+    );
+    const selectColumns = [
+      ...groups.map(group => group.select),
+      ...selectTable.cols.map(col => this.buildSelectColumn(col, scope)),
+      ...(grouping?.aggregates || []).map(agg =>
+        this.buildAggregateColumn(agg, scope),
+      ),
+    ];
+    const columns = selectColumns.length > 0 ? selectColumns.join(', ') : '*';
+    let sql = `SELECT ${columns} FROM ${this.buildTableReference(
+      selectTable.name,
+      selectTable.alias,
+    )}`;
+    sql += this.buildJoinClauses(selectTable.joins, scope);
+    const whereClause = this.buildWhereClause(selectTable.wheres, scope);
     sql += whereClause.sql;
+    const params = [...whereClause.params];
+    if (groups.length)
+      sql += ` GROUP BY ${groups.map(group => group.expression).join(', ')}`;
+    if (grouping?.having) {
+      const havingClause = this.buildWhereClause(
+        grouping.having,
+        scope,
+        'HAVING',
+      );
+      sql += havingClause.sql;
+      params.push(...havingClause.params);
+    }
     if (selectTable.orderbys?.length) {
       const orderBy = selectTable.orderbys
-        .map(o => `${o.name} ${o.direction || 'ASC'}`)
+        .map(o => this.buildOrderBy(o, scope))
         .join(', ');
       sql += ` ORDER BY ${orderBy}`;
     }
     if (selectTable.limitOffset) {
       if (selectTable.limitOffset.limit)
-        sql += ` LIMIT ${selectTable.limitOffset.limit}`;
+        sql += ` LIMIT ${this.toCount(selectTable.limitOffset.limit, 'LIMIT')}`;
       if (selectTable.limitOffset.offset)
-        sql += ` OFFSET ${selectTable.limitOffset.offset}`;
+        sql += ` OFFSET ${this.toCount(
+          selectTable.limitOffset.offset,
+          'OFFSET',
+        )}`;
     }
     sql += suffix;
-    return {sql, params: whereClause.params};
+    const plainGroups = (grouping?.groupBy || [])
+      .map(group => (typeof group === 'string' ? {name: group} : group))
+      .filter(group => !group.granularity);
+    const outputs = this.getOutputColumns(
+      [...plainGroups, ...selectTable.cols],
+      scope,
+      selectColumns.length === 0,
+    );
+    return {sql, params, outputs};
+  }
+
+  /**
+   * Maps the keys of result rows to the table columns they come from, so the
+   * codec can decode them. With `SELECT *` a column of a later joined table
+   * overwrites an earlier one of the same name, as in the row itself.
+   */
+  private getOutputColumns(
+    cols: Column[],
+    scope: IdentifierScope,
+    selectStar: boolean,
+  ): Map<string, ColumnSource> {
+    const outputs = new Map<string, ColumnSource>();
+    const addTable = (table: string) =>
+      this.tableColumns
+        .get(table)
+        ?.forEach(column => outputs.set(column, {table, column}));
+    if (selectStar) scope.tables.forEach(addTable);
+    for (const col of cols) {
+      if (col.name === '*') {
+        scope.tables.forEach(addTable);
+      } else if (col.name.endsWith('.*')) {
+        addTable(scope.tables.get(col.name.slice(0, -2))!);
+      } else {
+        const source = this.resolveColumn(col.name, scope);
+        if (source) outputs.set(col.alias || source.column, source);
+      }
+    }
+    return outputs;
+  }
+
+  // Bảng chứa một cột 'column' hoặc 'table.column' của truy vấn, nếu xác định được
+  private resolveColumn(
+    name: string,
+    scope: IdentifierScope,
+  ): ColumnSource | undefined {
+    const parts = name.split('.');
+    if (parts.length === 2) {
+      const table = scope.tables.get(parts[0]);
+      return table ? {table, column: parts[1]} : undefined;
+    }
+    const table = Array.from(scope.tables.values()).find(candidate =>
+      this.tableColumns.get(candidate)?.has(name),
+    );
+    return table ? {table, column: name} : undefined;
+  }
+
+  private buildOrderBy(order: OrderByClause, scope: IdentifierScope): string {
+    const direction = String(order.direction || 'ASC').toUpperCase();
+    if (direction !== 'ASC' && direction !== 'DESC')
+      throw new Error(
+        `Invalid ORDER BY direction '${order.direction}' for '${order.name}': expected ASC or DESC`,
+      );
+    const column = this.quoteColumn(order.name, scope, {
+      allowOutputAlias: true,
+    });
+    return `${column} ${direction}`;
+  }
+
+  private toCount(value: any, clause: string): number {
+    if (!Number.isInteger(value) || value < 0)
+      throw new Error(
+        `${clause} must be a non-negative integer, got ${JSON.stringify(
+          value,
+        )}`,
+      );
+    return value;
+  }
+
+  private buildSelectColumn(col: Column, scope: IdentifierScope): string {
+    const column = this.quoteColumn(col.name, scope, {allowStar: true});
+    return col.alias
+      ? `${column} AS ${this.addOutputAlias(col.alias, scope)}`
+      : column;
+  }
+
+  private addOutputAlias(alias: string, scope: IdentifierScope): string {
+    const quoted = this.quoteIdentifier(alias);
+    scope.outputAliases.add(alias);
+    return quoted;
+  }
+
+  private buildAggregateColumn(
+    agg: AggregateColumn,
+    scope: IdentifierScope,
+  ): string {
+    const fn = String(agg.fn || '').toUpperCase();
+    if (!['COUNT', 'SUM', 'AVG', 'MIN', 'MAX'].includes(fn))
+      throw new Error(`Unsupported aggregate function '${agg.fn}'`);
+    if (!agg.alias)
+      throw new Error(`Aggregate ${fn} requires an alias for its result`);
+    const column = agg.column || '*';
+    if (column === '*' && (fn !== 'COUNT' || agg.distinct))
+      throw new Error(
+        `Aggregate ${fn}${agg.distinct ? ' DISTINCT' : ''} requires a column`,
+      );
+    const quoted = this.quoteColumn(column, scope, {allowStar: true});
+    const argument = agg.distinct ? `DISTINCT ${quoted}` : quoted;
+    return `${fn}(${argument}) AS ${this.addOutputAlias(agg.alias, scope)}`;
+  }
+
+  private buildGroupByColumn(
+    group: string | GroupByColumn,
+    scope: IdentifierScope,
+  ): {
+    select: string;
+    expression: string;
+  } {
+    const column: GroupByColumn =
+      typeof group === 'string' ? {name: group} : group;
+    if (!column.granularity) {
+      const select = this.buildSelectColumn(column, scope);
+      return {select, expression: this.quoteColumn(column.name, scope)};
+    }
+    const format = DATE_GRANULARITY_FORMATS[column.granularity];
+    if (!format)
+      throw new Error(
+        `Unsupported date granularity '${column.granularity}' for '${column.name}'`,
+      );
+    const expression = `strftime('${format}', ${this.quoteColumn(
+      column.name,
+      scope,
+    )})`;
+    const alias =
+      column.alias ||
+      `${column.name.replace(/\./g, '_')}_${column.granularity}`;
+    return {
+      select: `${expression} AS ${this.addOutputAlias(alias, scope)}`,
+      expression,
+    };
+  }
+
+  private buildTableReference(table: string, alias?: string): string {
+    const quoted = this.quoteIdentifier(table);
+    return alias ? `${quoted} AS ${this.quoteIdentifier(alias)}` : quoted;
+  }
+
+  private buildJoinClauses(
+    joins: JoinClause[] | undefined,
+    scope: IdentifierScope,
+  ): string {
+    if (!joins || joins.length === 0) return '';
+    return joins
+      .map(join => {
+        const type = String(join.type || '').toUpperCase();
+        if (!['INNER', 'LEFT', 'RIGHT', 'FULL'].includes(type))
+          throw new Error(
+            `Unsupported join type '${join.type}' for table '${join.table}'`,
+          );
+        // A string ON is a trusted SQL fragment written by the developer;
+        // the map form is quoted and checked like every other column.
+        const on =
+          typeof join.on === 'string'
+            ? join.on
+            : Object.entries(join.on || {})
+                .map(
+                  ([left, right]) =>
+                    `${this.quoteColumn(left, scope)} = ${this.quoteColumn(
+                      right,
+                      scope,
+                    )}`,
+                )
+                .join(' AND ');
+        if (!on)
+          throw new Error(`JOIN on '${join.table}' requires an ON condition`);
+        const keyword = type === 'FULL' ? 'FULL OUTER' : type;
+        return ` ${keyword} JOIN ${this.buildTableReference(
+          join.table,
+          join.alias,
+        )} ON ${on}`;
+      })
+      .join('');
+  }
+  /**
+   * RIGHT/FULL joins are rejected up front on engines older than 3.39.0,
+   * where SQLite would otherwise fail with a generic syntax error.
+   */
+  private async assertJoinsSupported(joins?: JoinClause[]): Promise<void> {
+    const outerJoin = joins?.find(join =>
+      ['RIGHT', 'FULL'].includes(String(join.type).toUpperCase()),
+    );
+    if (!outerJoin) return;
+    const version = await this.getSQLiteVersion();
+    if (this.compareVersions(version, OUTER_JOIN_MIN_VERSION) < 0)
+      throw new Error(
+        `${String(outerJoin.type).toUpperCase()} JOIN on '${
+          outerJoin.table
+        }' requires SQLite ${OUTER_JOIN_MIN_VERSION} or newer, but the connected engine is ${version}. Rewrite it as a LEFT JOIN with the tables swapped.`,
+      );
+  }
+
+  /**
+   * Returns the version of the SQLite engine behind this connection (cached).
+   */
+  async getSQLiteVersion(): Promise<string> {
+    if (!this.sqliteVersion) {
+      const row = await this.getRst('SELECT sqlite_version() AS version');
+      this.sqliteVersion = String(row.version || '0.0.0');
+    }
+    return this.sqliteVersion;
+  }
+
+  private compareVersions(a: string, b: string): number {
+    const pa = a.split('.').map(n => parseInt(n, 10) || 0);
+    const pb = b.split('.').map(n => parseInt(n, 10) || 0);
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+      const diff = (pa[i] || 0) - (pb[i] || 0);
+      if (diff !== 0) return diff;
+    }
+    return 0;
   }
 
   private buildWhereClause(
-    wheres?: WhereClause[],
+    wheres: WhereCondition[] | undefined,
+    scope: IdentifierScope,
     clause: string = 'WHERE',
   ): {sql: string; params: any[]} {
     if (!wheres || wheres.length === 0) return {sql: '', params: []};
-    const conditions: string[] = [];
+    // HAVING may also filter on the output aliases of aggregate columns
+    const quote = (name: string) =>
+      this.quoteColumn(name, scope, {allowOutputAlias: clause === 'HAVING'});
+    // Giá trị so sánh được ghi theo cùng kiểu với cột, ví dụ true -> 1, Date -> ISO
+    const encode = (name: string, value: any) => {
+      const source = this.resolveColumn(name, scope);
+      return source
+        ? this.codec.encode(source.table, source.column, value)
+        : value;
+    };
+    const condition = this.buildConditionTree(
+      {and: wheres},
+      quote,
+      encode,
+      false,
+    );
+    if (!condition.sql) return {sql: '', params: []};
+    return {sql: ` ${clause} ${condition.sql}`, params: condition.params};
+  }
+
+  /**
+   * Recursively builds an and/or/not condition tree. Nested groups with more
+   * than one member are wrapped in parentheses so precedence is explicit.
+   */
+  private buildConditionTree(
+    condition: WhereCondition,
+    quote: (name: string) => string,
+    encode: (name: string, value: any) => any,
+    nested: boolean = true,
+  ): {sql: string; params: any[]} {
+    if (!condition || typeof condition !== 'object')
+      throw new Error(`Invalid where condition: ${JSON.stringify(condition)}`);
+    if ('name' in condition)
+      return this.buildCondition(condition, quote, encode);
+
+    if ('not' in condition) {
+      const inner = Array.isArray(condition.not)
+        ? this.buildConditionTree({and: condition.not}, quote, encode, false)
+        : this.buildConditionTree(condition.not, quote, encode, false);
+      // NOT of an unrestricted condition matches nothing
+      if (!inner.sql) return {sql: '0 = 1', params: []};
+      return {sql: `NOT (${inner.sql})`, params: inner.params};
+    }
+
+    const isOr = 'or' in condition;
+    const members = isOr
+      ? (condition as {or: WhereCondition[]}).or
+      : (condition as {and: WhereCondition[]}).and;
+    if (!Array.isArray(members))
+      throw new Error(
+        `Invalid where condition, expected 'name', 'and', 'or' or 'not': ${JSON.stringify(
+          condition,
+        )}`,
+      );
+    // An empty OR matches nothing, an empty AND adds no restriction
+    if (members.length === 0)
+      return isOr ? {sql: '0 = 1', params: []} : {sql: '', params: []};
+
+    const parts: string[] = [];
     const params: any[] = [];
-    for (const where of wheres) {
-      conditions.push(`${where.name} = ?`);
-      params.push(where.value);
+    for (const member of members) {
+      // A lone member takes the place of its group and needs no extra parentheses
+      const built = this.buildConditionTree(
+        member,
+        quote,
+        encode,
+        nested || members.length > 1,
+      );
+      if (!built.sql) {
+        // An unrestricted member makes the whole OR unrestricted
+        if (isOr) return {sql: '', params: []};
+        continue;
+      }
+      parts.push(built.sql);
+      params.push(...built.params);
+    }
+    const sql = parts.join(isOr ? ' OR ' : ' AND ');
+    return {sql: nested && parts.length > 1 ? `(${sql})` : sql, params};
+  }
+
+  /**
+   * Builds a single `name <operator> ?` condition and expands its parameters
+   * (one placeholder per IN item, two for BETWEEN, none for IS NULL).
+   */
+  private buildCondition(
+    where: WhereClause,
+    quote: (name: string) => string,
+    encode: (name: string, value: any) => any,
+  ): {sql: string; params: any[]} {
+    const column = quote(where.name);
+    const value = (item: any) => encode(where.name, item);
+    const operator = (where.operator || '=')
+      .trim()
+      .replace(/\s+/g, ' ')
+      .toUpperCase();
+
+    switch (operator) {
+      case '=':
+      case '!=':
+      case '<>':
+        // `= NULL` never matches in SQL, so map it to IS [NOT] NULL
+        if (where.value === null) {
+          const not = operator === '=' ? '' : ' NOT';
+          return {sql: `${column} IS${not} NULL`, params: []};
+        }
+        return {sql: `${column} ${operator} ?`, params: [value(where.value)]};
+      case '>':
+      case '>=':
+      case '<':
+      case '<=':
+      case 'LIKE':
+      case 'NOT LIKE':
+        return {sql: `${column} ${operator} ?`, params: [value(where.value)]};
+      case 'IN':
+      case 'NOT IN': {
+        const values = Array.isArray(where.value) ? where.value : [where.value];
+        // An empty list matches nothing (IN) or everything (NOT IN)
+        if (values.length === 0)
+          return {sql: operator === 'IN' ? '0 = 1' : '1 = 1', params: []};
+        const placeholders = values.map(() => '?').join(', ');
+        return {
+          sql: `${column} ${operator} (${placeholders})`,
+          params: values.map(value),
+        };
+      }
+      case 'BETWEEN':
+        if (!Array.isArray(where.value) || where.value.length !== 2)
+          throw new Error(
+            `BETWEEN on '${where.name}' requires a [from, to] array value`,
+          );
+        return {
+          sql: `${column} BETWEEN ? AND ?`,
+          params: [value(where.value[0]), value(where.value[1])],
+        };
+      case 'IS NULL':
+      case 'IS NOT NULL':
+        return {sql: `${column} ${operator}`, params: []};
+      default:
+        throw new Error(
+          `Unsupported operator '${where.operator}' on '${where.name}'`,
+        );
     }
-    return {sql: ` ${clause} ${conditions.join(' AND ')}`, params};
   }
 
-  async runSql(sql: string, params: any[] = []): Promise<string> {
+  async runSql(sql: string, params: any[] = []): Promise<RunResult> {
     if (!this.db || !this.isOpen)
       throw new Error('Database is not initialized');
 
     try {
       this.log(`Executing SQL: ${sql}`, params);
-      await this.db.executeSql(sql, params);
-      return `Executed: ${sql}`;
+      const result = await this.execute(sql, params);
+      return {
+        insertId: result.insertId,
+        rowsAffected: result.rowsAffected,
+        sql,
+      };
     } catch (error) {
       this.logError(`SQL execution error: ${sql}`, error);
       throw error;
     }
   }
 
+  /**
+   * Runs several statements as one unit through the driver's batch call,
+   * which applies all of them or none. Inside a transaction they run one by
+   * one, as the transaction already makes them atomic.
+   */
+  async runBatch(statements: BatchStatement[]): Promise<BatchResult> {
+    if (!this.db || !this.isOpen)
+      throw new Error('Database is not initialized');
+    if (this.getTransactionDepth() > 0) {
+      let rowsAffected = 0;
+      for (const {sql, params} of statements)
+        rowsAffected += (await this.runSql(sql, params)).rowsAffected;
+      return {rowsAffected};
+    }
+    // Batch của driver tự mở transaction, nên giữ kết nối như một transaction của DAO
+    const handle = this.createHandle(`batch(${this.dbName})`);
+    await handle.acquireConnection({});
+    try {
+      if (!this.db || !this.isOpen)
+        throw new Error('Database is not initialized');
+      this.log(`Executing batch of ${statements.length} statements`);
+      const db = this.db;
+      return await this.profile(
+        statements.map(statement => statement.sql).join(';\n'),
+        statements.flatMap(statement => statement.params || []),
+        () => db.batch(statements),
+      );
+    } catch (error) {
+      this.logError('Batch execution error:', error);
+      throw error;
+    } finally {
+      handle.releaseConnection();
+    }
+  }
+
   async getRst(
     sql: string,
     params: any[] = [],
@@ -533,11 +2702,8 @@ export class SQLiteDAO {
       throw new Error('Database is not initialized');
 
     try {
-      const results = await this.db.executeSql(sql, params);
-      if (results.length > 0 && results[0].rows.length > 0) {
-        return results[0].rows.item(0);
-      }
-      return {};
+      const {rows} = await this.execute(sql, params);
+      return rows.length > 0 ? rows[0] : {};
     } catch (error) {
       this.logError(`SQL query error: ${sql}`, error);
       throw error;
@@ -552,14 +2718,7 @@ export class SQLiteDAO {
       throw new Error('Database is not initialized');
 
     try {
-      const results = await this.db.executeSql(sql, params);
-      const rows: Record<string, any>[] = [];
-      if (results.length > 0) {
-        const result = results[0];
-        for (let i = 0; i < result.rows.length; i++) {
-          rows.push(result.rows.item(i));
-        }
-      }
+      const {rows} = await this.execute(sql, params);
       return rows;
     } catch (error) {
       this.logError(`SQL query error: ${sql}`, error);
@@ -574,6 +2733,10 @@ export class SQLiteDAO {
         this.log(`Database closed`);
         this.isOpen = false;
         this.db = null;
+        this.sqliteVersion = null;
+        // Waiting statements now fail with 'Database is not initialized'
+        this.connection.transactionStack = [];
+        this.releaseConnection();
       } catch (err) {
         this.logError('Error closing database:', err);
         throw err;
@@ -0,0 +1,768 @@
+import { ConstraintParser } from './ConstraintParser';
+import {
+  DatabaseSchemaWithTypeMapping,
+  FullTextDefinition,
+  SQLiteDAO,
+  TableDefinition,
+} from './SQLiteDAO';
+
+export type SchemaChangeKind =
+  | 'create_table'
+  | 'add_column'
+  | 'create_index'
+  | 'drop_index'
+  | 'rebuild_table'
+  | 'create_fts'
+  | 'create_view'
+  | 'drop_view'
+  | 'create_trigger'
+  | 'drop_trigger';
+
+export interface SchemaChange {
+  kind: SchemaChangeKind;
+  table: string;
+  // Cột (add_column), index, trigger (create_/drop_) hoặc bảng FTS (create_fts) liên quan
+  target?: string;
+  // Lý do thay đổi, với rebuild_table là mọi khác biệt không xử lý được bằng ALTER TABLE
+  reasons: string[];
+  // Rebuild bỏ các cột không còn trong schema, dữ liệu của chúng bị mất
+  dataLoss: boolean;
+  statements: string[];
+}
+
+export interface SchemaDiffPlan {
+  database: string;
+  changes: SchemaChange[];
+}
+
+export interface ApplySchemaDiffOptions {
+  // Cho phép áp dụng rebuild làm mất cột đang có dữ liệu
+  allowDataLoss?: boolean;
+}
+
+interface LiveColumn {
+  name: string;
+  type: string;
+  notnull: number;
+  dflt_value: string | null;
+  pk: number;
+}
+
+interface LiveIndex {
+  name: string;
+  unique: boolean;
+  origin: 'c' | 'u' | 'pk';
+  columns: string[];
+}
+
+interface LiveObject {
+  type: 'view' | 'trigger';
+  name: string;
+  tbl_name: string;
+  sql: string;
+}
+
+// CHECK và COLLATE đọc từ câu CREATE TABLE, PRAGMA table_info không trả về chúng
+interface TableChecks {
+  columns: Map<string, ColumnChecks>;
+  // CHECK ở mức bảng
+  checks: string[];
+}
+
+interface ColumnChecks {
+  checks: string[];
+  collate: string | null;
+}
+
+type TableConfig = DatabaseSchemaWithTypeMapping['schemas'][string];
+
+// DEFAULT mà ALTER TABLE ... ADD COLUMN không chấp nhận: biểu thức trong ngoặc và CURRENT_*
+const NON_CONSTANT_DEFAULT = /^(\(|CURRENT_(TIME|DATE|TIMESTAMP)$)/i;
+
+function normalizeSql(value: string | null | undefined): string | null {
+  if (value === null || value === undefined) return null;
+  let text = value.trim();
+  // PRAGMA table_info bỏ cặp ngoặc ngoài cùng của DEFAULT (biểu thức)
+  if (text.startsWith('(') && text.endsWith(')')) text = text.slice(1, -1).trim();
+  return text.replace(/\s+/g, ' ');
+}
+
+function normalizeAction(action: string | undefined): string {
+  return (action || 'NO ACTION').trim().replace(/\s+/g, ' ').toUpperCase();
+}
+
+function sameList(a: string[], b: string[]): boolean {
+  return a.length === b.length && a.every((value, index) => value === b[index]);
+}
+
+const QUOTE_CLOSE: Record<string, string> = { "'": "'", '"': '"', '`': '`', '[': ']' };
+const TABLE_CONSTRAINT = /^(CONSTRAINT|PRIMARY|UNIQUE|CHECK|FOREIGN)\b/i;
+const WORD = /[A-Za-z_][\w$]*/y;
+
+// Vị trí dấu đóng của chuỗi hoặc tên trong nháy bắt đầu tại start
+function skipQuoted(sql: string, start: number): number {
+  const close = QUOTE_CLOSE[sql[start]];
+  for (let index = start + 1; index < sql.length; index++) {
+    if (sql[index] !== close) continue;
+    if (close !== ']' && sql[index + 1] === close) index++;
+    else return index;
+  }
+  return sql.length;
+}
+
+// Vị trí dấu ')' khớp với dấu '(' tại open, bỏ qua chuỗi và tên trong nháy
+function closingParen(sql: string, open: number): number {
+  let depth = 0;
+  for (let index = open; index < sql.length; index++) {
+    if (QUOTE_CLOSE[sql[index]]) index = skipQuoted(sql, index);
+    else if (sql[index] === '(') depth++;
+    else if (sql[index] === ')' && --depth === 0) return index;
+  }
+  return sql.length;
+}
+
+// Định nghĩa cột và ràng buộc bảng của câu CREATE TABLE, tách ở dấu phẩy ngoài ngoặc
+function splitDefinitions(sql: string): string[] {
+  const open = sql.search(/\(/);
+  const body = sql.slice(open + 1, closingParen(sql, open));
+  const parts: string[] = [];
+  let start = 0;
+  for (let index = 0; index < body.length; index++) {
+    if (QUOTE_CLOSE[body[index]]) index = skipQuoted(body, index);
+    else if (body[index] === '(') index = closingParen(body, index);
+    else if (body[index] === ',') {
+      parts.push(body.slice(start, index));
+      start = index + 1;
+    }
+  }
+  parts.push(body.slice(start));
+  return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+function readChecks(definition: string): ColumnChecks {
+  const result: ColumnChecks = { checks: [], collate: null };
+  let index = 0;
+  while (index < definition.length) {
+    const char = definition[index];
+    if (QUOTE_CLOSE[char] || char === '(') {
+      index = (char === '(' ? closingParen : skipQuoted)(definition, index) + 1;
+      continue;
+    }
+    WORD.lastIndex = index;
+    const word = WORD.exec(definition);
+    if (!word) {
+      index++;
+      continue;
+    }
+    index = WORD.lastIndex;
+    const rest = definition.slice(index).trimStart();
+    const keyword = word[0].toUpperCase();
+    if (keyword === 'CHECK' && rest.startsWith('(')) {
+      const open = definition.length - rest.length;
+      index = closingParen(definition, open) + 1;
+      result.checks.push(
+        definition
+          .slice(open + 1, index - 1)
+          .trim()
+          .replace(/\s+/g, ' ')
+      );
+    } else if (keyword === 'COLLATE') {
+      WORD.lastIndex = 0;
+      const name = QUOTE_CLOSE[rest[0]] ? rest.slice(1, skipQuoted(rest, 0)) : WORD.exec(rest)?.[0];
+      result.collate = name ? name.toUpperCase() : null;
+    }
+  }
+  return result;
+}
+
+// CHECK của từng cột và của bảng trong câu CREATE TABLE
+function readTableChecks(sql: string): TableChecks {
+  const result: TableChecks = { columns: new Map(), checks: [] };
+  for (const definition of splitDefinitions(sql)) {
+    const quoted = QUOTE_CLOSE[definition[0]];
+    if (!quoted && TABLE_CONSTRAINT.test(definition)) {
+      result.checks.push(...readChecks(definition).checks);
+      continue;
+    }
+    const end = quoted ? skipQuoted(definition, 0) : definition.search(/\s|$/);
+    const name = quoted
+      ? definition.slice(1, end).split(`${quoted}${quoted}`).join(quoted)
+      : definition.slice(0, end);
+    result.columns.set(name.toLowerCase(), readChecks(definition.slice(quoted ? end + 1 : end)));
+  }
+  return result;
+}
+
+/**
+ * Compares a live database (`PRAGMA table_info`, `index_list` and
+ * `foreign_key_list`, plus the CHECK and COLLATE clauses of the CREATE TABLE
+ * in `sqlite_master`) with its JSON schema and plans the changes that bring
+ * the database in line: new tables and columns, new or dropped indexes,
+ * views and triggers, and a copy-and-rename rebuild for changes ALTER TABLE
+ * cannot make. Tables that are only in the database are left alone.
+ */
+export class SchemaDiff {
+  private readonly schema: DatabaseSchemaWithTypeMapping;
+
+  constructor(
+    private readonly dao: SQLiteDAO,
+    schema?: DatabaseSchemaWithTypeMapping
+  ) {
+    const resolved = schema || dao.getSchema();
+    if (!resolved) {
+      throw new Error(
+        `Cannot diff database '${dao.getDatabaseName()}': no schema was given or set on the DAO`
+      );
+    }
+    this.schema = resolved;
+  }
+
+  async plan(): Promise<SchemaDiffPlan> {
+    const rows = await this.dao.getRsts(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'"
+    );
+    const liveTables = new Set(rows.map((row) => row.name));
+    const changes: SchemaChange[] = [];
+    const fullText: SchemaChange[] = [];
+
+    for (const [tableName, tableConfig] of Object.entries(this.schema.schemas)) {
+      const table = this.dao.buildTableDefinition(tableName, tableConfig);
+      if (!liveTables.has(tableName)) {
+        changes.push({
+          kind: 'create_table',
+          table: tableName,
+          reasons: ['table is not in the database'],
+          dataLoss: false,
+          statements: [
+            this.dao.buildCreateTableSql(table),
+            ...(table.indexes || []).map((index) => this.dao.buildCreateIndexSql(tableName, index)),
+          ],
+        });
+        continue;
+      }
+      changes.push(...(await this.diffTable(table, tableConfig)));
+    }
+    for (const [tableName, fts] of await this.dao.getFullTextTables(this.schema)) {
+      const change = await this.diffFullText(tableName, fts, changes);
+      if (change) fullText.push(change);
+    }
+    const { drops, creates } = await this.diffViewsAndTriggers(changes);
+    return {
+      database: this.dao.getDatabaseName(),
+      changes: [...drops, ...changes, ...fullText, ...creates],
+    };
+  }
+
+  /**
+   * Applies a plan (a new one by default) in a single transaction. Rebuilds
+   * run with foreign key enforcement off and are followed by
+   * `PRAGMA foreign_key_check`, as recommended by SQLite.
+   */
+  async apply(
+    plan?: SchemaDiffPlan,
+    options: ApplySchemaDiffOptions = {}
+  ): Promise<SchemaDiffPlan> {
+    const resolved = plan || (await this.plan());
+    const lossy = resolved.changes.filter((change) => change.dataLoss);
+    if (lossy.length > 0 && !options.allowDataLoss) {
+      throw new Error(
+        `Schema diff of database '${resolved.database}' drops columns that may hold data (${lossy
+          .map((change) => change.table)
+          .join(', ')}); pass allowDataLoss to apply it`
+      );
+    }
+    if (resolved.changes.length === 0) return resolved;
+
+    const rebuild = resolved.changes.some((change) => change.kind === 'rebuild_table');
+    // PRAGMA foreign_keys không có tác dụng bên trong transaction
+    const { foreign_keys: foreignKeys } = await this.dao.getRst('PRAGMA foreign_keys');
+    if (rebuild && foreignKeys) await this.dao.runSql('PRAGMA foreign_keys = OFF');
+    try {
+      await this.dao.transaction(
+        async (tx) => {
+          for (const change of resolved.changes) {
+            for (const sql of change.statements) await tx.runSql(sql);
+          }
+          if (rebuild) {
+            const violations = await tx.getRsts('PRAGMA foreign_key_check');
+            if (violations.length > 0) {
+              throw new Error(
+                `Schema diff of database '${resolved.database}' leaves ${
+                  violations.length
+                } row(s) breaking foreign keys, first in table '${violations[0].table}'`
+              );
+            }
+          }
+        },
+        { label: `schemaDiff(${resolved.database})` }
+      );
+    } finally {
+      if (rebuild && foreignKeys) await this.dao.runSql('PRAGMA foreign_keys = ON');
+    }
+    return resolved;
+  }
+
+  // Báo cáo dry-run dễ đọc của một plan
+  static format(plan: SchemaDiffPlan): string {
+    if (plan.changes.length === 0) {
+      return `Database '${plan.database}' matches its schema.`;
+    }
+    const lines = [`Database '${plan.database}' differs from its schema:`];
+    for (const change of plan.changes) {
+      const target = change.target ? ` '${change.target}'` : '';
+      lines.push(
+        `- ${change.kind} ${change.table}${target}: ${change.reasons.join('; ')}${
+          change.dataLoss ? ' [data loss]' : ''
+        }`
+      );
+      lines.push(...change.statements.map((sql) => `    ${sql};`));
+    }
+    return lines.join('\n');
+  }
+
+  private async diffTable(
+    table: TableDefinition,
+    tableConfig: TableConfig
+  ): Promise<SchemaChange[]> {
+    const quoted = this.dao.quoteIdentifier(table.name);
+    const liveColumns = (await this.dao.getRsts(`PRAGMA table_info(${quoted})`)) as LiveColumn[];
+    const liveIndexes = await this.getLiveIndexes(table.name);
+    const liveByName = new Map(liveColumns.map((col) => [col.name, col]));
+    const { sql: liveSql } = await this.dao.getRst(
+      "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?",
+      [table.name]
+    );
+    const liveChecks = liveSql ? readTableChecks(liveSql) : null;
+    const expectedChecks = readTableChecks(this.dao.buildCreateTableSql(table));
+    const reasons: string[] = [];
+    const addColumns: SchemaChange[] = [];
+
+    for (const col of liveColumns) {
+      if (!table.cols.some((expected) => expected.name === col.name)) {
+        reasons.push(`column '${col.name}' is no longer in the schema`);
+      }
+    }
+    const dataLoss = reasons.length > 0;
+
+    table.cols.forEach((col, index) => {
+      const parsed = ConstraintParser.parse(
+        tableConfig.cols[index].constraints,
+        `${table.name}.${col.name}`
+      );
+      const expectedPk = table.primary_key
+        ? table.primary_key.indexOf(col.name) + 1
+        : parsed.primaryKey
+          ? 1
+          : 0;
+      const live = liveByName.get(col.name);
+      if (!live) {
+        const blocker = this.getAddColumnBlocker(table, col.name, parsed, expectedPk > 0);
+        if (blocker) {
+          reasons.push(`column '${col.name}' cannot be added with ALTER TABLE: ${blocker}`);
+        } else {
+          addColumns.push({
+            kind: 'add_column',
+            table: table.name,
+            target: col.name,
+            reasons: ['column is not in the database'],
+            dataLoss: false,
+            statements: [`ALTER TABLE ${quoted} ADD COLUMN ${this.dao.buildColumnSql(col)}`],
+          });
+        }
+        return;
+      }
+      if (live.type.toUpperCase() !== col.type.toUpperCase()) {
+        reasons.push(`column '${col.name}' changed type from ${live.type} to ${col.type}`);
+      }
+      if (Boolean(live.notnull) !== parsed.notNull) {
+        reasons.push(`column '${col.name}' ${parsed.notNull ? 'became' : 'is no longer'} NOT NULL`);
+      }
+      if (normalizeSql(live.dflt_value) !== normalizeSql(parsed.default)) {
+        reasons.push(
+          `column '${col.name}' changed default from ${live.dflt_value ?? 'none'} to ${
+            parsed.default ?? 'none'
+          }`
+        );
+      }
+      if (live.pk !== expectedPk) {
+        reasons.push(`primary key of column '${col.name}' changed`);
+      }
+      if (liveChecks) {
+        const key = col.name.toLowerCase();
+        const before = liveChecks.columns.get(key) || { checks: [], collate: null };
+        const after = expectedChecks.columns.get(key)!;
+        if (!sameList(before.checks, after.checks)) {
+          reasons.push(`CHECK constraints of column '${col.name}' changed`);
+        }
+        if (before.collate !== after.collate) {
+          reasons.push(
+            `column '${col.name}' changed collation from ${before.collate ?? 'none'} to ${
+              after.collate ?? 'none'
+            }`
+          );
+        }
+      }
+    });
+    if (liveChecks && !sameList(liveChecks.checks.sort(), expectedChecks.checks.sort())) {
+      reasons.push('table CHECK constraints changed');
+    }
+
+    const expectedUnique = this.getExpectedUnique(table, tableConfig);
+    const liveUnique = liveIndexes
+      .filter((index) => index.origin === 'u')
+      .map((index) => index.columns.join(', '));
+    if (!sameList([...liveUnique].sort(), [...expectedUnique].sort())) {
+      reasons.push('unique constraints changed');
+    }
+    const expectedForeignKeys = this.getExpectedForeignKeys(table, tableConfig);
+    const liveForeignKeys = await this.getLiveForeignKeys(table.name);
+    if (!sameList(liveForeignKeys.sort(), expectedForeignKeys.sort())) {
+      reasons.push('foreign keys changed');
+    }
+
+    if (reasons.length > 0) {
+      return [this.buildRebuild(table, liveColumns, reasons, dataLoss)];
+    }
+    return [...addColumns, ...this.diffIndexes(table, liveIndexes)];
+  }
+
+  private diffIndexes(table: TableDefinition, liveIndexes: LiveIndex[]): SchemaChange[] {
+    const changes: SchemaChange[] = [];
+    const expected = table.indexes || [];
+    const live = new Map(
+      liveIndexes.filter((index) => index.origin === 'c').map((index) => [index.name, index])
+    );
+    for (const [name, index] of live) {
+      const definition = expected.find((candidate) => candidate.name === name);
+      const columns = definition?.columns.map((column) => column.split('.').pop() as string);
+      if (
+        definition &&
+        Boolean(definition.unique) === index.unique &&
+        sameList(columns!, index.columns)
+      ) {
+        continue;
+      }
+      changes.push({
+        kind: 'drop_index',
+        table: table.name,
+        target: name,
+        reasons: [definition ? 'index definition changed' : 'index is no longer in the schema'],
+        dataLoss: false,
+        statements: [`DROP INDEX IF EXISTS ${this.dao.quoteIdentifier(name)}`],
+      });
+      live.delete(name);
+    }
+    for (const index of expected) {
+      if (live.has(index.name)) continue;
+      changes.push({
+        kind: 'create_index',
+        table: table.name,
+        target: index.name,
+        reasons: ['index is not in the database'],
+        dataLoss: false,
+        statements: [this.dao.buildCreateIndexSql(table.name, index)],
+      });
+    }
+    return changes;
+  }
+
+  /**
+   * Views and triggers: declared ones are created when missing and recreated
+   * when changed, undeclared ones are dropped when the schema has a `views`
+   * (or `triggers`) section and left alone otherwise. A table rebuild drops
+   * all of them first and creates them again afterwards, undeclared ones from
+   * their live SQL, as SQLite refuses to rename the rebuilt table while a view
+   * or trigger refers to the dropped one. FTS sync triggers are left to
+   * diffFullText.
+   */
+  private async diffViewsAndTriggers(
+    tableChanges: SchemaChange[]
+  ): Promise<{ drops: SchemaChange[]; creates: SchemaChange[] }> {
+    const rebuild = tableChanges.some((change) => change.kind === 'rebuild_table');
+    const declared = {
+      view: (this.schema.views || []).map((view) => ({
+        name: view.name,
+        table: view.name,
+        sql: this.dao.buildCreateViewSql(view),
+      })),
+      trigger: (this.schema.triggers || []).map((trigger) => ({
+        name: trigger.name,
+        table: trigger.table,
+        sql: this.dao.buildCreateTriggerSql(trigger),
+      })),
+    };
+    const owned = { view: !!this.schema.views, trigger: !!this.schema.triggers };
+    const drops: SchemaChange[] = [];
+    const creates: SchemaChange[] = [];
+    if (!rebuild && !owned.view && !owned.trigger) return { drops, creates };
+
+    const rows = (await this.dao.getRsts(
+      "SELECT type, name, tbl_name, sql FROM sqlite_master WHERE type IN ('view', 'trigger')"
+    )) as LiveObject[];
+    const fullTextTriggers = new Set(
+      Object.entries(this.schema.schemas).flatMap(([tableName, tableConfig]) =>
+        tableConfig.fts
+          ? ['ai', 'ad', 'au'].map(
+              (suffix) => `${this.dao.getFullTextName(tableName, tableConfig.fts!)}_${suffix}`
+            )
+          : []
+      )
+    );
+    const change = (
+      kind: SchemaChangeKind,
+      type: LiveObject['type'],
+      name: string,
+      table: string,
+      reason: string,
+      sql: string
+    ): SchemaChange => ({
+      kind,
+      table,
+      target: type === 'trigger' ? name : undefined,
+      reasons: [reason],
+      dataLoss: false,
+      statements: [sql],
+    });
+
+    // View bị xóa (thay đổi hoặc do rebuild) kéo theo trigger INSTEAD OF của nó
+    const droppedViews = new Set<string>();
+    // Lý do [xóa, tạo lại] một đối tượng không đổi định nghĩa
+    const recreatedWith = (row: LiveObject): [string, string] | null =>
+      rebuild
+        ? ['dropped while tables are rebuilt', 'recreated after tables are rebuilt']
+        : droppedViews.has(row.tbl_name)
+          ? [`dropped with view '${row.tbl_name}'`, `recreated with view '${row.tbl_name}'`]
+          : null;
+
+    for (const type of ['view', 'trigger'] as const) {
+      const live = rows.filter((row) => row.type === type && !fullTextTriggers.has(row.name));
+      const drop = (row: LiveObject, reason: string) => {
+        if (type === 'view') droppedViews.add(row.name);
+        drops.push(
+          change(
+            `drop_${type}`,
+            type,
+            row.name,
+            row.tbl_name,
+            reason,
+            `DROP ${type.toUpperCase()} IF EXISTS ${this.dao.quoteIdentifier(row.name)}`
+          )
+        );
+      };
+
+      for (const object of declared[type]) {
+        const row = live.find((candidate) => candidate.name === object.name);
+        if (!row) {
+          creates.push(
+            change(
+              `create_${type}`,
+              type,
+              object.name,
+              object.table,
+              `${type} is not in the database`,
+              object.sql
+            )
+          );
+          continue;
+        }
+        // sqlite_master lưu câu CREATE không có IF NOT EXISTS
+        const changed =
+          normalizeSql(row.sql) !== normalizeSql(object.sql.replace(' IF NOT EXISTS', ''));
+        const cause = recreatedWith(row);
+        if (!changed && !cause) continue;
+        drop(row, changed ? `${type} definition changed` : cause![0]);
+        creates.push(
+          change(
+            `create_${type}`,
+            type,
+            object.name,
+            object.table,
+            changed ? `${type} definition changed` : cause![1],
+            object.sql
+          )
+        );
+      }
+      for (const row of live) {
+        if (declared[type].some((object) => object.name === row.name)) continue;
+        const cause = recreatedWith(row);
+        if (owned[type]) {
+          drop(row, `${type} is no longer in the schema`);
+        } else if (cause) {
+          drop(row, cause[0]);
+          creates.push(change(`create_${type}`, type, row.name, row.tbl_name, cause[1], row.sql));
+        }
+      }
+    }
+    return { drops, creates };
+  }
+
+  /**
+   * Recreates the FTS table and sync triggers of a table when one is missing
+   * or differs from the schema, then reindexes it: also after the base table
+   * is created or rebuilt, since a rebuild drops the triggers and may
+   * renumber rowids.
+   */
+  private async diffFullText(
+    tableName: string,
+    fts: FullTextDefinition,
+    changes: SchemaChange[]
+  ): Promise<SchemaChange | null> {
+    const name = this.dao.getFullTextName(tableName, fts);
+    const expected = this.dao.buildFullTextSql(tableName, fts);
+    const names = [name, ...['ai', 'ad', 'au'].map((suffix) => `${name}_${suffix}`)];
+    const rows = await this.dao.getRsts(
+      `SELECT name, sql FROM sqlite_master WHERE name IN (${names.map(() => '?').join(', ')})`,
+      names
+    );
+    const live = new Map(rows.map((row) => [row.name, row.sql]));
+    const reasons: string[] = [];
+    names.forEach((objectName, index) => {
+      const what = index === 0 ? 'full-text table' : `trigger '${objectName}'`;
+      // sqlite_master lưu câu CREATE không có IF NOT EXISTS
+      const sql = expected[index].replace(' IF NOT EXISTS', '');
+      if (!live.has(objectName)) reasons.push(`${what} is not in the database`);
+      else if (normalizeSql(live.get(objectName)) !== normalizeSql(sql)) {
+        reasons.push(`${what} definition changed`);
+      }
+    });
+    const rebuilt = changes.find(
+      (change) => change.table === tableName && change.kind === 'rebuild_table'
+    );
+    if (rebuilt) reasons.push('base table is rebuilt');
+    if (reasons.length === 0) return null;
+
+    const tableChanged = live.has(name) && reasons.includes('full-text table definition changed');
+    return {
+      kind: 'create_fts',
+      table: tableName,
+      target: name,
+      reasons,
+      dataLoss: false,
+      statements: [
+        ...names
+          .slice(1)
+          .map((trigger) => `DROP TRIGGER IF EXISTS ${this.dao.quoteIdentifier(trigger)}`),
+        ...(tableChanged ? [`DROP TABLE IF EXISTS ${this.dao.quoteIdentifier(name)}`] : []),
+        ...expected,
+        this.dao.buildFullTextRebuildSql(tableName, fts),
+      ],
+    };
+  }
+
+  // Quy trình 12 bước của SQLite: tạo bảng mới, chép dữ liệu, xóa bảng cũ rồi đổi tên
+  private buildRebuild(
+    table: TableDefinition,
+    liveColumns: LiveColumn[],
+    reasons: string[],
+    dataLoss: boolean
+  ): SchemaChange {
+    const temporary = `${table.name}__rebuild`;
+    const copied = table.cols
+      .filter((col) => liveColumns.some((live) => live.name === col.name))
+      .map((col) => this.dao.quoteIdentifier(col.name))
+      .join(', ');
+    const quoted = this.dao.quoteIdentifier(table.name);
+    const quotedTemporary = this.dao.quoteIdentifier(temporary);
+    return {
+      kind: 'rebuild_table',
+      table: table.name,
+      reasons,
+      dataLoss,
+      statements: [
+        this.dao.buildCreateTableSql({ ...table, name: temporary }, false),
+        ...(copied
+          ? [`INSERT INTO ${quotedTemporary} (${copied}) SELECT ${copied} FROM ${quoted}`]
+          : []),
+        `DROP TABLE ${quoted}`,
+        `ALTER TABLE ${quotedTemporary} RENAME TO ${quoted}`,
+        ...(table.indexes || []).map((index) => this.dao.buildCreateIndexSql(table.name, index)),
+      ],
+    };
+  }
+
+  private getAddColumnBlocker(
+    table: TableDefinition,
+    column: string,
+    parsed: ReturnType<typeof ConstraintParser.parse>,
+    primaryKey: boolean
+  ): string | null {
+    if (primaryKey) return 'PRIMARY KEY';
+    if (parsed.unique || (table.unique || []).some((columns) => columns.includes(column))) {
+      return 'UNIQUE';
+    }
+    const defaultValue = parsed.default;
+    if (parsed.notNull && (defaultValue === undefined || defaultValue === 'NULL')) {
+      return 'NOT NULL without a default';
+    }
+    if (defaultValue !== undefined && NON_CONSTANT_DEFAULT.test(defaultValue)) {
+      return `non-constant DEFAULT ${defaultValue}`;
+    }
+    if (parsed.references && defaultValue !== undefined && defaultValue !== 'NULL') {
+      return 'REFERENCES with a non-NULL default';
+    }
+    return null;
+  }
+
+  private getExpectedUnique(table: TableDefinition, tableConfig: TableConfig): string[] {
+    const unique = tableConfig.cols
+      .filter((col) => {
+        const parsed = ConstraintParser.parse(col.constraints, `${table.name}.${col.name}`);
+        return parsed.unique && !parsed.primaryKey;
+      })
+      .map((col) => col.name);
+    return [...unique, ...(table.unique || []).map((columns) => columns.join(', '))];
+  }
+
+  private getExpectedForeignKeys(table: TableDefinition, tableConfig: TableConfig): string[] {
+    const keys = (table.foreign_keys || []).map((fk) =>
+      [fk.column, fk.references.table, fk.references.column, fk.on_delete, fk.on_update]
+        .map((value, index) => (index > 2 ? normalizeAction(value) : value))
+        .join(' ')
+    );
+    for (const col of tableConfig.cols) {
+      const { references } = ConstraintParser.parse(col.constraints, `${table.name}.${col.name}`);
+      if (references) {
+        keys.push(
+          [
+            col.name,
+            references.table,
+            references.column || '',
+            normalizeAction(references.onDelete),
+            normalizeAction(references.onUpdate),
+          ].join(' ')
+        );
+      }
+    }
+    return keys;
+  }
+
+  private async getLiveForeignKeys(tableName: string): Promise<string[]> {
+    const rows = await this.dao.getRsts(
+      `PRAGMA foreign_key_list(${this.dao.quoteIdentifier(tableName)})`
+    );
+    return rows.map((row) =>
+      [row.from, row.table, row.to || '', row.on_delete, row.on_update].join(' ')
+    );
+  }
+
+  private async getLiveIndexes(tableName: string): Promise<LiveIndex[]> {
+    const rows = await this.dao.getRsts(
+      `PRAGMA index_list(${this.dao.quoteIdentifier(tableName)})`
+    );
+    const indexes: LiveIndex[] = [];
+    for (const row of rows) {
+      const columns = await this.dao.getRsts(
+        `PRAGMA index_info(${this.dao.quoteIdentifier(row.name)})`
+      );
+      indexes.push({
+        name: row.name,
+        unique: Boolean(row.unique),
+        origin: row.origin,
+        columns: columns.map((column) => column.name),
+      });
+    }
+    return indexes;
+  }
+}
+
+export default SchemaDiff;
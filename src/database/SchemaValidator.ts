@@ -0,0 +1,136 @@
+import { ColumnDefinition, DatabaseSchemaWithTypeMapping } from './SQLiteDAO';
+
+export type ValidationRule = 'enum' | 'length' | 'precision' | 'scale';
+
+/**
+ * Thrown before a write when a value breaks the `enum`, `length` or
+ * `precision`/`scale` metadata of its column in the schema.
+ */
+export class SchemaValidationError extends Error {
+  readonly table: string;
+  readonly column: string;
+  readonly value: any;
+  readonly rule: ValidationRule;
+  // Danh sách giá trị hợp lệ với enum, giới hạn với length/precision/scale
+  readonly allowed: any;
+
+  constructor(table: string, column: string, value: any, rule: ValidationRule, allowed: any) {
+    super(
+      `Invalid value ${JSON.stringify(value)} for '${table}.${column}': ${describeRule(
+        rule,
+        allowed
+      )}`
+    );
+    this.name = 'SchemaValidationError';
+    this.table = table;
+    this.column = column;
+    this.value = value;
+    this.rule = rule;
+    this.allowed = allowed;
+  }
+}
+
+function describeRule(rule: ValidationRule, allowed: any): string {
+  switch (rule) {
+    case 'enum':
+      return `expected one of ${allowed.join(', ')}`;
+    case 'length':
+      return `expected at most ${allowed.max} characters`;
+    case 'precision':
+      return `expected at most ${allowed.precision - allowed.scale} digits before the decimal point`;
+    case 'scale':
+      return `expected at most ${allowed.scale} digits after the decimal point`;
+  }
+}
+
+function toSqlLiteral(value: any): string {
+  if (typeof value === 'number') return String(value);
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+// Sai số cho phép khi so sánh số thực với giá trị đã làm tròn theo scale
+const SCALE_TOLERANCE = 1e-9;
+
+/**
+ * Turns the `enum`, `length` and `precision`/`scale` metadata of schema
+ * columns into CHECK constraints and validates values against the same rules
+ * before they are written.
+ */
+export class SchemaValidator {
+  private columns: Map<string, Map<string, ColumnDefinition>> = new Map();
+
+  setSchema(schema: DatabaseSchemaWithTypeMapping): void {
+    this.columns = new Map(
+      Object.entries(schema.schemas).map(([tableName, tableConfig]) => [
+        tableName,
+        new Map(tableConfig.cols.map((col) => [col.name, col])),
+      ])
+    );
+  }
+
+  /**
+   * CHECK constraints for one column, `quoted` being its quoted name. NULL
+   * passes every check, as nullability is left to NOT NULL.
+   */
+  getCheckConstraints(col: ColumnDefinition, quoted: string): string[] {
+    const checks: string[] = [];
+    if (col.enum && col.enum.length > 0) {
+      checks.push(`CHECK (${quoted} IN (${col.enum.map(toSqlLiteral).join(', ')}))`);
+    }
+    if (col.length !== undefined) {
+      checks.push(`CHECK (length(${quoted}) <= ${this.toLimit(col.length, 'length', col)})`);
+    }
+    if (col.precision !== undefined) {
+      const precision = this.toLimit(col.precision, 'precision', col);
+      const scale = this.toLimit(col.scale || 0, 'scale', col);
+      checks.push(
+        `CHECK (abs(${quoted}) < 1e${precision - scale} AND abs(round(${quoted}, ${scale}) - ${quoted}) < ${SCALE_TOLERANCE})`
+      );
+    }
+    return checks;
+  }
+
+  /**
+   * Checks `value` as it will be stored (after encoding) and throws a
+   * SchemaValidationError naming `original`, the value the caller passed.
+   */
+  validate(table: string, column: string, value: any, original: any = value): void {
+    const col = this.columns.get(table)?.get(column);
+    if (!col || value === null || value === undefined) return;
+
+    if (col.enum && col.enum.length > 0 && !col.enum.includes(value)) {
+      throw new SchemaValidationError(table, column, original, 'enum', col.enum);
+    }
+    // length() của SQLite đếm theo ký tự, không theo đơn vị UTF-16
+    if (col.length !== undefined && typeof value === 'string') {
+      if (Array.from(value).length > col.length) {
+        throw new SchemaValidationError(table, column, original, 'length', { max: col.length });
+      }
+    }
+    if (col.precision !== undefined && value !== '' && !isNaN(Number(value))) {
+      const number = Number(value);
+      const scale = col.scale || 0;
+      const allowed = { precision: col.precision, scale };
+      if (Math.abs(number) >= Math.pow(10, col.precision - scale)) {
+        throw new SchemaValidationError(table, column, original, 'precision', allowed);
+      }
+      if (Math.abs(Number(number.toFixed(scale)) - number) >= SCALE_TOLERANCE) {
+        throw new SchemaValidationError(table, column, original, 'scale', allowed);
+      }
+    }
+  }
+
+  private toLimit(value: any, name: string, col: ColumnDefinition): number {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(
+        `Invalid ${name} ${JSON.stringify(value)} for column '${
+          col.name
+        }': expected a non-negative integer`
+      );
+    }
+    return value;
+  }
+}
+
+export default SchemaValidator;
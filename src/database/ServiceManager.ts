@@ -1,5 +1,6 @@
 // ServiceManager.ts - Quản lý tập trung các service cho nhiều schemas và tables
 import { BaseService, ServiceStatus, HealthCheckResult } from './BaseService';
+import { SchemaName, TableName, TableRow } from './schemas';
 
 export interface TableConfig {
   tableName: string;
@@ -239,8 +240,15 @@ export class ServiceManager {
     }
   }
 
-  // Lấy service (tự động tạo nếu chưa tồn tại)
-  async getService(schemaName: string, tableName: string): Promise<BaseService> {
+  // Lấy service (tự động tạo nếu chưa tồn tại); tên schema và bảng sai là lỗi biên dịch
+  async getService<S extends SchemaName, N extends TableName<S>>(
+    schemaName: S,
+    tableName: N
+  ): Promise<BaseService<TableRow<S, N>>> {
+    return this.getOrCreateService(schemaName, tableName);
+  }
+
+  private async getOrCreateService(schemaName: string, tableName: string): Promise<BaseService> {
     const serviceKey = this.createServiceKey(schemaName, tableName);
     
     if (this.services.has(serviceKey)) {
@@ -251,14 +259,24 @@ export class ServiceManager {
   }
 
   // Lấy service đã tồn tại (không tự động tạo)
-  getExistingService(schemaName: string, tableName: string): BaseService | null {
+  getExistingService<S extends SchemaName, N extends TableName<S>>(
+    schemaName: S,
+    tableName: N
+  ): BaseService<TableRow<S, N>> | null {
     const serviceKey = this.createServiceKey(schemaName, tableName);
     return this.services.get(serviceKey) || null;
   }
 
   // Khởi tạo service
-  async initService(schemaName: string, tableName: string): Promise<BaseService> {
-    const service = await this.getService(schemaName, tableName);
+  async initService<S extends SchemaName, N extends TableName<S>>(
+    schemaName: S,
+    tableName: N
+  ): Promise<BaseService<TableRow<S, N>>> {
+    return this.initRegisteredService(schemaName, tableName);
+  }
+
+  private async initRegisteredService(schemaName: string, tableName: string): Promise<BaseService> {
+    const service = await this.getOrCreateService(schemaName, tableName);
     await service.init();
     
     const serviceKey = this.createServiceKey(schemaName, tableName);
@@ -280,7 +298,7 @@ export class ServiceManager {
 
     const initPromises = schemaConfig.tables.map(async (tableConfig) => {
       try {
-        await this.initService(schemaName, tableConfig.tableName);
+        await this.initRegisteredService(schemaName, tableConfig.tableName);
       } catch (error) {
         this.emit('SERVICE_ERROR', {
           serviceKey: this.createServiceKey(schemaName, tableConfig.tableName),
@@ -540,8 +558,10 @@ export class ServiceManager {
     const primaryService = services[0];
     
     try {
-      return await primaryService.executeTransaction(async () => {
-        return await callback(services);
+      // Services dùng chung kết nối với primaryService phải chạy trên transaction đó,
+      // nếu gọi qua service gốc chúng sẽ phải chờ chính transaction này (deadlock)
+      return await primaryService.executeTransaction(async (_primary, tx) => {
+        return await callback(services.map(service => service.withTransaction(tx)));
       });
     } catch (error) {
       // Error handling được xử lý bởi BaseService
@@ -571,8 +591,11 @@ export class ServiceManager {
     const primaryService = services[0];
     
     try {
-      return await primaryService.executeTransaction(async () => {
-        return await callback(schemaServices);
+      return await primaryService.executeTransaction(async (_primary, tx) => {
+        const scopedServices = new Map(
+          Array.from(schemaServices, ([key, service]) => [key, service.withTransaction(tx)] as [string, BaseService])
+        );
+        return await callback(scopedServices);
       });
     } catch (error) {
       // Error handling được xử lý bởi BaseService
@@ -0,0 +1,200 @@
+import { DatabaseSchemaWithTypeMapping } from './SQLiteDAO';
+
+// Chuyển đổi giá trị JS <-> giá trị lưu trong SQLite cho một kiểu generic của schema
+export interface ColumnCodec {
+  encode: (value: any) => any;
+  decode: (value: any) => any;
+}
+
+// Cột gốc (bảng, cột) mà một cột trong kết quả truy vấn được lấy ra
+export interface ColumnSource {
+  table: string;
+  column: string;
+}
+
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// 'YYYY-MM-DD', 'YYYY-MM-DD HH:MM[:SS[.SSS]]' (CURRENT_TIMESTAMP) hoặc ISO 8601 có múi giờ
+const DATE_TEXT_PATTERN =
+  /^\d{4}-\d{2}-\d{2}(?:[ T]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+export function encodeBase64(bytes: Uint8Array): string {
+  let output = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    // 3 byte -> 4 ký tự 6 bit, phần thiếu ở cuối được đệm bằng '='
+    const chunk = bytes[i] * 65536 + (bytes[i + 1] || 0) * 256 + (bytes[i + 2] || 0);
+    output += BASE64_ALPHABET[Math.floor(chunk / 262144) % 64];
+    output += BASE64_ALPHABET[Math.floor(chunk / 4096) % 64];
+    output += i + 1 < bytes.length ? BASE64_ALPHABET[Math.floor(chunk / 64) % 64] : '=';
+    output += i + 2 < bytes.length ? BASE64_ALPHABET[chunk % 64] : '=';
+  }
+  return output;
+}
+
+export function decodeBase64(text: string): Uint8Array {
+  const clean = text.replace(/[=]+$/, '');
+  const bytes: number[] = [];
+  for (let i = 0; i < clean.length; i += 4) {
+    const group = clean.slice(i, i + 4);
+    let chunk = 0;
+    for (let j = 0; j < 4; j++) {
+      const index = j < group.length ? BASE64_ALPHABET.indexOf(group[j]) : 0;
+      if (index === -1) throw new Error(`Invalid base64 character '${group[j]}'`);
+      chunk = chunk * 64 + index;
+    }
+    bytes.push(Math.floor(chunk / 65536) % 256);
+    if (group.length > 2) bytes.push(Math.floor(chunk / 256) % 256);
+    if (group.length > 3) bytes.push(chunk % 256);
+  }
+  return new Uint8Array(bytes);
+}
+
+function toDate(value: any): Date {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) throw new Error(`Invalid date ${JSON.stringify(value)}`);
+  return date;
+}
+
+function parseDateText(value: any): any {
+  if (typeof value !== 'string') return value;
+  const match = DATE_TEXT_PATTERN.exec(value);
+  if (!match) return value;
+  // Text without an offset is UTC, as written by CURRENT_TIMESTAMP and toISOString()
+  let text = value.replace(' ', 'T');
+  if (text.length === 10) text += 'T00:00:00';
+  const date = new Date(match[1] ? text : `${text}Z`);
+  return isNaN(date.getTime()) ? value : date;
+}
+
+const booleanCodec: ColumnCodec = {
+  encode: (value) => (typeof value === 'boolean' ? (value ? 1 : 0) : value),
+  decode: (value) => {
+    if (value === 1 || value === '1' || value === 'true') return true;
+    if (value === 0 || value === '0' || value === 'false') return false;
+    return value;
+  },
+};
+
+const dateTimeCodec: ColumnCodec = {
+  encode: (value) => (value instanceof Date ? toDate(value).toISOString() : value),
+  decode: parseDateText,
+};
+
+const dateCodec: ColumnCodec = {
+  encode: (value) => (value instanceof Date ? toDate(value).toISOString().slice(0, 10) : value),
+  decode: parseDateText,
+};
+
+// Chuỗi được coi là JSON đã serialize sẵn và giữ nguyên khi ghi
+const jsonCodec: ColumnCodec = {
+  encode: (value) => (typeof value === 'string' ? value : JSON.stringify(value)),
+  decode: (value) => {
+    if (typeof value !== 'string') return value;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  },
+};
+
+// Cầu nối của react-native-sqlite-storage chỉ truyền được chuỗi, nên blob được lưu dạng base64
+const blobCodec: ColumnCodec = {
+  encode: (value) => {
+    if (value instanceof Uint8Array) return encodeBase64(value);
+    if (value instanceof ArrayBuffer) return encodeBase64(new Uint8Array(value));
+    return value;
+  },
+  decode: (value) => (typeof value === 'string' ? decodeBase64(value) : value),
+};
+
+// Cột không khai báo trong schema giữ cách ghi cũ: object được JSON.stringify
+const fallbackCodec: ColumnCodec = {
+  encode: (value) => {
+    if (value instanceof Date) return toDate(value).toISOString();
+    return typeof value === 'object' ? JSON.stringify(value) : value;
+  },
+  decode: (value) => value,
+};
+
+const DEFAULT_CODECS: Record<string, ColumnCodec> = {
+  boolean: booleanCodec,
+  timestamp: dateTimeCodec,
+  datetime: dateTimeCodec,
+  date: dateCodec,
+  json: jsonCodec,
+  array: jsonCodec,
+  blob: blobCodec,
+  binary: blobCodec,
+};
+
+/**
+ * Serializes values on write and deserializes them on read according to the
+ * generic column `type` declared in the schema (before type_mapping turns it
+ * into a SQLite type). null and undefined are never converted.
+ */
+export class ValueCodec {
+  private codecs: Map<string, ColumnCodec> = new Map(Object.entries(DEFAULT_CODECS));
+  private columnTypes: Map<string, Map<string, string>> = new Map();
+
+  setSchema(schema: DatabaseSchemaWithTypeMapping): void {
+    // Cột của view được decode như cột của bảng
+    const sources = [
+      ...Object.entries(schema.schemas),
+      ...(schema.views || []).map((view) => [view.name, view] as const),
+    ];
+    this.columnTypes = new Map(
+      sources.map(([tableName, tableConfig]) => [
+        tableName,
+        new Map(tableConfig.cols.map((col) => [col.name, String(col.type).toLowerCase()])),
+      ])
+    );
+  }
+
+  // Thêm hoặc thay codec cho một kiểu generic, ví dụ 'decimal' -> thư viện số thập phân
+  register(type: string, codec: ColumnCodec): this {
+    this.codecs.set(type.toLowerCase(), codec);
+    return this;
+  }
+
+  getColumnType(table: string, column: string): string | undefined {
+    return this.columnTypes.get(table)?.get(column);
+  }
+
+  encode(table: string, column: string, value: any): any {
+    if (value === null || value === undefined) return value;
+    const type = this.getColumnType(table, column);
+    const codec = (type && this.codecs.get(type)) || fallbackCodec;
+    try {
+      return codec.encode(value);
+    } catch (error) {
+      throw new Error(
+        `Cannot encode value of '${table}.${column}' as ${type || 'untyped'}: ${
+          (error as Error).message
+        }`
+      );
+    }
+  }
+
+  decode(table: string, column: string, value: any): any {
+    if (value === null || value === undefined) return value;
+    const type = this.getColumnType(table, column);
+    const codec = type && this.codecs.get(type);
+    return codec ? codec.decode(value) : value;
+  }
+
+  /**
+   * Decodes the columns of a result row whose source column is known, other
+   * keys (aggregates, expressions) are copied unchanged.
+   */
+  decodeRow(row: Record<string, any>, outputs: Map<string, ColumnSource>): Record<string, any> {
+    const decoded: Record<string, any> = { ...row };
+    for (const [key, value] of Object.entries(row)) {
+      const source = outputs.get(key);
+      if (source) decoded[key] = this.decode(source.table, source.column, value);
+    }
+    return decoded;
+  }
+}
+
+export default ValueCodec;
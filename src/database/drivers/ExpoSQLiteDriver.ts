@@ -0,0 +1,81 @@
+import {
+  BatchResult,
+  BatchStatement,
+  DriverResult,
+  OpenOptions,
+  SQLiteConnection,
+  SQLiteDriver,
+  isInsertStatement,
+} from './SQLiteDriver';
+
+// Phần API bất đồng bộ của expo-sqlite (SDK 50 trở lên) mà driver dùng
+interface ExpoSQLiteRunResult {
+  lastInsertRowId: number;
+  changes: number;
+}
+
+interface ExpoSQLiteStatement {
+  executeAsync(
+    params: any[]
+  ): Promise<ExpoSQLiteRunResult & { getAllAsync(): Promise<Record<string, any>[]> }>;
+  finalizeAsync(): Promise<void>;
+}
+
+interface ExpoSQLiteDatabase {
+  prepareAsync(sql: string): Promise<ExpoSQLiteStatement>;
+  runAsync(sql: string, params: any[]): Promise<ExpoSQLiteRunResult>;
+  withTransactionAsync(task: () => Promise<void>): Promise<void>;
+  closeAsync(): Promise<void>;
+}
+
+export type ExpoSQLiteOpen = (databaseName: string) => Promise<ExpoSQLiteDatabase>;
+
+class ExpoSQLiteConnection implements SQLiteConnection {
+  constructor(private readonly db: ExpoSQLiteDatabase) {}
+
+  async execute(sql: string, params: any[]): Promise<DriverResult> {
+    const statement = await this.db.prepareAsync(sql);
+    try {
+      const result = await statement.executeAsync(params);
+      const rows = await result.getAllAsync();
+      return {
+        rows,
+        rowsAffected: result.changes,
+        insertId: result.changes > 0 && isInsertStatement(sql) ? result.lastInsertRowId : undefined,
+      };
+    } finally {
+      await statement.finalizeAsync();
+    }
+  }
+
+  async batch(statements: BatchStatement[]): Promise<BatchResult> {
+    let rowsAffected = 0;
+    await this.db.withTransactionAsync(async () => {
+      for (const { sql, params = [] } of statements) {
+        rowsAffected += (await this.db.runAsync(sql, params)).changes;
+      }
+    });
+    return { rowsAffected };
+  }
+
+  async close(): Promise<void> {
+    await this.db.closeAsync();
+  }
+}
+
+/**
+ * Driver for expo-sqlite. Pass its `openDatabaseAsync` function, which
+ * keeps expo-sqlite an optional dependency:
+ * `new ExpoSQLiteDriver(SQLite.openDatabaseAsync)`.
+ */
+export class ExpoSQLiteDriver implements SQLiteDriver {
+  readonly name = 'expo-sqlite';
+
+  constructor(private readonly openDatabase: ExpoSQLiteOpen) {}
+
+  async open(options: OpenOptions): Promise<SQLiteConnection> {
+    return new ExpoSQLiteConnection(await this.openDatabase(options.name));
+  }
+}
+
+export default ExpoSQLiteDriver;
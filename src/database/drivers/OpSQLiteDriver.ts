@@ -0,0 +1,68 @@
+import {
+  BatchResult,
+  BatchStatement,
+  DriverResult,
+  OpenOptions,
+  SQLiteConnection,
+  SQLiteDriver,
+  isInsertStatement,
+} from './SQLiteDriver';
+
+// Phần API của @op-sqlite/op-sqlite mà driver dùng; rows là mảng từ v9, object { _array } ở bản cũ
+interface OpSQLiteQueryResult {
+  rows?: Record<string, any>[] | { _array: Record<string, any>[] };
+  rowsAffected?: number;
+  insertId?: number;
+}
+
+interface OpSQLiteDatabase {
+  execute(sql: string, params?: any[]): Promise<OpSQLiteQueryResult> | OpSQLiteQueryResult;
+  executeBatch(commands: [string, any[]][]): Promise<{ rowsAffected?: number }>;
+  close(): void;
+}
+
+export type OpSQLiteOpen = (options: { name: string; location?: string }) => OpSQLiteDatabase;
+
+class OpSQLiteConnection implements SQLiteConnection {
+  constructor(private readonly db: OpSQLiteDatabase) {}
+
+  async execute(sql: string, params: any[]): Promise<DriverResult> {
+    const result = await this.db.execute(sql, params);
+    const rows = Array.isArray(result.rows) ? result.rows : result.rows?._array || [];
+    const rowsAffected = result.rowsAffected ?? 0;
+    return {
+      rows,
+      rowsAffected,
+      insertId: rowsAffected > 0 && isInsertStatement(sql) ? result.insertId : undefined,
+    };
+  }
+
+  async batch(statements: BatchStatement[]): Promise<BatchResult> {
+    const result = await this.db.executeBatch(
+      statements.map(({ sql, params = [] }) => [sql, params] as [string, any[]])
+    );
+    return { rowsAffected: result.rowsAffected ?? 0 };
+  }
+
+  async close(): Promise<void> {
+    this.db.close();
+  }
+}
+
+/**
+ * Driver for op-sqlite. Pass its `open` function, which keeps op-sqlite an
+ * optional dependency: `new OpSQLiteDriver(open)`.
+ */
+export class OpSQLiteDriver implements SQLiteDriver {
+  readonly name = 'op-sqlite';
+
+  constructor(private readonly openDatabase: OpSQLiteOpen) {}
+
+  async open(options: OpenOptions): Promise<SQLiteConnection> {
+    const location =
+      options.location && options.location !== 'default' ? options.location : undefined;
+    return new OpSQLiteConnection(this.openDatabase({ name: options.name, location }));
+  }
+}
+
+export default OpSQLiteDriver;
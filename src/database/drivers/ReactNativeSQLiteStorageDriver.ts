@@ -0,0 +1,74 @@
+import type { ResultSet, SQLiteDatabase, Transaction } from 'react-native-sqlite-storage';
+import {
+  BatchResult,
+  BatchStatement,
+  DriverResult,
+  OpenOptions,
+  SQLiteConnection,
+  SQLiteDriver,
+} from './SQLiteDriver';
+
+type SQLiteStorageModule = typeof import('react-native-sqlite-storage');
+
+function toDriverResult(resultSet?: ResultSet): DriverResult {
+  const rows: Record<string, any>[] = [];
+  const length = resultSet?.rows?.length ?? 0;
+  for (let i = 0; i < length; i++) {
+    rows.push(resultSet!.rows.item(i));
+  }
+  return { rows, rowsAffected: resultSet?.rowsAffected ?? 0, insertId: resultSet?.insertId };
+}
+
+class ReactNativeSQLiteStorageConnection implements SQLiteConnection {
+  constructor(private readonly db: SQLiteDatabase) {}
+
+  async execute(sql: string, params: any[]): Promise<DriverResult> {
+    const results = await this.db.executeSql(sql, params);
+    return toDriverResult(results?.[0]);
+  }
+
+  async batch(statements: BatchStatement[]): Promise<BatchResult> {
+    let rowsAffected = 0;
+    await this.db.transaction((tx: Transaction) => {
+      for (const { sql, params = [] } of statements) {
+        tx.executeSql(sql, params, (_tx, resultSet) => {
+          rowsAffected += resultSet.rowsAffected;
+        });
+      }
+    });
+    return { rowsAffected };
+  }
+
+  async close(): Promise<void> {
+    await this.db.close();
+  }
+}
+
+/**
+ * Driver for react-native-sqlite-storage, the default of SQLiteDAO. The
+ * module is loaded when the first database is opened unless it is passed in.
+ */
+export class ReactNativeSQLiteStorageDriver implements SQLiteDriver {
+  readonly name = 'react-native-sqlite-storage';
+
+  constructor(private sqlite?: SQLiteStorageModule) {}
+
+  async open(options: OpenOptions): Promise<SQLiteConnection> {
+    const sqlite = this.sqlite || this.load();
+    const db = await sqlite.openDatabase({
+      name: options.name,
+      location: (options.location || 'default') as 'default',
+    });
+    return new ReactNativeSQLiteStorageConnection(db);
+  }
+
+  // require khi mở kết nối để các driver khác (và Node) không phải tải native module này
+  private load(): SQLiteStorageModule {
+    const sqlite: SQLiteStorageModule = require('react-native-sqlite-storage');
+    sqlite.enablePromise(true);
+    this.sqlite = sqlite;
+    return sqlite;
+  }
+}
+
+export default ReactNativeSQLiteStorageDriver;
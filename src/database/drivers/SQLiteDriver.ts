@@ -0,0 +1,47 @@
+export interface OpenOptions {
+  // Tên file database, ví dụ 'core.db'
+  name: string;
+  // Vị trí lưu file với driver hỗ trợ (react-native-sqlite-storage: 'default', 'Library', ...)
+  location?: string;
+}
+
+// Kết quả của một câu lệnh, giống nhau với mọi driver
+export interface DriverResult {
+  rows: Record<string, any>[];
+  // Số dòng bị thay đổi, 0 với SELECT và DDL
+  rowsAffected: number;
+  // rowid của dòng vừa INSERT, undefined với các câu lệnh khác
+  insertId?: number;
+}
+
+// Driver chỉ trả insertId khi câu lệnh là INSERT/REPLACE, như react-native-sqlite-storage
+export function isInsertStatement(sql: string): boolean {
+  return /^\s*(INSERT|REPLACE)\b/i.test(sql);
+}
+
+export interface BatchStatement {
+  sql: string;
+  params?: any[];
+}
+
+export interface BatchResult {
+  rowsAffected: number;
+}
+
+// Một kết nối đã mở tới database
+export interface SQLiteConnection {
+  execute(sql: string, params: any[]): Promise<DriverResult>;
+  // Chạy nhiều câu lệnh trong một transaction riêng của driver: tất cả thành công hoặc không câu nào
+  batch(statements: BatchStatement[]): Promise<BatchResult>;
+  close(): Promise<void>;
+}
+
+/**
+ * Opens connections for SQLiteDAO on one SQLite engine, so the same DAO and
+ * services run on react-native-sqlite-storage, op-sqlite, expo-sqlite or a
+ * Node engine in tests.
+ */
+export interface SQLiteDriver {
+  readonly name: string;
+  open(options: OpenOptions): Promise<SQLiteConnection>;
+}
@@ -0,0 +1,123 @@
+import {
+  BatchResult,
+  BatchStatement,
+  DriverResult,
+  OpenOptions,
+  SQLiteConnection,
+  SQLiteDriver,
+  isInsertStatement,
+} from './SQLiteDriver';
+
+// Phần API của sql.js mà driver dùng
+interface SqlJsStatement {
+  bind(values: any[]): boolean;
+  step(): boolean;
+  getAsObject(): Record<string, any>;
+  free(): boolean;
+}
+
+interface SqlJsDatabase {
+  prepare(sql: string): SqlJsStatement;
+  exec(sql: string): { columns: string[]; values: any[][] }[];
+  export(): Uint8Array;
+  close(): void;
+}
+
+export interface SqlJsStatic {
+  Database: new (data?: ArrayLike<number> | null) => SqlJsDatabase;
+}
+
+// sql.js không nhận undefined và boolean làm tham số
+function toSqlJsParam(value: any): any {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+}
+
+class SqlJsConnection implements SQLiteConnection {
+  constructor(private readonly db: SqlJsDatabase) {}
+
+  async execute(sql: string, params: any[]): Promise<DriverResult> {
+    const before = this.scalar('SELECT total_changes()');
+    const statement = this.db.prepare(sql);
+    const rows: Record<string, any>[] = [];
+    try {
+      statement.bind(params.map(toSqlJsParam));
+      while (statement.step()) rows.push(statement.getAsObject());
+    } finally {
+      statement.free();
+    }
+    // changes() không tính các dòng do trigger ghi nhưng giữ giá trị của câu ghi trước đó,
+    // nên chỉ đọc khi total_changes() (có tính trigger) cho thấy câu này đã ghi
+    const rowsAffected =
+      this.scalar('SELECT total_changes()') > before ? this.scalar('SELECT changes()') : 0;
+    return {
+      rows,
+      rowsAffected,
+      insertId:
+        rowsAffected > 0 && isInsertStatement(sql)
+          ? this.scalar('SELECT last_insert_rowid()')
+          : undefined,
+    };
+  }
+
+  async batch(statements: BatchStatement[]): Promise<BatchResult> {
+    let rowsAffected = 0;
+    this.db.exec('BEGIN');
+    try {
+      for (const { sql, params = [] } of statements) {
+        rowsAffected += (await this.execute(sql, params)).rowsAffected;
+      }
+      this.db.exec('COMMIT');
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+    return { rowsAffected };
+  }
+
+  // Database trong bộ nhớ được giữ lại trong driver để mở lại như một file
+  async close(): Promise<void> {}
+
+  private scalar(sql: string): number {
+    return Number(this.db.exec(sql)[0].values[0][0]);
+  }
+}
+
+/**
+ * Node driver on sql.js (SQLite compiled to WebAssembly), for running the
+ * DAO and services against a real engine in tests and CI. Pass the result
+ * of `initSqlJs()`. Each database name is an in-memory database kept until
+ * `destroy(name)`, so closing and reopening it keeps its data.
+ */
+export class SqlJsDriver implements SQLiteDriver {
+  readonly name = 'sql.js';
+  private databases: Map<string, SqlJsDatabase> = new Map();
+
+  constructor(private readonly sqlJs: SqlJsStatic) {}
+
+  async open(options: OpenOptions): Promise<SQLiteConnection> {
+    let db = this.databases.get(options.name);
+    if (!db) {
+      db = new this.sqlJs.Database();
+      this.databases.set(options.name, db);
+    }
+    return new SqlJsConnection(db);
+  }
+
+  // Nội dung file SQLite của database, ví dụ để ghi ra đĩa khi debug
+  export(name: string): Uint8Array | undefined {
+    return this.databases.get(name)?.export();
+  }
+
+  destroy(name?: string): void {
+    for (const [key, db] of this.databases) {
+      if (name === undefined || key === name) {
+        db.close();
+        this.databases.delete(key);
+      }
+    }
+  }
+}
+
+export default SqlJsDriver;
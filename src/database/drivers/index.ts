@@ -0,0 +1,20 @@
+import { ReactNativeSQLiteStorageDriver } from './ReactNativeSQLiteStorageDriver';
+import { SQLiteDriver } from './SQLiteDriver';
+
+export * from './SQLiteDriver';
+export * from './ReactNativeSQLiteStorageDriver';
+export * from './OpSQLiteDriver';
+export * from './ExpoSQLiteDriver';
+export * from './SqlJsDriver';
+
+let defaultDriver: SQLiteDriver | null = null;
+
+// Driver dùng cho SQLiteDAO không được truyền driver riêng, mặc định là react-native-sqlite-storage
+export function setDefaultDriver(driver: SQLiteDriver): void {
+  defaultDriver = driver;
+}
+
+export function getDefaultDriver(): SQLiteDriver {
+  if (!defaultDriver) defaultDriver = new ReactNativeSQLiteStorageDriver();
+  return defaultDriver;
+}
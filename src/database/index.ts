@@ -1,6 +1,16 @@
 export * from './schemas';
 export * from './BaseService';
+export * from './CodeGenerator';
+export * from './ConstraintParser';
 export * from './DatabaseFactory';
 export * from './DatabaseManager';
+export * from './drivers';
+export * from './IndexAdvisor';
+export * from './MigrationRunner';
+export * from './QueryBuilder';
+export * from './QueryPlan';
 export * from './SQLiteDAO';
-export * from './ServiceManager';
\ No newline at end of file
+export * from './SchemaDiff';
+export * from './SchemaValidator';
+export * from './ServiceManager';
+export * from './ValueCodec';
\ No newline at end of file
@@ -0,0 +1,371 @@
+// Generated from the schema 'core.db' (version v1) by sqlite-dao-codegen.
+// Do not edit by hand: change the schema JSON and run the generator again.
+
+export type EnterpriseBusinessType =
+  | 'ltd'
+  | 'joint_stock'
+  | 'private'
+  | 'partnership'
+  | 'sole_proprietorship';
+
+export type EnterpriseStatus = 'active' | 'inactive' | 'suspended' | 'pending';
+
+export type EnterpriseSubscriptionPlan = 'basic' | 'premium' | 'enterprise';
+
+/** Bảng quản lý thông tin các doanh nghiệp trong hệ thống */
+export interface Enterprise {
+  /** Mã định danh duy nhất của doanh nghiệp */
+  id: string;
+  /** Tên chính thức của doanh nghiệp */
+  name: string;
+  /** Loại hình kinh doanh (công ty TNHH, cổ phần, tư nhân, v.v.) */
+  business_type: EnterpriseBusinessType | null;
+  /** Các ngành nghề kinh doanh */
+  industries: unknown | null;
+  /** Địa chỉ trụ sở chính của doanh nghiệp */
+  address: string | null;
+  /** Mã số thuế của doanh nghiệp */
+  tax_code: string | null;
+  /** Số điện thoại liên hệ */
+  phone: string | null;
+  /** Địa chỉ email chính của doanh nghiệp */
+  email: string | null;
+  /** Website chính thức của doanh nghiệp */
+  website: string | null;
+  /** Đường dẫn đến logo của doanh nghiệp */
+  logo_url: string | null;
+  /** Trạng thái hoạt động của doanh nghiệp */
+  status: EnterpriseStatus | null;
+  /** Gói dịch vụ đang sử dụng */
+  subscription_plan: EnterpriseSubscriptionPlan | null;
+  /** Thời gian tạo bản ghi */
+  created_at: Date | null;
+  /** Thời gian cập nhật bản ghi lần cuối */
+  updated_at: Date | null;
+}
+
+export interface EnterpriseInsert {
+  /** Mã định danh duy nhất của doanh nghiệp */
+  id: string;
+  /** Tên chính thức của doanh nghiệp */
+  name: string;
+  /** Loại hình kinh doanh (công ty TNHH, cổ phần, tư nhân, v.v.) */
+  business_type?: EnterpriseBusinessType | null;
+  /** Các ngành nghề kinh doanh */
+  industries?: unknown | null;
+  /** Địa chỉ trụ sở chính của doanh nghiệp */
+  address?: string | null;
+  /** Mã số thuế của doanh nghiệp */
+  tax_code?: string | null;
+  /** Số điện thoại liên hệ */
+  phone?: string | null;
+  /** Địa chỉ email chính của doanh nghiệp */
+  email?: string | null;
+  /** Website chính thức của doanh nghiệp */
+  website?: string | null;
+  /** Đường dẫn đến logo của doanh nghiệp */
+  logo_url?: string | null;
+  /** Trạng thái hoạt động của doanh nghiệp */
+  status?: EnterpriseStatus | null;
+  /** Gói dịch vụ đang sử dụng */
+  subscription_plan?: EnterpriseSubscriptionPlan | null;
+  /** Thời gian tạo bản ghi */
+  created_at?: Date | string | null;
+  /** Thời gian cập nhật bản ghi lần cuối */
+  updated_at?: Date | string | null;
+}
+
+export type EnterpriseUpdate = Partial<EnterpriseInsert>;
+
+export type StoreStoreType = 'retail' | 'warehouse' | 'showroom' | 'factory' | 'office';
+
+export type StoreStatus = 'active' | 'inactive' | 'maintenance' | 'closed';
+
+/** Bảng quản lý thông tin các cửa hàng/chi nhánh thuộc doanh nghiệp */
+export interface Store {
+  /** Mã định danh duy nhất của cửa hàng */
+  id: string;
+  /** Mã doanh nghiệp sở hữu cửa hàng này */
+  enterprise_id: string;
+  /** Tên cửa hàng/chi nhánh */
+  name: string;
+  /** Loại cửa hàng */
+  store_type: StoreStoreType | null;
+  /** Địa chỉ cửa hàng */
+  address: string | null;
+  /** Số điện thoại cửa hàng */
+  phone: string | null;
+  /** Email liên hệ của cửa hàng */
+  email: string | null;
+  /** Tên quản lý cửa hàng */
+  manager_name: string | null;
+  /** Giờ hoạt động của cửa hàng (JSON format) */
+  operating_hours: unknown | null;
+  /** Múi giờ của cửa hàng */
+  timezone: string | null;
+  /** Đơn vị tiền tệ sử dụng (ISO 4217) */
+  currency: string | null;
+  /** Tỷ lệ thuế áp dụng tại cửa hàng (%) */
+  tax_rate: number | null;
+  /** Trạng thái hoạt động */
+  status: StoreStatus | null;
+  /** Cho phép đồng bộ dữ liệu */
+  sync_enabled: boolean | null;
+  /** Thời gian đồng bộ dữ liệu lần cuối */
+  last_sync: Date | null;
+  /** Thời gian tạo bản ghi */
+  created_at: Date | null;
+  /** Thời gian cập nhật bản ghi lần cuối */
+  updated_at: Date | null;
+}
+
+export interface StoreInsert {
+  /** Mã định danh duy nhất của cửa hàng */
+  id: string;
+  /** Mã doanh nghiệp sở hữu cửa hàng này */
+  enterprise_id: string;
+  /** Tên cửa hàng/chi nhánh */
+  name: string;
+  /** Loại cửa hàng */
+  store_type?: StoreStoreType | null;
+  /** Địa chỉ cửa hàng */
+  address?: string | null;
+  /** Số điện thoại cửa hàng */
+  phone?: string | null;
+  /** Email liên hệ của cửa hàng */
+  email?: string | null;
+  /** Tên quản lý cửa hàng */
+  manager_name?: string | null;
+  /** Giờ hoạt động của cửa hàng (JSON format) */
+  operating_hours?: unknown | null;
+  /** Múi giờ của cửa hàng */
+  timezone?: string | null;
+  /** Đơn vị tiền tệ sử dụng (ISO 4217) */
+  currency?: string | null;
+  /** Tỷ lệ thuế áp dụng tại cửa hàng (%) */
+  tax_rate?: number | null;
+  /** Trạng thái hoạt động */
+  status?: StoreStatus | null;
+  /** Cho phép đồng bộ dữ liệu */
+  sync_enabled?: boolean | null;
+  /** Thời gian đồng bộ dữ liệu lần cuối */
+  last_sync?: Date | string | null;
+  /** Thời gian tạo bản ghi */
+  created_at?: Date | string | null;
+  /** Thời gian cập nhật bản ghi lần cuối */
+  updated_at?: Date | string | null;
+}
+
+export type StoreUpdate = Partial<StoreInsert>;
+
+export type UserRole = 'admin' | 'manager' | 'staff' | 'cashier' | 'viewer';
+
+/** Bảng quản lý thông tin người dùng hệ thống */
+export interface User {
+  /** Mã định danh duy nhất của người dùng (được sử dụng trong hệ thống) */
+  id: string;
+  /** Mã cửa hàng mà người dùng thuộc về */
+  store_id: string;
+  /** Tên đăng nhập của người dùng */
+  username: string;
+  /** Mật khẩu đã được mã hóa */
+  password_hash: string;
+  /** Họ và tên đầy đủ của người dùng */
+  full_name: string;
+  /** Địa chỉ email của người dùng */
+  email: string | null;
+  /** Số điện thoại của người dùng */
+  phone: string | null;
+  /** Vai trò trong hệ thống */
+  role: UserRole;
+  /** Quyền hạn chi tiết của người dùng (JSON format) */
+  permissions: unknown | null;
+  /** Đường dẫn đến ảnh đại diện */
+  avatar_url: string | null;
+  /** Trạng thái tài khoản */
+  is_active: boolean | null;
+  /** Thời gian đăng nhập lần cuối */
+  last_login: Date | null;
+  /** Số lần đăng nhập thất bại liên tiếp */
+  failed_login_attempts: number | null;
+  /** Thời gian khóa tài khoản đến */
+  locked_until: Date | null;
+  /** Thời gian tạo tài khoản */
+  created_at: Date | null;
+  /** Thời gian cập nhật thông tin lần cuối */
+  updated_at: Date | null;
+}
+
+export interface UserInsert {
+  /** Mã định danh duy nhất của người dùng (được sử dụng trong hệ thống) */
+  id: string;
+  /** Mã cửa hàng mà người dùng thuộc về */
+  store_id: string;
+  /** Tên đăng nhập của người dùng */
+  username: string;
+  /** Mật khẩu đã được mã hóa */
+  password_hash: string;
+  /** Họ và tên đầy đủ của người dùng */
+  full_name: string;
+  /** Địa chỉ email của người dùng */
+  email?: string | null;
+  /** Số điện thoại của người dùng */
+  phone?: string | null;
+  /** Vai trò trong hệ thống */
+  role?: UserRole;
+  /** Quyền hạn chi tiết của người dùng (JSON format) */
+  permissions?: unknown | null;
+  /** Đường dẫn đến ảnh đại diện */
+  avatar_url?: string | null;
+  /** Trạng thái tài khoản */
+  is_active?: boolean | null;
+  /** Thời gian đăng nhập lần cuối */
+  last_login?: Date | string | null;
+  /** Số lần đăng nhập thất bại liên tiếp */
+  failed_login_attempts?: number | null;
+  /** Thời gian khóa tài khoản đến */
+  locked_until?: Date | string | null;
+  /** Thời gian tạo tài khoản */
+  created_at?: Date | string | null;
+  /** Thời gian cập nhật thông tin lần cuối */
+  updated_at?: Date | string | null;
+}
+
+export type UserUpdate = Partial<UserInsert>;
+
+/** Bảng quản lý phiên đăng nhập của người dùng */
+export interface UserSession {
+  /** Mã định danh duy nhất của phiên đăng nhập */
+  id: number;
+  /** Mã người dùng sở hữu phiên đăng nhập */
+  user_id: string;
+  /** Mã cửa hàng nơi người dùng đăng nhập */
+  store_id: string;
+  /** Token phiên đăng nhập duy nhất */
+  session_token: string;
+  /** Token làm mới phiên đăng nhập */
+  refresh_token: string | null;
+  /** Thông tin thiết bị đăng nhập (JSON format) */
+  device_info: unknown | null;
+  /** Địa chỉ IP đăng nhập (hỗ trợ IPv6) */
+  ip_address: string | null;
+  /** Thông tin trình duyệt/ứng dụng */
+  user_agent: string | null;
+  /** Thời gian bắt đầu phiên đăng nhập */
+  login_time: Date | null;
+  /** Thời gian kết thúc phiên đăng nhập */
+  logout_time: Date | null;
+  /** Thời gian hết hạn phiên đăng nhập */
+  expires_at: Date | null;
+  /** Trạng thái phiên */
+  is_active: boolean | null;
+}
+
+export interface UserSessionInsert {
+  /** Mã định danh duy nhất của phiên đăng nhập */
+  id?: number;
+  /** Mã người dùng sở hữu phiên đăng nhập */
+  user_id: string;
+  /** Mã cửa hàng nơi người dùng đăng nhập */
+  store_id: string;
+  /** Token phiên đăng nhập duy nhất */
+  session_token: string;
+  /** Token làm mới phiên đăng nhập */
+  refresh_token?: string | null;
+  /** Thông tin thiết bị đăng nhập (JSON format) */
+  device_info?: unknown | null;
+  /** Địa chỉ IP đăng nhập (hỗ trợ IPv6) */
+  ip_address?: string | null;
+  /** Thông tin trình duyệt/ứng dụng */
+  user_agent?: string | null;
+  /** Thời gian bắt đầu phiên đăng nhập */
+  login_time?: Date | string | null;
+  /** Thời gian kết thúc phiên đăng nhập */
+  logout_time?: Date | string | null;
+  /** Thời gian hết hạn phiên đăng nhập */
+  expires_at?: Date | string | null;
+  /** Trạng thái phiên */
+  is_active?: boolean | null;
+}
+
+export type UserSessionUpdate = Partial<UserSessionInsert>;
+
+export type SettingCategory =
+  | 'system'
+  | 'payment'
+  | 'notification'
+  | 'display'
+  | 'security'
+  | 'integration';
+
+export type SettingDataType = 'string' | 'number' | 'boolean' | 'json' | 'array';
+
+/** Bảng lưu trữ các cấu hình và thiết lập của hệ thống */
+export interface Setting {
+  /** Mã định danh duy nhất của thiết lập */
+  id: number;
+  /** Mã cửa hàng áp dụng thiết lập này */
+  store_id: string;
+  /** Danh mục thiết lập */
+  category: SettingCategory;
+  /** Khóa định danh của thiết lập */
+  key: string;
+  /** Giá trị của thiết lập */
+  value: string | null;
+  /** Giá trị mặc định của thiết lập */
+  default_value: string | null;
+  /** Mô tả chi tiết về thiết lập này */
+  description: string | null;
+  /** Kiểu dữ liệu của giá trị */
+  data_type: SettingDataType | null;
+  /** Quy tắc validation cho giá trị (JSON format) */
+  validation_rules: unknown | null;
+  /** Giá trị có được mã hóa không */
+  is_encrypted: boolean | null;
+  /** Thiết lập hệ thống (không được phép xóa) */
+  is_system: boolean | null;
+  /** Thời gian tạo thiết lập */
+  created_at: Date | null;
+  /** Thời gian cập nhật thiết lập lần cuối */
+  updated_at: Date | null;
+}
+
+export interface SettingInsert {
+  /** Mã định danh duy nhất của thiết lập */
+  id?: number;
+  /** Mã cửa hàng áp dụng thiết lập này */
+  store_id: string;
+  /** Danh mục thiết lập */
+  category: SettingCategory;
+  /** Khóa định danh của thiết lập */
+  key: string;
+  /** Giá trị của thiết lập */
+  value?: string | null;
+  /** Giá trị mặc định của thiết lập */
+  default_value?: string | null;
+  /** Mô tả chi tiết về thiết lập này */
+  description?: string | null;
+  /** Kiểu dữ liệu của giá trị */
+  data_type?: SettingDataType | null;
+  /** Quy tắc validation cho giá trị (JSON format) */
+  validation_rules?: unknown | null;
+  /** Giá trị có được mã hóa không */
+  is_encrypted?: boolean | null;
+  /** Thiết lập hệ thống (không được phép xóa) */
+  is_system?: boolean | null;
+  /** Thời gian tạo thiết lập */
+  created_at?: Date | string | null;
+  /** Thời gian cập nhật thiết lập lần cuối */
+  updated_at?: Date | string | null;
+}
+
+export type SettingUpdate = Partial<SettingInsert>;
+
+/** Row type of each table and view of the schema 'core'. */
+export interface CoreTables {
+  enterprises: Enterprise;
+  stores: Store;
+  users: User;
+  user_sessions: UserSession;
+  settings: Setting;
+}
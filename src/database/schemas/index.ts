@@ -1,9 +1,29 @@
 import { DatabaseSchemaWithTypeMapping } from '../SQLiteDAO';
 
 import * as core from './core.json';
+import { CoreTables } from './core.types';
 
-// Ép kiểu rõ ràng tại thời điểm export
-export const schemaConfigurations: Record<string, DatabaseSchemaWithTypeMapping> = {
+// Kiểu các bảng của core, sinh bằng `npm run codegen`
+export * from './core.types';
+
+// Kiểu dòng theo tên bảng của từng schema; thêm schema mới vào đây và vào schemas bên dưới
+export interface SchemaTables {
+  core: CoreTables;
+}
+
+export type SchemaName = keyof SchemaTables;
+export type TableName<S extends SchemaName> = Extract<keyof SchemaTables[S], string>;
+// Extract giữ ràng buộc Record của BaseService<T> khi S và N còn là tham số generic
+export type TableRow<S extends SchemaName, N extends TableName<S>> = Extract<
+  SchemaTables[S][N],
+  Record<string, any>
+>;
+
+// Thiếu hoặc thừa khóa so với SchemaTables là lỗi biên dịch
+const schemas: Record<SchemaName, DatabaseSchemaWithTypeMapping> = {
   core,
 };
 
+// Ép kiểu rõ ràng tại thời điểm export
+export const schemaConfigurations: Record<string, DatabaseSchemaWithTypeMapping> = schemas;
+